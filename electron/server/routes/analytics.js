@@ -164,12 +164,12 @@ export const registerSocketEvents = (socket, {
         metrics.inventoryValue += ingredient.stockLevel * ingredient.unitCost;
 
         // Check for low stock
-        if (ingredient.stockLevel <= ingredient.minimumThreshold) {
+        if (ingredient.stockLevel <= ingredient.minimumStockLevel) {
           metrics.lowStockItems.push({
             id: ingredient._id,
             name: ingredient.name,
             current: ingredient.stockLevel,
-            minimum: ingredient.minimumThreshold,
+            minimum: ingredient.minimumStockLevel,
             unit: ingredient.unit
           });
         }
@@ -428,10 +428,10 @@ export const registerSocketEvents = (socket, {
           'Unit': ingredient.unit,
           'Unit Cost': ingredient.cost,
           'Total Value': ingredient.stockLevel * ingredient.cost,
-          'Minimum Threshold': ingredient.minimumThreshold,
+          'Minimum Stock Level': ingredient.minimumStockLevel,
           '30-Day Usage': usage,
           'Turnover Rate': usage / (ingredient.stockLevel || 1),
-          'Status': ingredient.stockLevel <= ingredient.minimumThreshold ? 'Low Stock' : 'OK'
+          'Status': ingredient.stockLevel <= ingredient.minimumStockLevel ? 'Low Stock' : 'OK'
         };
       });
 
@@ -0,0 +1,613 @@
+import { v4 as uuidv4 } from 'uuid';
+import path from 'path';
+import fs from 'fs';
+import sanitizeHtml from 'sanitize-html';
+import { validateUserSession } from './utils.js';
+import { getRestaurantSettings } from './settings.js';
+import { generateDrawerReport } from './pos.js';
+
+const MOVEMENT_TYPES = ['paid_in', 'paid_out', 'drop'];
+
+// Tenders that can't be physically counted at close
+const UNCOUNTED_TENDERS = ['loyalty_points'];
+
+const roundCurrency = (amount, decimalPlaces = 2) => {
+  const factor = 10 ** decimalPlaces;
+  return Math.round((amount + Number.EPSILON) * factor) / factor;
+};
+
+const validateMovement = (data) => {
+  const errors = [];
+  const sanitizedData = {
+    type: data.type,
+    amount: Number(data.amount),
+    reason: sanitizeHtml(data.reason || '')
+  };
+
+  if (!MOVEMENT_TYPES.includes(sanitizedData.type)) {
+    errors.push(`Movement type must be one of: ${MOVEMENT_TYPES.join(', ')}`);
+  }
+
+  if (!Number.isFinite(sanitizedData.amount) || sanitizedData.amount <= 0) {
+    errors.push('Amount must be greater than zero');
+  }
+
+  if (sanitizedData.type !== 'drop' && !sanitizedData.reason) {
+    errors.push('A reason is required for paid-ins and paid-outs');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitizedData
+  };
+};
+
+/**
+ * Work out an X or Z report for a drawer session. Tenders count the payments
+ * and refunds the drawer took, whichever drawer the order was opened in;
+ * order counts, voids and comps are of the orders created in it. Entries
+ * recorded before they carried a drawer count in the order's drawer.
+ * @param {Object} drawer - Drawer session document
+ * @param {Array} orders - Orders created in the drawer or with payments or refunds taken in it
+ * @param {Object} options - { reportType, counts, decimalPlaces }
+ * @returns {Object} - Drawer report
+ */
+export const calculateDrawerReport = (drawer, orders, { reportType, counts = null, decimalPlaces = 2 }) => {
+  const takenInDrawer = (order, entry) =>
+    ('drawerSessionId' in entry ? entry.drawerSessionId : order.drawerSessionId) === drawer._id;
+  const createdOrders = orders.filter(order => order.drawerSessionId === drawer._id);
+
+  const movements = MOVEMENT_TYPES.reduce((acc, type) => {
+    acc[type] = roundCurrency(
+      drawer.movements.filter(movement => movement.type === type).reduce((sum, movement) => sum + movement.amount, 0),
+      decimalPlaces
+    );
+    return acc;
+  }, {});
+
+  // Sales and refunds by tender
+  const byMethod = {};
+  const tenderFor = (method) => {
+    byMethod[method] = byMethod[method] || { method, sales: 0, refunds: 0 };
+    return byMethod[method];
+  };
+  tenderFor('cash');
+
+  orders.forEach(order => {
+    (order.payments || [])
+      .filter(payment => payment.status === 'approved' && takenInDrawer(order, payment))
+      .forEach(payment => {
+        tenderFor(payment.method).sales += payment.amount;
+      });
+    (order.refunds || [])
+      .filter(refund => takenInDrawer(order, refund))
+      .forEach(refund => {
+        tenderFor(refund.method).refunds += refund.amount;
+      });
+  });
+  Object.keys(counts || {}).forEach(method => tenderFor(method));
+
+  const tenders = Object.values(byMethod).map(tender => {
+    const sales = roundCurrency(tender.sales, decimalPlaces);
+    const refunds = roundCurrency(tender.refunds, decimalPlaces);
+    const expected = tender.method === 'cash'
+      ? roundCurrency(drawer.openingFloat + sales - refunds + movements.paid_in - movements.paid_out - movements.drop, decimalPlaces)
+      : roundCurrency(sales - refunds, decimalPlaces);
+    const counted = counts && !UNCOUNTED_TENDERS.includes(tender.method)
+      ? roundCurrency(Number(counts[tender.method]) || 0, decimalPlaces)
+      : null;
+
+    return {
+      method: tender.method,
+      sales,
+      refunds,
+      expected,
+      counted,
+      variance: counted === null ? null : roundCurrency(counted - expected, decimalPlaces)
+    };
+  });
+
+  const adjustmentTotal = (type) => roundCurrency(
+    createdOrders.flatMap(order => order.adjustments || [])
+      .filter(adjustment => adjustment.type === type)
+      .reduce((sum, adjustment) => sum + adjustment.amount, 0),
+    decimalPlaces
+  );
+
+  const countedTenders = tenders.filter(tender => tender.variance !== null);
+
+  return {
+    reportType,
+    drawerId: drawer._id,
+    restaurantId: drawer.restaurantId,
+    branchId: drawer.branchId,
+    terminalId: drawer.terminalId,
+    openedBy: drawer.openedBy,
+    openedAt: drawer.openedAt,
+    closedAt: drawer.closedAt || null,
+    generatedAt: new Date().toISOString(),
+    openingFloat: drawer.openingFloat,
+    movements,
+    tenders,
+    orderCount: createdOrders.length,
+    openOrderCount: createdOrders.filter(order => ['Pending', 'Partial'].includes(order.paymentStatus)).length,
+    grossSales: roundCurrency(tenders.reduce((sum, tender) => sum + tender.sales, 0), decimalPlaces),
+    voidTotal: adjustmentTotal('void'),
+    compTotal: adjustmentTotal('comp'),
+    totalVariance: counts
+      ? roundCurrency(countedTenders.reduce((sum, tender) => sum + tender.variance, 0), decimalPlaces)
+      : null
+  };
+};
+
+/**
+ * Build an X or Z report for a drawer session. Any order the drawer took
+ * money for was changed after it opened.
+ * @param {Object} drawer - Drawer session document
+ * @param {Object} posDB - PouchDB instance for POS
+ * @param {Object} options - { reportType, counts, decimalPlaces }
+ * @returns {Promise<Object>} - Drawer report
+ */
+const buildDrawerReport = async (drawer, posDB, options) => {
+  const result = await posDB.find({
+    selector: {
+      type: 'transaction',
+      branchId: drawer.branchId,
+      updatedAt: { $gte: drawer.openedAt }
+    }
+  });
+  const orders = result.docs.filter(order => order.drawerSessionId === drawer._id ||
+    [...(order.payments || []), ...(order.refunds || [])].some(entry => entry.drawerSessionId === drawer._id));
+  return calculateDrawerReport(drawer, orders, options);
+};
+
+/**
+ * Render a report through the receipt pipeline and save it next to receipts
+ * @param {Object} report - Drawer report
+ * @param {Object} posDB - PouchDB instance for POS
+ * @returns {Promise<Object>} - { text, filePath }
+ */
+const printDrawerReport = async (report, posDB) => {
+  const restaurant = await posDB.get(report.restaurantId);
+  const printout = await generateDrawerReport(report, restaurant.receiptSettings, posDB);
+
+  const receiptsDir = path.join(process.cwd(), 'receipts');
+  if (!fs.existsSync(receiptsDir)) {
+    fs.mkdirSync(receiptsDir);
+  }
+
+  const filePath = path.join(receiptsDir, `${report.reportType.toLowerCase()}report_${report.drawerId}_${report.generatedAt.split('T')[0]}.txt`);
+  fs.writeFileSync(filePath, printout.text);
+
+  return { text: printout.text, filePath };
+};
+
+export const registerSocketEvents = (socket, {
+  db: posDB,
+  sessionDB,
+  logsDB,
+  settingsDB
+}) => {
+  if (!posDB || !sessionDB || !logsDB || !settingsDB) {
+    console.error('Missing required database dependencies for cash drawer routes');
+    return;
+  }
+
+  // Open Drawer
+  socket.on('drawer:open', async (data, callback) => {
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Validate float and make sure the terminal has no open drawer
+      const openingFloat = Number(data.openingFloat);
+      if (!Number.isFinite(openingFloat) || openingFloat < 0) {
+        return callback?.({
+          success: false,
+          message: 'Opening float must be zero or more'
+        });
+      }
+
+      const terminalId = data.terminalId ? sanitizeHtml(data.terminalId) : 'default';
+      const existing = await posDB.find({
+        selector: {
+          type: 'drawerSession',
+          branchId: data.branchId,
+          terminalId,
+          status: 'open'
+        },
+        limit: 1
+      });
+
+      if (existing.docs.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'A drawer is already open on this terminal'
+        });
+      }
+
+      // 3. Create drawer session
+      const drawer = {
+        _id: `drawer_${uuidv4()}`,
+        type: 'drawerSession',
+        restaurantId: data.restaurantId,
+        branchId: data.branchId,
+        terminalId,
+        status: 'open',
+        openingFloat,
+        movements: [],
+        openedBy: sessionValidation.user._id,
+        openedAt: new Date().toISOString(),
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      await posDB.put(drawer);
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'cashDrawer',
+        action: 'open',
+        drawerId: drawer._id,
+        userId: sessionValidation.user._id,
+        restaurantId: data.restaurantId,
+        branchId: data.branchId,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `Drawer opened on terminal ${terminalId} with float ${openingFloat.toFixed(2)}`
+      });
+
+      // 5. Emit event to other clients
+      socket.broadcast.emit('drawer:updated', drawer);
+
+      callback?.({
+        success: true,
+        message: 'Drawer opened successfully',
+        data: drawer
+      });
+
+    } catch (error) {
+      console.error('Error opening drawer:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to open drawer',
+        error: error.message
+      });
+    }
+  });
+
+  // Get Current Drawer
+  socket.on('drawer:getCurrent', async (data, callback) => {
+    try {
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      const result = await posDB.find({
+        selector: {
+          type: 'drawerSession',
+          branchId: data.branchId,
+          terminalId: data.terminalId || 'default',
+          status: 'open'
+        },
+        limit: 1
+      });
+
+      // Expected amounts are left out so the closing count stays blind
+      callback?.({
+        success: true,
+        data: result.docs[0] || null
+      });
+
+    } catch (error) {
+      console.error('Error getting current drawer:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to get current drawer',
+        error: error.message
+      });
+    }
+  });
+
+  // Record Paid-in, Paid-out or Drop
+  socket.on('drawer:recordMovement', async (data, callback) => {
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Validate movement
+      const validationResult = validateMovement(data);
+      if (!validationResult.isValid) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: validationResult.errors
+        });
+      }
+
+      const drawer = await posDB.get(data.drawerId);
+      if (drawer.status !== 'open') {
+        return callback?.({
+          success: false,
+          message: 'Drawer is closed'
+        });
+      }
+
+      // 3. Append movement
+      const movement = {
+        movementId: `movement_${uuidv4()}`,
+        ...validationResult.sanitizedData,
+        recordedBy: sessionValidation.user._id,
+        recordedAt: new Date().toISOString()
+      };
+
+      const updatedDrawer = {
+        ...drawer,
+        movements: [...drawer.movements, movement],
+        updatedAt: new Date().toISOString()
+      };
+
+      await posDB.put(updatedDrawer);
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'cashDrawer',
+        action: movement.type,
+        drawerId: drawer._id,
+        userId: sessionValidation.user._id,
+        restaurantId: drawer.restaurantId,
+        branchId: drawer.branchId,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `Drawer ${movement.type.replace('_', '-')} of ${movement.amount.toFixed(2)}${movement.reason ? `: ${movement.reason}` : ''}`
+      });
+
+      // 5. Emit event to other clients
+      socket.broadcast.emit('drawer:updated', updatedDrawer);
+
+      callback?.({
+        success: true,
+        message: 'Movement recorded successfully',
+        data: updatedDrawer
+      });
+
+    } catch (error) {
+      console.error('Error recording drawer movement:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to record drawer movement',
+        error: error.message
+      });
+    }
+  });
+
+  // X-Report (mid-shift, drawer stays open)
+  socket.on('drawer:xReport', async (data, callback) => {
+    try {
+      // Expected amounts are visible here, so cashiers can't run it before their blind count
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      const drawer = await posDB.get(data.drawerId);
+      const settings = await getRestaurantSettings(settingsDB, drawer.restaurantId);
+      const report = await buildDrawerReport(drawer, posDB, {
+        reportType: 'X',
+        decimalPlaces: settings.pos.decimalPlaces
+      });
+
+      const printout = data.print ? await printDrawerReport(report, posDB) : null;
+
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'cashDrawer',
+        action: 'xReport',
+        drawerId: drawer._id,
+        userId: sessionValidation.user._id,
+        restaurantId: drawer.restaurantId,
+        branchId: drawer.branchId,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `X-report run for terminal ${drawer.terminalId}`
+      });
+
+      callback?.({
+        success: true,
+        data: {
+          report,
+          printout
+        }
+      });
+
+    } catch (error) {
+      console.error('Error generating X-report:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to generate X-report',
+        error: error.message
+      });
+    }
+  });
+
+  // Close Drawer with a blind count and produce the Z-report
+  socket.on('drawer:close', async (data, callback) => {
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Validate counts
+      const counts = data.counts || {};
+      const invalidCounts = Object.entries(counts).filter(([, value]) => !Number.isFinite(Number(value)) || Number(value) < 0);
+      if (!Number.isFinite(Number(counts.cash)) || invalidCounts.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Counted amounts must be zero or more and include cash'
+        });
+      }
+
+      const drawer = await posDB.get(data.drawerId);
+      if (drawer.status !== 'open') {
+        return callback?.({
+          success: false,
+          message: 'Drawer is already closed'
+        });
+      }
+
+      // 3. Build the Z-report against the counted amounts
+      const settings = await getRestaurantSettings(settingsDB, drawer.restaurantId);
+      const closedAt = new Date().toISOString();
+      const closedDrawer = {
+        ...drawer,
+        status: 'closed',
+        counts: Object.fromEntries(Object.entries(counts).map(([method, value]) => [method, Number(value)])),
+        closedBy: sessionValidation.user._id,
+        closedAt,
+        updatedAt: closedAt
+      };
+      closedDrawer.zReport = await buildDrawerReport(closedDrawer, posDB, {
+        reportType: 'Z',
+        counts: closedDrawer.counts,
+        decimalPlaces: settings.pos.decimalPlaces
+      });
+
+      // 4. Save changes
+      await posDB.put(closedDrawer);
+
+      // 5. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'cashDrawer',
+        action: 'close',
+        drawerId: drawer._id,
+        userId: sessionValidation.user._id,
+        restaurantId: drawer.restaurantId,
+        branchId: drawer.branchId,
+        timestamp: closedAt,
+        level: closedDrawer.zReport.totalVariance === 0 ? 'info' : 'warning',
+        message: `Drawer closed on terminal ${drawer.terminalId} with variance ${closedDrawer.zReport.totalVariance.toFixed(2)}`
+      });
+
+      const printout = data.print ? await printDrawerReport(closedDrawer.zReport, posDB) : null;
+
+      // 6. Emit event to other clients
+      socket.broadcast.emit('drawer:updated', closedDrawer);
+
+      callback?.({
+        success: true,
+        message: 'Drawer closed successfully',
+        data: {
+          drawer: closedDrawer,
+          report: closedDrawer.zReport,
+          printout
+        }
+      });
+
+    } catch (error) {
+      console.error('Error closing drawer:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to close drawer',
+        error: error.message
+      });
+    }
+  });
+
+  // Reprint the Z-report of a closed drawer
+  socket.on('drawer:printZReport', async (data, callback) => {
+    try {
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      const drawer = await posDB.get(data.drawerId);
+      if (!drawer.zReport) {
+        return callback?.({
+          success: false,
+          message: 'Drawer has not been closed'
+        });
+      }
+
+      const printout = await printDrawerReport(drawer.zReport, posDB);
+
+      callback?.({
+        success: true,
+        data: printout
+      });
+
+    } catch (error) {
+      console.error('Error printing Z-report:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to print Z-report',
+        error: error.message
+      });
+    }
+  });
+};
@@ -69,6 +69,8 @@ const validateCategory = async (data, db, isUpdate = false) => {
     imageUrl: data.imageUrl ? sanitizeHtml(data.imageUrl) : undefined,
     isActive: typeof data.isActive === 'boolean' ? data.isActive : true,
     displayOrder: Number.isInteger(data.displayOrder) ? data.displayOrder : 0,
+    taxClass: data.taxClass ? sanitizeHtml(data.taxClass) : undefined,
+    preparationStation: data.preparationStation ? sanitizeHtml(data.preparationStation) : undefined,
   };
 
   // Validate name
@@ -102,6 +104,16 @@ const validateCategory = async (data, db, isUpdate = false) => {
     errors.push('Display order must be a non-negative integer');
   }
 
+  // Validate taxClass (items in this category inherit it unless they set their own)
+  if (sanitizedData.taxClass && !validator.isLength(sanitizedData.taxClass, { min: 1, max: 50 })) {
+    errors.push('Tax class must be 1-50 characters');
+  }
+
+  // Validate preparationStation (items in this category go to it unless they set their own)
+  if (sanitizedData.preparationStation && !validator.isLength(sanitizedData.preparationStation, { min: 1, max: 50 })) {
+    errors.push('Preparation station must be 1-50 characters');
+  }
+
   return { isValid: errors.length === 0, errors, sanitizedData };
 };
 
@@ -321,6 +333,8 @@ export const registerSocketEvents = (socket, { db: categoriesDB, restaurantsDB,
         displayOrder: Number.isInteger(data.displayOrder) ? data.displayOrder : existingCategory.displayOrder,
         imageUrl: data.imageUrl ? sanitizeHtml(data.imageUrl) : existingCategory.imageUrl,
         isActive: typeof data.isActive === 'boolean' ? data.isActive : existingCategory.isActive,
+        taxClass: data.taxClass ? sanitizeHtml(data.taxClass) : existingCategory.taxClass,
+        preparationStation: data.preparationStation ? sanitizeHtml(data.preparationStation) : existingCategory.preparationStation,
         updatedAt: new Date().toISOString()
       };
 
@@ -9,12 +9,18 @@ import { registerSocketEvents as registerRegistrationSocketEvents } from "./regi
 import { registerSocketEvents as registerCategorySocketEvents } from "./categories.js";
 import { registerSocketEvents as registerSubcategorySocketEvents } from "./subcategories.js";
 import { registerSocketEvents as registerPOSSocketEvents } from "./pos.js";
+import { registerSocketEvents as registerCashDrawerSocketEvents } from "./cashDrawer.js";
+import { registerSocketEvents as registerPrinterSocketEvents } from "./printers.js";
 import { registerSocketEvents as registerInventorySocketEvents } from "./inventory.js";
 import { registerSocketEvents as registerKDSSocketEvents } from "./kds.js";
 import { registerSocketEvents as registerReportsSocketEvents } from "./reports.js";
 import { registerSocketEvents as registerSuppliersSocketEvents } from "./suppliers.js";
+import { registerSocketEvents as registerPurchaseOrderSocketEvents } from "./purchaseOrders.js";
+import { registerSocketEvents as registerStockTakeSocketEvents } from "./stockTakes.js";
 import { registerSocketEvents as registerRecipeVersionsSocketEvents } from "./recipeVersions.js";
 import { registerSocketEvents as registerTablesSocketEvents } from "./tables.js";
+import { registerSocketEvents as registerReservationSocketEvents } from "./reservations.js";
+import { registerSocketEvents as registerWaitlistSocketEvents } from "./waitlist.js";
 import { registerSocketEvents as registerSpecialsSocketEvents } from "./specials.js";
 import { registerSocketEvents as registerWasteSocketEvents } from "./waste.js";
 import { registerSocketEvents as registerLoyaltySocketEvents } from "./loyalty.js";
@@ -140,7 +146,32 @@ export const registerSocketRoutes = async (io, databases) => {
       registerPOSSocketEvents(socket, {
         db: posDB,
         menuItemsDB,
+        categoriesDB,
+        recipesDB,
+        recipeVersionsDB,
         ingredientsDB,
+        inventoryTransactionsDB,
+        sessionDB,
+        logsDB,
+        notificationsDB,
+        settingsDB,
+        loyaltyDB,
+        usersDB,
+        kdsDB,
+        specialsDB,
+      });
+
+      // Cash drawer routes
+      registerCashDrawerSocketEvents(socket, {
+        db: posDB,
+        sessionDB,
+        logsDB,
+        settingsDB,
+      });
+
+      // Printer routes
+      registerPrinterSocketEvents(socket, {
+        settingsDB,
         sessionDB,
         logsDB,
       });
@@ -149,6 +180,8 @@ export const registerSocketRoutes = async (io, databases) => {
       registerInventorySocketEvents(socket, {
         db: inventoryTransactionsDB,
         ingredientsDB,
+        notificationsDB,
+        settingsDB,
         sessionDB,
         logsDB,
       });
@@ -157,6 +190,9 @@ export const registerSocketRoutes = async (io, databases) => {
       registerKDSSocketEvents(socket, {
         db: kdsDB,
         posDB,
+        settingsDB,
+        notificationsDB,
+        usersDB,
         sessionDB,
         logsDB,
       });
@@ -167,6 +203,7 @@ export const registerSocketRoutes = async (io, databases) => {
         menuItemsDB,
         inventoryTransactionsDB,
         ingredientsDB,
+        tablesDB,
         sessionDB,
         logsDB,
       });
@@ -179,6 +216,27 @@ export const registerSocketRoutes = async (io, databases) => {
         logsDB,
       });
 
+      // Purchase order routes
+      registerPurchaseOrderSocketEvents(socket, {
+        db: suppliersDB,
+        ingredientsDB,
+        inventoryTransactionsDB,
+        notificationsDB,
+        settingsDB,
+        sessionDB,
+        logsDB,
+      });
+
+      // Stock take routes
+      registerStockTakeSocketEvents(socket, {
+        db: inventoryTransactionsDB,
+        ingredientsDB,
+        settingsDB,
+        notificationsDB,
+        sessionDB,
+        logsDB,
+      });
+
       // Recipe Versions routes
       registerRecipeVersionsSocketEvents(socket, {
         db: recipeVersionsDB,
@@ -192,6 +250,34 @@ export const registerSocketRoutes = async (io, databases) => {
       registerTablesSocketEvents(socket, {
         db: tablesDB,
         posDB,
+        branchesDB,
+        settingsDB,
+        sessionDB,
+        logsDB,
+      });
+
+      // Reservation routes
+      registerReservationSocketEvents(socket, {
+        db: tablesDB,
+        branchesDB,
+        settingsDB,
+        sessionDB,
+        logsDB,
+      });
+
+      // Waitlist routes
+      registerWaitlistSocketEvents(socket, {
+        db: tablesDB,
+        settingsDB,
+        sessionDB,
+        logsDB,
+      });
+
+      // Specials and promotions routes
+      registerSpecialsSocketEvents(socket, {
+        db: specialsDB,
+        menuItemsDB,
+        posDB,
         sessionDB,
         logsDB,
       });
@@ -201,6 +287,8 @@ export const registerSocketRoutes = async (io, databases) => {
         db: wasteRecordsDB,
         inventoryTransactionsDB,
         ingredientsDB,
+        notificationsDB,
+        settingsDB,
         sessionDB,
         logsDB,
       });
@@ -2,6 +2,8 @@ import { v4 as uuidv4 } from 'uuid';
 import validator from 'validator';
 import sanitizeHtml from 'sanitize-html';
 import { validateUserSession } from './utils.js';
+import { validateCustomUnits } from '../utils/units.js';
+import { INVENTORY_METHODS } from '../utils/batches.js';
 
 /**
  * Validates ingredient data
@@ -16,9 +18,19 @@ const validateIngredient = async (data, db, isUpdate = false) => {
     name: sanitizeHtml(data.name || ''),
     description: data.description ? sanitizeHtml(data.description) : '',
     unit: data.unit ? sanitizeHtml(data.unit) : '',
+    customUnits: Array.isArray(data.customUnits) ? data.customUnits.map(custom => ({
+      name: sanitizeHtml(custom.name || ''),
+      quantity: Number(custom.quantity),
+      unit: sanitizeHtml(custom.unit || '')
+    })) : [],
     cost: Number.isFinite(data.cost) ? Number(data.cost) : 0,
     stockLevel: Number.isFinite(data.stockLevel) ? Number(data.stockLevel) : 0,
     minimumStockLevel: Number.isFinite(data.minimumStockLevel) ? Number(data.minimumStockLevel) : 0,
+    inventoryMethod: data.inventoryMethod || 'FIFO',
+    category: data.category ? sanitizeHtml(data.category) : '',
+    location: data.location ? sanitizeHtml(data.location) : '',
+    restaurantId: data.restaurantId ? sanitizeHtml(data.restaurantId) : '',
+    branchId: data.branchId ? sanitizeHtml(data.branchId) : '',
     isActive: typeof data.isActive === 'boolean' ? data.isActive : true,
     allergens: Array.isArray(data.allergens) ? data.allergens.map(a => sanitizeHtml(a)) : [],
     nutritionalInfo: {
@@ -56,6 +68,16 @@ const validateIngredient = async (data, db, isUpdate = false) => {
     errors.push('Unit is required and must be 1-50 characters');
   }
 
+  // Validate custom units, such as a case of 24 bottles
+  if (sanitizedData.unit) {
+    errors.push(...validateCustomUnits(sanitizedData.customUnits, sanitizedData.unit));
+  }
+
+  // Validate the order batches are used up in
+  if (!INVENTORY_METHODS.includes(sanitizedData.inventoryMethod)) {
+    errors.push(`Inventory method must be one of ${INVENTORY_METHODS.join(', ')}`);
+  }
+
   // Validate cost
   if (!Number.isFinite(sanitizedData.cost) || sanitizedData.cost < 0) {
     errors.push('Cost must be a non-negative number');
@@ -2,6 +2,16 @@ import { v4 as uuidv4 } from 'uuid';
 import validator from 'validator';
 import sanitizeHtml from 'sanitize-html';
 import { validateUserSession } from './utils.js';
+import { checkIngredientUnit, toStockUnit } from '../utils/units.js';
+import { getRestaurantSettings } from './settings.js';
+import { INVENTORY_METHODS, consumeBatches, getExpiringBatches, returnToBatches } from '../utils/batches.js';
+
+// Attempts at saving an ingredient that other terminals keep changing
+const MAX_CONFLICT_RETRIES = 5;
+
+// How often batches are checked for expiry
+const EXPIRY_CHECK_INTERVAL = 60 * 60 * 1000;
+let expirySweep = null;
 
 const validateInventoryTransaction = (data) => {
   const errors = [];
@@ -16,10 +26,21 @@ const validateInventoryTransaction = (data) => {
     reason: sanitizeHtml(data.reason || ''),
     relatedDocumentId: data.relatedDocumentId ? sanitizeHtml(data.relatedDocumentId) : undefined,
     relatedDocumentType: data.relatedDocumentType ? sanitizeHtml(data.relatedDocumentType) : undefined,
+    supplierId: data.supplierId,
+    expectedDeliveryDate: data.expectedDeliveryDate,
     cost: Number(data.cost),
     restaurantId: data.restaurantId,
     branchId: data.branchId,
-    inventoryMethod: data.inventoryMethod || 'FIFO',
+    inventoryMethod: data.inventoryMethod,
+    batchReturns: Array.isArray(data.batchReturns)
+      ? data.batchReturns.map(entry => ({
+        batchId: sanitizeHtml(String(entry.batchId || '')),
+        quantity: Number(entry.quantity),
+        unitCost: Number(entry.unitCost),
+        expiryDate: entry.expiryDate,
+        receivedDate: entry.receivedDate
+      }))
+      : undefined,
     batchInfo: {
       receivedDate: data.batchInfo?.receivedDate || new Date().toISOString(),
       supplierBatchNumber: data.batchInfo?.supplierBatchNumber,
@@ -54,10 +75,19 @@ const validateInventoryTransaction = (data) => {
     }
   }
 
-  if (!['FIFO', 'LIFO'].includes(sanitizedData.inventoryMethod)) {
+  if (sanitizedData.inventoryMethod && !INVENTORY_METHODS.includes(sanitizedData.inventoryMethod)) {
     errors.push('Invalid inventory method');
   }
 
+  if (sanitizedData.batchReturns) {
+    if (sanitizedData.batchReturns.some(entry => !entry.batchId || !(entry.quantity > 0))) {
+      errors.push('Returned batches need a batch ID and a quantity');
+    }
+    if (sanitizedData.batchId) {
+      errors.push('Stock goes back into one batch or into the batches it came from, not both');
+    }
+  }
+
   return {
     isValid: errors.length === 0,
     errors,
@@ -177,18 +207,327 @@ const calculateSupplierPerformance = (transactions) => {
   return supplierMetrics;
 };
 
+/**
+ * Record a stock movement and apply it to the ingredient and its batches.
+ * Everything that moves stock goes through here, so each movement leaves
+ * the same transaction, log entry and low stock check.
+ * @param {Object} dbs - { inventoryTransactionsDB, ingredientsDB, logsDB, notificationsDB }
+ * @param {Object} data - Transaction fields, see validateInventoryTransaction
+ * @param {Object} user - Staff member recording the movement
+ * @returns {Promise<Object>} - { success, message, errors, transaction, ingredient, lowStockNotification }
+ */
+export const recordInventoryTransaction = async (
+  { inventoryTransactionsDB, ingredientsDB, logsDB, notificationsDB },
+  data,
+  user
+) => {
+  // 1. Validate transaction data
+  const validationResult = validateInventoryTransaction(data);
+  if (!validationResult.isValid) {
+    return { success: false, message: 'Validation failed', errors: validationResult.errors };
+  }
+
+  // 2. Apply the movement to the current ingredient. Another terminal can
+  // save the ingredient in between, so on a conflict start again from the
+  // latest revision.
+  let ingredient;
+  let transaction;
+  for (let attempt = 1; ; attempt++) {
+    ingredient = await ingredientsDB.get(data.ingredientId);
+    const { quantity, unit } = validationResult.sanitizedData;
+    const stockQuantity = toStockUnit(quantity, unit, ingredient);
+    if (stockQuantity === null) {
+      return { success: false, message: 'Validation failed', errors: [checkIngredientUnit(unit, ingredient)] };
+    }
+
+    // 3. Create transaction document, recorded in the stock unit
+    transaction = {
+      _id: `inventory_transaction_${uuidv4()}`,
+      type: 'inventoryTransaction',
+      ...validationResult.sanitizedData,
+      quantity: stockQuantity,
+      unit: ingredient.unit,
+      enteredQuantity: quantity,
+      enteredUnit: unit,
+      inventoryMethod: validationResult.sanitizedData.inventoryMethod || ingredient.inventoryMethod || 'FIFO',
+      userId: user._id,
+      userName: user.name || user.username,
+      createdAt: new Date().toISOString(),
+      batchStatus: 'active',
+      previousStockLevel: ingredient.stockLevel
+    };
+
+    // 4. Update ingredient stock level with batch tracking. Adjustments
+    // correct stock either way, so they keep their sign.
+    let quantityChange = Math.abs(transaction.quantity);
+    if (transaction.transactionType === 'Deduct' || transaction.transactionType === 'Spoilage') {
+      quantityChange = -Math.abs(transaction.quantity);
+    } else if (transaction.transactionType === 'Adjustment') {
+      quantityChange = transaction.quantity;
+    }
+
+    if (quantityChange < 0) {
+      // Stock going out is drawn from the batches in the order of the
+      // inventory method, or from the one batch named
+      const consumption = consumeBatches(ingredient, -quantityChange, {
+        method: transaction.inventoryMethod,
+        batchId: transaction.batchId
+      });
+      if (transaction.batchId && consumption.shortfall > 0) {
+        return {
+          success: false,
+          message: 'Validation failed',
+          errors: [`Batch ${transaction.batchId} does not hold ${transaction.quantity} ${ingredient.unit} of ${ingredient.name}`]
+        };
+      }
+      ingredient.batches = consumption.batches;
+      transaction.batchConsumption = consumption.consumed;
+      if (!Number.isFinite(transaction.cost)) {
+        transaction.cost = consumption.cost;
+      }
+    } else if (transaction.batchReturns) {
+      // Stock given back goes into the batches it was drawn from, at their
+      // cost; the rest was never batched
+      const returned = transaction.batchReturns.reduce((sum, entry) => sum + entry.quantity, 0);
+      if (returned > quantityChange + 1e-9) {
+        return {
+          success: false,
+          message: 'Validation failed',
+          errors: [`Returned batches hold more than ${transaction.quantity} ${ingredient.unit} of ${ingredient.name}`]
+        };
+      }
+      ingredient.batches = returnToBatches(ingredient, transaction.batchReturns);
+      if (!Number.isFinite(transaction.cost)) {
+        transaction.cost = transaction.batchReturns.reduce((sum, entry) => sum + entry.quantity * entry.unitCost, 0)
+          + (quantityChange - returned) * (Number(ingredient.cost) || 0);
+      }
+    } else if (transaction.batchId) {
+      const batchInfo = {
+        batchId: transaction.batchId,
+        quantity: transaction.quantity,
+        expiryDate: transaction.expiryDate,
+        unitCost: Number.isFinite(transaction.cost) ? transaction.cost / transaction.quantity : ingredient.cost,
+        ...transaction.batchInfo
+      };
+
+      if (!ingredient.batches) {
+        ingredient.batches = [];
+      }
+
+      // Add or update batch
+      const existingBatchIndex = ingredient.batches.findIndex(b => b.batchId === transaction.batchId);
+      if (existingBatchIndex >= 0) {
+        ingredient.batches[existingBatchIndex] = {
+          ...ingredient.batches[existingBatchIndex],
+          quantity: ingredient.batches[existingBatchIndex].quantity + quantityChange
+        };
+      } else {
+        ingredient.batches.push(batchInfo);
+      }
+    }
+
+    // Update total stock level
+    ingredient.stockLevel += quantityChange;
+    ingredient.updatedAt = new Date().toISOString();
+
+    try {
+      const savedIngredient = await ingredientsDB.put(ingredient);
+      ingredient._rev = savedIngredient.rev;
+      break;
+    } catch (error) {
+      if (error.status !== 409 || attempt >= MAX_CONFLICT_RETRIES) {
+        throw error;
+      }
+    }
+  }
+
+  // 5. Save the transaction once the stock level is in
+  await inventoryTransactionsDB.put(transaction);
+
+  // 6. Log the action
+  await logsDB.put({
+    _id: `log_${uuidv4()}`,
+    type: 'log',
+    category: 'inventory',
+    action: transaction.transactionType.toLowerCase(),
+    transactionId: transaction._id,
+    ingredientId: ingredient._id,
+    userId: user._id,
+    timestamp: new Date().toISOString(),
+    level: 'info',
+    message: `Inventory ${transaction.transactionType.toLowerCase()} recorded for ${ingredient.name}`
+  });
+
+  // 7. Check for low stock and create a notification if needed
+  let lowStockNotification = null;
+  if (ingredient.stockLevel <= ingredient.minimumStockLevel) {
+    lowStockNotification = {
+      _id: `notification_${uuidv4()}`,
+      type: 'low_stock',
+      message: `Low Stock Alert: ${ingredient.name} (${ingredient.stockLevel} ${ingredient.unit} remaining)`,
+      priority: 'high',
+      metadata: {
+        ingredientId: ingredient._id,
+        name: ingredient.name,
+        currentStock: ingredient.stockLevel,
+        minimumStockLevel: ingredient.minimumStockLevel,
+        unit: ingredient.unit
+      },
+      createdAt: new Date().toISOString(),
+      read: false,
+      targetUsers: ['manager', 'kitchen_staff']
+    };
+
+    await notificationsDB?.put(lowStockNotification);
+  }
+
+  return { success: true, transaction, ingredient, lowStockNotification };
+};
+
+/**
+ * Tell other clients about a recorded transaction and raise its low stock alert
+ * @param {Object} socket - Socket that recorded it
+ * @param {Object} result - Output of recordInventoryTransaction
+ */
+export const broadcastInventoryTransaction = (socket, { transaction, ingredient, lowStockNotification }) => {
+  if (lowStockNotification) {
+    // Broadcast low stock alert and show desktop notification
+    socket.broadcast.emit('inventory:lowStock', lowStockNotification.metadata);
+    socket.broadcast.to('notification:low_stock').emit('notifications:new', lowStockNotification);
+
+    socket.emit('show-notification', {
+      title: 'Low Stock Alert',
+      body: `${ingredient.name} is running low!\nCurrent stock: ${ingredient.stockLevel} ${ingredient.unit}\nMinimum stock level: ${ingredient.minimumStockLevel} ${ingredient.unit}`,
+      urgency: 'critical'
+    });
+  }
+
+  socket.broadcast.emit('inventory:transactionRecorded', transaction);
+};
+
+/**
+ * Batches expiring within each restaurant's warning window, for
+ * restaurants that track expiry dates
+ * @param {Object} ingredientsDB - PouchDB instance for ingredients
+ * @param {Object} settingsDB - PouchDB instance for settings
+ * @param {Object} filter - { restaurantId, branchId }, everything when empty
+ * @returns {Promise<Array>} - [{ ingredient, batches, warningDays }]
+ */
+const findExpiringStock = async (ingredientsDB, settingsDB, { restaurantId, branchId } = {}) => {
+  const selector = { type: 'ingredient' };
+  if (restaurantId) selector.restaurantId = restaurantId;
+  if (branchId) selector.branchId = branchId;
+  const ingredients = (await ingredientsDB.find({ selector })).docs
+    .filter(ingredient => ingredient.batches?.length > 0);
+
+  const inventorySettings = new Map();
+  const expiring = [];
+  for (const ingredient of ingredients) {
+    if (!inventorySettings.has(ingredient.restaurantId)) {
+      const settings = await getRestaurantSettings(settingsDB, ingredient.restaurantId);
+      inventorySettings.set(ingredient.restaurantId, settings.inventory);
+    }
+    const { trackExpiryDates, expiryWarningDays } = inventorySettings.get(ingredient.restaurantId);
+    if (!trackExpiryDates) continue;
+
+    const batches = getExpiringBatches(ingredient, expiryWarningDays);
+    if (batches.length > 0) {
+      expiring.push({ ingredient, batches, warningDays: expiryWarningDays });
+    }
+  }
+  return expiring;
+};
+
 export const registerSocketEvents = (socket, {
   db: inventoryTransactionsDB,
   ingredientsDB,
   sessionDB,
   logsDB,
-  notificationsDB
+  notificationsDB,
+  settingsDB
 }) => {
   if (!inventoryTransactionsDB || !ingredientsDB || !sessionDB) {
     console.error('Missing required database dependencies for inventory routes');
     return;
   }
 
+  // Alert once when a batch comes within the warning window and again when
+  // it expires. The batches remember the last alert so the next sweep
+  // doesn't repeat it.
+  const checkExpiringStock = async () => {
+    for (const { ingredient, batches, warningDays } of await findExpiringStock(ingredientsDB, settingsDB)) {
+      const newAlerts = batches.filter(batch => batch.expiryAlert !== (batch.expired ? 'expired' : 'expiring'));
+      if (newAlerts.length === 0) continue;
+
+      try {
+        await ingredientsDB.put({
+          ...ingredient,
+          batches: ingredient.batches.map(batch => {
+            const alert = newAlerts.find(expiring => expiring.batchId === batch.batchId);
+            return alert ? { ...batch, expiryAlert: alert.expired ? 'expired' : 'expiring' } : batch;
+          })
+        });
+      } catch (error) {
+        // Changed since it was read; the next sweep picks it up
+        if (error.status === 409) continue;
+        throw error;
+      }
+
+      const expiredCount = newAlerts.filter(batch => batch.expired).length;
+      const expiringCount = newAlerts.length - expiredCount;
+      const notification = {
+        _id: `notification_${uuidv4()}`,
+        type: 'expiring_stock',
+        message: [
+          expiredCount > 0 && `Expired Stock: ${expiredCount} batch(es) of ${ingredient.name} past their expiry date`,
+          expiringCount > 0 && `${expiredCount > 0 ? '' : 'Expiring Stock: '}${expiringCount} batch(es) of ${ingredient.name} expire within ${warningDays} days`
+        ].filter(Boolean).join('; '),
+        priority: expiredCount > 0 ? 'high' : 'medium',
+        metadata: {
+          ingredientId: ingredient._id,
+          name: ingredient.name,
+          unit: ingredient.unit,
+          restaurantId: ingredient.restaurantId,
+          branchId: ingredient.branchId,
+          batches: newAlerts.map(batch => ({
+            batchId: batch.batchId,
+            quantity: batch.quantity,
+            expiryDate: batch.expiryDate,
+            expired: batch.expired
+          }))
+        },
+        createdAt: new Date().toISOString(),
+        read: false,
+        targetUsers: ['manager', 'kitchen_staff']
+      };
+      await notificationsDB?.put(notification);
+
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'inventory',
+        action: 'expiryAlert',
+        ingredientId: ingredient._id,
+        batchIds: newAlerts.map(batch => batch.batchId),
+        restaurantId: ingredient.restaurantId,
+        branchId: ingredient.branchId,
+        timestamp: notification.createdAt,
+        level: 'warning',
+        message: notification.message
+      });
+
+      socket.nsp.emit('inventory:expiringStock', notification.metadata);
+      socket.nsp.to('notification:expiring_stock').emit('notifications:new', notification);
+    }
+  };
+
+  if (!expirySweep && settingsDB) {
+    const sweep = () => checkExpiringStock().catch(error => console.error('Failed to check expiring stock:', error));
+    sweep();
+    expirySweep = setInterval(sweep, EXPIRY_CHECK_INTERVAL);
+    expirySweep.unref?.();
+  }
+
   // Record Inventory Transaction
   socket.on('inventory:recordTransaction', async (data, callback) => {
     console.log('Recording inventory transaction:', { ...data, sessionId: '[REDACTED]' });
@@ -207,128 +546,30 @@ export const registerSocketEvents = (socket, {
         });
       }
 
-      // 2. Validate transaction data
-      const validationResult = validateInventoryTransaction(data);
-      if (!validationResult.isValid) {
+      // 2. Record the transaction and update the ingredient
+      const result = await recordInventoryTransaction(
+        { inventoryTransactionsDB, ingredientsDB, logsDB, notificationsDB },
+        data,
+        sessionValidation.user
+      );
+      if (!result.success) {
         return callback?.({
           success: false,
-          message: 'Validation failed',
-          errors: validationResult.errors
+          message: result.message,
+          errors: result.errors
         });
       }
 
-      // 3. Get current ingredient state
-      const ingredient = await ingredientsDB.get(data.ingredientId);
-      
-      // 4. Create transaction document
-      const transaction = {
-        _id: `inventory_transaction_${uuidv4()}`,
-        type: 'inventoryTransaction',
-        ...validationResult.sanitizedData,
-        userId: sessionValidation.user._id,
-        userName: sessionValidation.user.name || sessionValidation.user.username,
-        createdAt: new Date().toISOString(),
-        batchStatus: 'active',
-        previousStockLevel: ingredient.stockLevel
-      };
+      // 3. Emit events to other clients
+      broadcastInventoryTransaction(socket, result);
 
-      // 5. Update ingredient stock level with batch tracking
-      const quantityChange = transaction.transactionType === 'Deduct' || 
-                           transaction.transactionType === 'Spoilage' 
-                           ? -Math.abs(transaction.quantity) 
-                           : Math.abs(transaction.quantity);
-
-      // Update batch information
-      if (transaction.batchId) {
-        const batchInfo = {
-          batchId: transaction.batchId,
-          quantity: transaction.quantity,
-          expiryDate: transaction.expiryDate,
-          ...transaction.batchInfo
-        };
-
-        if (!ingredient.batches) {
-          ingredient.batches = [];
-        }
-
-        // Add or update batch
-        const existingBatchIndex = ingredient.batches.findIndex(b => b.batchId === transaction.batchId);
-        if (existingBatchIndex >= 0) {
-          ingredient.batches[existingBatchIndex] = {
-            ...ingredient.batches[existingBatchIndex],
-            ...batchInfo,
-            quantity: ingredient.batches[existingBatchIndex].quantity + quantityChange
-          };
-        } else {
-          ingredient.batches.push(batchInfo);
-        }
-      }
-
-      // Update total stock level
-      ingredient.stockLevel += quantityChange;
-      ingredient.updatedAt = new Date().toISOString();
-
-      // 6. Save both documents
-      await Promise.all([
-        inventoryTransactionsDB.put(transaction),
-        ingredientsDB.put(ingredient)
-      ]);
-
-      // 7. Log the action
-      await logsDB.put({
-        _id: `log_${uuidv4()}`,
-        type: 'log',
-        category: 'inventory',
-        action: transaction.transactionType.toLowerCase(),
-        transactionId: transaction._id,
-        ingredientId: ingredient._id,
-        userId: sessionValidation.user._id,
-        timestamp: new Date().toISOString(),
-        level: 'info',
-        message: `Inventory ${transaction.transactionType.toLowerCase()} recorded for ${ingredient.name}`
-      });      // 8. Check for low stock and create notifications if needed
-      if (ingredient.stockLevel <= ingredient.minimumThreshold) {        // Create low stock notification
-        const lowStockNotification = {
-          _id: `notification_${uuidv4()}`,
-          type: 'low_stock',
-          message: `Low Stock Alert: ${ingredient.name} (${ingredient.stockLevel} ${ingredient.unit} remaining)`,
-          priority: 'high',
-          metadata: {
-            ingredientId: ingredient._id,
-            name: ingredient.name,
-            currentStock: ingredient.stockLevel,
-            minimumThreshold: ingredient.minimumThreshold,
-            unit: ingredient.unit
-          },
-          createdAt: new Date().toISOString(),
-          read: false,
-          targetUsers: ['manager', 'kitchen_staff']
-        };
-
-        await notificationsDB.put(lowStockNotification);
-
-        // Broadcast low stock alert and show desktop notification
-        socket.broadcast.emit('inventory:lowStock', lowStockNotification.metadata);
-        socket.broadcast.to('notification:low_stock').emit('notifications:new', lowStockNotification);
-        
-        // Send desktop notification
-        socket.emit('show-notification', {
-          title: 'Low Stock Alert',
-          body: `${ingredient.name} is running low!\nCurrent stock: ${ingredient.stockLevel} ${ingredient.unit}\nMinimum threshold: ${ingredient.minimumThreshold} ${ingredient.unit}`,
-          urgency: 'critical'
-        });
-      }
-
-      // 9. Emit event to other clients
-      socket.broadcast.emit('inventory:transactionRecorded', transaction);
-
-      // 10. Send success response
+      // 4. Send success response
       callback?.({
         success: true,
         message: 'Inventory transaction recorded successfully',
         data: {
-          transaction,
-          updatedStockLevel: ingredient.stockLevel
+          transaction: result.transaction,
+          updatedStockLevel: result.ingredient.stockLevel
         }
       });
 
@@ -422,81 +663,6 @@ export const registerSocketEvents = (socket, {
     }
   });
 
-  // Generate Purchase Orders
-  socket.on('inventory:generatePurchaseOrders', async (data, callback) => {
-    try {
-      // 1. Validate session
-      const sessionValidation = await validateUserSession(
-        data.sessionId,
-        ['owner', 'manager', 'admin'],
-        sessionDB
-      );
-
-      if (!sessionValidation.valid) {
-        return callback?.({
-          success: false,
-          message: sessionValidation.message
-        });
-      }
-
-      // 2. Get all ingredients below threshold
-      const result = await ingredientsDB.find({
-        selector: {
-          type: 'ingredient',
-          restaurantId: data.restaurantId,
-          branchId: data.branchId,
-          stockLevel: {
-            $lte: data.threshold || 0
-          }
-        }
-      });
-
-      // 3. Group by supplier
-      const purchaseOrders = result.docs.reduce((acc, ingredient) => {
-        const supplierName = ingredient.supplierInfo?.name || 'Unassigned';
-        if (!acc[supplierName]) {
-          acc[supplierName] = {
-            supplier: ingredient.supplierInfo || {},
-            items: []
-          };
-        }
-
-        const orderQuantity = Math.max(
-          ingredient.minimumThreshold * 2 - ingredient.stockLevel,
-          0
-        );
-
-        if (orderQuantity > 0) {
-          acc[supplierName].items.push({
-            ingredientId: ingredient._id,
-            name: ingredient.name,
-            currentStock: ingredient.stockLevel,
-            minimumThreshold: ingredient.minimumThreshold,
-            orderQuantity,
-            unit: ingredient.unit,
-            estimatedCost: orderQuantity * (ingredient.cost || 0)
-          });
-        }
-
-        return acc;
-      }, {});
-
-      // 4. Send response
-      callback?.({
-        success: true,
-        data: purchaseOrders
-      });
-
-    } catch (error) {
-      console.error('Error generating purchase orders:', error);
-      callback?.({
-        success: false,
-        message: 'Failed to generate purchase orders',
-        error: error.message
-      });
-    }
-  });
-
   // Add new socket events for analytics
   socket.on('inventory:getForecast', async (data, callback) => {
     try {
@@ -609,4 +775,69 @@ export const registerSocketEvents = (socket, {
       });
     }
   });
+
+  // Get Expiring Stock - batches to use up or write off, soonest first
+  socket.on('inventory:getExpiringStock', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'kitchen'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      if (!data.restaurantId) {
+        return callback?.({
+          success: false,
+          message: 'Restaurant ID is required'
+        });
+      }
+
+      // 2. Find the batches inside the warning window
+      const settings = await getRestaurantSettings(settingsDB, data.restaurantId);
+      const expiring = await findExpiringStock(ingredientsDB, settingsDB, {
+        restaurantId: data.restaurantId,
+        branchId: data.branchId
+      });
+      const batches = expiring
+        .flatMap(({ ingredient, batches: ingredientBatches }) => ingredientBatches.map(batch => ({
+          ingredientId: ingredient._id,
+          ingredientName: ingredient.name,
+          unit: ingredient.unit,
+          batchId: batch.batchId,
+          supplierBatchNumber: batch.supplierBatchNumber,
+          quantity: batch.quantity,
+          expiryDate: batch.expiryDate,
+          daysLeft: batch.daysLeft,
+          expired: batch.expired,
+          value: batch.value
+        })))
+        .sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+
+      callback?.({
+        success: true,
+        data: {
+          trackExpiryDates: settings.inventory.trackExpiryDates,
+          warningDays: settings.inventory.expiryWarningDays,
+          batches,
+          totalValue: batches.reduce((sum, batch) => sum + batch.value, 0)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting expiring stock:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to get expiring stock',
+        error: error.message
+      });
+    }
+  });
 };
@@ -1,5 +1,22 @@
 import { v4 as uuidv4 } from 'uuid';
 import { validateUserSession } from './utils.js';
+import { getRestaurantSettings } from './settings.js';
+import { refreshKitchenStatus, validateKitchenCapacity, kitchenStatusRoom } from '../utils/kitchenStatus.js';
+import { escalateLateTickets, getTicketTargetPrepTime, summarizeDailySla } from '../utils/ticketTimers.js';
+import {
+  createKitchenTickets,
+  buildExpoOrders,
+  buildAllDayCounts,
+  kdsStationRoom,
+  kdsExpoRoom
+} from '../utils/kitchenTicket.js';
+
+// Bumped tickets older than this can no longer be recalled from a screen
+const RECALL_WINDOW_HOURS = 12;
+
+// One sweep for the whole server escalates tickets past their red threshold
+const LATE_TICKET_CHECK_INTERVAL = 60 * 1000;
+let lateTicketSweep = null;
 
 const validateKitchenOrder = (data) => {
   const errors = [];
@@ -27,6 +44,24 @@ const validateKitchenOrder = (data) => {
   };
 };
 
+/**
+ * Bump-bar key map for KDS screens, with the user's custom KDS shortcuts
+ * laid over the kitchen defaults
+ * @param {Object} settings - Restaurant settings
+ * @returns {Object} - { ticketsPerPage, keys: { action: [key] } }
+ */
+const resolveBumpBar = (settings) => {
+  const { ticketsPerPage = 8, keys = {} } = settings.kds.bumpBar || {};
+  const shortcuts = settings.user?.shortcuts;
+  return {
+    ticketsPerPage,
+    keys: {
+      ...keys,
+      ...(shortcuts?.enabled ? shortcuts.custom?.kds : {})
+    }
+  };
+};
+
 /**
  * Calculate order priority score
  * @param {Object} order - Order object
@@ -73,40 +108,13 @@ const calculateOrderPriority = (order, kitchenStatus) => {
   return score;
 };
 
-/**
- * Update kitchen status
- * @param {Object} kitchenStatus - Current kitchen status
- * @param {Object} order - Order being processed
- * @returns {Object} - Updated kitchen status
- */
-const updateKitchenStatus = (kitchenStatus, order) => {
-  const status = { ...kitchenStatus };
-  
-  // Update active orders count
-  status.activeOrders = (status.activeOrders || 0) + 1;
-  
-  // Update station load
-  order.items.forEach(item => {
-    const station = item.preparationStation || 'main';
-    status.stations = status.stations || {};
-    status.stations[station] = status.stations[station] || { active: 0, capacity: 5 };
-    status.stations[station].active++;
-  });
-
-  // Update estimated completion time
-  const maxPrepTime = Math.max(...order.items.map(item => item.preparationTime || 0));
-  status.estimatedCompletionTime = new Date(Date.now() + maxPrepTime * 60000);
-
-  return status;
-};
-
 /**
  * Calculate kitchen performance metrics
  * @param {Array} orders - Completed orders
- * @param {Object} kitchenStatus - Current kitchen status
+ * @param {number} defaultPrepTime - Minutes for lines without a recipe prep time
  * @returns {Object} - Performance metrics
  */
-const calculateKitchenPerformance = (orders, kitchenStatus) => {
+const calculateKitchenPerformance = (orders, defaultPrepTime) => {
   const metrics = {
     totalOrders: orders.length,
     averagePrepTime: 0,
@@ -125,8 +133,8 @@ const calculateKitchenPerformance = (orders, kitchenStatus) => {
     const prepTime = (new Date(order.completedAt) - new Date(order.createdAt)) / (1000 * 60); // in minutes
     totalPrepTime += prepTime;
 
-    // Check if order was on time
-    const expectedTime = order.estimatedPrepTime || 30; // default 30 minutes
+    // Check if order was on time against the slowest line's recipe prep time
+    const expectedTime = order.estimatedPrepTime || getTicketTargetPrepTime(order.orderItems, defaultPrepTime);
     if (prepTime <= expectedTime) {
       metrics.onTimeOrders++;
     } else {
@@ -134,7 +142,7 @@ const calculateKitchenPerformance = (orders, kitchenStatus) => {
     }
 
     // Track station performance
-    order.items.forEach(item => {
+    (order.orderItems || []).forEach(item => {
       const station = item.preparationStation || 'main';
       if (!metrics.stationPerformance[station]) {
         metrics.stationPerformance[station] = {
@@ -195,6 +203,9 @@ const calculateKitchenPerformance = (orders, kitchenStatus) => {
 export const registerSocketEvents = (socket, {
   db: kdsDB,
   posDB,  // Need access to POS orders
+  settingsDB,
+  notificationsDB,
+  usersDB,
   sessionDB,
   logsDB
 }) => {
@@ -203,17 +214,91 @@ export const registerSocketEvents = (socket, {
     return;
   }
 
-  // Initialize kitchen status
-  let kitchenStatus = {
-    activeOrders: 0,
-    maxCapacity: 10,
-    stations: {
-      main: { active: 0, capacity: 5 },
-      grill: { active: 0, capacity: 3 },
-      salad: { active: 0, capacity: 2 },
-      dessert: { active: 0, capacity: 2 }
-    },
-    estimatedCompletionTime: null
+  // Alert kitchen staff and managers about late tickets and flag them on the screens
+  const checkLateTickets = async () => {
+    const escalated = await escalateLateTickets(kdsDB, notificationsDB, usersDB, async (restaurantId) => {
+      const settings = await getRestaurantSettings(settingsDB, restaurantId);
+      return settings.kds.ticketTimers;
+    });
+    for (const { ticket, notification } of escalated) {
+      socket.nsp.to(kdsStationRoom(ticket.branchId, ticket.station))
+        .to(kdsExpoRoom(ticket.branchId))
+        .emit('kds:ticketLate', ticket);
+      socket.nsp.to(`notification:${notification.type}`).emit('notifications:new', notification);
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'kds',
+        action: 'escalateLateTicket',
+        orderId: ticket.orderId,
+        ticketIds: [ticket._id],
+        notificationId: notification._id,
+        timestamp: ticket.escalatedAt,
+        level: 'warning',
+        message: notification.message
+      });
+    }
+  };
+
+  if (!lateTicketSweep && notificationsDB) {
+    lateTicketSweep = setInterval(() => {
+      checkLateTickets().catch(error => console.error('Failed to escalate late tickets:', error));
+    }, LATE_TICKET_CHECK_INTERVAL);
+    lateTicketSweep.unref?.();
+  }
+
+  // Recount the branch's kitchen load and send it to every client of the branch
+  const publishKitchenStatus = async (restaurantId, branchId, capacity = null) => {
+    const kitchenStatus = await refreshKitchenStatus(kdsDB, { restaurantId, branchId, capacity });
+    socket.nsp.to(kitchenStatusRoom(branchId)).emit('kds:statusUpdated', kitchenStatus);
+    return kitchenStatus;
+  };
+
+  const getOrderTickets = async (orderId) => {
+    const result = await kdsDB.find({
+      selector: { type: 'kdsEntry', orderId }
+    });
+    return result.docs;
+  };
+
+  // Tickets still on a station or waiting at expo, including held courses
+  // shown greyed out; station null for all stations
+  const getOpenTickets = async (restaurantId, branchId, station) => {
+    const result = await kdsDB.find({
+      selector: {
+        type: 'kdsEntry',
+        restaurantId,
+        branchId,
+        ...(station ? { station } : {}),
+        status: { $in: ['held', 'pending', 'preparing', 'ready'] }
+      }
+    });
+    return result.docs.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  };
+
+  // Stamp the order ready once every station ticket is bumped, clearing it
+  // again if a ticket is recalled. Returns the order's expo view.
+  const syncOrderReadiness = async (order) => {
+    const [expo] = buildExpoOrders(await getOrderTickets(order._id));
+    if (expo.ready !== Boolean(order.kitchenReadyAt)) {
+      const latest = await posDB.get(order._id);
+      const updatedOrder = {
+        ...latest,
+        kitchenReadyAt: expo.ready ? new Date().toISOString() : null,
+        updatedAt: new Date().toISOString()
+      };
+      await posDB.put(updatedOrder);
+      if (expo.ready) {
+        socket.broadcast.emit('kds:orderReady', {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          tableNumber: order.tableNumber,
+          branchId: order.branchId,
+          readyAt: updatedOrder.kitchenReadyAt
+        });
+      }
+    }
+    return expo;
   };
 
   // Update Kitchen Order Status
@@ -244,37 +329,67 @@ export const registerSocketEvents = (socket, {
         });
       }
 
-      // 3. Get current order
+      // 3. Get current order and the tickets to update: one station ticket,
+      // or every ticket of the order when bumped from expo
       const order = await posDB.get(data.orderId);
-      
-      // 4. Create or update KDS entry
-      const kdsEntry = {
-        _id: `kds_${order._id}`,
-        type: 'kdsEntry',
-        orderId: order._id,
-        orderNumber: order.orderNumber,
-        status: validationResult.sanitizedData.status,
-        preparationTime: validationResult.sanitizedData.preparationTime,
-        notes: validationResult.sanitizedData.notes,
-        orderItems: order.orderItems,
-        tableNumber: order.tableNumber,
-        orderType: order.orderType,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString(),
-        updatedBy: sessionValidation.user._id,
-        restaurantId: order.restaurantId,
-        branchId: order.branchId
-      };
+      let tickets;
+      if (data.ticketId) {
+        const ticket = await kdsDB.get(data.ticketId).catch(() => null);
+        if (!ticket || ticket.orderId !== order._id) {
+          return callback?.({
+            success: false,
+            message: 'Ticket does not belong to this order'
+          });
+        }
+        tickets = [ticket];
+      } else {
+        const orderTickets = await getOrderTickets(order._id);
+        tickets = orderTickets.filter(ticket => ticket.status !== 'held');
+        if (orderTickets.length === 0) {
+          const settings = await getRestaurantSettings(settingsDB, order.restaurantId);
+          const firedLines = order.orderItems
+            .map((item, index) => (item.firedAt === null ? null : index))
+            .filter(index => index !== null);
+          tickets = await createKitchenTickets(kdsDB, order, firedLines, {
+            round: 1,
+            createdBy: sessionValidation.user._id,
+            defaultStation: settings.kds.defaultStation,
+            defaultPrepTime: settings.kds.ticketTimers.defaultPrepTime
+          });
+        }
+      }
 
-      try {
-        const existingEntry = await kdsDB.get(kdsEntry._id);
-        kdsEntry._rev = existingEntry._rev;
-      } catch (err) {
-        // New entry - no revision needed
+      if (tickets.length === 0 || tickets.some(ticket => ticket.status === 'held')) {
+        return callback?.({
+          success: false,
+          message: 'Held courses are fired from the POS'
+        });
       }
 
-      // 5. Save KDS entry
-      await kdsDB.put(kdsEntry);
+      // 4. Update the tickets, recording the change so it can be recalled
+      const updatedAt = new Date().toISOString();
+      const changeId = uuidv4();
+      const { status, preparationTime, notes } = validationResult.sanitizedData;
+      const updatedTickets = tickets.map(ticket => ({
+        ...ticket,
+        status,
+        preparationTime,
+        notes: notes ?? ticket.notes,
+        readyAt: status === 'ready' ? updatedAt : ticket.readyAt,
+        statusHistory: [
+          ...(ticket.statusHistory || []),
+          { changeId, from: ticket.status, to: status, at: updatedAt, by: sessionValidation.user._id }
+        ],
+        updatedAt,
+        updatedBy: sessionValidation.user._id
+      }));
+
+      // 5. Save KDS entries and mark the order ready once all stations bumped it
+      const saved = await Promise.all(updatedTickets.map(ticket => kdsDB.put(ticket)));
+      saved.forEach((result, index) => {
+        updatedTickets[index]._rev = result.rev;
+      });
+      const expo = await syncOrderReadiness(order);
 
       // 6. Log the action
       await logsDB.put({
@@ -283,20 +398,28 @@ export const registerSocketEvents = (socket, {
         category: 'kds',
         action: 'statusUpdate',
         orderId: order._id,
+        ticketIds: updatedTickets.map(ticket => ticket._id),
         userId: sessionValidation.user._id,
-        timestamp: new Date().toISOString(),
+        timestamp: updatedAt,
         level: 'info',
-        message: `Kitchen order ${order.orderNumber} status updated to ${kdsEntry.status}`
+        message: `Kitchen order ${order.orderNumber} (${updatedTickets.map(ticket => ticket.station).join(', ')}) status updated to ${status}`
       });
 
-      // 7. Emit event to other clients
-      socket.broadcast.emit('kds:orderStatusUpdated', kdsEntry);
+      // 7. Emit to the station screens and expo
+      updatedTickets.forEach(ticket => {
+        socket.to(kdsStationRoom(order.branchId, ticket.station)).emit('kds:orderStatusUpdated', ticket);
+      });
+      socket.to(kdsExpoRoom(order.branchId)).emit('kds:expoUpdated', expo);
+      await publishKitchenStatus(order.restaurantId, order.branchId);
 
       // 8. Send success response
       callback?.({
         success: true,
         message: 'Kitchen order status updated successfully',
-        data: kdsEntry
+        data: {
+          tickets: updatedTickets,
+          expo
+        }
       });
 
     } catch (error) {
@@ -309,6 +432,283 @@ export const registerSocketEvents = (socket, {
     }
   });
 
+  // Recall - undo the last status change of a ticket, along with the other
+  // tickets changed in the same bump. Without a ticketId the screen's last
+  // bumped ticket is recalled: ready on a station, delivered on expo.
+  socket.on('kds:recallTicket', async (data, callback) => {
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'kitchen'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      if (!data.branchId || (!data.ticketId && !data.station)) {
+        return callback?.({
+          success: false,
+          message: 'Branch ID and a ticket or station are required'
+        });
+      }
+
+      // 2. Find the ticket and the change to undo
+      let ticket = null;
+      let change = null;
+      if (data.ticketId) {
+        ticket = await kdsDB.get(data.ticketId).catch(() => null);
+        change = ticket?.branchId === data.branchId ? ticket.statusHistory?.at(-1) : null;
+      } else {
+        const since = new Date(Date.now() - RECALL_WINDOW_HOURS * 60 * 60 * 1000).toISOString();
+        const result = await kdsDB.find({
+          selector: {
+            type: 'kdsEntry',
+            restaurantId: data.restaurantId,
+            branchId: data.branchId,
+            ...(data.station === 'expo' ? {} : { station: data.station }),
+            status: data.station === 'expo' ? 'delivered' : 'ready',
+            updatedAt: { $gte: since }
+          }
+        });
+        const [lastBumped] = result.docs
+          .map(doc => ({ ticket: doc, change: doc.statusHistory?.at(-1) }))
+          .filter(({ ticket: doc, change: last }) => last && last.to === doc.status && !last.recallOf)
+          .sort((a, b) => b.change.at.localeCompare(a.change.at));
+        ({ ticket, change } = lastBumped || {});
+      }
+
+      if (!ticket || !change || change.to !== ticket.status) {
+        return callback?.({
+          success: false,
+          message: 'Nothing to recall'
+        });
+      }
+
+      // 3. Revert every ticket of the order changed together with it
+      const order = await posDB.get(ticket.orderId);
+      const recalledAt = new Date().toISOString();
+      const recallId = uuidv4();
+      const recalledTickets = (await getOrderTickets(order._id))
+        .filter(orderTicket => orderTicket.statusHistory?.at(-1)?.changeId === change.changeId)
+        .map(orderTicket => ({
+          ...orderTicket,
+          status: change.from,
+          readyAt: ['ready', 'delivered'].includes(change.from) ? orderTicket.readyAt : null,
+          statusHistory: [
+            ...orderTicket.statusHistory,
+            { changeId: recallId, from: orderTicket.status, to: change.from, at: recalledAt, by: sessionValidation.user._id, recallOf: change.changeId }
+          ],
+          updatedAt: recalledAt,
+          updatedBy: sessionValidation.user._id
+        }));
+
+      // 4. Save and clear the order's readiness if it was complete
+      const saved = await Promise.all(recalledTickets.map(recalled => kdsDB.put(recalled)));
+      saved.forEach((result, index) => {
+        recalledTickets[index]._rev = result.rev;
+      });
+      const expo = await syncOrderReadiness(order);
+
+      // 5. Log the recall
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'kds',
+        action: 'recall',
+        orderId: order._id,
+        ticketIds: recalledTickets.map(recalled => recalled._id),
+        changeId: change.changeId,
+        fromStatus: change.to,
+        toStatus: change.from,
+        userId: sessionValidation.user._id,
+        timestamp: recalledAt,
+        level: 'info',
+        message: `Kitchen order ${order.orderNumber} (${recalledTickets.map(recalled => recalled.station).join(', ')}) recalled from ${change.to} to ${change.from}`
+      });
+
+      // 6. Emit to the station screens and expo
+      recalledTickets.forEach(recalled => {
+        socket.to(kdsStationRoom(order.branchId, recalled.station)).emit('kds:orderStatusUpdated', recalled);
+      });
+      socket.to(kdsExpoRoom(order.branchId)).emit('kds:expoUpdated', expo);
+      await publishKitchenStatus(order.restaurantId, order.branchId);
+
+      // 7. Send success response
+      callback?.({
+        success: true,
+        message: `Order ${order.orderNumber} recalled`,
+        data: {
+          tickets: recalledTickets,
+          expo
+        }
+      });
+
+    } catch (error) {
+      console.error('Error recalling kitchen ticket:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to recall ticket',
+        error: error.message
+      });
+    }
+  });
+
+  // Subscribe a screen to one station's tickets, or to the expo view
+  socket.on('kds:subscribeStation', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'kitchen'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      if (!data.branchId || !data.station) {
+        return callback?.({
+          success: false,
+          message: 'Branch ID and station are required'
+        });
+      }
+
+      // 2. Switch rooms; a screen shows a single station
+      const room = data.station === 'expo'
+        ? kdsExpoRoom(data.branchId)
+        : kdsStationRoom(data.branchId, data.station);
+      if (socket.kdsRoom && socket.kdsRoom !== room) {
+        socket.leave(socket.kdsRoom);
+      }
+      socket.join(room);
+      socket.join(kitchenStatusRoom(data.branchId));
+      socket.kdsRoom = room;
+
+      // 3. Send the open tickets for the station, the kitchen load, the
+      // timer thresholds and the bump-bar keys for the screen
+      const openTickets = await getOpenTickets(data.restaurantId, data.branchId, data.station === 'expo' ? null : data.station);
+      const kitchenStatus = await refreshKitchenStatus(kdsDB, {
+        restaurantId: data.restaurantId,
+        branchId: data.branchId
+      });
+      const settings = await getRestaurantSettings(settingsDB, data.restaurantId);
+      callback?.({
+        success: true,
+        data: {
+          station: data.station,
+          orders: data.station === 'expo'
+            ? buildExpoOrders(openTickets)
+            : openTickets.filter(ticket => ticket.status !== 'ready'),
+          kitchenStatus,
+          ticketTimers: settings.kds.ticketTimers,
+          bumpBar: resolveBumpBar(settings)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error subscribing to KDS station:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to subscribe to station',
+        error: error.message
+      });
+    }
+  });
+
+  // Get All Day - open quantities per station by item and modifiers, for
+  // one station or the whole kitchen
+  socket.on('kds:getAllDay', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'kitchen'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      if (!data.branchId) {
+        return callback?.({
+          success: false,
+          message: 'Branch ID is required'
+        });
+      }
+
+      // 2. Sum the tickets still on the stations; bumped tickets no longer count
+      const station = data.station && data.station !== 'expo' ? data.station : null;
+      const openTickets = (await getOpenTickets(data.restaurantId, data.branchId, station))
+        .filter(ticket => ticket.status !== 'ready');
+
+      // 3. Send response
+      callback?.({
+        success: true,
+        data: {
+          stations: buildAllDayCounts(openTickets),
+          updatedAt: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting all-day counts:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to get all-day counts',
+        error: error.message
+      });
+    }
+  });
+
+  // Get Expo View - open orders with the state of each station ticket
+  socket.on('kds:getExpoView', async (data, callback) => {
+    try {
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'kitchen'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      const openTickets = await getOpenTickets(data.restaurantId, data.branchId, null);
+
+      callback?.({
+        success: true,
+        data: {
+          orders: buildExpoOrders(openTickets)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting expo view:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to get expo view',
+        error: error.message
+      });
+    }
+  });
+
   // Get Kitchen Orders
   socket.on('kds:getOrders', async (data, callback) => {
     try {
@@ -332,8 +732,9 @@ export const registerSocketEvents = (socket, {
           type: 'kdsEntry',
           restaurantId: data.restaurantId,
           branchId: data.branchId,
+          ...(data.station ? { station: data.station } : {}),
           status: {
-            $in: ['pending', 'preparing']
+            $in: ['held', 'pending', 'preparing']
           },
           createdAt: {
             $gte: data.startDate || new Date(0).toISOString(),
@@ -495,11 +896,12 @@ export const registerSocketEvents = (socket, {
         });
       }
 
-      // Calculate priority
+      // Calculate priority against the branch's current load
+      const kitchenStatus = await refreshKitchenStatus(kdsDB, {
+        restaurantId: order.restaurantId,
+        branchId: order.branchId
+      });
       const priority = calculateOrderPriority(order, kitchenStatus);
-      
-      // Update kitchen status
-      kitchenStatus = updateKitchenStatus(kitchenStatus, order);
 
       // Update order status
       const updatedOrder = {
@@ -567,9 +969,24 @@ export const registerSocketEvents = (socket, {
         });
       }
 
+      if (!data.branchId) {
+        return callback?.({
+          success: false,
+          message: 'Branch ID is required'
+        });
+      }
+
+      // Follow later updates of the branch's kitchen status
+      socket.join(kitchenStatusRoom(data.branchId));
+      const kitchenStatus = await refreshKitchenStatus(kdsDB, {
+        restaurantId: data.restaurantId,
+        branchId: data.branchId
+      });
+
       // Get active orders
       const activeOrders = await posDB.find({
         selector: {
+          branchId: data.branchId,
           status: { $in: ['preparing', 'ready'] },
           createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() }
         },
@@ -608,15 +1025,36 @@ export const registerSocketEvents = (socket, {
         });
       }
 
-      // Update kitchen capacity
-      kitchenStatus = {
-        ...kitchenStatus,
-        maxCapacity: data.maxCapacity || kitchenStatus.maxCapacity,
-        stations: data.stations || kitchenStatus.stations
-      };
+      const errors = validateKitchenCapacity(data);
+      if (!data.branchId) {
+        errors.push('Branch ID is required');
+      }
+      if (errors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
 
-      // Broadcast to all KDS clients
-      socket.broadcast.emit('kds:statusUpdated', kitchenStatus);
+      // Save the new capacity and send it to the whole branch
+      const kitchenStatus = await publishKitchenStatus(data.restaurantId, data.branchId, {
+        maxCapacity: data.maxCapacity,
+        stations: data.stations
+      });
+
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'kds',
+        action: 'updateCapacity',
+        userId: sessionValidation.user._id,
+        restaurantId: data.restaurantId,
+        branchId: data.branchId,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `Kitchen capacity set to ${kitchenStatus.maxCapacity} orders`
+      });
 
       callback?.({
         success: true,
@@ -663,7 +1101,28 @@ export const registerSocketEvents = (socket, {
       });
 
       // Calculate performance metrics
-      const metrics = calculateKitchenPerformance(orders.docs, kitchenStatus);
+      const settings = await getRestaurantSettings(settingsDB, data.restaurantId);
+      const metrics = calculateKitchenPerformance(orders.docs, settings.kds.ticketTimers.defaultPrepTime);
+
+      // Daily SLA: share of bumped tickets ready before their red threshold
+      const bumpedTickets = await kdsDB.find({
+        selector: {
+          type: 'kdsEntry',
+          restaurantId: data.restaurantId,
+          branchId: data.branchId,
+          readyAt: {
+            $gte: data.startDate || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+            $lte: data.endDate || new Date().toISOString()
+          }
+        }
+      });
+      const daily = summarizeDailySla(bumpedTickets.docs, settings.kds.ticketTimers);
+      metrics.sla = {
+        target: settings.kds.ticketTimers.slaTarget,
+        daily,
+        lateTickets: daily.reduce((sum, day) => sum + day.late, 0),
+        daysMet: daily.filter(day => day.met).length
+      };
 
       callback?.({
         success: true,
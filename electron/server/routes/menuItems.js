@@ -3,6 +3,81 @@ import validator from 'validator';
 import sanitizeHtml from 'sanitize-html';
 import slugify from 'slugify';
 import { sessionManager } from '../utils/sessionManager.js';
+import { checkIngredientUnit } from '../utils/units.js';
+
+export const MENU_VARIANTS = ['regular', 'large', 'special'];
+
+/**
+ * Validates a list of recipe ingredients
+ * @param {Array} ingredients - [{ ingredientId, quantity, unit }]
+ * @param {Object} ingredientsDB - PouchDB instance for ingredients
+ * @param {string} variant - Variant the list belongs to, for error messages
+ * @returns {Promise<Array>} - Validation errors
+ */
+const validateIngredientList = async (ingredients, ingredientsDB, variant) => {
+  const errors = [];
+  const prefix = variant ? `${variant}: ` : '';
+  for (const ingredient of ingredients) {
+    if (!ingredient.ingredientId) {
+      errors.push(`${prefix}Ingredient ID is required for each ingredient`);
+      continue;
+    }
+    try {
+      const ing = await ingredientsDB.get(ingredient.ingredientId).catch(() => null);
+      if (!ing || !ing.isActive) {
+        errors.push(`${prefix}Invalid or inactive ingredient ID: ${ingredient.ingredientId}`);
+      } else if (checkIngredientUnit(ingredient.unit, ing)) {
+        errors.push(`${prefix}${checkIngredientUnit(ingredient.unit, ing)}`);
+      }
+    } catch (error) {
+      console.error(`Error validating ingredient ID ${ingredient.ingredientId}:`, error);
+      errors.push('Unable to validate ingredient ID');
+    }
+    if (!Number.isFinite(ingredient.quantity) || ingredient.quantity <= 0) {
+      errors.push(`${prefix}Ingredient quantity must be a positive number`);
+    }
+    if (!ingredient.unit || !validator.isLength(ingredient.unit, { min: 1, max: 50 })) {
+      errors.push(`${prefix}Ingredient unit is required and must be 1-50 characters`);
+    }
+  }
+  return errors;
+};
+
+const MODIFIER_INGREDIENT_ACTIONS = ['add', 'remove'];
+
+/**
+ * Sanitizes modifier groups, filling in IDs and selection limits
+ * @param {Array} groups - Modifier groups from the request
+ * @returns {Array} - Sanitized modifier groups
+ */
+const sanitizeModifierGroups = (groups) => {
+  if (!Array.isArray(groups)) {
+    return [];
+  }
+  return groups.map(group => {
+    const options = Array.isArray(group.options) ? group.options.map(option => ({
+      optionId: option.optionId ? sanitizeHtml(option.optionId) : `option_${uuidv4()}`,
+      name: sanitizeHtml(option.name || ''),
+      priceDelta: Number.isFinite(option.priceDelta) ? Number(option.priceDelta) : 0,
+      ingredientAdjustments: Array.isArray(option.ingredientAdjustments) ? option.ingredientAdjustments.map(adjustment => ({
+        ingredientId: adjustment.ingredientId ? sanitizeHtml(adjustment.ingredientId) : '',
+        quantity: Number(adjustment.quantity),
+        unit: adjustment.unit ? sanitizeHtml(adjustment.unit) : '',
+        action: adjustment.action
+      })) : []
+    })) : [];
+    const required = Boolean(group.required);
+    const minSelections = Number.isInteger(group.minSelections) ? group.minSelections : (required ? 1 : 0);
+    return {
+      groupId: group.groupId ? sanitizeHtml(group.groupId) : `modgroup_${uuidv4()}`,
+      name: sanitizeHtml(group.name || ''),
+      required,
+      minSelections: required ? Math.max(minSelections, 1) : minSelections,
+      maxSelections: Number.isInteger(group.maxSelections) ? group.maxSelections : options.length,
+      options
+    };
+  });
+};
 
 /**
  * Validates menu item data
@@ -30,6 +105,12 @@ const validateMenuItem = async (data, db, categoriesDB, ingredientsDB, restauran
     branchId: data.branchId ? sanitizeHtml(data.branchId) : '',
     availability: data.availability || { isAvailable: true, customHours: [] },
     ingredients: Array.isArray(data.ingredients) ? data.ingredients : [],
+    variantIngredients: data.variantIngredients && typeof data.variantIngredients === 'object'
+      ? Object.fromEntries(Object.entries(data.variantIngredients).filter(([, list]) => Array.isArray(list)))
+      : {},
+    variantPortions: data.variantPortions && typeof data.variantPortions === 'object'
+      ? Object.fromEntries(Object.entries(data.variantPortions).map(([variant, portion]) => [variant, Number(portion)]))
+      : {},
     imageUrl: data.imageUrl ? sanitizeHtml(data.imageUrl) : undefined,
     allergens: Array.isArray(data.allergens) ? data.allergens.map(a => sanitizeHtml(a)) : [],
     nutritionalInfo: {
@@ -41,6 +122,9 @@ const validateMenuItem = async (data, db, categoriesDB, ingredientsDB, restauran
     },
     tags: Array.isArray(data.tags) ? data.tags.map(t => sanitizeHtml(t)) : [],
     isActive: typeof data.isActive === 'boolean' ? data.isActive : true,
+    taxClass: data.taxClass ? sanitizeHtml(data.taxClass) : undefined,
+    preparationStation: data.preparationStation ? sanitizeHtml(data.preparationStation) : undefined,
+    modifierGroups: sanitizeModifierGroups(data.modifierGroups),
   };
 
   // Validate name
@@ -133,26 +217,64 @@ const validateMenuItem = async (data, db, categoriesDB, ingredientsDB, restauran
   }
 
   // Validate ingredients
-  if (sanitizedData.ingredients.length > 0) {
-    for (const ingredient of sanitizedData.ingredients) {
-      if (!ingredient.ingredientId) {
-        errors.push('Ingredient ID is required for each ingredient');
-        continue;
+  errors.push(...await validateIngredientList(sanitizedData.ingredients, ingredientsDB));
+
+  // Validate variant ingredients (variants without their own list use the regular ingredients)
+  for (const [variant, ingredients] of Object.entries(sanitizedData.variantIngredients)) {
+    if (!MENU_VARIANTS.includes(variant)) {
+      errors.push(`Unknown variant: ${variant}`);
+      continue;
+    }
+    if (!Number.isFinite(sanitizedData.price[variant])) {
+      errors.push(`Variant ${variant} has ingredients but no price`);
+    }
+    errors.push(...await validateIngredientList(ingredients, ingredientsDB, variant));
+  }
+
+  // Validate variant portions (how much of the regular ingredients a variant uses)
+  for (const [variant, portion] of Object.entries(sanitizedData.variantPortions)) {
+    if (!MENU_VARIANTS.includes(variant) || variant === 'regular') {
+      errors.push(`Unknown variant: ${variant}`);
+      continue;
+    }
+    if (!Number.isFinite(portion) || portion <= 0) {
+      errors.push(`Variant ${variant} portion must be greater than zero`);
+    }
+  }
+
+  // Validate modifier groups
+  for (const group of sanitizedData.modifierGroups) {
+    if (!group.name || !validator.isLength(group.name, { min: 1, max: 100 })) {
+      errors.push('Modifier group name is required and must be 1-100 characters');
+    }
+    if (group.options.length === 0) {
+      errors.push(`Modifier group "${group.name}" must have at least one option`);
+    }
+    if (group.minSelections < 0 || group.maxSelections < 1 || group.minSelections > group.maxSelections) {
+      errors.push(`Modifier group "${group.name}" has invalid selection limits`);
+    }
+    if (group.maxSelections > group.options.length) {
+      errors.push(`Modifier group "${group.name}" allows more selections than it has options`);
+    }
+    for (const option of group.options) {
+      if (!option.name || !validator.isLength(option.name, { min: 1, max: 100 })) {
+        errors.push(`Options in modifier group "${group.name}" need a name of 1-100 characters`);
       }
-      try {
-        const ing = await ingredientsDB.get(ingredient.ingredientId).catch(() => null);
+      for (const adjustment of option.ingredientAdjustments) {
+        if (!MODIFIER_INGREDIENT_ACTIONS.includes(adjustment.action)) {
+          errors.push(`Modifier "${option.name}" ingredient action must be add or remove`);
+        }
+        if (!Number.isFinite(adjustment.quantity) || adjustment.quantity <= 0) {
+          errors.push(`Modifier "${option.name}" ingredient quantity must be a positive number`);
+        }
+        const ing = adjustment.ingredientId
+          ? await ingredientsDB.get(adjustment.ingredientId).catch(() => null)
+          : null;
         if (!ing || !ing.isActive) {
-          errors.push(`Invalid or inactive ingredient ID: ${ingredient.ingredientId}`);
+          errors.push(`Invalid or inactive ingredient in modifier "${option.name}"`);
+        } else if (checkIngredientUnit(adjustment.unit, ing)) {
+          errors.push(`Modifier "${option.name}": ${checkIngredientUnit(adjustment.unit, ing)}`);
         }
-      } catch (error) {
-        console.error(`Error validating ingredient ID ${ingredient.ingredientId}:`, error);
-        errors.push('Unable to validate ingredient ID');
-      }
-      if (!Number.isFinite(ingredient.quantity) || ingredient.quantity <= 0) {
-        errors.push('Ingredient quantity must be a positive number');
-      }
-      if (!ingredient.unit || !validator.isLength(ingredient.unit, { min: 1, max: 50 })) {
-        errors.push('Ingredient unit is required and must be 1-50 characters');
       }
     }
   }
@@ -179,6 +301,16 @@ const validateMenuItem = async (data, db, categoriesDB, ingredientsDB, restauran
     errors.push('Fiber must be non-negative');
   }
 
+  // Validate taxClass (falls back to the category's tax class when unset)
+  if (sanitizedData.taxClass && !validator.isLength(sanitizedData.taxClass, { min: 1, max: 50 })) {
+    errors.push('Tax class must be 1-50 characters');
+  }
+
+  // Validate preparationStation (falls back to the category's station when unset)
+  if (sanitizedData.preparationStation && !validator.isLength(sanitizedData.preparationStation, { min: 1, max: 50 })) {
+    errors.push('Preparation station must be 1-50 characters');
+  }
+
   return { isValid: errors.length === 0, errors, sanitizedData };
 };
 
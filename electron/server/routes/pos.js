@@ -2,6 +2,27 @@ import { v4 as uuidv4 } from 'uuid';
 import validator from 'validator';
 import sanitizeHtml from 'sanitize-html';
 import { validateUserSession } from './utils.js';
+import { getRestaurantSettings } from './settings.js';
+import { recordInventoryTransaction, broadcastInventoryTransaction } from './inventory.js';
+import { MENU_VARIANTS } from './menuItems.js';
+import { calculateOrderTotals, calculateDiscountAmount, resolveTaxClass } from '../utils/orderPricing.js';
+import { evaluateRule, isRuleAvailable, selectBestPromotion, loadPromotionRules, recordPromotionUse, releasePromotionUse, countPromotedUnits } from '../utils/promotions.js';
+import { getOrderIngredientUsage, getStockUsage, getStockShortages } from '../utils/inventoryDeduction.js';
+import { getBatchReturns } from '../utils/batches.js';
+import { requiresManagerOverride, verifyManagerOverride } from '../utils/managerOverride.js';
+import { allocateOrderNumber, recordSkippedOrderNumber } from '../utils/orderNumbering.js';
+import {
+  createKitchenTickets,
+  releaseHeldTickets,
+  scheduleHeldTickets,
+  kitchenTicketToReceipt,
+  resolvePreparationStation,
+  kdsStationRoom,
+  kdsExpoRoom
+} from '../utils/kitchenTicket.js';
+import { refreshKitchenStatus, kitchenStatusRoom } from '../utils/kitchenStatus.js';
+import { receiptToBlocks } from '../utils/escpos.js';
+import { printToStation } from '../utils/printing.js';
 import * as XLSX from 'xlsx';
 import path from 'path';
 import fs from 'fs';
@@ -9,19 +30,258 @@ import sharp from 'sharp';
 import QRCode from 'qrcode';
 import JsBarcode from 'jsbarcode';
 
-const generateOrderNumber = (prefix = 'ORD') => {
-  const date = new Date();
-  const year = date.getFullYear().toString().slice(-2);
-  const month = (date.getMonth() + 1).toString().padStart(2, '0');
-  const day = date.getDate().toString().padStart(2, '0');
-  const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-  return `${prefix}${year}${month}${day}${random}`;
+/**
+ * Check modifier selections against the menu item's modifier groups
+ * @param {Object} menuItem - Menu item with modifierGroups
+ * @param {Array} selections - [{ groupId, optionId }] or option IDs
+ * @returns {Object} - { errors, modifiers, priceDelta }
+ */
+const resolveLineModifiers = (menuItem, selections) => {
+  const errors = [];
+  const groups = menuItem.modifierGroups || [];
+  const chosen = (Array.isArray(selections) ? selections : []).map(selection =>
+    typeof selection === 'string' ? { optionId: selection } : selection
+  );
+
+  const modifiers = [];
+  for (const selection of chosen) {
+    const group = groups.find(g =>
+      (!selection.groupId || g.groupId === selection.groupId) &&
+      g.options.some(option => option.optionId === selection.optionId)
+    );
+    if (!group) {
+      errors.push(`${menuItem.name}: unknown modifier ${selection.optionId}`);
+      continue;
+    }
+    if (modifiers.some(modifier => modifier.optionId === selection.optionId)) {
+      errors.push(`${menuItem.name}: modifier selected more than once`);
+      continue;
+    }
+    const option = group.options.find(o => o.optionId === selection.optionId);
+    modifiers.push({
+      groupId: group.groupId,
+      groupName: group.name,
+      optionId: option.optionId,
+      name: option.name,
+      priceDelta: option.priceDelta || 0,
+      ingredientAdjustments: option.ingredientAdjustments || []
+    });
+  }
+
+  for (const group of groups) {
+    const count = modifiers.filter(modifier => modifier.groupId === group.groupId).length;
+    const minimum = group.required ? Math.max(group.minSelections || 0, 1) : group.minSelections || 0;
+    if (count < minimum) {
+      errors.push(`${menuItem.name}: choose at least ${minimum} from ${group.name}`);
+    }
+    if (count > group.maxSelections) {
+      errors.push(`${menuItem.name}: choose at most ${group.maxSelections} from ${group.name}`);
+    }
+  }
+
+  return {
+    errors,
+    modifiers,
+    priceDelta: modifiers.reduce((sum, modifier) => sum + modifier.priceDelta, 0)
+  };
+};
+
+/**
+ * Check whether a user may override menu prices on order lines
+ * @param {Object} user - User from the session
+ * @param {Object} settings - Restaurant settings
+ * @returns {boolean} - True when price overrides are allowed
+ */
+const canModifyPrices = (user, settings) => {
+  return Boolean(settings.menu.allowPriceModification && settings.roles[user?.role]?.allowPriceModification);
+};
+
+/**
+ * Validate and price order lines against the menu
+ * @param {Array} items - Lines from the request
+ * @param {Object} menuItemsDB - PouchDB instance for menu items
+ * @param {Object} context - { categoriesDB, recipesDB, settings, user }
+ * @param {number} startIndex - Index the first line will have on the order
+ * @returns {Promise<Object>} - { errors, orderItems, priceOverrides }
+ */
+const validateOrderLines = async (items, menuItemsDB, { categoriesDB, recipesDB, settings, user }, startIndex = 0) => {
+  const errors = [];
+  const orderItems = [];
+  const priceOverrides = [];
+  const categoryCache = {};
+  const prepTimeCache = {};
+  for (const item of items) {
+    try {
+      const menuItem = await menuItemsDB.get(item.menuItemId);
+      if (!menuItem) {
+        errors.push(`Menu item not found: ${item.menuItemId}`);
+        continue;
+      }
+
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        errors.push(`${menuItem.name}: quantity must be a positive whole number`);
+        continue;
+      }
+
+      const modifierResult = resolveLineModifiers(menuItem, item.modifiers);
+      if (modifierResult.errors.length > 0) {
+        errors.push(...modifierResult.errors);
+        continue;
+      }
+
+      // Price the variant from the menu; a client price is an override that needs permission
+      const variant = item.variant || 'regular';
+      const menuPrice = menuItem.price?.[variant];
+      if (!MENU_VARIANTS.includes(variant) || !Number.isFinite(menuPrice)) {
+        errors.push(`${menuItem.name}: ${variant} is not available`);
+        continue;
+      }
+      if (variant === 'special' && !settings.menu.allowSpecialPricing) {
+        errors.push(`${menuItem.name}: special pricing is disabled`);
+        continue;
+      }
+
+      let basePrice = menuPrice;
+      if (item.unitPrice !== undefined && item.unitPrice !== null && Number(item.unitPrice) !== menuPrice) {
+        const overridePrice = Number(item.unitPrice);
+        if (!canModifyPrices(user, settings)) {
+          errors.push(`${menuItem.name}: you are not allowed to change prices`);
+          continue;
+        }
+        if (!Number.isFinite(overridePrice) || overridePrice < 0) {
+          errors.push(`${menuItem.name}: price must be zero or more`);
+          continue;
+        }
+        basePrice = overridePrice;
+        priceOverrides.push({
+          lineIndex: startIndex + orderItems.length,
+          menuItemId: item.menuItemId,
+          name: menuItem.name,
+          variant,
+          menuPrice,
+          overridePrice
+        });
+      }
+      const course = item.course ? sanitizeHtml(item.course) : null;
+      if (course && !settings.pos.courses.includes(course)) {
+        errors.push(`${menuItem.name}: unknown course ${course}`);
+        continue;
+      }
+
+      const unitPrice = basePrice + modifierResult.priceDelta;
+      const itemSubtotal = quantity * unitPrice;
+
+      if (menuItem.categoryId && categoriesDB && !(menuItem.categoryId in categoryCache)) {
+        categoryCache[menuItem.categoryId] = await categoriesDB.get(menuItem.categoryId).catch(() => null);
+      }
+      // The active recipe's prep time is the kitchen's target for the line
+      if (recipesDB && !(menuItem._id in prepTimeCache)) {
+        const recipes = await recipesDB.find({
+          selector: { type: 'recipe', menuItemId: menuItem._id, isActive: true },
+          limit: 1
+        });
+        prepTimeCache[menuItem._id] = recipes.docs[0]?.preparationTime || null;
+      }
+
+      orderItems.push({
+        menuItemId: item.menuItemId,
+        name: menuItem.name,
+        quantity,
+        variant,
+        basePrice,
+        unitPrice,
+        priceOverridden: basePrice !== menuPrice,
+        modifiers: modifierResult.modifiers,
+        seat: Number.isInteger(Number(item.seat)) && Number(item.seat) > 0 ? Number(item.seat) : null,
+        course,
+        taxClass: resolveTaxClass(menuItem, categoryCache[menuItem.categoryId]),
+        categoryId: menuItem.categoryId || null,
+        preparationStation: resolvePreparationStation(menuItem, categoryCache[menuItem.categoryId], settings.kds.defaultStation),
+        prepTime: prepTimeCache[menuItem._id] || null,
+        subtotal: itemSubtotal
+      });
+    } catch (error) {
+      errors.push(`Error validating menu item: ${error.message}`);
+    }
+  }
+
+  return { errors, orderItems, priceOverrides };
+};
+
+/**
+ * Promotion engine context for an order
+ * @param {Object} order - Order or sanitized order data
+ * @param {Object} settings - Restaurant settings
+ * @returns {Object} - Context for isRuleAvailable
+ */
+const getPromotionContext = (order, settings) => ({
+  now: new Date(),
+  specialsSettings: settings.specials,
+  couponCode: order.couponCode,
+  redeemedRuleIds: order.redeemedCoupons || []
+});
+
+/**
+ * Order lines as the promotion engine prices them, with charged quantities
+ * @param {Array} orderItems - Order lines
+ * @returns {Array} - [{ menuItemId, categoryId, quantity, subtotal }]
+ */
+const getPromotionLines = (orderItems) => orderItems.map(item => ({
+  menuItemId: item.menuItemId,
+  categoryId: item.categoryId,
+  quantity: getChargedQuantity(item),
+  subtotal: item.subtotal
+}));
+
+/**
+ * Pick the best promotion for an order. An approved manual discount competes
+ * with the promotions like any other rule. Special portions the order already
+ * took stay available to it, as a redeemed coupon does.
+ * @param {Object} order - Order or sanitized order data
+ * @param {Array} rules - Active promotion rules
+ * @param {Object} settings - Restaurant settings
+ * @returns {Object|null} - Applied promotion stored on the order
+ */
+const selectOrderPromotion = (order, rules, settings) => {
+  const candidates = rules.map(rule => {
+    const heldPortions = order.specialPortions?.[rule.ruleId] || 0;
+    return rule.source === 'special' && Number.isFinite(rule.availableQuantity) && heldPortions > 0
+      ? { ...rule, availableQuantity: rule.availableQuantity + heldPortions }
+      : rule;
+  });
+  if (order.discount?.value > 0) {
+    candidates.push({
+      ruleId: 'manual',
+      source: 'manual',
+      name: 'Manual discount',
+      promotionType: order.discount.type,
+      scope: 'order',
+      value: order.discount.value,
+      menuItemIds: [],
+      categoryIds: []
+    });
+  }
+
+  const best = selectBestPromotion(candidates, getPromotionLines(order.orderItems), getPromotionContext(order, settings));
+  if (!best) {
+    return null;
+  }
+  return {
+    ruleId: best.rule.ruleId,
+    source: best.rule.source,
+    name: best.rule.name,
+    promotionType: best.rule.promotionType,
+    couponCode: best.rule.couponCode || null,
+    rule: best.rule,
+    appliedAt: new Date().toISOString()
+  };
 };
 
-const validateOrder = async (data, menuItemsDB) => {
+const validateOrder = async (data, menuItemsDB, { categoriesDB, recipesDB, settings, user, rules = [] }) => {
+  const posSettings = settings.pos;
   const errors = [];
   const sanitizedData = {
-    orderNumber: data.orderNumber || generateOrderNumber(),
     orderType: data.orderType || 'Dine-in',
     orderItems: [],
     customerInfo: {
@@ -33,70 +293,623 @@ const validateOrder = async (data, menuItemsDB) => {
     tableNumber: data.tableNumber ? Number(data.tableNumber) : null,
     serverName: data.serverName ? sanitizeHtml(data.serverName) : '',
     notes: data.notes ? sanitizeHtml(data.notes) : '',
+    isTab: Boolean(data.isTab),
+    couponCode: data.couponCode ? sanitizeHtml(String(data.couponCode)).trim().toUpperCase() : null,
+    redeemedCoupons: [],
+    specialPortions: {},
     restaurantId: data.restaurantId,
     branchId: data.branchId
   };
 
+  // Tabs can be opened before the first round is ordered
+  const requestedItems = sanitizedData.isTab && !Array.isArray(data.orderItems) ? [] : data.orderItems;
+  if (sanitizedData.isTab) {
+    sanitizedData.tabStatus = 'open';
+    sanitizedData.tabName = data.tabName ? sanitizeHtml(data.tabName) : '';
+  }
+
   // Validate order items
-  if (!Array.isArray(data.orderItems) || data.orderItems.length === 0) {
+  if (!Array.isArray(requestedItems) || (requestedItems.length === 0 && !sanitizedData.isTab)) {
     errors.push('Order must contain at least one item');
     return { isValid: false, errors, sanitizedData };
   }
 
   // Validate and calculate totals
-  let subtotal = 0;
-  for (const item of data.orderItems) {
-    try {
-      const menuItem = await menuItemsDB.get(item.menuItemId);
-      if (!menuItem) {
-        errors.push(`Menu item not found: ${item.menuItemId}`);
-        continue;
-      }
-
-      const itemSubtotal = item.quantity * (
-        item.unitPrice || 
-        menuItem.price.regular || 
-        menuItem.price.special || 
-        0
-      );
-
-      sanitizedData.orderItems.push({
-        menuItemId: item.menuItemId,
-        name: menuItem.name,
-        quantity: Number(item.quantity),
-        unitPrice: Number(item.unitPrice || menuItem.price.regular),
-        modifiers: Array.isArray(item.modifiers) ? item.modifiers : [],
-        subtotal: itemSubtotal
-      });
-
-      subtotal += itemSubtotal;
-    } catch (error) {
-      errors.push(`Error validating menu item: ${error.message}`);
-    }
+  const lineResult = await validateOrderLines(requestedItems, menuItemsDB, { categoriesDB, recipesDB, settings, user });
+  errors.push(...lineResult.errors);
+  sanitizedData.orderItems = lineResult.orderItems;
+  const priceOverrides = lineResult.priceOverrides;
+
+  // Client supplied discounts are only a candidate; the engine applies the best deal
+  const discount = {
+    type: data.discount?.type === 'percentage' ? 'percentage' : 'fixed',
+    value: Math.max(Number(data.discount?.value) || 0, 0)
+  };
+  if (discount.type === 'percentage' && discount.value > 100) {
+    errors.push('Discount percentage cannot be more than 100');
   }
+  sanitizedData.discount = discount;
 
-  // Calculate totals
-  const tax = (data.tax || 0);
-  const serviceCharge = (data.serviceCharge || 0);
-  const discount = data.discount?.value || 0;
-  const totalAmount = subtotal + tax + serviceCharge - discount;
+  const promotionContext = getPromotionContext(sanitizedData, settings);
+  if (sanitizedData.couponCode && !rules.some(rule => rule.couponCode && isRuleAvailable(rule, promotionContext))) {
+    errors.push('Coupon code is not valid or has reached its usage limit');
+  }
 
-  sanitizedData.subtotal = subtotal;
-  sanitizedData.tax = tax;
-  sanitizedData.serviceCharge = serviceCharge;
-  sanitizedData.discount = data.discount || { type: 'fixed', value: 0 };
-  sanitizedData.totalAmount = totalAmount;
+  // Calculate totals server-side; client supplied tax and service charge are ignored
+  sanitizedData.appliedPromotion = selectOrderPromotion(sanitizedData, rules, settings);
+  Object.assign(sanitizedData, recalculateOrderTotals(sanitizedData, posSettings));
+  const totalAmount = sanitizedData.totalAmount;
   sanitizedData.paymentStatus = 'Pending';
   sanitizedData.paymentMethod = data.paymentMethod || 'Cash';
   sanitizedData.paymentDetails = data.paymentDetails || {};
+  sanitizedData.payments = [];
+  sanitizedData.amountPaid = 0;
+  sanitizedData.balanceDue = totalAmount;
 
   return {
     isValid: errors.length === 0,
     errors,
-    sanitizedData
+    sanitizedData,
+    priceOverrides
+  };
+};
+
+// Tenders accepted by the payments ledger
+const PAYMENT_TENDERS = ['cash', 'credit_card', 'debit_card', 'mobile_payment', 'loyalty_points'];
+const SPLIT_METHODS = ['seat', 'item', 'even'];
+
+// Payment statuses that are derived from the ledger and can't be set directly
+const LEDGER_PAYMENT_STATUSES = ['Partial', 'Completed'];
+
+// Attempts at saving a payment on an order that KDS, voids and course
+// firing also write to
+const MAX_CONFLICT_RETRIES = 5;
+
+const roundCurrency = (amount, decimalPlaces = 2) => {
+  const factor = 10 ** decimalPlaces;
+  return Math.round((amount + Number.EPSILON) * factor) / factor;
+};
+
+/**
+ * Build split checks for an order
+ * @param {Object} order - Order being split
+ * @param {Object} options - Split options (method, count, assignments)
+ * @param {number} decimalPlaces - Currency precision
+ * @returns {Object} - { errors, checks }
+ */
+const buildSplitChecks = (order, { method, count, assignments }, decimalPlaces = 2) => {
+  const errors = [];
+  let groups = [];
+
+  if (!SPLIT_METHODS.includes(method)) {
+    errors.push(`Split method must be one of: ${SPLIT_METHODS.join(', ')}`);
+    return { errors, checks: [] };
+  }
+
+  if (method === 'even') {
+    const parts = Number(count);
+    if (!Number.isInteger(parts) || parts < 2) {
+      errors.push('Even split requires a count of at least 2');
+      return { errors, checks: [] };
+    }
+    groups = Array.from({ length: parts }, (_, index) => ({
+      label: `Guest ${index + 1}`,
+      lineIndexes: [],
+      share: 1 / parts
+    }));
+  }
+
+  if (method === 'seat') {
+    const seats = [...new Set(order.orderItems.map(item => item.seat).filter(Boolean))].sort((a, b) => a - b);
+    if (seats.length === 0) {
+      errors.push('No seats are assigned to the order items');
+      return { errors, checks: [] };
+    }
+    // Lines without a seat are shared evenly between all seats
+    const sharedSubtotal = order.orderItems
+      .filter(item => !item.seat)
+      .reduce((sum, item) => sum + item.subtotal, 0);
+    groups = seats.map(seat => {
+      const lineIndexes = order.orderItems
+        .map((item, index) => (item.seat === seat ? index : null))
+        .filter(index => index !== null);
+      const seatSubtotal = lineIndexes.reduce((sum, index) => sum + order.orderItems[index].subtotal, 0);
+      return {
+        label: `Seat ${seat}`,
+        lineIndexes,
+        share: order.subtotal > 0 ? (seatSubtotal + sharedSubtotal / seats.length) / order.subtotal : 1 / seats.length
+      };
+    });
+  }
+
+  if (method === 'item') {
+    if (!Array.isArray(assignments) || assignments.length < 2) {
+      errors.push('Item split requires at least two check assignments');
+      return { errors, checks: [] };
+    }
+    const assigned = assignments.flatMap(assignment => assignment.lineIndexes || []);
+    const allLines = order.orderItems.map((_, index) => index);
+    if (assigned.length !== allLines.length || !allLines.every(index => assigned.includes(index))) {
+      errors.push('Every order line must be assigned to exactly one check');
+      return { errors, checks: [] };
+    }
+    groups = assignments.map((assignment, index) => {
+      const checkSubtotal = assignment.lineIndexes.reduce((sum, lineIndex) => sum + order.orderItems[lineIndex].subtotal, 0);
+      return {
+        label: assignment.label ? sanitizeHtml(assignment.label) : `Check ${index + 1}`,
+        lineIndexes: assignment.lineIndexes,
+        share: order.subtotal > 0 ? checkSubtotal / order.subtotal : 1 / assignments.length
+      };
+    });
+  }
+
+  // Allocate the order total by share; the last check absorbs rounding
+  let allocated = 0;
+  const checks = groups.map((group, index) => {
+    const amount = index === groups.length - 1
+      ? roundCurrency(order.totalAmount - allocated, decimalPlaces)
+      : roundCurrency(order.totalAmount * group.share, decimalPlaces);
+    allocated += amount;
+    return {
+      checkId: `check_${index + 1}`,
+      label: group.label,
+      lineIndexes: group.lineIndexes,
+      amount,
+      amountPaid: 0,
+      balanceDue: amount,
+      status: 'Pending'
+    };
+  });
+
+  return { errors, checks };
+};
+
+/**
+ * Derive paid amount, balance and payment status from the payments ledger
+ * @param {Object} order - Order with payments and optional split checks
+ * @param {number} decimalPlaces - Currency precision
+ * @returns {Object} - Updated payment fields for the order
+ */
+const summarizePayments = (order, decimalPlaces = 2) => {
+  const payments = order.payments || [];
+  const approved = payments.filter(payment => payment.status === 'approved');
+  const sumFor = (entries) => roundCurrency(entries.reduce((sum, payment) => sum + payment.amount, 0), decimalPlaces);
+
+  const amountPaid = sumFor(approved);
+  const balanceDue = roundCurrency(Math.max(order.totalAmount - amountPaid, 0), decimalPlaces);
+
+  let paymentStatus = 'Pending';
+  if (amountPaid > 0) {
+    paymentStatus = balanceDue > 0 ? 'Partial' : 'Completed';
+  } else if (payments.some(payment => payment.status === 'declined')) {
+    paymentStatus = 'Failed';
+  }
+
+  const splitChecks = (order.splitChecks || []).map(check => {
+    const checkPaid = sumFor(approved.filter(payment => payment.checkId === check.checkId));
+    const checkBalance = roundCurrency(Math.max(check.amount - checkPaid, 0), decimalPlaces);
+    return {
+      ...check,
+      amountPaid: checkPaid,
+      balanceDue: checkBalance,
+      status: checkPaid === 0 ? 'Pending' : checkBalance > 0 ? 'Partial' : 'Completed'
+    };
+  });
+
+  const methods = [...new Set(approved.map(payment => payment.method))];
+
+  return {
+    amountPaid,
+    balanceDue,
+    paymentStatus,
+    splitChecks,
+    paymentMethod: methods.length > 1 ? 'Split' : methods[0] || order.paymentMethod
+  };
+};
+
+/**
+ * Validate tenders against the balance they are paying
+ * Non-cash tenders are applied first; cash may exceed the balance and produces change.
+ * @param {Array} tenders - Tenders submitted by the cashier
+ * @param {number} balanceDue - Balance of the order or check being paid
+ * @param {Object} settings - Restaurant settings
+ * @returns {Object} - { errors, entries, remaining, changeDue }
+ */
+const applyTenders = (tenders, balanceDue, settings) => {
+  const errors = [];
+  const entries = [];
+  const decimalPlaces = settings.pos.decimalPlaces;
+  const allowedTenders = PAYMENT_TENDERS.filter(method =>
+    method === 'loyalty_points' ? settings.loyalty.enabled : settings.pos.paymentMethods.includes(method)
+  );
+
+  if (!Array.isArray(tenders) || tenders.length === 0) {
+    errors.push('At least one tender is required');
+    return { errors, entries, remaining: balanceDue, changeDue: 0 };
+  }
+
+  const normalized = tenders.map(tender => {
+    const method = tender.method;
+    const points = Number(tender.points) || 0;
+    const amount = method === 'loyalty_points'
+      ? roundCurrency(points * settings.loyalty.pointsRedemptionValue, decimalPlaces)
+      : roundCurrency(Number(tender.amount), decimalPlaces);
+
+    if (!allowedTenders.includes(method)) {
+      errors.push(`Tender not accepted: ${method}`);
+    } else if (method === 'loyalty_points') {
+      if (!tender.memberId) {
+        errors.push('Loyalty member is required for points tenders');
+      }
+      if (!Number.isInteger(points) || points < settings.loyalty.minimumPointsRedemption) {
+        errors.push(`At least ${settings.loyalty.minimumPointsRedemption} points must be redeemed`);
+      }
+    } else if (!Number.isFinite(amount) || amount <= 0) {
+      errors.push(`Invalid amount for ${method} tender`);
+    }
+
+    return {
+      method,
+      amount,
+      points,
+      memberId: tender.memberId,
+      reference: tender.reference ? sanitizeHtml(String(tender.reference)) : '',
+      status: tender.status === 'declined' ? 'declined' : 'approved'
+    };
+  });
+
+  if (errors.length > 0) {
+    return { errors, entries, remaining: balanceDue, changeDue: 0 };
+  }
+
+  let remaining = balanceDue;
+  let changeDue = 0;
+  const ordered = [
+    ...normalized.filter(tender => tender.method !== 'cash'),
+    ...normalized.filter(tender => tender.method === 'cash')
+  ];
+
+  for (const tender of ordered) {
+    if (tender.status === 'declined') {
+      entries.push({ ...tender, tendered: tender.amount, amount: 0, change: 0 });
+      continue;
+    }
+
+    if (tender.method !== 'cash' && tender.amount > roundCurrency(remaining, decimalPlaces)) {
+      errors.push(`${tender.method} tender of ${tender.amount.toFixed(decimalPlaces)} exceeds the balance due`);
+      break;
+    }
+
+    const applied = roundCurrency(Math.min(tender.amount, remaining), decimalPlaces);
+    const change = roundCurrency(tender.amount - applied, decimalPlaces);
+    remaining = roundCurrency(remaining - applied, decimalPlaces);
+    changeDue = roundCurrency(changeDue + change, decimalPlaces);
+    entries.push({ ...tender, tendered: tender.amount, amount: applied, change });
+  }
+
+  return { errors, entries, remaining, changeDue };
+};
+
+const formatTenderLabel = (payment) => {
+  const labels = {
+    cash: 'Cash',
+    credit_card: 'Credit Card',
+    debit_card: 'Debit Card',
+    mobile_payment: 'Mobile',
+    loyalty_points: 'Loyalty Points'
+  };
+  const label = labels[payment.method] || payment.method;
+  return payment.method === 'loyalty_points' && payment.points ? `${label} (${payment.points} pts)` : label;
+};
+
+/**
+ * Quantity of a line that is still charged (not voided or comped)
+ * @param {Object} item - Order line
+ * @returns {number} - Charged quantity
+ */
+const getChargedQuantity = (item) => item.quantity - (item.voidedQuantity || 0) - (item.compedQuantity || 0);
+
+/**
+ * Recalculate order totals after lines changed. The applied promotion is
+ * priced again against the current lines; orders from before the promotion
+ * engine keep their plain order discount.
+ * @param {Object} order - Order with adjusted lines
+ * @param {Object} posSettings - settings.pos
+ * @returns {Object} - Updated total fields for the order
+ */
+const recalculateOrderTotals = (order, posSettings) => {
+  const lines = order.orderItems.map((item, index) => ({
+    menuItemId: item.menuItemId,
+    name: item.name,
+    subtotal: item.subtotal,
+    taxClass: item.taxClass || order.taxBreakdown?.lines?.[index]?.taxClass || 'standard'
+  }));
+  const grossSubtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+  const usesPromotions = 'appliedPromotion' in order;
+  const lineDiscounts = order.appliedPromotion
+    ? evaluateRule(order.appliedPromotion.rule, getPromotionLines(order.orderItems)) || lines.map(() => 0)
+    : null;
+  const totals = calculateOrderTotals({
+    lines,
+    orderType: order.orderType,
+    posSettings,
+    discountAmount: usesPromotions ? 0 : calculateDiscountAmount(order.discount, grossSubtotal),
+    lineDiscounts
+  });
+
+  return {
+    subtotal: totals.subtotal,
+    tax: totals.tax,
+    serviceCharge: totals.serviceCharge,
+    discountAmount: totals.discountAmount,
+    taxBreakdown: totals.taxBreakdown,
+    totalAmount: totals.totalAmount
+  };
+};
+
+/**
+ * Amount a customer paid per unit of a line, including its share of
+ * discount, tax and service charge
+ * @param {Object} order - Order
+ * @param {number} lineIndex - Index of the line
+ * @returns {number} - Unrounded unit amount
+ */
+const getLineUnitTotal = (order, lineIndex) => {
+  const item = order.orderItems[lineIndex];
+  const breakdown = order.taxBreakdown?.lines?.[lineIndex];
+  const chargedQuantity = getChargedQuantity(item);
+  if (!breakdown || chargedQuantity <= 0) {
+    return 0;
+  }
+  const lineTotal = order.taxBreakdown.taxInclusive
+    ? breakdown.grossAmount - breakdown.discountAmount
+    : breakdown.netAmount + breakdown.taxAmount;
+  const serviceCharge = breakdown.netAmount * (order.taxBreakdown.serviceChargeRate || 0);
+  return (lineTotal + serviceCharge) / chargedQuantity;
+};
+
+const snapshotAmounts = (order) => ({
+  subtotal: order.subtotal,
+  discountAmount: order.discountAmount || 0,
+  tax: order.tax,
+  serviceCharge: order.serviceCharge,
+  totalAmount: order.totalAmount,
+  amountPaid: order.amountPaid || 0,
+  balanceDue: order.balanceDue,
+  refundedAmount: order.refundedAmount || 0
+});
+
+/**
+ * Check the reason code and, for cashiers, the manager PIN override
+ * @param {Object} user - User from the session
+ * @param {Object} data - Request data with reasonCode and managerPin
+ * @param {Object} order - Order being adjusted
+ * @param {Array} reasonCodes - Reason codes allowed for the action
+ * @param {Object} usersDB - PouchDB instance for users
+ * @returns {Promise<Object>} - { authorized, approvedBy, message }
+ */
+const authorizeAdjustment = async (user, data, order, reasonCodes, usersDB) => {
+  if (!reasonCodes.includes(data.reasonCode)) {
+    return {
+      authorized: false,
+      message: `Reason code must be one of: ${reasonCodes.join(', ')}`
+    };
+  }
+
+  if (!requiresManagerOverride(user)) {
+    return { authorized: true, approvedBy: user._id };
+  }
+
+  const override = await verifyManagerOverride(usersDB, {
+    pin: data.managerPin,
+    restaurantId: order.restaurantId,
+    branchId: order.branchId
+  });
+  if (!override.valid) {
+    return { authorized: false, message: override.message };
+  }
+  return { authorized: true, approvedBy: override.manager._id };
+};
+
+/**
+ * Check whether lines can still be added to or moved on an order.
+ * Open tabs stay editable until they are closed; other orders only within
+ * the modification window after they were placed.
+ * @param {Object} order - Order
+ * @param {Object} posSettings - settings.pos
+ * @returns {string|null} - Reason the order can't be edited, or null
+ */
+const getOrderEditError = (order, posSettings) => {
+  if (!posSettings.allowOrderModification) {
+    return 'Order modification is disabled';
+  }
+  if (['Completed', 'Refunded', 'Cancelled'].includes(order.paymentStatus)) {
+    return `Order is ${order.paymentStatus.toLowerCase()}`;
+  }
+  if (order.isTab) {
+    if (order.tabStatus !== 'open') {
+      return `Tab is ${order.tabStatus}`;
+    }
+  } else {
+    const minutesSincePlaced = (Date.now() - new Date(order.createdAt).getTime()) / 60000;
+    if (minutesSincePlaced > posSettings.orderModificationWindow) {
+      return `Orders can only be changed within ${posSettings.orderModificationWindow} minutes of being placed`;
+    }
+  }
+  const hasPayments = (order.payments || []).some(payment => payment.status === 'approved');
+  if (hasPayments && order.splitChecks?.length > 0) {
+    return 'Cannot change a split order that already has payments';
+  }
+  return null;
+};
+
+// Timers of held courses that fire after a delay, keyed by order and course.
+// Shared by all connections so a course is only scheduled once.
+const courseTimers = new Map();
+let courseTimersRestored = false;
+
+/**
+ * Lines not yet sent to the kitchen
+ * @param {Object} order - Order
+ * @returns {Array<number>} - Line indexes
+ */
+const getHeldLines = (order) => order.orderItems
+  .map((item, index) => (!item.firedAt && item.quantity - (item.voidedQuantity || 0) > 0 ? index : null))
+  .filter(index => index !== null);
+
+/**
+ * Mark lines as fired in the order's next kitchen round
+ * @param {Object} order - Order
+ * @param {Array<number>} lineIndexes - Lines to fire
+ * @param {string} firedAt - ISO timestamp
+ * @returns {Object} - { order, round }
+ */
+const fireOrderLines = (order, lineIndexes, firedAt) => {
+  const round = (order.kitchenRounds || 0) + 1;
+  const orderItems = order.orderItems.map((item, index) =>
+    lineIndexes.includes(index) ? { ...item, round, firedAt } : item
+  );
+
+  // Record when each course first went out; a held course is fired once
+  // none of its lines are still held
+  const courses = { ...(order.courses || {}) };
+  const heldLines = getHeldLines({ orderItems });
+  new Set(lineIndexes.map(index => orderItems[index].course).filter(Boolean)).forEach(course => {
+    const stillHeld = heldLines.some(index => orderItems[index].course === course);
+    if (!stillHeld && courses[course]?.status !== 'fired') {
+      courses[course] = { ...(courses[course] || {}), status: 'fired', fireAt: null, firedAt, round };
+    }
+  });
+
+  return {
+    round,
+    order: {
+      ...order,
+      kitchenRounds: round,
+      orderItems,
+      courses,
+      nextCourseFireAt: getNextCourseFireAt(courses)
+    }
   };
 };
 
+/**
+ * Validate the courses a request holds back and their fire delays
+ * @param {Object} data - { holdCourses, courseDelays } delays in minutes per course
+ * @param {Object} posSettings - settings.pos
+ * @returns {Object} - { errors, holdCourses, courseDelays }
+ */
+const parseCourseHolds = (data, posSettings) => {
+  const errors = [];
+  const holdCourses = Array.isArray(data.holdCourses) ? [...new Set(data.holdCourses)] : [];
+  const courseDelays = {};
+
+  holdCourses.forEach(course => {
+    if (!posSettings.courses.includes(course)) {
+      errors.push(`Unknown course: ${course}`);
+    }
+  });
+  Object.entries(data.courseDelays || {}).forEach(([course, minutes]) => {
+    if (!holdCourses.includes(course)) {
+      errors.push(`${course} must be held to fire it after a delay`);
+    } else if (!(Number(minutes) > 0)) {
+      errors.push(`${course}: delay must be a positive number of minutes`);
+    } else {
+      courseDelays[course] = Number(minutes);
+    }
+  });
+
+  return { errors, holdCourses, courseDelays };
+};
+
+/**
+ * Earliest scheduled fire time of the order's held courses
+ * @param {Object} courses - order.courses
+ * @returns {string|null} - ISO timestamp
+ */
+const getNextCourseFireAt = (courses) => {
+  const fireTimes = Object.values(courses || {})
+    .filter(state => state.status === 'held' && state.fireAt)
+    .map(state => state.fireAt)
+    .sort();
+  return fireTimes[0] || null;
+};
+
+/**
+ * Split lines being sent to the kitchen into those fired now and those
+ * held by course
+ * @param {Object} order - Order
+ * @param {Array<number>} lineIndexes - Lines to send
+ * @param {Array<string>} holdCourses - Courses to hold
+ * @returns {Object} - { firedLines, heldCourses: { course: lineIndexes } }
+ */
+const splitLinesByCourse = (order, lineIndexes, holdCourses) => {
+  const firedLines = [];
+  const heldCourses = {};
+  lineIndexes.forEach(lineIndex => {
+    const course = order.orderItems[lineIndex].course;
+    if (course && holdCourses.includes(course)) {
+      heldCourses[course] = [...(heldCourses[course] || []), lineIndex];
+    } else {
+      firedLines.push(lineIndex);
+    }
+  });
+  return { firedLines, heldCourses };
+};
+
+/**
+ * Mark courses as held on the order, with the time each fires on its own
+ * @param {Object} order - Order
+ * @param {Object} heldCourses - { course: lineIndexes }
+ * @param {Object} courseDelays - { course: minutes }
+ * @param {Object} options - { heldAt, heldBy }
+ * @returns {Object} - Updated order
+ */
+const holdOrderCourses = (order, heldCourses, courseDelays, { heldAt, heldBy }) => {
+  const courses = { ...(order.courses || {}) };
+  Object.keys(heldCourses).forEach(course => {
+    const delay = courseDelays[course];
+    courses[course] = {
+      ...(courses[course] || {}),
+      status: 'held',
+      heldAt,
+      heldBy,
+      fireAt: delay
+        ? new Date(new Date(heldAt).getTime() + delay * 60000).toISOString()
+        : courses[course]?.status === 'held' ? courses[course].fireAt : null
+    };
+  });
+  return { ...order, courses, nextCourseFireAt: getNextCourseFireAt(courses) };
+};
+
+/**
+ * Recalculate totals and the payment summary after lines were added.
+ * The best promotion is picked again, since new lines may qualify for a
+ * better one. Checks were built from the old total, so an unpaid split is cleared.
+ * @param {Object} order - Order with changed lines
+ * @param {Object} settings - Restaurant settings
+ * @param {Array} rules - Active promotion rules
+ * @returns {Object} - Updated order
+ */
+const repriceOrder = (order, settings, rules) => {
+  const repriced = { ...order, appliedPromotion: selectOrderPromotion(order, rules, settings) };
+  const updatedOrder = { ...repriced, ...recalculateOrderTotals(repriced, settings.pos) };
+  if (updatedOrder.splitChecks?.length > 0) {
+    updatedOrder.splitChecks = [];
+    updatedOrder.splitMethod = null;
+  }
+  return { ...updatedOrder, ...summarizePayments(updatedOrder, settings.pos.decimalPlaces) };
+};
+
+/**
+ * Portions that got a discount from the order's promotion
+ * @param {Object} order - Order
+ * @returns {number} - Charged units the promotion discounts
+ */
+const getPromotedQuantity = (order) => (order.appliedPromotion?.rule
+  ? countPromotedUnits(order.appliedPromotion.rule, getPromotionLines(order.orderItems))
+  : 0);
+
 // Paper size configurations
 const PAPER_SIZES = {
   '80mm': {
@@ -146,10 +959,18 @@ const generateQRCode = async (data) => {
   });
 };
 
-// Helper function to generate receipt
-const generateReceipt = async (order, receiptSettings, posDB) => {
-  const restaurant = await posDB.get(order.restaurantId);
-  const branch = restaurant.branches.find(b => b._id === order.branchId);
+/**
+ * Start a printout on the receipt pipeline: resolves receipt settings and
+ * paper size, then renders the logo and restaurant header.
+ * @param {string} restaurantId - Restaurant ID
+ * @param {string} branchId - Branch ID
+ * @param {Object} receiptSettings - Saved receipt settings
+ * @param {Object} posDB - PouchDB instance for POS
+ * @returns {Promise<Object>} - { receipt, settings, line }
+ */
+const startReceipt = async (restaurantId, branchId, receiptSettings, posDB) => {
+  const restaurant = await posDB.get(restaurantId);
+  const branch = restaurant.branches.find(b => b._id === branchId);
   
   // Get receipt settings with defaults
   const settings = {
@@ -179,15 +1000,12 @@ const generateReceipt = async (order, receiptSettings, posDB) => {
   const lineLength = paperConfig.charactersPerLine - 2;
   const line = '-'.repeat(lineLength);
 
-  // Format date and time
-  const orderDate = new Date(order.createdAt);
-  const formattedDate = orderDate.toLocaleDateString();
-  const formattedTime = orderDate.toLocaleTimeString();
-
   // Start building receipt
   let receipt = {
     text: '',
-    images: []
+    images: [],
+    // Lines printed in bold or large type on ESC/POS printers
+    emphasis: [{ prefix: settings.headerText, bold: true, doubleHeight: true, align: 'center' }]
   };
 
   // Add logo if enabled
@@ -216,6 +1034,18 @@ const generateReceipt = async (order, receiptSettings, posDB) => {
   }
   receipt.text += `${line}\n`;
 
+  return { receipt, settings, line };
+};
+
+// Helper function to generate receipt
+const generateReceipt = async (order, receiptSettings, posDB) => {
+  const { receipt, settings, line } = await startReceipt(order.restaurantId, order.branchId, receiptSettings, posDB);
+
+  // Format date and time
+  const orderDate = new Date(order.createdAt);
+  const formattedDate = orderDate.toLocaleDateString();
+  const formattedTime = orderDate.toLocaleTimeString();
+
   // Order Information
   if (settings.showOrderNumber) {
     receipt.text += `Order #: ${order.orderNumber}\n`;
@@ -241,12 +1071,23 @@ const generateReceipt = async (order, receiptSettings, posDB) => {
   receipt.text += `${line}\n`;
 
   order.orderItems.forEach(item => {
-    const itemName = item.name.padEnd(25).substring(0, 25);
+    const displayName = item.variant && item.variant !== 'regular' ? `${item.name} (${item.variant})` : item.name;
+    const itemName = displayName.padEnd(25).substring(0, 25);
     const quantity = item.quantity.toString().padStart(3);
     const priceValue = (typeof item.unitPrice !== 'undefined' ? item.unitPrice : item.price);
     const price = (priceValue !== undefined ? priceValue : 0).toFixed(2).padStart(8);
     const subtotal = item.subtotal !== undefined ? item.subtotal.toFixed(2).padStart(8) : '0.00'.padStart(8);
     receipt.text += `${quantity}  ${itemName} ${price} ${subtotal}\n`;
+    (item.modifiers || []).forEach(modifier => {
+      const delta = modifier.priceDelta ? `${modifier.priceDelta > 0 ? '+' : ''}${modifier.priceDelta.toFixed(2)}` : '';
+      receipt.text += `     ${modifier.name}`.padEnd(30) + `${delta}\n`;
+    });
+    if (item.voidedQuantity > 0) {
+      receipt.text += `     VOID x${item.voidedQuantity}\n`;
+    }
+    if (item.compedQuantity > 0) {
+      receipt.text += `     COMP x${item.compedQuantity}\n`;
+    }
   });
 
   receipt.text += `${line}\n`;
@@ -254,16 +1095,48 @@ const generateReceipt = async (order, receiptSettings, posDB) => {
   // Totals
   receipt.text += `Subtotal:`.padEnd(30) + `${order.subtotal.toFixed(2)}\n`;
   if (settings.showTax) {
-    receipt.text += `Tax:`.padEnd(30) + `${order.tax.toFixed(2)}\n`;
+    const taxLabel = order.taxBreakdown?.taxInclusive ? 'Tax (included):' : 'Tax:';
+    receipt.text += taxLabel.padEnd(30) + `${order.tax.toFixed(2)}\n`;
+  }
+  if (order.discountAmount > 0) {
+    receipt.text += `Discount:`.padEnd(30) + `-${order.discountAmount.toFixed(2)}\n`;
+    if (order.appliedPromotion && order.appliedPromotion.source !== 'manual') {
+      receipt.text += `  ${order.appliedPromotion.name}\n`;
+    }
   }
-  if (order.discount > 0) {
-    receipt.text += `Discount:`.padEnd(30) + `${order.discount.toFixed(2)}\n`;
+  if (order.serviceCharge > 0) {
+    receipt.text += `Service Charge:`.padEnd(30) + `${order.serviceCharge.toFixed(2)}\n`;
   }
   receipt.text += `Total:`.padEnd(30) + `${order.totalAmount.toFixed(2)}\n`;
+  receipt.emphasis.push(
+    { prefix: 'Total:', bold: true, doubleHeight: true },
+    { prefix: 'ITEMS', bold: true },
+    { prefix: 'PAYMENTS', bold: true }
+  );
   receipt.text += `${line}\n`;
 
   // Payment
-  receipt.text += `Payment Method: ${order.paymentMethod}\n`;
+  const approvedPayments = (order.payments || []).filter(payment => payment.status === 'approved');
+  if (approvedPayments.length > 0) {
+    receipt.text += `PAYMENTS\n`;
+    approvedPayments.forEach(payment => {
+      const checkLabel = order.splitChecks?.find(check => check.checkId === payment.checkId)?.label;
+      const label = checkLabel ? `${formatTenderLabel(payment)} - ${checkLabel}` : formatTenderLabel(payment);
+      receipt.text += `${label}:`.padEnd(30) + `${payment.tendered.toFixed(2)}\n`;
+    });
+    const totalChange = approvedPayments.reduce((sum, payment) => sum + (payment.change || 0), 0);
+    if (totalChange > 0) {
+      receipt.text += `Change:`.padEnd(30) + `${totalChange.toFixed(2)}\n`;
+    }
+    if (order.balanceDue > 0) {
+      receipt.text += `Balance Due:`.padEnd(30) + `${order.balanceDue.toFixed(2)}\n`;
+    }
+    if (order.refundedAmount > 0) {
+      receipt.text += `Refunded:`.padEnd(30) + `-${order.refundedAmount.toFixed(2)}\n`;
+    }
+  } else {
+    receipt.text += `Payment Method: ${order.paymentMethod}\n`;
+  }
   receipt.text += `${line}\n`;
 
   // Add barcode if enabled
@@ -299,6 +1172,66 @@ const generateReceipt = async (order, receiptSettings, posDB) => {
   return receipt;
 };
 
+/**
+ * Render an X or Z drawer report on the receipt pipeline
+ * @param {Object} report - Report built by the cash drawer routes
+ * @param {Object} receiptSettings - Saved receipt settings
+ * @param {Object} posDB - PouchDB instance for POS
+ * @returns {Promise<Object>} - { text, images }
+ */
+const generateDrawerReport = async (report, receiptSettings, posDB) => {
+  const { receipt, line } = await startReceipt(report.restaurantId, report.branchId, receiptSettings, posDB);
+  const amount = (value) => (value || 0).toFixed(2);
+
+  receipt.text += `${report.reportType}-REPORT${report.reportType === 'Z' ? ' (END OF DAY)' : ''}\n`;
+  receipt.emphasis.push(
+    { prefix: `${report.reportType}-REPORT`, bold: true, doubleHeight: true },
+    { prefix: 'TENDERS', bold: true }
+  );
+  receipt.text += `Terminal: ${report.terminalId}\n`;
+  receipt.text += `Opened: ${new Date(report.openedAt).toLocaleString()}\n`;
+  if (report.closedAt) {
+    receipt.text += `Closed: ${new Date(report.closedAt).toLocaleString()}\n`;
+  }
+  receipt.text += `Printed: ${new Date(report.generatedAt).toLocaleString()}\n`;
+  receipt.text += `${line}\n`;
+
+  // Cash movements
+  receipt.text += `Opening Float:`.padEnd(30) + `${amount(report.openingFloat)}\n`;
+  receipt.text += `Paid In:`.padEnd(30) + `${amount(report.movements.paid_in)}\n`;
+  receipt.text += `Paid Out:`.padEnd(30) + `-${amount(report.movements.paid_out)}\n`;
+  receipt.text += `Drops:`.padEnd(30) + `-${amount(report.movements.drop)}\n`;
+  receipt.text += `${line}\n`;
+
+  // Tenders
+  receipt.text += `TENDERS\n`;
+  report.tenders.forEach(tender => {
+    receipt.text += `${formatTenderLabel(tender)}\n`;
+    receipt.text += `  Sales:`.padEnd(30) + `${amount(tender.sales)}\n`;
+    if (tender.refunds > 0) {
+      receipt.text += `  Refunds:`.padEnd(30) + `-${amount(tender.refunds)}\n`;
+    }
+    receipt.text += `  Expected:`.padEnd(30) + `${amount(tender.expected)}\n`;
+    if (tender.counted !== null && tender.counted !== undefined) {
+      receipt.text += `  Counted:`.padEnd(30) + `${amount(tender.counted)}\n`;
+      receipt.text += `  Variance:`.padEnd(30) + `${amount(tender.variance)}\n`;
+    }
+  });
+  receipt.text += `${line}\n`;
+
+  // Summary
+  receipt.text += `Orders:`.padEnd(30) + `${report.orderCount}\n`;
+  receipt.text += `Gross Sales:`.padEnd(30) + `${amount(report.grossSales)}\n`;
+  receipt.text += `Voids:`.padEnd(30) + `${amount(report.voidTotal)}\n`;
+  receipt.text += `Comps:`.padEnd(30) + `${amount(report.compTotal)}\n`;
+  if (report.totalVariance !== null && report.totalVariance !== undefined) {
+    receipt.text += `Total Variance:`.padEnd(30) + `${amount(report.totalVariance)}\n`;
+  }
+  receipt.text += `${line}\n`;
+
+  return receipt;
+};
+
 // Helper function to save logo
 const saveLogo = async (logoData, restaurantId) => {
   try {
@@ -308,195 +1241,1914 @@ const saveLogo = async (logoData, restaurantId) => {
       fs.mkdirSync(logosDir);
     }
 
-    // Convert base64 to buffer
-    const base64Data = logoData.replace(/^data:image\/\w+;base64,/, '');
-    const buffer = Buffer.from(base64Data, 'base64');
+    // Convert base64 to buffer
+    const base64Data = logoData.replace(/^data:image\/\w+;base64,/, '');
+    const buffer = Buffer.from(base64Data, 'base64');
+
+    // Process image with sharp
+    const processedImage = await sharp(buffer)
+      .resize(300, 300, { // Standard receipt logo size
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .toBuffer();
+
+    // Save processed image
+    const logoPath = path.join(logosDir, `${restaurantId}.png`);
+    fs.writeFileSync(logoPath, processedImage);
+
+    return logoPath;
+  } catch (error) {
+    console.error('Error saving logo:', error);
+    throw error;
+  }
+};
+
+export const registerSocketEvents = (socket, {
+  db: posDB,
+  menuItemsDB,
+  categoriesDB,
+  recipesDB,
+  recipeVersionsDB,
+  ingredientsDB,
+  inventoryTransactionsDB,
+  sessionDB,
+  logsDB,
+  notificationsDB,
+  settingsDB,
+  loyaltyDB,
+  usersDB,
+  kdsDB,
+  specialsDB
+}) => {
+  if (!posDB || !menuItemsDB || !sessionDB || !notificationsDB || !settingsDB) {
+    console.error('Missing required database dependencies for POS routes');
+    return;
+  }
+
+  // Ingredients used by order lines, from each menu item's active recipe,
+  // totalled per ingredient in its stock unit
+  const getLineStockUsage = async (orderItems) => {
+    const { usage, warnings } = await getOrderIngredientUsage({ menuItemsDB, recipesDB, recipeVersionsDB }, orderItems);
+    return { ...await getStockUsage(ingredientsDB, usage), warnings };
+  };
+
+  // Check stock before lines are taken. A shortage rejects them unless
+  // negative stock is allowed, in which case it is passed on as a warning.
+  const checkLineStock = async (orderItems, settings) => {
+    if (!ingredientsDB || !inventoryTransactionsDB) {
+      return { usage: { lines: [], errors: [], warnings: [] }, shortages: [], blocked: false };
+    }
+    const usage = await getLineStockUsage(orderItems);
+    const shortages = getStockShortages(usage.lines);
+    return { usage, shortages, blocked: shortages.length > 0 && !settings.inventory.allowNegativeStock };
+  };
+
+  // Post stock usage as inventory transactions against the order. A failure
+  // doesn't undo the order; it is logged and returned as a warning. Stock
+  // given back goes into the batches the order drew it from.
+  const postStockUsage = async (order, usage, user, { transactionType, reason, returning = false }) => {
+    const failures = [...usage.errors];
+    const movements = returning
+      ? (await inventoryTransactionsDB.find({
+        selector: {
+          type: 'inventoryTransaction',
+          relatedDocumentId: order._id
+        }
+      })).docs
+      : [];
+    for (const line of usage.lines) {
+      try {
+        const batchReturns = returning
+          ? getBatchReturns(movements.filter(movement => movement.ingredientId === line.ingredientId), line.quantity)
+          : [];
+        const result = await recordInventoryTransaction(
+          { inventoryTransactionsDB, ingredientsDB, logsDB, notificationsDB },
+          {
+            transactionType,
+            ingredientId: line.ingredientId,
+            ingredientName: line.ingredientName,
+            quantity: line.quantity,
+            unit: line.unit,
+            reason,
+            relatedDocumentId: order._id,
+            relatedDocumentType: 'order',
+            ...(batchReturns.length > 0 ? { batchReturns } : {}),
+            restaurantId: order.restaurantId,
+            branchId: order.branchId
+          },
+          user
+        );
+        if (!result.success) {
+          failures.push(`${line.ingredientName}: ${result.errors.join(', ')}`);
+          continue;
+        }
+        movements.push(result.transaction);
+        broadcastInventoryTransaction(socket, result);
+      } catch (error) {
+        failures.push(`${line.ingredientName}: ${error.message}`);
+      }
+    }
+
+    if (failures.length > 0) {
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'inventory',
+        orderId: order._id,
+        errors: failures,
+        userId: user._id,
+        restaurantId: order.restaurantId,
+        branchId: order.branchId,
+        timestamp: new Date().toISOString(),
+        level: 'error',
+        message: `Stock not updated for order ${order.orderNumber}: ${failures.join('; ')}`
+      });
+    }
+    // Variants sold without a portion size of their own are flagged for the menu to be fixed
+    if (usage.warnings.length > 0) {
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'inventory',
+        orderId: order._id,
+        errors: usage.warnings,
+        userId: user._id,
+        restaurantId: order.restaurantId,
+        branchId: order.branchId,
+        timestamp: new Date().toISOString(),
+        level: 'warning',
+        message: `Stock for order ${order.orderNumber} taken at regular amounts: ${usage.warnings.join('; ')}`
+      });
+    }
+    return [...usage.warnings, ...failures.map(failure => `Stock not updated for ${failure}`)];
+  };
+
+  // Queue a printout for a station; jobs still failing after their retries
+  // are logged and reported back to the terminal
+  const queuePrint = async (settings, station, receipt, { openDrawer = false, cut, description = '', paperSize } = {}) => {
+    try {
+      const queued = await printToStation(settings.printing, station, receiptToBlocks(receipt), {
+        openDrawer,
+        cut,
+        description,
+        paperSize
+      });
+      if (!queued) {
+        return null;
+      }
+      queued.done.then(async (job) => {
+        if (job.status !== 'failed') {
+          return;
+        }
+        socket.emit('printer:jobFailed', {
+          jobId: job.jobId,
+          station,
+          description,
+          error: job.lastError
+        });
+        await logsDB.put({
+          _id: `log_${uuidv4()}`,
+          type: 'log',
+          category: 'printing',
+          action: 'printFailed',
+          jobId: job.jobId,
+          station,
+          timestamp: new Date().toISOString(),
+          level: 'error',
+          message: `Printing ${description || 'job'} on ${station} failed after ${job.attempts} attempts: ${job.lastError}`
+        });
+      }).catch(error => console.error('Failed to record print failure:', error));
+      return queued.jobId;
+    } catch (error) {
+      console.error(`Failed to print on ${station}:`, error);
+      return null;
+    }
+  };
+
+  // Create the station tickets for a fired round, or fire the held course
+  // tickets of its lines, show them on the station and expo screens and
+  // print each on its station's printer
+  const sendToKitchen = async (order, lineIndexes, user, settings) => {
+    if (!kdsDB) {
+      return [];
+    }
+    try {
+      const { tickets: firedTickets, remainingLines } = await releaseHeldTickets(kdsDB, order, lineIndexes, {
+        round: order.kitchenRounds,
+        firedAt: order.orderItems[lineIndexes[0]].firedAt,
+        firedBy: user._id
+      });
+      const newTickets = remainingLines.length > 0
+        ? await createKitchenTickets(kdsDB, order, remainingLines, {
+          round: order.kitchenRounds,
+          createdBy: user._id,
+          defaultStation: settings.kds.defaultStation,
+          defaultPrepTime: settings.kds.ticketTimers.defaultPrepTime
+        })
+        : [];
+      const tickets = [...firedTickets, ...newTickets];
+      for (const ticket of tickets) {
+        socket.to(kdsStationRoom(order.branchId, ticket.station))
+          .to(kdsExpoRoom(order.branchId))
+          .emit(newTickets.includes(ticket) ? 'kds:ticketCreated' : 'kds:orderStatusUpdated', ticket);
+        if (settings.printing.printKitchenTickets) {
+          const printStation = settings.printing.stations?.[ticket.station] ? ticket.station : 'kitchen';
+          await queuePrint(settings, printStation, kitchenTicketToReceipt(ticket), {
+            description: `${ticket.station} ticket ${order.orderNumber}`
+          });
+        }
+      }
+      const kitchenStatus = await refreshKitchenStatus(kdsDB, {
+        restaurantId: order.restaurantId,
+        branchId: order.branchId
+      });
+      socket.nsp.to(kitchenStatusRoom(order.branchId)).emit('kds:statusUpdated', kitchenStatus);
+      return tickets;
+    } catch (error) {
+      console.error(`Failed to create kitchen tickets for order ${order._id}:`, error);
+      return [];
+    }
+  };
+
+  // Put held courses on the KDS as greyed-out tickets and start the timers
+  // of courses that fire on their own
+  const holdKitchenCourses = async (order, heldCourses, user, settings) => {
+    Object.keys(heldCourses).forEach(course => scheduleCourseFire(order, course));
+    const heldLines = Object.values(heldCourses).flat();
+    if (!kdsDB || heldLines.length === 0) {
+      return [];
+    }
+    try {
+      const tickets = await createKitchenTickets(kdsDB, order, heldLines, {
+        createdBy: user._id,
+        defaultStation: settings.kds.defaultStation,
+        defaultPrepTime: settings.kds.ticketTimers.defaultPrepTime,
+        held: true
+      });
+      tickets.forEach(ticket => {
+        socket.to(kdsStationRoom(order.branchId, ticket.station))
+          .to(kdsExpoRoom(order.branchId))
+          .emit('kds:ticketCreated', ticket);
+      });
+      return tickets;
+    } catch (error) {
+      console.error(`Failed to create held course tickets for order ${order._id}:`, error);
+      return [];
+    }
+  };
+
+  // Fire the held lines of a course now. An order changed elsewhere at the
+  // same time is read again, so a timed fire isn't lost to a payment or KDS update.
+  const fireCourse = async (orderId, course, user) => {
+    const firedAt = new Date().toISOString();
+    let order;
+    let courseLines;
+    let updatedOrder;
+    let round;
+    for (let attempt = 1; ; attempt++) {
+      order = await posDB.get(orderId);
+      if (['Refunded', 'Cancelled'].includes(order.paymentStatus)) {
+        return { error: `Order is ${order.paymentStatus.toLowerCase()}` };
+      }
+      courseLines = getHeldLines(order).filter(index => order.orderItems[index].course === course);
+      if (courseLines.length === 0) {
+        return { error: `There are no held ${course} items to fire` };
+      }
+
+      ({ order: updatedOrder, round } = fireOrderLines(order, courseLines, firedAt));
+      updatedOrder.updatedAt = firedAt;
+      updatedOrder.updatedBy = user._id;
+      try {
+        const saved = await posDB.put(updatedOrder);
+        updatedOrder._rev = saved.rev;
+        break;
+      } catch (error) {
+        if (error.status !== 409 || attempt >= MAX_CONFLICT_RETRIES) {
+          throw error;
+        }
+      }
+    }
+
+    const settings = await getRestaurantSettings(settingsDB, order.restaurantId);
+
+    scheduleCourseFire(updatedOrder, course);
+    const tickets = await sendToKitchen(updatedOrder, courseLines, user, settings);
+
+    await logsDB.put({
+      _id: `log_${uuidv4()}`,
+      type: 'log',
+      category: 'pos',
+      action: 'fireCourse',
+      orderId: order._id,
+      course,
+      lineIndexes: courseLines,
+      round,
+      heldAt: order.courses?.[course]?.heldAt || null,
+      firedAt,
+      scheduled: Boolean(order.courses?.[course]?.fireAt),
+      userId: user._id,
+      restaurantId: order.restaurantId,
+      branchId: order.branchId,
+      timestamp: firedAt,
+      level: 'info',
+      message: `${course} fired for order ${order.orderNumber}`
+    });
+
+    socket.broadcast.emit('pos:orderUpdated', updatedOrder);
+    return { order: updatedOrder, tickets, round };
+  };
+
+  // Fire a held course when its time comes. Re-scheduling replaces the timer.
+  const scheduleCourseFire = (order, course) => {
+    const key = `${order._id}:${course}`;
+    clearTimeout(courseTimers.get(key));
+    courseTimers.delete(key);
+
+    const state = order.courses?.[course];
+    if (state?.status !== 'held' || !state.fireAt) {
+      return;
+    }
+    courseTimers.set(key, setTimeout(async () => {
+      courseTimers.delete(key);
+      try {
+        const result = await fireCourse(order._id, course, { _id: state.heldBy });
+        if (result.error) {
+          console.log(`Scheduled ${course} for order ${order._id} not fired: ${result.error}`);
+        }
+      } catch (error) {
+        console.error(`Failed to fire ${course} for order ${order._id}:`, error);
+      }
+    }, Math.max(new Date(state.fireAt).getTime() - Date.now(), 0)));
+  };
+
+  // Timers are kept in memory, so the first connection after a restart
+  // schedules the courses that are still waiting to fire
+  const restoreCourseTimers = async () => {
+    const result = await posDB.find({
+      selector: {
+        type: 'transaction',
+        nextCourseFireAt: { $gte: '' }
+      }
+    });
+    result.docs.forEach(order => {
+      Object.keys(order.courses || {}).forEach(course => scheduleCourseFire(order, course));
+    });
+  };
+
+  if (!courseTimersRestored) {
+    courseTimersRestored = true;
+    restoreCourseTimers().catch(error => console.error('Failed to restore course timers:', error));
+  }
+
+  // Manual discounts need a manager, or a manager PIN from other roles
+  const authorizeManualDiscount = async (user, data) => {
+    if (!(Number(data.discount?.value) > 0) || !requiresManagerOverride(user)) {
+      return { authorized: true, approvedBy: user._id };
+    }
+    const override = await verifyManagerOverride(usersDB, {
+      pin: data.managerPin,
+      restaurantId: data.restaurantId,
+      branchId: data.branchId
+    });
+    if (!override.valid) {
+      return { authorized: false, message: override.message };
+    }
+    return { authorized: true, approvedBy: override.manager._id };
+  };
+
+  // Count a coupon redemption, or the special portions sold, for the order's
+  // promotion. Portions the order already took are kept in specialPortions.
+  const recordOrderPromotionUse = async (order) => {
+    const promotion = order.appliedPromotion;
+    if (!specialsDB || !['coupon', 'special'].includes(promotion?.source)) {
+      return { recorded: true };
+    }
+
+    if (promotion.source === 'coupon') {
+      if ((order.redeemedCoupons || []).includes(promotion.ruleId)) {
+        return { recorded: true };
+      }
+      const result = await recordPromotionUse(specialsDB, promotion);
+      if (result.recorded) {
+        order.redeemedCoupons = [...(order.redeemedCoupons || []), promotion.ruleId];
+      }
+      return result;
+    }
+
+    const heldPortions = order.specialPortions?.[promotion.ruleId] || 0;
+    const quantity = getPromotedQuantity(order) - heldPortions;
+    if (quantity <= 0) {
+      return { recorded: true };
+    }
+    const result = await recordPromotionUse(specialsDB, promotion, quantity);
+    order.specialPortions = { ...(order.specialPortions || {}), [promotion.ruleId]: heldPortions + result.quantity };
+    if (result.doc?.availableQuantity === 0) {
+      socket.broadcast.emit('specials:soldOut', {
+        specialId: promotion.ruleId,
+        name: promotion.name
+      });
+    }
+    return result;
+  };
+
+  // The cash drawer open on a terminal. Money taken or given back is
+  // counted in the drawer that handled it, not where the order was opened.
+  const findOpenDrawer = async (branchId, terminalId) => {
+    const result = await posDB.find({
+      selector: {
+        type: 'drawerSession',
+        branchId,
+        terminalId,
+        status: 'open'
+      },
+      limit: 1
+    });
+    return result.docs[0] || null;
+  };
+
+  // Give back what recordOrderPromotionUse took for an order that was not saved
+  const releaseOrderPromotionUse = async (order, promotionUse) => {
+    try {
+      await releasePromotionUse(specialsDB, order.appliedPromotion, promotionUse.quantity);
+    } catch (error) {
+      console.error('Failed to release promotion use:', error);
+    }
+  };
+
+  // Reprice an order after lines were added and record the promotion's use.
+  // Returns the use as well, to give back if the order is not saved.
+  const repriceWithPromotions = async (order, settings) => {
+    const rules = await loadPromotionRules(specialsDB, order);
+    const repriced = repriceOrder(order, settings, rules);
+    const promotionUse = await recordOrderPromotionUse(repriced);
+    if (promotionUse.recorded) {
+      return { order: repriced, promotionUse };
+    }
+    // The coupon ran out while the order was open; price without it
+    const withoutCoupon = repriceOrder(order, settings, rules.filter(rule => rule.ruleId !== repriced.appliedPromotion.ruleId));
+    return { order: withoutCoupon, promotionUse: await recordOrderPromotionUse(withoutCoupon) };
+  };
+
+  // Record which promotion rule priced the order
+  const logAppliedPromotion = async (order, user) => {
+    if (!order.appliedPromotion) {
+      return;
+    }
+    await logsDB.put({
+      _id: `log_${uuidv4()}`,
+      type: 'log',
+      category: 'pos',
+      action: 'promotionApplied',
+      orderId: order._id,
+      ruleId: order.appliedPromotion.ruleId,
+      source: order.appliedPromotion.source,
+      discountAmount: order.discountAmount,
+      approvedBy: order.appliedPromotion.source === 'manual' ? order.discount.approvedBy : undefined,
+      userId: user._id,
+      restaurantId: order.restaurantId,
+      branchId: order.branchId,
+      timestamp: new Date().toISOString(),
+      level: order.appliedPromotion.source === 'manual' ? 'warning' : 'info',
+      message: `${order.appliedPromotion.name} (${order.appliedPromotion.source}) took ${order.discountAmount.toFixed(2)} off order ${order.orderNumber}`
+    });
+  };
+
+  // Price overrides are audited separately from the order log
+  const logPriceOverrides = async (order, priceOverrides, user) => {
+    for (const override of priceOverrides) {
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'priceOverride',
+        orderId: order._id,
+        ...override,
+        userId: user._id,
+        restaurantId: order.restaurantId,
+        branchId: order.branchId,
+        timestamp: new Date().toISOString(),
+        level: 'warning',
+        message: `Price of ${override.name} (${override.variant}) changed from ${override.menuPrice.toFixed(2)} to ${override.overridePrice.toFixed(2)} on order ${order.orderNumber}`
+      });
+    }
+  };
+
+  // Create Order
+  socket.on('pos:createOrder', async (data, callback) => {
+    console.log('Creating POS order:', { ...data, sessionId: '[REDACTED]' });
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        console.error('Session validation failed:', sessionValidation.message);
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Validate order data
+      const settings = await getRestaurantSettings(settingsDB, data.restaurantId);
+      const discountApproval = await authorizeManualDiscount(sessionValidation.user, data);
+      if (!discountApproval.authorized) {
+        return callback?.({
+          success: false,
+          message: discountApproval.message
+        });
+      }
+      const validationResult = await validateOrder(data, menuItemsDB, {
+        categoriesDB,
+        recipesDB,
+        settings,
+        user: sessionValidation.user,
+        rules: await loadPromotionRules(specialsDB, { restaurantId: data.restaurantId, branchId: data.branchId })
+      });
+      if (!validationResult.isValid) {
+        console.error('Order validation failed:', validationResult.errors);
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: validationResult.errors
+        });
+      }
+      const courseHolds = parseCourseHolds(data, settings.pos);
+      if (courseHolds.holdCourses.length > 0 && validationResult.sanitizedData.orderType !== 'Dine-in') {
+        courseHolds.errors.push('Courses can only be held on dine-in orders');
+      }
+      if (courseHolds.errors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: courseHolds.errors
+        });
+      }
+      if (validationResult.sanitizedData.discount.value > 0) {
+        validationResult.sanitizedData.discount.approvedBy = discountApproval.approvedBy;
+      }
+      const stockCheck = await checkLineStock(validationResult.sanitizedData.orderItems, settings);
+      if (stockCheck.blocked) {
+        return callback?.({
+          success: false,
+          message: 'Not enough stock',
+          errors: stockCheck.shortages
+        });
+      }
+
+      // Coupons are redeemed before a number is taken so a used-up coupon
+      // rejects the order cleanly; the use is given back if the order is not saved
+      const promotionUse = await recordOrderPromotionUse(validationResult.sanitizedData);
+      if (!promotionUse.recorded) {
+        return callback?.({
+          success: false,
+          message: promotionUse.message
+        });
+      }
+
+      // 3. Create order document, attributed to the terminal's open cash drawer
+      const terminalId = data.terminalId ? sanitizeHtml(data.terminalId) : 'default';
+      let openDrawer;
+      let numbering;
+      try {
+        openDrawer = await findOpenDrawer(data.branchId, terminalId);
+        // Numbers are taken last so a rejected order doesn't use one up
+        numbering = await allocateOrderNumber(posDB, {
+          branchId: data.branchId,
+          orderType: validationResult.sanitizedData.orderType,
+          numbering: settings.pos.orderNumbering
+        });
+      } catch (error) {
+        await releaseOrderPromotionUse(validationResult.sanitizedData, promotionUse);
+        throw error;
+      }
+      const createdAt = new Date().toISOString();
+      let order = {
+        _id: `order_${uuidv4()}`,
+        type: 'transaction',
+        ...validationResult.sanitizedData,
+        orderItems: validationResult.sanitizedData.orderItems.map(item => ({ ...item, round: null, firedAt: null })),
+        kitchenRounds: 0,
+        orderNumber: numbering.orderNumber,
+        orderSequence: numbering.sequence,
+        numberingTerminal: numbering.terminalCode,
+        terminalId,
+        drawerSessionId: openDrawer?._id || null,
+        createdBy: sessionValidation.user._id,
+        createdAt,
+        updatedAt: createdAt
+      };
+
+      // Tabs can hold their first round until it is fired, and dine-in
+      // orders can hold later courses
+      const sentLines = order.isTab && data.fire === false ? [] : getHeldLines(order);
+      const { firedLines, heldCourses } = splitLinesByCourse(order, sentLines, courseHolds.holdCourses);
+      if (Object.keys(heldCourses).length > 0) {
+        order = holdOrderCourses(order, heldCourses, courseHolds.courseDelays, {
+          heldAt: createdAt,
+          heldBy: sessionValidation.user._id
+        });
+      }
+      if (firedLines.length > 0) {
+        order = fireOrderLines(order, firedLines, createdAt).order;
+      }
+
+      // 4. Save to database
+      try {
+        await posDB.put(order);
+      } catch (error) {
+        await recordSkippedOrderNumber(posDB, numbering, `Order could not be saved: ${error.message}`)
+          .catch(skipError => console.error('Failed to record skipped order number:', skipError));
+        await releaseOrderPromotionUse(order, promotionUse);
+        throw error;
+      }
+      console.log('Order created:', order._id);
+
+      // 5. Deduct the ingredients used
+      const stockWarnings = await postStockUsage(order, stockCheck.usage, sessionValidation.user, {
+        transactionType: 'Deduct',
+        reason: `Order ${order.orderNumber}`
+      });
+
+      // 6. Send fired lines to the kitchen and show held courses
+      if (firedLines.length > 0) {
+        await sendToKitchen(order, firedLines, sessionValidation.user, settings);
+      }
+      await holdKitchenCourses(order, heldCourses, sessionValidation.user, settings);
+
+      // 7. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'create',
+        orderId: order._id,
+        userId: sessionValidation.user._id,
+        restaurantId: data.restaurantId,
+        branchId: data.branchId,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `Order created: ${order.orderNumber}`
+      });
+      await logPriceOverrides(order, validationResult.priceOverrides, sessionValidation.user);
+      await logAppliedPromotion(order, sessionValidation.user);
+
+      // 8. Create notification for kitchen staff
+      const kitchenNotification = {
+        _id: `notification_${uuidv4()}`,
+        type: 'new_order',
+        message: `New Order #${order.orderNumber} - ${order.orderItems.length} items`,
+        priority: 'high',
+        metadata: {
+          orderId: order._id,
+          orderNumber: order.orderNumber,
+          orderType: order.orderType,
+          items: order.orderItems.map(item => ({
+            name: item.name,
+            quantity: item.quantity
+          }))
+        },
+        createdAt: new Date().toISOString(),
+        read: false,
+        targetUsers: ['kitchen_staff', 'manager']
+      };
+      
+      await notificationsDB.put(kitchenNotification);
+
+      // 9. Emit events to other clients and show desktop notification
+      socket.broadcast.emit('pos:orderCreated', order);
+      socket.broadcast.to('notification:new_order').emit('notifications:new', kitchenNotification);
+      
+      // Send desktop notification
+      socket.emit('show-notification', {
+        title: 'New Order',
+        body: `Order #${order.orderNumber} - ${order.orderItems.length} items\n${order.orderItems.map(item => `${item.quantity}x ${item.name}`).join('\n')}`,
+        urgency: 'critical',
+        onClick: () => {
+          // This will focus the window when notification is clicked
+          mainWindow?.focus();
+        }
+      });
+
+      // 10. Send success response
+      callback?.({
+        success: true,
+        message: 'Order created successfully',
+        data: order,
+        warnings: [...stockCheck.shortages, ...stockWarnings]
+      });
+
+    } catch (error) {
+      console.error('Error creating order:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to create order',
+        error: error.message
+      });
+
+      // Log error
+      try {
+        await logsDB.put({
+          _id: `log_${uuidv4()}`,
+          type: 'log',
+          category: 'pos',
+          action: 'create',
+          error: error.message,
+          timestamp: new Date().toISOString(),
+          level: 'error',
+          message: `Failed to create order: ${error.message}`
+        });
+      } catch (logError) {
+        console.error('Failed to log error:', logError);
+      }
+    }
+  });
+
+  // Update Order Status
+  socket.on('pos:updateOrderStatus', async (data, callback) => {
+    console.log('Updating order status:', { orderId: data.orderId, status: data.status });
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get and update order
+      if (LEDGER_PAYMENT_STATUSES.includes(data.status)) {
+        return callback?.({
+          success: false,
+          message: 'Payment status is derived from recorded payments; use pos:recordPayment'
+        });
+      }
+      if (data.status === 'Refunded') {
+        return callback?.({
+          success: false,
+          message: 'Refunds must be recorded with pos:refundOrder'
+        });
+      }
+
+      const order = await posDB.get(data.orderId);
+      const updatedOrder = {
+        ...order,
+        paymentStatus: data.status,
+        paymentDetails: data.paymentDetails || order.paymentDetails,
+        updatedAt: new Date().toISOString(),
+        updatedBy: sessionValidation.user._id
+      };
+
+      // 3. Save changes
+      await posDB.put(updatedOrder);
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'updateStatus',
+        orderId: order._id,
+        userId: sessionValidation.user._id,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `Order ${order.orderNumber} status updated to ${data.status}`
+      });
+
+      // 5. Emit event to other clients
+      socket.broadcast.emit('pos:orderUpdated', updatedOrder);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: 'Order status updated successfully',
+        data: updatedOrder
+      });
+
+    } catch (error) {
+      console.error('Error updating order status:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to update order status',
+        error: error.message
+      });
+    }
+  });
+
+  // Split Bill
+  socket.on('pos:splitBill', async (data, callback) => {
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier', 'waiter'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get order and settings
+      const order = await posDB.get(data.orderId);
+      const settings = await getRestaurantSettings(settingsDB, order.restaurantId);
+
+      if ((order.payments || []).some(payment => payment.status === 'approved')) {
+        return callback?.({
+          success: false,
+          message: 'Cannot split an order that already has payments'
+        });
+      }
+
+      // 3. Build checks
+      const { errors, checks } = buildSplitChecks(order, data, settings.pos.decimalPlaces);
+      if (errors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      // 4. Save split checks
+      const updatedOrder = {
+        ...order,
+        splitMethod: data.method,
+        splitChecks: checks,
+        updatedAt: new Date().toISOString(),
+        updatedBy: sessionValidation.user._id
+      };
+
+      await posDB.put(updatedOrder);
+
+      // 5. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'splitBill',
+        orderId: order._id,
+        userId: sessionValidation.user._id,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `Order ${order.orderNumber} split by ${data.method} into ${checks.length} checks`
+      });
+
+      // 6. Emit event to other clients
+      socket.broadcast.emit('pos:orderUpdated', updatedOrder);
+
+      // 7. Send success response
+      callback?.({
+        success: true,
+        message: 'Bill split successfully',
+        data: updatedOrder
+      });
+
+    } catch (error) {
+      console.error('Error splitting bill:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to split bill',
+        error: error.message
+      });
+    }
+  });
+
+  // Put points taken for a payment that was not saved back on the members
+  const returnLoyaltyPoints = async (redemptions, user) => {
+    for (const redemption of redemptions) {
+      try {
+        for (let attempt = 1; ; attempt++) {
+          const member = await loyaltyDB.get(redemption.memberId);
+          try {
+            await loyaltyDB.put({
+              ...member,
+              points: member.points + redemption.points,
+              updatedAt: new Date().toISOString(),
+              updatedBy: user._id
+            });
+            break;
+          } catch (error) {
+            if (error.status !== 409 || attempt >= MAX_CONFLICT_RETRIES) {
+              throw error;
+            }
+          }
+        }
+        const saved = await loyaltyDB.get(redemption._id).catch(() => null);
+        if (saved) {
+          await loyaltyDB.remove(saved);
+        }
+      } catch (error) {
+        console.error('Failed to return loyalty points:', error);
+        await logsDB.put({
+          _id: `log_${uuidv4()}`,
+          type: 'log',
+          category: 'pos',
+          action: 'returnLoyaltyPoints',
+          orderId: redemption.orderId,
+          memberId: redemption.memberId,
+          userId: user._id,
+          timestamp: new Date().toISOString(),
+          level: 'error',
+          message: `${redemption.points} loyalty points could not be returned to member ${redemption.memberId}: ${error.message}`
+        });
+      }
+    }
+  };
+
+  // Record Payment
+  socket.on('pos:recordPayment', async (data, callback) => {
+    console.log('Recording payment:', { orderId: data.orderId, checkId: data.checkId });
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get order and settings
+      const order = await posDB.get(data.orderId);
+      const settings = await getRestaurantSettings(settingsDB, order.restaurantId);
+      const decimalPlaces = settings.pos.decimalPlaces;
+
+      if (['Completed', 'Refunded', 'Cancelled'].includes(order.paymentStatus)) {
+        return callback?.({
+          success: false,
+          message: `Order is already ${order.paymentStatus.toLowerCase()}`
+        });
+      }
+
+      // 3. Resolve what is being paid: a split check or the whole order
+      const summary = summarizePayments(order, decimalPlaces);
+      let balanceDue = summary.balanceDue;
+      if (data.checkId) {
+        const check = summary.splitChecks.find(c => c.checkId === data.checkId);
+        if (!check) {
+          return callback?.({
+            success: false,
+            message: 'Check not found'
+          });
+        }
+        balanceDue = check.balanceDue;
+      } else if (summary.splitChecks.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Order is split; a check ID is required'
+        });
+      }
+
+      // 4. Apply tenders
+      const { errors, entries, remaining, changeDue } = applyTenders(data.tenders, balanceDue, settings);
+      if (errors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      const approvedEntries = entries.filter(entry => entry.status === 'approved');
+      if (approvedEntries.length > 0 && remaining > 0 && !settings.pos.allowPartialPayments) {
+        return callback?.({
+          success: false,
+          message: `Partial payments are not allowed; tenders must cover ${balanceDue.toFixed(decimalPlaces)}`
+        });
+      }
+
+      const terminalId = data.terminalId ? sanitizeHtml(data.terminalId) : order.terminalId || 'default';
+      const drawer = await findOpenDrawer(order.branchId, terminalId);
+
+      // 5. Take the loyalty points used as tenders; they go back if the
+      // payment cannot be saved
+      const redemptions = [];
+      try {
+        for (const entry of approvedEntries.filter(e => e.method === 'loyalty_points')) {
+          if (!loyaltyDB) {
+            throw new Error('Loyalty database is not available');
+          }
+          const member = await loyaltyDB.get(entry.memberId);
+          if (member.points < entry.points) {
+            await returnLoyaltyPoints(redemptions, sessionValidation.user);
+            return callback?.({
+              success: false,
+              message: 'Insufficient points balance'
+            });
+          }
+          await loyaltyDB.put({
+            ...member,
+            points: member.points - entry.points,
+            updatedAt: new Date().toISOString(),
+            updatedBy: sessionValidation.user._id
+          });
+          const redemption = {
+            _id: `loyalty_redemption_${uuidv4()}`,
+            type: 'loyaltyRedemption',
+            memberId: member._id,
+            points: entry.points,
+            reward: 'payment',
+            orderId: order._id,
+            createdBy: sessionValidation.user._id,
+            createdAt: new Date().toISOString(),
+            restaurantId: order.restaurantId,
+            branchId: order.branchId
+          };
+          redemptions.push(redemption);
+          await loyaltyDB.put(redemption);
+        }
+      } catch (error) {
+        await returnLoyaltyPoints(redemptions, sessionValidation.user);
+        throw error;
+      }
+
+      // 6. Append to the payments ledger and recompute balances. An order
+      // changed elsewhere is read again, unless it took a payment meanwhile.
+      const recordedAt = new Date().toISOString();
+      const newPayments = entries.map(entry => ({
+        paymentId: `payment_${uuidv4()}`,
+        checkId: data.checkId || null,
+        ...entry,
+        drawerSessionId: drawer?._id || null,
+        recordedBy: sessionValidation.user._id,
+        recordedAt
+      }));
+      const paidCount = (order.payments || []).length;
+
+      let updatedOrder;
+      try {
+        let current = order;
+        for (let attempt = 1; ; attempt++) {
+          if ((current.payments || []).length !== paidCount) {
+            throw new Error('Another payment was recorded on this order; check the balance and try again');
+          }
+          updatedOrder = {
+            ...current,
+            payments: [...(current.payments || []), ...newPayments],
+            updatedAt: recordedAt,
+            updatedBy: sessionValidation.user._id
+          };
+          Object.assign(updatedOrder, summarizePayments(updatedOrder, decimalPlaces));
+          if (updatedOrder.paymentStatus === 'Completed') {
+            updatedOrder.paidAt = recordedAt;
+            if (updatedOrder.isTab) {
+              updatedOrder.tabStatus = 'closed';
+              updatedOrder.closedAt = recordedAt;
+            }
+          }
+
+          // 7. Save changes
+          try {
+            const saved = await posDB.put(updatedOrder);
+            updatedOrder._rev = saved.rev;
+            break;
+          } catch (error) {
+            if (error.status !== 409 || attempt >= MAX_CONFLICT_RETRIES) {
+              throw error;
+            }
+            current = await posDB.get(order._id);
+          }
+        }
+      } catch (error) {
+        await returnLoyaltyPoints(redemptions, sessionValidation.user);
+        throw error;
+      }
+
+      // 8. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'recordPayment',
+        orderId: order._id,
+        checkId: data.checkId,
+        userId: sessionValidation.user._id,
+        timestamp: recordedAt,
+        level: 'info',
+        message: `Payment of ${approvedEntries.reduce((sum, e) => sum + e.amount, 0).toFixed(decimalPlaces)} recorded for order ${order.orderNumber} (${updatedOrder.paymentStatus})`
+      });
+
+      // 9. Print the receipt once paid, opening the drawer for cash
+      const openDrawer = settings.printing.openDrawerOnCashPayment
+        && approvedEntries.some(entry => entry.method === 'cash');
+      let printJobId = null;
+      try {
+        if (settings.printing.printReceiptOnPayment && updatedOrder.paymentStatus === 'Completed') {
+          const restaurant = await posDB.get(order.restaurantId);
+          const receipt = await generateReceipt(updatedOrder, restaurant.receiptSettings, posDB);
+          printJobId = await queuePrint(settings, 'receipt', receipt, {
+            openDrawer,
+            description: `receipt ${order.orderNumber}`,
+            paperSize: restaurant.receiptSettings?.paperSize
+          });
+        } else if (openDrawer) {
+          printJobId = await queuePrint(settings, 'receipt', { text: '' }, {
+            openDrawer,
+            cut: false,
+            description: `drawer kick ${order.orderNumber}`
+          });
+        }
+      } catch (error) {
+        console.error('Failed to print receipt:', error);
+      }
+
+      // 10. Emit event to other clients
+      socket.broadcast.emit('pos:orderUpdated', updatedOrder);
+
+      // 11. Send success response
+      callback?.({
+        success: true,
+        message: 'Payment recorded successfully',
+        data: {
+          order: updatedOrder,
+          changeDue,
+          balanceDue: updatedOrder.balanceDue,
+          printJobId
+        }
+      });
+
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to record payment',
+        error: error.message
+      });
+    }
+  });
+
+  /**
+   * Void or comp part of an order line. Voids remove the charge and give the
+   * ingredients back; comps remove the charge but the food was still made.
+   * @param {string} action - 'void' or 'comp'
+   * @param {Object} data - Request data
+   * @returns {Promise<Object>} - Callback response
+   */
+  const adjustOrderLine = async (action, data) => {
+    // 1. Validate session and permissions
+    const sessionValidation = await validateUserSession(
+      data.sessionId,
+      ['owner', 'manager', 'admin', 'cashier'],
+      sessionDB
+    );
+
+    if (!sessionValidation.valid) {
+      return {
+        success: false,
+        message: sessionValidation.message
+      };
+    }
+
+    // 2. Get order and settings
+    const order = await posDB.get(data.orderId);
+    const settings = await getRestaurantSettings(settingsDB, order.restaurantId);
+    const decimalPlaces = settings.pos.decimalPlaces;
+
+    if (['Completed', 'Refunded', 'Cancelled'].includes(order.paymentStatus)) {
+      return {
+        success: false,
+        message: `Order is ${order.paymentStatus.toLowerCase()}; use a refund instead`
+      };
+    }
+
+    const hasPayments = (order.payments || []).some(payment => payment.status === 'approved');
+    if (hasPayments && order.splitChecks?.length > 0) {
+      return {
+        success: false,
+        message: 'Cannot change lines on a split order that already has payments'
+      };
+    }
+
+    // 3. Validate the line and quantity
+    const lineIndex = Number(data.lineIndex);
+    const item = order.orderItems[lineIndex];
+    if (!Number.isInteger(lineIndex) || !item) {
+      return {
+        success: false,
+        message: 'Order line not found'
+      };
+    }
+
+    const chargedQuantity = getChargedQuantity(item);
+    const quantity = data.quantity === undefined ? chargedQuantity : Number(data.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > chargedQuantity) {
+      return {
+        success: false,
+        message: `Quantity must be between 1 and ${chargedQuantity}`
+      };
+    }
+
+    // 4. Check reason code and manager override
+    const authorization = await authorizeAdjustment(
+      sessionValidation.user,
+      data,
+      order,
+      settings.pos.reasonCodes[action],
+      usersDB
+    );
+    if (!authorization.authorized) {
+      return {
+        success: false,
+        message: authorization.message
+      };
+    }
+
+    // 5. Adjust the line and recalculate totals
+    const quantityField = action === 'void' ? 'voidedQuantity' : 'compedQuantity';
+    const updatedItem = {
+      ...item,
+      [quantityField]: (item[quantityField] || 0) + quantity
+    };
+    updatedItem.subtotal = updatedItem.unitPrice * getChargedQuantity(updatedItem);
+    if (updatedItem.voidedQuantity === updatedItem.quantity) {
+      updatedItem.status = 'voided';
+    }
+
+    const orderItems = order.orderItems.map((line, index) => (index === lineIndex ? updatedItem : line));
+    const adjustedAt = new Date().toISOString();
+    const updatedOrder = {
+      ...order,
+      orderItems,
+      updatedAt: adjustedAt,
+      updatedBy: sessionValidation.user._id
+    };
+    Object.assign(updatedOrder, recalculateOrderTotals(updatedOrder, settings.pos));
+
+    if (updatedOrder.totalAmount < (order.amountPaid || 0)) {
+      return {
+        success: false,
+        message: 'The new total is less than the amount already paid; refund the order instead'
+      };
+    }
+
+    // Checks were built from the old total, so an unpaid split has to be redone
+    if (order.splitChecks?.length > 0) {
+      updatedOrder.splitChecks = [];
+      updatedOrder.splitMethod = null;
+    }
+    Object.assign(updatedOrder, summarizePayments(updatedOrder, decimalPlaces));
+
+    const lineAmount = roundCurrency(item.subtotal - updatedItem.subtotal, decimalPlaces);
+    updatedOrder.adjustments = [
+      ...(order.adjustments || []),
+      {
+        adjustmentId: `adjustment_${uuidv4()}`,
+        type: action,
+        lineIndex,
+        menuItemId: item.menuItemId,
+        quantity,
+        amount: lineAmount,
+        reasonCode: data.reasonCode,
+        note: data.note ? sanitizeHtml(data.note) : '',
+        requestedBy: sessionValidation.user._id,
+        approvedBy: authorization.approvedBy,
+        createdAt: adjustedAt
+      }
+    ];
+
+    // 6. Save changes
+    await posDB.put(updatedOrder);
+
+    // 7. Give voided ingredients back to stock
+    let stockWarnings = [];
+    if (action === 'void' && ingredientsDB && inventoryTransactionsDB) {
+      try {
+        stockWarnings = await postStockUsage(order, await getLineStockUsage([{ ...item, quantity }]), sessionValidation.user, {
+          transactionType: 'Adjustment',
+          reason: `Voided ${quantity}x ${item.name} on order ${order.orderNumber}`,
+          returning: true
+        });
+      } catch (error) {
+        console.error(`Failed to return inventory for item ${item.menuItemId}:`, error);
+        stockWarnings = [`Stock not returned for ${item.name}: ${error.message}`];
+      }
+    }
+
+    // 8. Log the action
+    await logsDB.put({
+      _id: `log_${uuidv4()}`,
+      type: 'log',
+      category: 'pos',
+      action: action === 'void' ? 'voidItem' : 'compItem',
+      orderId: order._id,
+      lineIndex,
+      quantity,
+      reasonCode: data.reasonCode,
+      userId: sessionValidation.user._id,
+      approvedBy: authorization.approvedBy,
+      restaurantId: order.restaurantId,
+      branchId: order.branchId,
+      before: snapshotAmounts(order),
+      after: snapshotAmounts(updatedOrder),
+      timestamp: adjustedAt,
+      level: 'info',
+      message: `${action === 'void' ? 'Voided' : 'Comped'} ${quantity}x ${item.name} on order ${order.orderNumber} (${data.reasonCode})`
+    });
+
+    // 9. Emit event to other clients
+    socket.broadcast.emit('pos:orderUpdated', updatedOrder);
+
+    return {
+      success: true,
+      message: action === 'void' ? 'Item voided successfully' : 'Item comped successfully',
+      data: updatedOrder,
+      warnings: stockWarnings
+    };
+  };
+
+  // Void Item
+  socket.on('pos:voidItem', async (data, callback) => {
+    console.log('Voiding order item:', { orderId: data.orderId, lineIndex: data.lineIndex });
+    try {
+      callback?.(await adjustOrderLine('void', data));
+    } catch (error) {
+      console.error('Error voiding item:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to void item',
+        error: error.message
+      });
+    }
+  });
+
+  // Comp Item
+  socket.on('pos:compItem', async (data, callback) => {
+    console.log('Comping order item:', { orderId: data.orderId, lineIndex: data.lineIndex });
+    try {
+      callback?.(await adjustOrderLine('comp', data));
+    } catch (error) {
+      console.error('Error comping item:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to comp item',
+        error: error.message
+      });
+    }
+  });
+
+  // Refund Order
+  socket.on('pos:refundOrder', async (data, callback) => {
+    console.log('Refunding order:', { orderId: data.orderId, full: data.full });
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get order and settings
+      const order = await posDB.get(data.orderId);
+      const settings = await getRestaurantSettings(settingsDB, order.restaurantId);
+      const decimalPlaces = settings.pos.decimalPlaces;
+
+      const refundable = roundCurrency((order.amountPaid || 0) - (order.refundedAmount || 0), decimalPlaces);
+      if (!['Completed', 'Partial'].includes(order.paymentStatus) || refundable <= 0) {
+        return callback?.({
+          success: false,
+          message: 'Order has no payments left to refund'
+        });
+      }
+
+      // 3. Work out which lines and how much to refund
+      const refundLines = [];
+      if (data.full) {
+        order.orderItems.forEach((item, lineIndex) => {
+          const quantity = getChargedQuantity(item) - (item.refundedQuantity || 0);
+          if (quantity > 0) {
+            refundLines.push({ lineIndex, quantity });
+          }
+        });
+      } else {
+        if (!Array.isArray(data.lines) || data.lines.length === 0) {
+          return callback?.({
+            success: false,
+            message: 'Select the lines to refund or request a full refund'
+          });
+        }
+        // Entries for the same line are merged, so together they can't
+        // refund more than is left on it
+        for (const line of data.lines) {
+          const lineIndex = Number(line.lineIndex);
+          const item = order.orderItems[lineIndex];
+          const requested = refundLines.find(refundLine => refundLine.lineIndex === lineIndex);
+          const available = item ? getChargedQuantity(item) - (item.refundedQuantity || 0) - (requested?.quantity || 0) : 0;
+          const quantity = line.quantity === undefined ? available : Number(line.quantity);
+          if (!item || !Number.isInteger(quantity) || quantity < 1 || quantity > available) {
+            return callback?.({
+              success: false,
+              message: `Invalid refund quantity for line ${line.lineIndex}`
+            });
+          }
+          if (requested) {
+            requested.quantity += quantity;
+          } else {
+            refundLines.push({ lineIndex, quantity });
+          }
+        }
+      }
+
+      const linesWithAmounts = refundLines.map(line => ({
+        ...line,
+        menuItemId: order.orderItems[line.lineIndex].menuItemId,
+        amount: roundCurrency(getLineUnitTotal(order, line.lineIndex) * line.quantity, decimalPlaces)
+      }));
+      const amount = data.full
+        ? refundable
+        : Math.min(roundCurrency(linesWithAmounts.reduce((sum, line) => sum + line.amount, 0), decimalPlaces), refundable);
+
+      const method = data.method || (order.paymentMethod === 'Split' || order.paymentMethod === 'loyalty_points' ? 'cash' : order.paymentMethod);
+      if (!PAYMENT_TENDERS.includes(method) || method === 'loyalty_points') {
+        return callback?.({
+          success: false,
+          message: 'Invalid refund method'
+        });
+      }
+      const terminalId = data.terminalId ? sanitizeHtml(data.terminalId) : order.terminalId || 'default';
+      const drawer = await findOpenDrawer(order.branchId, terminalId);
+
+      // 4. Check reason code and manager override
+      const authorization = await authorizeAdjustment(
+        sessionValidation.user,
+        data,
+        order,
+        settings.pos.reasonCodes.refund,
+        usersDB
+      );
+      if (!authorization.authorized) {
+        return callback?.({
+          success: false,
+          message: authorization.message
+        });
+      }
+
+      // 5. Record the refund
+      const refundedAt = new Date().toISOString();
+      const orderItems = order.orderItems.map((item, lineIndex) => {
+        const refundLine = refundLines.find(line => line.lineIndex === lineIndex);
+        return refundLine
+          ? { ...item, refundedQuantity: (item.refundedQuantity || 0) + refundLine.quantity }
+          : item;
+      });
+      const refundedAmount = roundCurrency((order.refundedAmount || 0) + amount, decimalPlaces);
+      const fullyRefunded = refundedAmount >= order.amountPaid ||
+        orderItems.every(item => getChargedQuantity(item) - (item.refundedQuantity || 0) <= 0);
+
+      const refund = {
+        refundId: `refund_${uuidv4()}`,
+        lines: linesWithAmounts,
+        amount,
+        method,
+        drawerSessionId: drawer?._id || null,
+        reasonCode: data.reasonCode,
+        note: data.note ? sanitizeHtml(data.note) : '',
+        refundedBy: sessionValidation.user._id,
+        approvedBy: authorization.approvedBy,
+        refundedAt
+      };
+
+      const updatedOrder = {
+        ...order,
+        orderItems,
+        refunds: [...(order.refunds || []), refund],
+        refundedAmount,
+        paymentStatus: fullyRefunded ? 'Refunded' : order.paymentStatus,
+        updatedAt: refundedAt,
+        updatedBy: sessionValidation.user._id
+      };
+      if (fullyRefunded) {
+        updatedOrder.refundedAt = refundedAt;
+      }
+
+      // 6. Save changes
+      await posDB.put(updatedOrder);
+
+      // 7. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'refundOrder',
+        orderId: order._id,
+        refundId: refund.refundId,
+        reasonCode: data.reasonCode,
+        userId: sessionValidation.user._id,
+        approvedBy: authorization.approvedBy,
+        restaurantId: order.restaurantId,
+        branchId: order.branchId,
+        before: snapshotAmounts(order),
+        after: snapshotAmounts(updatedOrder),
+        timestamp: refundedAt,
+        level: 'info',
+        message: `Refunded ${amount.toFixed(decimalPlaces)} on order ${order.orderNumber} (${data.reasonCode})`
+      });
+
+      // 8. Emit event to other clients
+      socket.broadcast.emit('pos:orderUpdated', updatedOrder);
+
+      // 9. Send success response
+      callback?.({
+        success: true,
+        message: fullyRefunded ? 'Order refunded successfully' : 'Partial refund recorded successfully',
+        data: {
+          order: updatedOrder,
+          refund
+        }
+      });
+
+    } catch (error) {
+      console.error('Error refunding order:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to refund order',
+        error: error.message
+      });
+    }
+  });
+
+  // Add Items to an open tab or a recent order
+  socket.on('pos:addItems', async (data, callback) => {
+    console.log('Adding items to order:', { orderId: data.orderId, items: data.orderItems?.length });
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get order and check it can be changed
+      const order = await posDB.get(data.orderId);
+      const settings = await getRestaurantSettings(settingsDB, order.restaurantId);
+      const editError = getOrderEditError(order, settings.pos);
+      if (editError) {
+        return callback?.({
+          success: false,
+          message: editError
+        });
+      }
+
+      // 3. Validate the new lines, numbered after the existing ones
+      if (!Array.isArray(data.orderItems) || data.orderItems.length === 0) {
+        return callback?.({
+          success: false,
+          message: 'At least one item is required'
+        });
+      }
+      const lineResult = await validateOrderLines(data.orderItems, menuItemsDB, {
+        categoriesDB,
+        recipesDB,
+        settings,
+        user: sessionValidation.user
+      }, order.orderItems.length);
+      const fire = data.fire !== false;
+      const courseHolds = parseCourseHolds(data, settings.pos);
+      if (courseHolds.holdCourses.length > 0 && order.orderType !== 'Dine-in') {
+        courseHolds.errors.push('Courses can only be held on dine-in orders');
+      }
+      const errors = [...lineResult.errors, ...courseHolds.errors];
+      if (errors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+      const stockCheck = await checkLineStock(lineResult.orderItems, settings);
+      if (stockCheck.blocked) {
+        return callback?.({
+          success: false,
+          message: 'Not enough stock',
+          errors: stockCheck.shortages
+        });
+      }
+
+      // 4. Append the lines, fire them unless held, and reprice
+      const updatedAt = new Date().toISOString();
+      const newLines = lineResult.orderItems.map((item, index) => order.orderItems.length + index);
+      let updatedOrder = {
+        ...order,
+        orderItems: [
+          ...order.orderItems,
+          ...lineResult.orderItems.map(item => ({ ...item, round: null, firedAt: null }))
+        ],
+        updatedAt,
+        updatedBy: sessionValidation.user._id
+      };
+      const { firedLines, heldCourses } = splitLinesByCourse(updatedOrder, fire ? newLines : [], courseHolds.holdCourses);
+      if (Object.keys(heldCourses).length > 0) {
+        updatedOrder = holdOrderCourses(updatedOrder, heldCourses, courseHolds.courseDelays, {
+          heldAt: updatedAt,
+          heldBy: sessionValidation.user._id
+        });
+      }
+      if (firedLines.length > 0) {
+        updatedOrder = fireOrderLines(updatedOrder, firedLines, updatedAt).order;
+      }
+      const repriced = await repriceWithPromotions(updatedOrder, settings);
+      updatedOrder = repriced.order;
+
+      // 5. Save changes
+      try {
+        await posDB.put(updatedOrder);
+      } catch (error) {
+        await releaseOrderPromotionUse(updatedOrder, repriced.promotionUse);
+        throw error;
+      }
+
+      // 6. Deduct inventory for the new lines only
+      const stockWarnings = await postStockUsage(updatedOrder, stockCheck.usage, sessionValidation.user, {
+        transactionType: 'Deduct',
+        reason: `Items added to order ${order.orderNumber}`
+      });
+
+      // 7. Send delta tickets with only the new lines, and show held courses
+      const tickets = [
+        ...(firedLines.length > 0 ? await sendToKitchen(updatedOrder, firedLines, sessionValidation.user, settings) : []),
+        ...await holdKitchenCourses(updatedOrder, heldCourses, sessionValidation.user, settings)
+      ];
+
+      // 8. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'addItems',
+        orderId: order._id,
+        lineIndexes: newLines,
+        round: firedLines.length > 0 ? updatedOrder.kitchenRounds : null,
+        userId: sessionValidation.user._id,
+        restaurantId: order.restaurantId,
+        branchId: order.branchId,
+        before: snapshotAmounts(order),
+        after: snapshotAmounts(updatedOrder),
+        timestamp: updatedAt,
+        level: 'info',
+        message: `Added ${newLines.length} item(s) to order ${order.orderNumber}${firedLines.length === newLines.length ? '' : ' (held)'}`
+      });
+      await logPriceOverrides(updatedOrder, lineResult.priceOverrides, sessionValidation.user);
+      if (updatedOrder.appliedPromotion?.ruleId !== order.appliedPromotion?.ruleId) {
+        await logAppliedPromotion(updatedOrder, sessionValidation.user);
+      }
+
+      // 9. Emit event to other clients
+      socket.broadcast.emit('pos:orderUpdated', updatedOrder);
+
+      // 10. Send success response
+      callback?.({
+        success: true,
+        message: 'Items added successfully',
+        data: {
+          order: updatedOrder,
+          tickets
+        },
+        warnings: [...stockCheck.shortages, ...stockWarnings]
+      });
+
+    } catch (error) {
+      console.error('Error adding items to order:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to add items',
+        error: error.message
+      });
+    }
+  });
+
+  // Fire Round - send held lines to the kitchen
+  socket.on('pos:fireRound', async (data, callback) => {
+    console.log('Firing round:', { orderId: data.orderId });
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get order and its held lines
+      const order = await posDB.get(data.orderId);
+      const settings = await getRestaurantSettings(settingsDB, order.restaurantId);
+      const editError = getOrderEditError(order, settings.pos);
+      if (editError) {
+        return callback?.({
+          success: false,
+          message: editError
+        });
+      }
+
+      const heldLines = getHeldLines(order);
+      if (heldLines.length === 0) {
+        return callback?.({
+          success: false,
+          message: 'There are no held items to fire'
+        });
+      }
 
-    // Process image with sharp
-    const processedImage = await sharp(buffer)
-      .resize(300, 300, { // Standard receipt logo size
-        fit: 'inside',
-        withoutEnlargement: true
-      })
-      .toBuffer();
+      // 3. Mark the lines fired and save
+      const firedAt = new Date().toISOString();
+      const { order: updatedOrder, round } = fireOrderLines(order, heldLines, firedAt);
+      updatedOrder.updatedAt = firedAt;
+      updatedOrder.updatedBy = sessionValidation.user._id;
+      await posDB.put(updatedOrder);
 
-    // Save processed image
-    const logoPath = path.join(logosDir, `${restaurantId}.png`);
-    fs.writeFileSync(logoPath, processedImage);
+      // 4. Send the round to the kitchen; this fires any held courses too
+      Object.keys(updatedOrder.courses || {}).forEach(course => scheduleCourseFire(updatedOrder, course));
+      const tickets = await sendToKitchen(updatedOrder, heldLines, sessionValidation.user, settings);
 
-    return logoPath;
-  } catch (error) {
-    console.error('Error saving logo:', error);
-    throw error;
-  }
-};
+      // 5. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'fireRound',
+        orderId: order._id,
+        lineIndexes: heldLines,
+        round,
+        userId: sessionValidation.user._id,
+        restaurantId: order.restaurantId,
+        branchId: order.branchId,
+        timestamp: firedAt,
+        level: 'info',
+        message: `Round ${round} fired for order ${order.orderNumber}`
+      });
 
-export const registerSocketEvents = (socket, {
-  db: posDB,
-  menuItemsDB,
-  ingredientsDB,
-  sessionDB,
-  logsDB,
-  notificationsDB
-}) => {
-  if (!posDB || !menuItemsDB || !sessionDB || !notificationsDB) {
-    console.error('Missing required database dependencies for POS routes');
-    return;
-  }
+      // 6. Emit event to other clients
+      socket.broadcast.emit('pos:orderUpdated', updatedOrder);
 
-  // Create Order
-  socket.on('pos:createOrder', async (data, callback) => {
-    console.log('Creating POS order:', { ...data, sessionId: '[REDACTED]' });
+      // 7. Send success response
+      callback?.({
+        success: true,
+        message: 'Round fired successfully',
+        data: {
+          order: updatedOrder,
+          tickets
+        }
+      });
+
+    } catch (error) {
+      console.error('Error firing round:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to fire round',
+        error: error.message
+      });
+    }
+  });
+
+  // Fire Course - send a held course to the kitchen now or after a delay
+  socket.on('pos:fireCourse', async (data, callback) => {
+    console.log('Firing course:', { orderId: data.orderId, course: data.course, delayMinutes: data.delayMinutes });
     try {
       // 1. Validate session and permissions
       const sessionValidation = await validateUserSession(
         data.sessionId,
-        ['owner', 'manager', 'admin', 'cashier'],
+        ['owner', 'manager', 'admin', 'cashier', 'waiter'],
         sessionDB
       );
 
       if (!sessionValidation.valid) {
-        console.error('Session validation failed:', sessionValidation.message);
         return callback?.({
           success: false,
           message: sessionValidation.message
         });
       }
 
-      // 2. Validate order data
-      const validationResult = await validateOrder(data, menuItemsDB);
-      if (!validationResult.isValid) {
-        console.error('Order validation failed:', validationResult.errors);
+      // 2. Check the course is held
+      const order = await posDB.get(data.orderId);
+      if (order.courses?.[data.course]?.status !== 'held') {
         return callback?.({
           success: false,
-          message: 'Validation failed',
-          errors: validationResult.errors
+          message: `${data.course || 'Course'} is not held on this order`
         });
       }
 
-      // 3. Create order document
-      const order = {
-        _id: `order_${uuidv4()}`,
-        type: 'transaction',
-        ...validationResult.sanitizedData,
-        createdBy: sessionValidation.user._id,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-      };
+      // 3. Fire now
+      const delayMinutes = Number(data.delayMinutes) || 0;
+      if (delayMinutes <= 0) {
+        const result = await fireCourse(order._id, data.course, sessionValidation.user);
+        if (result.error) {
+          return callback?.({
+            success: false,
+            message: result.error
+          });
+        }
+        return callback?.({
+          success: true,
+          message: `${data.course} fired`,
+          data: result
+        });
+      }
 
-      // 4. Save to database
-      await posDB.put(order);
-      console.log('Order created:', order._id);
+      // 4. Or schedule it, replacing any earlier schedule
+      const scheduledAt = new Date().toISOString();
+      const fireAt = new Date(Date.now() + delayMinutes * 60000).toISOString();
+      const courses = {
+        ...order.courses,
+        [data.course]: { ...order.courses[data.course], fireAt, scheduledBy: sessionValidation.user._id }
+      };
+      const updatedOrder = {
+        ...order,
+        courses,
+        nextCourseFireAt: getNextCourseFireAt(courses),
+        updatedAt: scheduledAt,
+        updatedBy: sessionValidation.user._id
+      };
+      await posDB.put(updatedOrder);
+      scheduleCourseFire(updatedOrder, data.course);
 
-      // 5. Update inventory
-      const inventoryUpdates = order.orderItems.map(async (item) => {
-        try {
-          const menuItem = await menuItemsDB.get(item.menuItemId);
-          if (menuItem.ingredients) {
-            for (const ingredient of menuItem.ingredients) {
-              // Deduct ingredients based on quantity ordered
-              const deduction = ingredient.quantity * item.quantity;
-              const currentIngredient = await ingredientsDB.get(ingredient.ingredientId);
-              await ingredientsDB.put({
-                ...currentIngredient,
-                stockLevel: currentIngredient.stockLevel - deduction,
-                updatedAt: new Date().toISOString()
-              });
-            }
-          }
-        } catch (error) {
-          console.error(`Failed to update inventory for item ${item.menuItemId}:`, error);
-        }
+      const tickets = kdsDB ? await scheduleHeldTickets(kdsDB, order._id, data.course, fireAt) : [];
+      tickets.forEach(ticket => {
+        socket.to(kdsStationRoom(order.branchId, ticket.station))
+          .to(kdsExpoRoom(order.branchId))
+          .emit('kds:orderStatusUpdated', ticket);
       });
 
-      await Promise.all(inventoryUpdates);
-
-      // 6. Log the action
+      // 5. Log the action
       await logsDB.put({
         _id: `log_${uuidv4()}`,
         type: 'log',
         category: 'pos',
-        action: 'create',
+        action: 'scheduleCourse',
         orderId: order._id,
+        course: data.course,
+        fireAt,
         userId: sessionValidation.user._id,
-        restaurantId: data.restaurantId,
-        branchId: data.branchId,
-        timestamp: new Date().toISOString(),
+        restaurantId: order.restaurantId,
+        branchId: order.branchId,
+        timestamp: scheduledAt,
         level: 'info',
-        message: `Order created: ${order.orderNumber}`
-      });      // 7. Create notification for kitchen staff
-      const kitchenNotification = {
-        _id: `notification_${uuidv4()}`,
-        type: 'new_order',
-        message: `New Order #${order.orderNumber} - ${order.orderItems.length} items`,
-        priority: 'high',
-        metadata: {
-          orderId: order._id,
-          orderNumber: order.orderNumber,
-          orderType: order.orderType,
-          items: order.orderItems.map(item => ({
-            name: item.name,
-            quantity: item.quantity
-          }))
-        },
-        createdAt: new Date().toISOString(),
-        read: false,
-        targetUsers: ['kitchen_staff', 'manager']
-      };
-      
-      await notificationsDB.put(kitchenNotification);
-
-      // 8. Emit events to other clients and show desktop notification
-      socket.broadcast.emit('pos:orderCreated', order);
-      socket.broadcast.to('notification:new_order').emit('notifications:new', kitchenNotification);
-      
-      // Send desktop notification
-      socket.emit('show-notification', {
-        title: 'New Order',
-        body: `Order #${order.orderNumber} - ${order.orderItems.length} items\n${order.orderItems.map(item => `${item.quantity}x ${item.name}`).join('\n')}`,
-        urgency: 'critical',
-        onClick: () => {
-          // This will focus the window when notification is clicked
-          mainWindow?.focus();
-        }
+        message: `${data.course} for order ${order.orderNumber} fires in ${delayMinutes} minute(s)`
       });
 
-      // 9. Send success response
+      // 6. Emit event to other clients
+      socket.broadcast.emit('pos:orderUpdated', updatedOrder);
+
+      // 7. Send success response
       callback?.({
         success: true,
-        message: 'Order created successfully',
-        data: order
+        message: `${data.course} fires in ${delayMinutes} minute(s)`,
+        data: {
+          order: updatedOrder,
+          tickets
+        }
       });
 
     } catch (error) {
-      console.error('Error creating order:', error);
+      console.error('Error firing course:', error);
       callback?.({
         success: false,
-        message: 'Failed to create order',
+        message: 'Failed to fire course',
         error: error.message
       });
-
-      // Log error
-      try {
-        await logsDB.put({
-          _id: `log_${uuidv4()}`,
-          type: 'log',
-          category: 'pos',
-          action: 'create',
-          error: error.message,
-          timestamp: new Date().toISOString(),
-          level: 'error',
-          message: `Failed to create order: ${error.message}`
-        });
-      } catch (logError) {
-        console.error('Failed to log error:', logError);
-      }
     }
   });
 
-  // Update Order Status
-  socket.on('pos:updateOrderStatus', async (data, callback) => {
-    console.log('Updating order status:', { orderId: data.orderId, status: data.status });
+  // Transfer Tab to another table or server
+  socket.on('pos:transferTab', async (data, callback) => {
+    console.log('Transferring tab:', { orderId: data.orderId, tableNumber: data.tableNumber, serverName: data.serverName });
     try {
       // 1. Validate session and permissions
       const sessionValidation = await validateUserSession(
@@ -512,17 +3164,52 @@ export const registerSocketEvents = (socket, {
         });
       }
 
-      // 2. Get and update order
+      // 2. Validate the transfer
+      if (data.tableNumber === undefined && data.serverName === undefined) {
+        return callback?.({
+          success: false,
+          message: 'A new table or server is required'
+        });
+      }
+      if (data.tableNumber !== undefined && data.tableNumber !== null
+        && (!Number.isInteger(Number(data.tableNumber)) || Number(data.tableNumber) < 1)) {
+        return callback?.({
+          success: false,
+          message: 'Table number must be a positive integer'
+        });
+      }
+
       const order = await posDB.get(data.orderId);
+      const settings = await getRestaurantSettings(settingsDB, order.restaurantId);
+      const editError = getOrderEditError(order, settings.pos);
+      if (editError) {
+        return callback?.({
+          success: false,
+          message: editError
+        });
+      }
+
+      // 3. Apply and save
       const updatedOrder = {
         ...order,
-        paymentStatus: data.status,
-        paymentDetails: data.paymentDetails || order.paymentDetails,
         updatedAt: new Date().toISOString(),
         updatedBy: sessionValidation.user._id
       };
-
-      // 3. Save changes
+      if (data.tableNumber !== undefined) {
+        updatedOrder.tableNumber = data.tableNumber ? Number(data.tableNumber) : null;
+      }
+      if (data.serverName !== undefined) {
+        updatedOrder.serverName = data.serverName ? sanitizeHtml(data.serverName) : '';
+      }
+      updatedOrder.transfers = [
+        ...(order.transfers || []),
+        {
+          from: { tableNumber: order.tableNumber, serverName: order.serverName },
+          to: { tableNumber: updatedOrder.tableNumber, serverName: updatedOrder.serverName },
+          transferredBy: sessionValidation.user._id,
+          transferredAt: updatedOrder.updatedAt
+        }
+      ];
       await posDB.put(updatedOrder);
 
       // 4. Log the action
@@ -530,12 +3217,14 @@ export const registerSocketEvents = (socket, {
         _id: `log_${uuidv4()}`,
         type: 'log',
         category: 'pos',
-        action: 'updateStatus',
+        action: 'transferTab',
         orderId: order._id,
         userId: sessionValidation.user._id,
-        timestamp: new Date().toISOString(),
+        restaurantId: order.restaurantId,
+        branchId: order.branchId,
+        timestamp: updatedOrder.updatedAt,
         level: 'info',
-        message: `Order ${order.orderNumber} status updated to ${data.status}`
+        message: `Order ${order.orderNumber} transferred to table ${updatedOrder.tableNumber ?? '-'}, server ${updatedOrder.serverName || '-'}`
       });
 
       // 5. Emit event to other clients
@@ -544,15 +3233,161 @@ export const registerSocketEvents = (socket, {
       // 6. Send success response
       callback?.({
         success: true,
-        message: 'Order status updated successfully',
+        message: 'Tab transferred successfully',
         data: updatedOrder
       });
 
     } catch (error) {
-      console.error('Error updating order status:', error);
+      console.error('Error transferring tab:', error);
       callback?.({
         success: false,
-        message: 'Failed to update order status',
+        message: 'Failed to transfer tab',
+        error: error.message
+      });
+    }
+  });
+
+  // Merge Tabs - move every line of the source tab onto the target
+  socket.on('pos:mergeTabs', async (data, callback) => {
+    console.log('Merging tabs:', { sourceOrderId: data.sourceOrderId, targetOrderId: data.targetOrderId });
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get both orders and check they can be merged
+      if (!data.sourceOrderId || !data.targetOrderId || data.sourceOrderId === data.targetOrderId) {
+        return callback?.({
+          success: false,
+          message: 'Two different orders are required'
+        });
+      }
+
+      const source = await posDB.get(data.sourceOrderId);
+      const target = await posDB.get(data.targetOrderId);
+      if (source.branchId !== target.branchId) {
+        return callback?.({
+          success: false,
+          message: 'Orders must belong to the same branch'
+        });
+      }
+
+      const settings = await getRestaurantSettings(settingsDB, target.restaurantId);
+      const editError = getOrderEditError(source, settings.pos) || getOrderEditError(target, settings.pos);
+      if (editError) {
+        return callback?.({
+          success: false,
+          message: editError
+        });
+      }
+      if ((source.payments || []).some(payment => payment.status === 'approved')) {
+        return callback?.({
+          success: false,
+          message: 'Cannot merge an order that already has payments'
+        });
+      }
+
+      // 3. Move the lines. Stock was already deducted and fired lines were
+      // already sent, so inventory and the kitchen are unchanged. The special
+      // portions the source took move with its lines, so they are not counted twice.
+      const mergedAt = new Date().toISOString();
+      const specialPortions = { ...(target.specialPortions || {}) };
+      Object.entries(source.specialPortions || {}).forEach(([ruleId, quantity]) => {
+        specialPortions[ruleId] = (specialPortions[ruleId] || 0) + quantity;
+      });
+      const repriced = await repriceWithPromotions({
+        ...target,
+        orderItems: [
+          ...target.orderItems,
+          ...source.orderItems.map(item => ({ ...item, mergedFrom: source._id }))
+        ],
+        specialPortions,
+        mergedOrders: [...(target.mergedOrders || []), source._id],
+        updatedAt: mergedAt,
+        updatedBy: sessionValidation.user._id
+      }, settings);
+      const updatedTarget = repriced.order;
+
+      // Whatever the merged order no longer prices with goes back: the
+      // source's coupons and its portions of other specials
+      const releasedUses = (source.redeemedCoupons || []).map(ruleId => ({
+        promotion: { ruleId, source: 'coupon' },
+        quantity: 1
+      }));
+      Object.entries(source.specialPortions || {}).forEach(([ruleId, quantity]) => {
+        if (quantity > 0 && ruleId !== updatedTarget.appliedPromotion?.ruleId) {
+          releasedUses.push({ promotion: { ruleId, source: 'special' }, quantity });
+          updatedTarget.specialPortions[ruleId] -= quantity;
+        }
+      });
+      const updatedSource = {
+        ...source,
+        redeemedCoupons: [],
+        specialPortions: {},
+        paymentStatus: 'Cancelled',
+        tabStatus: 'merged',
+        mergedInto: target._id,
+        updatedAt: mergedAt,
+        updatedBy: sessionValidation.user._id
+      };
+
+      // 4. Save changes
+      try {
+        await posDB.put(updatedTarget);
+      } catch (error) {
+        await releaseOrderPromotionUse(updatedTarget, repriced.promotionUse);
+        throw error;
+      }
+      await posDB.put(updatedSource);
+      for (const { promotion, quantity } of releasedUses) {
+        await releasePromotionUse(specialsDB, promotion, quantity)
+          .catch(error => console.error('Failed to release promotion use:', error));
+      }
+
+      // 5. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'pos',
+        action: 'mergeTabs',
+        orderId: target._id,
+        sourceOrderId: source._id,
+        userId: sessionValidation.user._id,
+        restaurantId: target.restaurantId,
+        branchId: target.branchId,
+        before: snapshotAmounts(target),
+        after: snapshotAmounts(updatedTarget),
+        timestamp: mergedAt,
+        level: 'info',
+        message: `Order ${source.orderNumber} merged into ${target.orderNumber}`
+      });
+
+      // 6. Emit events to other clients
+      socket.broadcast.emit('pos:orderUpdated', updatedTarget);
+      socket.broadcast.emit('pos:orderUpdated', updatedSource);
+
+      // 7. Send success response
+      callback?.({
+        success: true,
+        message: 'Tabs merged successfully',
+        data: updatedTarget
+      });
+
+    } catch (error) {
+      console.error('Error merging tabs:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to merge tabs',
         error: error.message
       });
     }
@@ -595,6 +3430,9 @@ export const registerSocketEvents = (socket, {
       if (data.status) {
         query.selector.paymentStatus = data.status;
       }
+      if (data.tabStatus) {
+        query.selector.tabStatus = data.tabStatus;
+      }
 
       // 3. Execute query
       const result = await posDB.find(query);
@@ -787,12 +3625,24 @@ export const registerSocketEvents = (socket, {
       const filePath = path.join(receiptsDir, `receipt_${order._id}_${new Date().toISOString().split('T')[0]}.txt`);
       fs.writeFileSync(filePath, receipt.text);
 
+      // Send to the receipt printer when asked
+      let printJobId = null;
+      if (data.print) {
+        const settings = await getRestaurantSettings(settingsDB, order.restaurantId);
+        printJobId = await queuePrint(settings, data.station || 'receipt', receipt, {
+          openDrawer: Boolean(data.openDrawer),
+          description: `receipt ${order.orderNumber}`,
+          paperSize: restaurant.receiptSettings?.paperSize
+        });
+      }
+
       callback?.({
         success: true,
         message: 'Receipt generated successfully',
         data: {
           text: receipt.text,
-          filePath
+          filePath,
+          printJobId
         }
       });
 
@@ -903,4 +3753,4 @@ export default async function orderRoutes(fastify, options) {
   });
 }
 
-export { generateReceipt };
+export { generateReceipt, generateDrawerReport, buildSplitChecks, summarizePayments, applyTenders };
@@ -0,0 +1,137 @@
+import { v4 as uuidv4 } from 'uuid';
+import { validateUserSession } from './utils.js';
+import { getRestaurantSettings } from './settings.js';
+import { receiptToBlocks } from '../utils/escpos.js';
+import { printQueue, printToStation } from '../utils/printing.js';
+
+export const registerSocketEvents = (socket, {
+  settingsDB,
+  sessionDB,
+  logsDB
+}) => {
+  if (!settingsDB || !sessionDB || !logsDB) {
+    console.error('Missing required database dependencies for printer routes');
+    return;
+  }
+
+  // Test Print - prints a sample page on a station and waits for the result
+  socket.on('printer:testPrint', async (data, callback) => {
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Build the test page
+      const settings = await getRestaurantSettings(settingsDB, data.restaurantId);
+      const station = data.station || 'receipt';
+      const testPage = {
+        text: [
+          'PRINTER TEST',
+          `Station: ${station}`,
+          new Date().toLocaleString(),
+          'Normal text',
+          'Bold text',
+          'Large text'
+        ].join('\n'),
+        images: [],
+        emphasis: [
+          { prefix: 'PRINTER TEST', bold: true, doubleHeight: true, align: 'center' },
+          { prefix: 'Bold text', bold: true },
+          { prefix: 'Large text', doubleHeight: true }
+        ]
+      };
+
+      // 3. Print it, including retries
+      const queued = await printToStation(settings.printing, station, receiptToBlocks(testPage), {
+        openDrawer: Boolean(data.openDrawer),
+        description: 'test page'
+      });
+      if (!queued) {
+        return callback?.({
+          success: false,
+          message: `No printer is configured for ${station}`
+        });
+      }
+      const job = await queued.done;
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'printing',
+        action: 'testPrint',
+        jobId: job.jobId,
+        station,
+        userId: sessionValidation.user._id,
+        restaurantId: data.restaurantId,
+        timestamp: new Date().toISOString(),
+        level: job.status === 'printed' ? 'info' : 'error',
+        message: `Test page on ${station} ${job.status}${job.lastError ? `: ${job.lastError}` : ''}`
+      });
+
+      // 5. Send response
+      callback?.({
+        success: job.status === 'printed',
+        message: job.status === 'printed' ? 'Test page printed' : `Test page failed: ${job.lastError}`,
+        data: {
+          jobId: job.jobId,
+          status: job.status,
+          attempts: job.attempts
+        }
+      });
+
+    } catch (error) {
+      console.error('Error printing test page:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to print test page',
+        error: error.message
+      });
+    }
+  });
+
+  // Get Print Queue
+  socket.on('printer:getQueue', async (data, callback) => {
+    try {
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'cashier', 'kitchen'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      const jobs = printQueue.getJobs()
+        .filter(job => !data.station || job.station === data.station)
+        .filter(job => !data.status || job.status === data.status);
+
+      callback?.({
+        success: true,
+        data: jobs
+      });
+
+    } catch (error) {
+      console.error('Error getting print queue:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to get print queue',
+        error: error.message
+      });
+    }
+  });
+};
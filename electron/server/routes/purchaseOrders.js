@@ -0,0 +1,922 @@
+import { v4 as uuidv4 } from 'uuid';
+import validator from 'validator';
+import sanitizeHtml from 'sanitize-html';
+import { validateUserSession } from './utils.js';
+import { getRestaurantSettings } from './settings.js';
+import { recordInventoryTransaction, broadcastInventoryTransaction } from './inventory.js';
+import { checkIngredientUnit } from '../utils/units.js';
+
+// Where a purchase order can go from each status. Receiving moves a sent
+// order to partially_received or received by itself.
+const STATUS_TRANSITIONS = {
+  draft: ['approved', 'cancelled'],
+  approved: ['sent', 'cancelled'],
+  sent: [],
+  partially_received: ['closed'],
+  received: ['closed'],
+  closed: [],
+  cancelled: []
+};
+
+// Orders that still expect stock from the supplier
+const OPEN_STATUSES = ['draft', 'approved', 'sent', 'partially_received'];
+
+// Statuses that can take a delivery
+const RECEIVABLE_STATUSES = ['sent', 'partially_received'];
+
+// Unit prices within a cent of the order are not a difference
+const PRICE_TOLERANCE = 0.01;
+
+// Attempts at saving a receipt while the order is being changed elsewhere
+const MAX_CONFLICT_RETRIES = 5;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const getOrderTotal = (items) => roundMoney(items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0));
+
+const validatePurchaseOrder = (data) => {
+  const errors = [];
+  const sanitizedData = {
+    supplierId: data.supplierId,
+    items: (Array.isArray(data.items) ? data.items : []).map(item => ({
+      ingredientId: item.ingredientId,
+      quantity: Number(item.quantity),
+      unit: item.unit ? sanitizeHtml(item.unit) : undefined,
+      unitPrice: Number(item.unitPrice) || 0
+    })),
+    expectedDeliveryDate: data.expectedDeliveryDate || null,
+    notes: sanitizeHtml(data.notes || ''),
+    restaurantId: data.restaurantId,
+    branchId: data.branchId
+  };
+
+  if (!sanitizedData.supplierId) {
+    errors.push('Supplier is required');
+  }
+
+  if (sanitizedData.items.length === 0) {
+    errors.push('At least one item is required');
+  }
+
+  sanitizedData.items.forEach((item, index) => {
+    if (!item.ingredientId) {
+      errors.push(`Item ${index + 1}: ingredient is required`);
+    }
+    if (!Number.isFinite(item.quantity) || item.quantity <= 0) {
+      errors.push(`Item ${index + 1}: quantity must be greater than zero`);
+    }
+    if (item.unitPrice < 0) {
+      errors.push(`Item ${index + 1}: unit price cannot be negative`);
+    }
+  });
+
+  const ingredientIds = sanitizedData.items.map(item => item.ingredientId);
+  if (new Set(ingredientIds).size !== ingredientIds.length) {
+    errors.push('Each ingredient can only be ordered once per purchase order');
+  }
+
+  if (sanitizedData.expectedDeliveryDate && !validator.isISO8601(sanitizedData.expectedDeliveryDate)) {
+    errors.push('Invalid expected delivery date');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitizedData
+  };
+};
+
+const validateReceipt = (data, purchaseOrder, inventorySettings) => {
+  const errors = [];
+  const sanitizedData = {
+    items: (Array.isArray(data.items) ? data.items : []).map(item => ({
+      ingredientId: item.ingredientId,
+      quantity: Number(item.quantity),
+      unitPrice: item.unitPrice === undefined || item.unitPrice === '' ? undefined : Number(item.unitPrice),
+      supplierBatchNumber: item.supplierBatchNumber ? sanitizeHtml(item.supplierBatchNumber) : undefined,
+      expiryDate: item.expiryDate || undefined,
+      qualityCheck: item.qualityCheck !== false
+    })).filter(item => item.quantity !== 0),
+    notes: sanitizeHtml(data.notes || ''),
+    receiptId: data.receiptId ? sanitizeHtml(data.receiptId) : undefined
+  };
+
+  if (sanitizedData.items.length === 0) {
+    errors.push('At least one received item is required');
+  }
+
+  sanitizedData.items.forEach(item => {
+    const orderItem = purchaseOrder.items.find(entry => entry.ingredientId === item.ingredientId);
+    const label = orderItem?.ingredientName || item.ingredientId;
+    if (!orderItem) {
+      errors.push(`${label} is not on this purchase order`);
+      return;
+    }
+    if (!Number.isFinite(item.quantity) || item.quantity < 0) {
+      errors.push(`${label}: received quantity must be a positive number`);
+    }
+    if (item.unitPrice !== undefined && (!Number.isFinite(item.unitPrice) || item.unitPrice < 0)) {
+      errors.push(`${label}: unit price must be a positive number`);
+    }
+    if (item.expiryDate && !validator.isISO8601(item.expiryDate)) {
+      errors.push(`${label}: invalid expiry date`);
+    }
+    if (inventorySettings.requireBatchTracking && !item.supplierBatchNumber) {
+      errors.push(`${label}: batch number is required`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitizedData
+  };
+};
+
+/**
+ * Compare a delivered line with what is still outstanding on the order
+ * @param {Object} orderItem - Purchase order item before this delivery
+ * @param {Object} receivedItem - { quantity, unitPrice } delivered
+ * @returns {Array} - [{ type, expected, actual, difference }] type is over, short or price
+ */
+const findVariances = (orderItem, receivedItem) => {
+  const variances = [];
+  const outstanding = Math.max(orderItem.quantity - orderItem.receivedQuantity, 0);
+  if (receivedItem.quantity !== outstanding) {
+    variances.push({
+      type: receivedItem.quantity > outstanding ? 'over' : 'short',
+      expected: outstanding,
+      actual: receivedItem.quantity,
+      difference: receivedItem.quantity - outstanding
+    });
+  }
+  if (Math.abs(receivedItem.unitPrice - orderItem.unitPrice) >= PRICE_TOLERANCE) {
+    variances.push({
+      type: 'price',
+      expected: orderItem.unitPrice,
+      actual: receivedItem.unitPrice,
+      difference: roundMoney(receivedItem.unitPrice - orderItem.unitPrice)
+    });
+  }
+  return variances;
+};
+
+/**
+ * Book the posted lines of a delivery onto the order. A receipt already on
+ * the order under the same id, left by an attempt that failed part way, is
+ * extended rather than added again.
+ * @param {Object} purchaseOrder - Purchase order document
+ * @param {Object} receipt - { receiptId, items, notes } with the lines posted this time
+ * @param {string} userId - Receiving user
+ * @param {string} now - ISO date of the delivery
+ * @returns {Object} - Updated purchase order
+ */
+const applyReceipt = (purchaseOrder, receipt, userId, now) => {
+  const items = purchaseOrder.items.map(item => ({ ...item }));
+  receipt.items.forEach(line => {
+    const orderItem = items.find(item => item.ingredientId === line.ingredientId);
+    orderItem.receivedQuantity += line.quantity;
+    orderItem.receivedCost = roundMoney(orderItem.receivedCost + line.quantity * line.unitPrice);
+  });
+
+  const existing = purchaseOrder.receipts.find(entry => entry.receiptId === receipt.receiptId);
+  const receipts = existing
+    ? purchaseOrder.receipts.map(entry => (entry === existing
+      ? { ...existing, items: [...existing.items, ...receipt.items], notes: receipt.notes || existing.notes }
+      : entry))
+    : [...purchaseOrder.receipts, { ...receipt, receivedBy: userId, receivedAt: now }];
+
+  // The order is received once every line has arrived in full
+  const status = items.every(item => item.receivedQuantity >= item.quantity) ? 'received' : 'partially_received';
+  return {
+    ...purchaseOrder,
+    items,
+    status,
+    receivedTotal: roundMoney(items.reduce((sum, item) => sum + item.receivedCost, 0)),
+    receipts,
+    variances: [
+      ...purchaseOrder.variances,
+      ...receipt.items.flatMap(item => item.variances.map(variance => ({
+        ingredientId: item.ingredientId,
+        ingredientName: item.ingredientName,
+        ...variance,
+        receivedAt: now
+      })))
+    ],
+    statusHistory: status === purchaseOrder.status
+      ? purchaseOrder.statusHistory
+      : [...purchaseOrder.statusHistory, { status, changedAt: now, changedBy: userId }],
+    updatedAt: now,
+    updatedBy: userId
+  };
+};
+
+export const registerSocketEvents = (socket, {
+  db: suppliersDB,
+  ingredientsDB,
+  inventoryTransactionsDB,
+  notificationsDB,
+  settingsDB,
+  sessionDB,
+  logsDB
+}) => {
+  if (!suppliersDB || !ingredientsDB || !inventoryTransactionsDB || !sessionDB) {
+    console.error('Missing required database dependencies for purchase order routes');
+    return;
+  }
+
+  // Order lines with the ingredient name at the time of ordering. Lines
+  // can be ordered in any unit that converts to the stock unit, such as cases.
+  const buildOrderItems = async (items) => {
+    const errors = [];
+    const orderItems = await Promise.all(items.map(async (item) => {
+      const ingredient = await ingredientsDB.get(item.ingredientId);
+      const unitError = checkIngredientUnit(item.unit, ingredient);
+      if (unitError) errors.push(unitError);
+      return {
+        ingredientId: ingredient._id,
+        ingredientName: ingredient.name,
+        unit: item.unit || ingredient.unit,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        receivedQuantity: 0,
+        receivedCost: 0
+      };
+    }));
+    return { orderItems, errors };
+  };
+
+  const createPurchaseOrder = async (fields, supplier, user) => {
+    const now = new Date().toISOString();
+    const purchaseOrder = {
+      _id: `purchase_order_${uuidv4()}`,
+      type: 'purchaseOrder',
+      orderNumber: `PO-${now.slice(2, 10).replace(/-/g, '')}-${uuidv4().slice(0, 4).toUpperCase()}`,
+      ...fields,
+      supplierId: supplier._id,
+      supplierName: supplier.name,
+      status: 'draft',
+      total: getOrderTotal(fields.items),
+      receipts: [],
+      variances: [],
+      statusHistory: [{ status: 'draft', changedAt: now, changedBy: user._id }],
+      createdBy: user._id,
+      createdAt: now,
+      updatedAt: now
+    };
+    await suppliersDB.put(purchaseOrder);
+    return purchaseOrder;
+  };
+
+  const savePurchaseOrder = async (purchaseOrder) => {
+    const saved = await suppliersDB.put(purchaseOrder);
+    return { ...purchaseOrder, _rev: saved.rev };
+  };
+
+  const updatePurchaseOrder = async (purchaseOrderId, applyChange) => {
+    for (let attempt = 1; ; attempt++) {
+      const purchaseOrder = await suppliersDB.get(purchaseOrderId);
+      try {
+        return await savePurchaseOrder(applyChange(purchaseOrder));
+      } catch (error) {
+        if (error.status !== 409 || attempt >= MAX_CONFLICT_RETRIES) {
+          throw error;
+        }
+      }
+    }
+  };
+
+  const logPurchaseOrder = (purchaseOrder, action, user, message, level = 'info') => logsDB.put({
+    _id: `log_${uuidv4()}`,
+    type: 'log',
+    category: 'purchaseOrders',
+    action,
+    purchaseOrderId: purchaseOrder._id,
+    supplierId: purchaseOrder.supplierId,
+    userId: user._id,
+    timestamp: new Date().toISOString(),
+    level,
+    message
+  });
+
+  // Create Purchase Order - starts as a draft
+  socket.on('purchaseOrders:create', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Validate purchase order data
+      const validationResult = validatePurchaseOrder(data);
+      if (!validationResult.isValid) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: validationResult.errors
+        });
+      }
+
+      const supplier = await suppliersDB.get(validationResult.sanitizedData.supplierId);
+      if (supplier.status === 'inactive') {
+        return callback?.({
+          success: false,
+          message: `${supplier.name} is inactive`
+        });
+      }
+
+      const { orderItems, errors } = await buildOrderItems(validationResult.sanitizedData.items);
+      if (errors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      // 3. Create the draft
+      const purchaseOrder = await createPurchaseOrder(
+        {
+          ...validationResult.sanitizedData,
+          items: orderItems
+        },
+        supplier,
+        sessionValidation.user
+      );
+
+      // 4. Log the action
+      await logPurchaseOrder(
+        purchaseOrder,
+        'create',
+        sessionValidation.user,
+        `Purchase order ${purchaseOrder.orderNumber} drafted for ${supplier.name}`
+      );
+
+      // 5. Emit event to other clients
+      socket.broadcast.emit('purchaseOrders:updated', purchaseOrder);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: 'Purchase order created successfully',
+        data: purchaseOrder
+      });
+
+    } catch (error) {
+      console.error('Error creating purchase order:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to create purchase order',
+        error: error.message
+      });
+    }
+  });
+
+  // Generate Purchase Orders - drafts one order per supplier for every
+  // ingredient at or below its minimum stock level that is not already on
+  // an open order. The quantity brings stock back to twice the minimum.
+  socket.on('purchaseOrders:generate', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get low stock ingredients not already on order
+      const [ingredientsResult, openOrdersResult] = await Promise.all([
+        ingredientsDB.find({
+          selector: {
+            type: 'ingredient',
+            restaurantId: data.restaurantId,
+            branchId: data.branchId
+          }
+        }),
+        suppliersDB.find({
+          selector: {
+            type: 'purchaseOrder',
+            branchId: data.branchId,
+            status: { $in: OPEN_STATUSES }
+          }
+        })
+      ]);
+      const onOrder = new Set(openOrdersResult.docs.flatMap(order => order.items.map(item => item.ingredientId)));
+      const lowStock = ingredientsResult.docs.filter(ingredient =>
+        ingredient.isActive !== false &&
+        ingredient.stockLevel <= ingredient.minimumStockLevel &&
+        !onOrder.has(ingredient._id)
+      );
+
+      // 3. Group by supplier
+      const bySupplier = new Map();
+      const unassigned = [];
+      for (const ingredient of lowStock) {
+        const orderQuantity = Math.max(ingredient.minimumStockLevel * 2 - ingredient.stockLevel, 0);
+        if (orderQuantity <= 0) continue;
+
+        const supplierId = ingredient.supplierInfo?.supplierId;
+        if (!supplierId) {
+          unassigned.push({ ingredientId: ingredient._id, name: ingredient.name });
+          continue;
+        }
+        if (!bySupplier.has(supplierId)) bySupplier.set(supplierId, []);
+        bySupplier.get(supplierId).push({
+          ingredientId: ingredient._id,
+          quantity: orderQuantity,
+          unitPrice: ingredient.cost || 0
+        });
+      }
+
+      // 4. Draft an order per supplier
+      const purchaseOrders = [];
+      for (const [supplierId, items] of bySupplier) {
+        const supplier = await suppliersDB.get(supplierId).catch(() => null);
+        if (!supplier || supplier.status === 'inactive') {
+          unassigned.push(...items.map(item => ({
+            ingredientId: item.ingredientId,
+            name: lowStock.find(ingredient => ingredient._id === item.ingredientId).name
+          })));
+          continue;
+        }
+
+        const purchaseOrder = await createPurchaseOrder(
+          {
+            items: (await buildOrderItems(items)).orderItems,
+            expectedDeliveryDate: null,
+            notes: 'Generated from low stock',
+            restaurantId: data.restaurantId,
+            branchId: data.branchId
+          },
+          supplier,
+          sessionValidation.user
+        );
+        purchaseOrders.push(purchaseOrder);
+
+        await logPurchaseOrder(
+          purchaseOrder,
+          'generate',
+          sessionValidation.user,
+          `Purchase order ${purchaseOrder.orderNumber} generated for ${supplier.name} with ${items.length} low stock items`
+        );
+        socket.broadcast.emit('purchaseOrders:updated', purchaseOrder);
+      }
+
+      // 5. Send response
+      callback?.({
+        success: true,
+        message: purchaseOrders.length > 0
+          ? `${purchaseOrders.length} purchase orders drafted`
+          : 'No ingredients need ordering',
+        data: {
+          purchaseOrders,
+          unassigned
+        }
+      });
+
+    } catch (error) {
+      console.error('Error generating purchase orders:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to generate purchase orders',
+        error: error.message
+      });
+    }
+  });
+
+  // Update Purchase Order - only drafts can be edited
+  socket.on('purchaseOrders:update', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the order and check it is still a draft
+      const purchaseOrder = await suppliersDB.get(data.purchaseOrderId);
+      if (purchaseOrder.status !== 'draft') {
+        return callback?.({
+          success: false,
+          message: 'Only draft purchase orders can be edited'
+        });
+      }
+
+      // 3. Validate the changes
+      const validationResult = validatePurchaseOrder({
+        supplierId: purchaseOrder.supplierId,
+        items: purchaseOrder.items,
+        expectedDeliveryDate: purchaseOrder.expectedDeliveryDate,
+        notes: purchaseOrder.notes,
+        ...data
+      });
+      if (!validationResult.isValid) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: validationResult.errors
+        });
+      }
+
+      const { supplierId, items, expectedDeliveryDate, notes } = validationResult.sanitizedData;
+      const supplier = supplierId === purchaseOrder.supplierId
+        ? { _id: purchaseOrder.supplierId, name: purchaseOrder.supplierName }
+        : await suppliersDB.get(supplierId);
+      const { orderItems, errors } = await buildOrderItems(items);
+      if (errors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      // 4. Save the draft
+      const updatedOrder = await savePurchaseOrder({
+        ...purchaseOrder,
+        supplierId: supplier._id,
+        supplierName: supplier.name,
+        items: orderItems,
+        total: getOrderTotal(orderItems),
+        expectedDeliveryDate,
+        notes,
+        updatedAt: new Date().toISOString(),
+        updatedBy: sessionValidation.user._id
+      });
+
+      // 5. Log the action
+      await logPurchaseOrder(
+        updatedOrder,
+        'update',
+        sessionValidation.user,
+        `Purchase order ${updatedOrder.orderNumber} updated`
+      );
+
+      // 6. Emit event to other clients
+      socket.broadcast.emit('purchaseOrders:updated', updatedOrder);
+
+      // 7. Send success response
+      callback?.({
+        success: true,
+        message: 'Purchase order updated successfully',
+        data: updatedOrder
+      });
+
+    } catch (error) {
+      console.error('Error updating purchase order:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to update purchase order',
+        error: error.message
+      });
+    }
+  });
+
+  // Change Purchase Order Status - approve, send, close or cancel
+  socket.on('purchaseOrders:updateStatus', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the order and check the change is allowed
+      const purchaseOrder = await suppliersDB.get(data.purchaseOrderId);
+      if (!STATUS_TRANSITIONS[purchaseOrder.status]?.includes(data.status)) {
+        return callback?.({
+          success: false,
+          message: `A ${purchaseOrder.status.replace('_', ' ')} purchase order cannot be marked ${data.status}`
+        });
+      }
+
+      // 3. Apply the change. A sent order expects delivery after the supplier's lead time.
+      const now = new Date().toISOString();
+      const changes = { status: data.status };
+      if (data.status === 'approved') {
+        changes.approvedBy = sessionValidation.user._id;
+        changes.approvedAt = now;
+      }
+      if (data.status === 'sent') {
+        changes.sentAt = now;
+        if (!purchaseOrder.expectedDeliveryDate) {
+          const supplier = await suppliersDB.get(purchaseOrder.supplierId).catch(() => null);
+          const deliveryDate = new Date(now);
+          deliveryDate.setDate(deliveryDate.getDate() + (supplier?.leadTime || 0));
+          changes.expectedDeliveryDate = deliveryDate.toISOString();
+        }
+      }
+      if (data.status === 'closed') {
+        changes.closedAt = now;
+      }
+      if (data.status === 'cancelled') {
+        changes.cancelledAt = now;
+        changes.cancellationReason = sanitizeHtml(data.reason || '');
+      }
+
+      const updatedOrder = await savePurchaseOrder({
+        ...purchaseOrder,
+        ...changes,
+        statusHistory: [
+          ...purchaseOrder.statusHistory,
+          { status: data.status, changedAt: now, changedBy: sessionValidation.user._id }
+        ],
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      });
+
+      // 4. Log the action
+      const outstanding = updatedOrder.items.filter(item => item.receivedQuantity < item.quantity);
+      await logPurchaseOrder(
+        updatedOrder,
+        data.status,
+        sessionValidation.user,
+        `Purchase order ${updatedOrder.orderNumber} ${data.status}` +
+          (data.status === 'closed' && outstanding.length > 0 ? ` with ${outstanding.length} items not delivered in full` : '')
+      );
+
+      // 5. Emit event to other clients
+      socket.broadcast.emit('purchaseOrders:updated', updatedOrder);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: `Purchase order ${data.status}`,
+        data: updatedOrder
+      });
+
+    } catch (error) {
+      console.error('Error updating purchase order status:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to update purchase order status',
+        error: error.message
+      });
+    }
+  });
+
+  // Receive Purchase Order - books a delivery into stock. Each line is
+  // posted as an Add transaction with its own batch, and quantities or
+  // prices that differ from the order are flagged.
+  socket.on('purchaseOrders:receive', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'kitchen'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the order and validate the delivery. A retry of a delivery
+      // that failed part way may finish an order it already filled.
+      const purchaseOrder = await suppliersDB.get(data.purchaseOrderId);
+      const retriedReceipt = data.receiptId
+        ? purchaseOrder.receipts.find(receipt => receipt.receiptId === data.receiptId)
+        : null;
+      if (!RECEIVABLE_STATUSES.includes(purchaseOrder.status) && !(retriedReceipt && purchaseOrder.status === 'received')) {
+        return callback?.({
+          success: false,
+          message: 'Only sent purchase orders can be received'
+        });
+      }
+
+      const settings = await getRestaurantSettings(settingsDB, purchaseOrder.restaurantId);
+      const validationResult = validateReceipt(data, purchaseOrder, settings.inventory);
+      if (!validationResult.isValid) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: validationResult.errors
+        });
+      }
+
+      // 3. Post each line to stock. Lines posted by an earlier attempt at
+      // this delivery are skipped; a line that fails does not stop the rest.
+      const now = new Date().toISOString();
+      const receiptId = validationResult.sanitizedData.receiptId || `receipt_${uuidv4()}`;
+      const postedIds = new Set((retriedReceipt?.items || [])
+        .filter(item => item.transactionId)
+        .map(item => item.ingredientId));
+      const items = purchaseOrder.items.map(item => ({ ...item }));
+      const receiptItems = [];
+      const recorded = [];
+      const failures = [];
+      for (const receivedItem of validationResult.sanitizedData.items) {
+        const orderItem = items.find(item => item.ingredientId === receivedItem.ingredientId);
+        if (postedIds.has(orderItem.ingredientId)) continue;
+        const unitPrice = receivedItem.unitPrice ?? orderItem.unitPrice;
+        const variances = findVariances(orderItem, { quantity: receivedItem.quantity, unitPrice });
+        const batchId = uuidv4();
+
+        try {
+          const result = await recordInventoryTransaction(
+            { inventoryTransactionsDB, ingredientsDB, logsDB, notificationsDB },
+            {
+              transactionType: 'Add',
+              ingredientId: orderItem.ingredientId,
+              ingredientName: orderItem.ingredientName,
+              quantity: receivedItem.quantity,
+              unit: orderItem.unit,
+              batchId,
+              expiryDate: settings.inventory.trackExpiryDates ? receivedItem.expiryDate : undefined,
+              reason: `Received on purchase order ${purchaseOrder.orderNumber}`,
+              relatedDocumentId: purchaseOrder._id,
+              relatedDocumentType: 'purchaseOrder',
+              supplierId: purchaseOrder.supplierId,
+              expectedDeliveryDate: purchaseOrder.expectedDeliveryDate,
+              cost: roundMoney(receivedItem.quantity * unitPrice),
+              restaurantId: purchaseOrder.restaurantId,
+              branchId: purchaseOrder.branchId,
+              batchInfo: {
+                receivedDate: now,
+                supplierBatchNumber: receivedItem.supplierBatchNumber,
+                qualityCheck: receivedItem.qualityCheck,
+                qualityCheckDate: now,
+                qualityCheckBy: sessionValidation.user._id
+              }
+            },
+            sessionValidation.user
+          );
+          if (!result.success) {
+            throw new Error(result.errors?.join(', ') || result.message);
+          }
+          recorded.push(result);
+
+          orderItem.receivedQuantity += receivedItem.quantity;
+          receiptItems.push({
+            ingredientId: orderItem.ingredientId,
+            ingredientName: orderItem.ingredientName,
+            quantity: receivedItem.quantity,
+            unitPrice,
+            batchId,
+            supplierBatchNumber: receivedItem.supplierBatchNumber,
+            expiryDate: receivedItem.expiryDate,
+            transactionId: result.transaction._id,
+            variances
+          });
+        } catch (error) {
+          failures.push(`${orderItem.ingredientName}: ${error.message}`);
+        }
+      }
+      recorded.forEach(result => broadcastInventoryTransaction(socket, result));
+
+      // 4. Save whatever was posted, so stock is never booked without its receipt
+      let updatedOrder = purchaseOrder;
+      if (receiptItems.length > 0) {
+        updatedOrder = await updatePurchaseOrder(purchaseOrder._id, current => applyReceipt(
+          current,
+          { receiptId, items: receiptItems, notes: validationResult.sanitizedData.notes },
+          sessionValidation.user._id,
+          now
+        ));
+        socket.broadcast.emit('purchaseOrders:updated', updatedOrder);
+      }
+      const variances = receiptItems.flatMap(item => item.variances.map(variance => ({
+        ingredientId: item.ingredientId,
+        ingredientName: item.ingredientName,
+        ...variance,
+        receivedAt: now
+      })));
+
+      if (failures.length > 0) {
+        await logPurchaseOrder(
+          updatedOrder,
+          'receive',
+          sessionValidation.user,
+          `Delivery on purchase order ${updatedOrder.orderNumber} could not post every line: ${failures.join('; ')}`,
+          'error'
+        );
+        return callback?.({
+          success: false,
+          message: receiptItems.length > 0
+            ? 'Some lines could not be received; receive again to post the rest'
+            : 'Failed to receive purchase order',
+          errors: failures,
+          data: {
+            purchaseOrder: updatedOrder,
+            receiptId
+          }
+        });
+      }
+
+      // 5. Log the action
+      await logPurchaseOrder(
+        updatedOrder,
+        'receive',
+        sessionValidation.user,
+        `Delivery received on purchase order ${updatedOrder.orderNumber}` +
+          (variances.length > 0 ? ` with ${variances.length} differences from the order` : ''),
+        variances.length > 0 ? 'warning' : 'info'
+      );
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: variances.length > 0
+          ? `Delivery received with ${variances.length} differences from the order`
+          : 'Delivery received',
+        data: {
+          purchaseOrder: updatedOrder,
+          receiptId,
+          variances
+        }
+      });
+
+    } catch (error) {
+      console.error('Error receiving purchase order:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to receive purchase order',
+        error: error.message
+      });
+    }
+  });
+
+  // List Purchase Orders
+  socket.on('purchaseOrders:list', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'kitchen'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Build query
+      const selector = {
+        type: 'purchaseOrder',
+        branchId: data.branchId,
+        createdAt: { $gte: data.startDate || new Date(0).toISOString() }
+      };
+      if (data.status) {
+        selector.status = Array.isArray(data.status) ? { $in: data.status } : data.status;
+      }
+      if (data.supplierId) {
+        selector.supplierId = data.supplierId;
+      }
+
+      // 3. Execute query
+      const result = await suppliersDB.find({ selector });
+
+      // 4. Send response, newest first
+      callback?.({
+        success: true,
+        data: result.docs.sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      });
+
+    } catch (error) {
+      console.error('Error listing purchase orders:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to list purchase orders',
+        error: error.message
+      });
+    }
+  });
+};
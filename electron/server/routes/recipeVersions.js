@@ -2,6 +2,7 @@ import { v4 as uuidv4 } from 'uuid';
 import validator from 'validator';
 import sanitizeHtml from 'sanitize-html';
 import { validateUserSession } from './utils.js';
+import { checkIngredientUnit, toStockUnit } from '../utils/units.js';
 
 const validateRecipeVersion = (data) => {
   const errors = [];
@@ -111,17 +112,31 @@ export const registerSocketEvents = (socket, {
         });
       }
 
-      // 5. Calculate cost per serving
+      // 5. Calculate cost per serving, pricing each quantity in its stock unit
       let totalCost = 0;
+      const unitErrors = [];
       for (const ingredient of validationResult.sanitizedData.ingredients) {
         try {
           const ingredientDoc = await ingredientsDB.get(ingredient.ingredientId);
-          totalCost += (ingredientDoc.cost || 0) * ingredient.quantity;
+          const stockQuantity = toStockUnit(ingredient.quantity, ingredient.unit, ingredientDoc);
+          if (stockQuantity === null) {
+            unitErrors.push(checkIngredientUnit(ingredient.unit, ingredientDoc));
+            continue;
+          }
+          totalCost += (ingredientDoc.cost || 0) * stockQuantity;
         } catch (error) {
           console.warn(`Could not calculate cost for ingredient ${ingredient.ingredientId}:`, error);
         }
       }
 
+      if (unitErrors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: unitErrors
+        });
+      }
+
       const costPerServing = totalCost / validationResult.sanitizedData.servingSize;
 
       // 6. Create recipe version document
@@ -285,6 +300,7 @@ export const registerSocketEvents = (socket, {
         ingredients: activatedVersion.ingredients,
         instructions: activatedVersion.instructions,
         costPerServing: activatedVersion.costPerServing,
+        preparationTime: activatedVersion.preparationTime || recipe.preparationTime,
         updatedAt: new Date().toISOString(),
         updatedBy: sessionValidation.user._id
       };
@@ -3,6 +3,8 @@ import validator from 'validator';
 import sanitizeHtml from 'sanitize-html';
 import slugify from 'slugify';
 import { validateUserSession } from './utils.js';
+import { checkIngredientUnit, toStockUnit } from '../utils/units.js';
+import { consumeBatches, getBatchUnitCost, getExpiringBatches } from '../utils/batches.js';
 
 /**
  * Validates recipe data
@@ -107,6 +109,8 @@ const validateRecipe = async (data, db, menuItemsDB, ingredientsDB, restaurantsD
         const ing = await ingredientsDB.get(ingredient.ingredientId).catch(() => null);
         if (!ing || !ing.isActive) {
           errors.push(`Invalid or inactive ingredient ID: ${ingredient.ingredientId}`);
+        } else if (checkIngredientUnit(ingredient.unit, ing)) {
+          errors.push(checkIngredientUnit(ingredient.unit, ing));
         }
       } catch (error) {
         console.error(`Error validating ingredient ID ${ingredient.ingredientId}:`, error);
@@ -138,10 +142,10 @@ const validateRecipe = async (data, db, menuItemsDB, ingredientsDB, restaurantsD
  * Calculates recipe cost per serving
  * @param {Array} ingredients - Recipe ingredients
  * @param {Object} ingredientsDB - PouchDB instance for ingredients
- * @param {string} inventoryMethod - FIFO or LIFO
+ * @param {string} inventoryMethod - FIFO, LIFO or FEFO; each ingredient's own method when not given
  * @returns {Promise<Object>} - Cost calculation result
  */
-const calculateRecipeCost = async (ingredients, ingredientsDB, inventoryMethod = 'FIFO') => {
+const calculateRecipeCost = async (ingredients, ingredientsDB, inventoryMethod) => {
   let totalCost = 0;
   let costBreakdown = [];
   let warnings = [];
@@ -149,28 +153,24 @@ const calculateRecipeCost = async (ingredients, ingredientsDB, inventoryMethod =
   for (const ingredient of ingredients) {
     try {
       const ing = await ingredientsDB.get(ingredient.ingredientId);
-      
-      // Calculate cost based on inventory method
-      let ingredientCost = 0;
-      if (ing.cost) {
-        if (inventoryMethod === 'FIFO' && ing.batches) {
-          // Use oldest batch first
-          const sortedBatches = [...ing.batches].sort((a, b) => 
-            new Date(a.receivedDate) - new Date(b.receivedDate)
-          );
-          ingredientCost = sortedBatches[0]?.cost || ing.cost;
-        } else if (inventoryMethod === 'LIFO' && ing.batches) {
-          // Use newest batch first
-          const sortedBatches = [...ing.batches].sort((a, b) => 
-            new Date(b.receivedDate) - new Date(a.receivedDate)
-          );
-          ingredientCost = sortedBatches[0]?.cost || ing.cost;
-        } else {
-          ingredientCost = ing.cost;
-        }
+
+      // Costs are per stock unit, so price the quantity in that unit
+      const stockQuantity = toStockUnit(ingredient.quantity, ingredient.unit, ing);
+      if (stockQuantity === null) {
+        warnings.push({
+          type: 'unit_mismatch',
+          ingredientId: ing._id,
+          name: ing.name,
+          error: checkIngredientUnit(ingredient.unit, ing)
+        });
+        continue;
       }
 
-      const ingredientTotalCost = ingredientCost * ingredient.quantity;
+      // Price it from the batches it would be drawn from under the inventory method
+      const ingredientTotalCost = consumeBatches(ing, stockQuantity, {
+        method: inventoryMethod || ing.inventoryMethod || 'FIFO'
+      }).cost;
+      const ingredientCost = stockQuantity > 0 ? ingredientTotalCost / stockQuantity : getBatchUnitCost(null, ing);
       totalCost += ingredientTotalCost;
 
       costBreakdown.push({
@@ -178,27 +178,26 @@ const calculateRecipeCost = async (ingredients, ingredientsDB, inventoryMethod =
         name: ing.name,
         quantity: ingredient.quantity,
         unit: ingredient.unit,
+        stockQuantity,
+        stockUnit: ing.unit,
         unitCost: ingredientCost,
         totalCost: ingredientTotalCost
       });
 
       // Check for potential issues
-      if (ing.stockLevel < ingredient.quantity) {
+      if (ing.stockLevel < stockQuantity) {
         warnings.push({
           type: 'low_stock',
           ingredientId: ing._id,
           name: ing.name,
-          required: ingredient.quantity,
+          required: stockQuantity,
           available: ing.stockLevel,
           unit: ing.unit
         });
       }
 
       if (ing.batches) {
-        const expiringBatches = ing.batches.filter(batch => 
-          batch.expiryDate && 
-          new Date(batch.expiryDate) < new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // 7 days
-        );
+        const expiringBatches = getExpiringBatches(ing, 7);
         if (expiringBatches.length > 0) {
           warnings.push({
             type: 'expiring_ingredient',
@@ -648,13 +647,15 @@ export const registerSocketEvents = (socket, {
       for (const ingredient of recipe.ingredients) {
         try {
           const ing = await ingredientsDB.get(ingredient.ingredientId);
-          if (!ing.isActive || ing.stockLevel < ingredient.quantity * scale) {
+          const required = toStockUnit(ingredient.quantity * scale, ingredient.unit, ing);
+          if (!ing.isActive || required === null || ing.stockLevel < required) {
             isAvailable = false;
             unavailableIngredients.push({
               id: ing._id,
               name: ing.name,
-              required: ingredient.quantity * scale,
+              required: required ?? ingredient.quantity * scale,
               available: ing.stockLevel,
+              unit: ing.unit,
             });
           }
         } catch (error) {
@@ -3,6 +3,7 @@ import { validateUserSession } from './utils.js';
 import * as XLSX from 'xlsx';
 import path from 'path';
 import fs from 'fs';
+import { summarizeWaitAccuracy, summarizeWaits } from '../utils/waitTimes.js';
 
 // Helper function to group data by date
 const groupByDate = (data, dateField) => {
@@ -76,6 +77,7 @@ export const registerSocketEvents = (socket, {
   menuItemsDB,
   inventoryTransactionsDB,
   ingredientsDB,
+  tablesDB,
   sessionDB,
   logsDB
 }) => {
@@ -229,12 +231,12 @@ export const registerSocketEvents = (socket, {
 
       // 6. Identify low stock items
       const lowStockItems = ingredientsResult.docs
-        .filter(ingredient => ingredient.stockLevel <= ingredient.minimumThreshold)
+        .filter(ingredient => ingredient.stockLevel <= ingredient.minimumStockLevel)
         .map(ingredient => ({
           ingredientId: ingredient._id,
           name: ingredient.name,
           currentStock: ingredient.stockLevel,
-          minimumThreshold: ingredient.minimumThreshold,
+          minimumStockLevel: ingredient.minimumStockLevel,
           unit: ingredient.unit
         }));
 
@@ -364,6 +366,54 @@ export const registerSocketEvents = (socket, {
     }
   });
 
+  // Waitlist Report - quoted against actual waits of walk-in parties
+  socket.on('reports:getWaitlistReport', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Query waitlist entries within date range
+      const entriesResult = await tablesDB.find({
+        selector: {
+          type: 'waitlistEntry',
+          branchId: data.branchId,
+          createdAt: {
+            $gte: data.startDate,
+            $lte: data.endDate
+          }
+        }
+      });
+
+      // 3. Send quoted against actual waits, per day and over the period
+      callback?.({
+        success: true,
+        data: {
+          daily: summarizeWaitAccuracy(entriesResult.docs),
+          periodTotals: summarizeWaits(entriesResult.docs)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error generating waitlist report:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to generate waitlist report',
+        error: error.message
+      });
+    }
+  });
+
   // Export Sales Report
   socket.on('reports:exportSales', async (data, callback) => {
     try {
@@ -478,8 +528,8 @@ export const registerSocketEvents = (socket, {
           'Total Used': totalOut,
           'Cost per Unit': ingredient.cost,
           'Total Value': ingredient.stockLevel * ingredient.cost,
-          'Minimum Threshold': ingredient.minimumThreshold,
-          'Status': ingredient.stockLevel <= ingredient.minimumThreshold ? 'Low Stock' : 'OK'
+          'Minimum Stock Level': ingredient.minimumStockLevel,
+          'Status': ingredient.stockLevel <= ingredient.minimumStockLevel ? 'Low Stock' : 'OK'
         };
       });
 
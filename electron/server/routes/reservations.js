@@ -0,0 +1,979 @@
+import { v4 as uuidv4 } from 'uuid';
+import validator from 'validator';
+import sanitizeHtml from 'sanitize-html';
+import { validateUserSession } from './utils.js';
+import { getRestaurantSettings } from './settings.js';
+
+// Reservations that still claim their table
+const ACTIVE_STATUSES = ['booked', 'seated'];
+
+// Minutes between the start times offered for a day
+const SLOT_INTERVAL = 15;
+
+// A party counts as a no-show once it is this many minutes late
+const NO_SHOW_GRACE_MINUTES = 15;
+
+// No booking runs longer than this, so overlap lookups only look back a day
+const MAX_DURATION = 12 * 60;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const HOLD_CHECK_INTERVAL = 60 * 1000;
+let tableHoldSweep = null;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Calendar date and clock time of a timestamp in the restaurant's local time
+const toLocalDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+const toLocalTime = (date) => `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+
+const addMinutes = (date, minutes) => new Date(new Date(date).getTime() + minutes * 60000);
+
+const overlaps = (startA, endA, startB, endB) => startA < endB && startB < endA;
+
+/**
+ * Opening and closing time of a branch on a date. A closing time before the
+ * opening time is taken as past midnight.
+ * @param {Object} branch - Branch document
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object|null} - { opensAt, closesAt } as Dates, null when the branch has no hours that day
+ */
+const getServiceWindow = (branch, date) => {
+  const day = WEEKDAYS[new Date(`${date}T00:00`).getDay()];
+  const hours = branch?.operatingHours?.[day];
+  if (!hours?.open || !hours?.close) return null;
+  const opensAt = new Date(`${date}T${hours.open}`);
+  let closesAt = new Date(`${date}T${hours.close}`);
+  if (closesAt <= opensAt) closesAt = addMinutes(closesAt, 24 * 60);
+  return { opensAt, closesAt };
+};
+
+/**
+ * Validate a booking against the reservation settings
+ * @param {Object} data - { customerName, customerPhone, customerEmail, partySize, date, time | startAt, duration, tableId, notes }
+ * @param {Object} tableSettings - settings.tables
+ * @param {Object} options - { checkNotice } notice rules only apply when the time is being set
+ * @returns {Object} - { isValid, errors, sanitizedData }
+ */
+const validateReservation = (data, tableSettings, { checkNotice = true } = {}) => {
+  const errors = [];
+  const start = data.date && data.time ? new Date(`${data.date}T${data.time}`) : new Date(data.startAt || data.reservationTime);
+  const sanitizedData = {
+    customerName: sanitizeHtml(data.customerName || '').trim(),
+    customerPhone: sanitizeHtml(data.customerPhone || '').trim(),
+    customerEmail: sanitizeHtml(data.customerEmail || '').trim(),
+    partySize: Number(data.partySize),
+    startAt: Number.isNaN(start.getTime()) ? null : start.toISOString(),
+    duration: data.duration === undefined || data.duration === null
+      ? tableSettings.defaultTurnoverTime
+      : Number(data.duration),
+    tableId: data.tableId || null,
+    notes: sanitizeHtml(data.notes || ''),
+    restaurantId: data.restaurantId,
+    branchId: data.branchId
+  };
+
+  if (!tableSettings.allowTableReservation) {
+    errors.push('Reservations are turned off for this restaurant');
+  }
+
+  if (!sanitizedData.restaurantId || !sanitizedData.branchId) {
+    errors.push('Restaurant and branch are required');
+  }
+
+  if (!validator.isLength(sanitizedData.customerName, { min: 1, max: 100 })) {
+    errors.push('Customer name is required and must be 1-100 characters');
+  }
+
+  if (sanitizedData.customerPhone && !validator.isMobilePhone(sanitizedData.customerPhone, 'any')) {
+    errors.push('Invalid phone number format');
+  }
+
+  if (sanitizedData.customerEmail && !validator.isEmail(sanitizedData.customerEmail)) {
+    errors.push('Invalid email format');
+  }
+
+  if (!Number.isInteger(sanitizedData.partySize) || sanitizedData.partySize <= 0) {
+    errors.push('Party size must be a whole number greater than zero');
+  } else if (sanitizedData.partySize > tableSettings.maxPartySize) {
+    errors.push(`Parties are limited to ${tableSettings.maxPartySize} guests`);
+  }
+
+  if (!Number.isInteger(sanitizedData.duration) || sanitizedData.duration < SLOT_INTERVAL || sanitizedData.duration > MAX_DURATION) {
+    errors.push(`Duration must be between ${SLOT_INTERVAL} and ${MAX_DURATION} minutes`);
+  }
+
+  if (!sanitizedData.startAt) {
+    errors.push('A valid reservation date and time is required');
+  } else if (checkNotice) {
+    const leadTime = new Date(sanitizedData.startAt).getTime() - Date.now();
+    if (leadTime < tableSettings.minReservationNotice * 60 * 60 * 1000) {
+      errors.push(`Reservations need at least ${tableSettings.minReservationNotice} hour(s) notice`);
+    }
+    if (leadTime > tableSettings.reservationWindow * DAY_MS) {
+      errors.push(`Reservations can only be made up to ${tableSettings.reservationWindow} days ahead`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitizedData
+  };
+};
+
+// Active reservations of a branch that overlap [startAt, endAt)
+const findOverlappingReservations = async (tablesDB, branchId, startAt, endAt, excludeId = null) => {
+  const result = await tablesDB.find({
+    selector: {
+      type: 'reservation',
+      branchId,
+      startAt: {
+        $gt: new Date(new Date(startAt).getTime() - DAY_MS).toISOString(),
+        $lt: endAt
+      }
+    }
+  });
+  return result.docs.filter(reservation =>
+    reservation._id !== excludeId &&
+    ACTIVE_STATUSES.includes(reservation.status) &&
+    overlaps(reservation.startAt, reservation.endAt, startAt, endAt)
+  );
+};
+
+// Smallest free table the party fits at, so large tables stay free for large parties
+const pickTable = (tables, busyTableIds, partySize) => tables
+  .filter(table => table.capacity >= partySize && !busyTableIds.has(table._id))
+  .sort((a, b) => a.capacity - b.capacity || a.number - b.number)[0] || null;
+
+const toReservationInfo = (reservation) => ({
+  reservationId: reservation._id,
+  customerName: reservation.customerName,
+  customerPhone: reservation.customerPhone,
+  partySize: reservation.partySize,
+  reservationTime: reservation.startAt,
+  notes: reservation.notes
+});
+
+/**
+ * Hold the table of a booking once it is due: a walk-in seated now would
+ * still be there when the party arrives. The table shows as reserved.
+ * @param {Object} tablesDB - PouchDB instance for tables and reservations
+ * @param {Object} reservation - Reservation document
+ * @param {number} turnoverTime - settings.tables.defaultTurnoverTime
+ * @param {number} now - Timestamp in ms
+ * @returns {Promise<Object|null>} - The held table, or null when nothing changed
+ */
+const holdTableIfDue = async (tablesDB, reservation, turnoverTime, now = Date.now()) => {
+  if (reservation.status !== 'booked' || reservation.tableHeldAt) return null;
+  if (new Date(reservation.startAt).getTime() - now > turnoverTime * 60000) return null;
+
+  const table = await tablesDB.get(reservation.tableId);
+  if (table.status !== 'available') return null;
+
+  const heldAt = new Date(now).toISOString();
+  const heldTable = {
+    ...table,
+    status: 'reserved',
+    reservationInfo: toReservationInfo(reservation),
+    updatedAt: heldAt
+  };
+  const saved = await tablesDB.put(heldTable);
+  heldTable._rev = saved.rev;
+
+  const current = await tablesDB.get(reservation._id);
+  await tablesDB.put({ ...current, tableHeldAt: heldAt });
+  return heldTable;
+};
+
+// Give a held table back when its booking no longer needs it
+const releaseTable = async (tablesDB, reservation, userId) => {
+  const table = await tablesDB.get(reservation.tableId).catch(() => null);
+  if (!table || table.status !== 'reserved' || table.reservationInfo?.reservationId !== reservation._id) {
+    return null;
+  }
+  const releasedTable = {
+    ...table,
+    status: 'available',
+    reservationInfo: null,
+    updatedAt: new Date().toISOString(),
+    updatedBy: userId
+  };
+  const saved = await tablesDB.put(releasedTable);
+  releasedTable._rev = saved.rev;
+  return releasedTable;
+};
+
+/**
+ * Put a booking in the book: check the notice rules, opening hours and
+ * table, then save it. Without a table one is picked by party size among
+ * those free for the whole stay, which runs for the turnover time unless
+ * a duration is given. An existing reservation is rescheduled in place
+ * and keeps its table when it can.
+ * @param {Object} dbs - { tablesDB, branchesDB }
+ * @param {Object} data - Booking fields, see validateReservation
+ * @param {Object} tableSettings - settings.tables
+ * @param {string} userId - Staff member making the booking
+ * @param {Object} existing - Reservation being changed, if any
+ * @returns {Promise<Object>} - { success, message, errors, reservation, table } table is set when it was held or released
+ */
+export const bookReservation = async ({ tablesDB, branchesDB }, data, tableSettings, userId, existing = null) => {
+  // 1. Validate the booking. A change given as a start time replaces the
+  // stored date and time, which validation would otherwise prefer.
+  const rescheduled = Boolean(data.startAt || data.reservationTime);
+  const fields = existing
+    ? {
+      ...existing,
+      tableId: null,
+      ...(rescheduled ? { date: null, time: null, startAt: null, reservationTime: null } : {}),
+      ...data
+    }
+    : data;
+  const validationResult = validateReservation(fields, tableSettings, {
+    checkNotice: !existing || rescheduled || Boolean(data.date || data.time)
+  });
+  if (!validationResult.isValid) {
+    return { success: false, message: 'Validation failed', errors: validationResult.errors };
+  }
+  const booking = validationResult.sanitizedData;
+  const endAt = addMinutes(booking.startAt, booking.duration).toISOString();
+  const date = toLocalDate(new Date(booking.startAt));
+
+  // 2. The party must be seated within opening hours
+  const branch = await branchesDB?.get(booking.branchId).catch(() => null);
+  const serviceWindow = branch ? getServiceWindow(branch, date) : null;
+  if (branch && (!serviceWindow ||
+    new Date(booking.startAt) < serviceWindow.opensAt ||
+    new Date(endAt) > serviceWindow.closesAt)) {
+    return { success: false, message: 'The branch is not open for the whole booking' };
+  }
+
+  // 3. Find a table free for the whole stay
+  const tables = (await tablesDB.find({
+    selector: {
+      type: 'table',
+      restaurantId: booking.restaurantId,
+      branchId: booking.branchId,
+      isActive: true
+    }
+  })).docs;
+  const overlapping = await findOverlappingReservations(tablesDB, booking.branchId, booking.startAt, endAt, existing?._id);
+  const busyTableIds = new Set(overlapping.map(reservation => reservation.tableId));
+
+  let table;
+  if (booking.tableId) {
+    table = tables.find(entry => entry._id === booking.tableId);
+    if (!table) {
+      return { success: false, message: 'Table not found' };
+    }
+    if (table.capacity < booking.partySize) {
+      return { success: false, message: `Table ${table.number} seats ${table.capacity}, not ${booking.partySize}` };
+    }
+    if (busyTableIds.has(table._id)) {
+      return { success: false, message: `Table ${table.number} is already booked at that time` };
+    }
+  } else {
+    // A rebooked party keeps its table while it still fits and is free
+    const currentTable = tables.find(entry => entry._id === existing?.tableId);
+    table = currentTable && currentTable.capacity >= booking.partySize && !busyTableIds.has(currentTable._id)
+      ? currentTable
+      : pickTable(tables, busyTableIds, booking.partySize);
+    if (!table) {
+      return { success: false, message: `No table for ${booking.partySize} is free at that time` };
+    }
+  }
+
+  // 4. Save the reservation
+  const now = new Date().toISOString();
+  const reservation = {
+    ...(existing || {
+      _id: `reservation_${uuidv4()}`,
+      type: 'reservation',
+      status: 'booked',
+      createdBy: userId,
+      createdAt: now
+    }),
+    ...booking,
+    date,
+    time: toLocalTime(new Date(booking.startAt)),
+    endAt,
+    tableId: table._id,
+    tableNumber: table.number,
+    updatedAt: now,
+    updatedBy: userId
+  };
+
+  // A held table follows its booking when the time or table changes
+  let changedTable = null;
+  if (existing?.tableHeldAt && (existing.tableId !== reservation.tableId || existing.startAt !== reservation.startAt)) {
+    changedTable = await releaseTable(tablesDB, existing, userId);
+    delete reservation.tableHeldAt;
+  }
+
+  const saved = await tablesDB.put(reservation);
+  reservation._rev = saved.rev;
+
+  // 5. Hold the table straight away when the party is due soon
+  const heldTable = await holdTableIfDue(tablesDB, reservation, tableSettings.defaultTurnoverTime);
+  if (heldTable) {
+    const current = await tablesDB.get(reservation._id);
+    Object.assign(reservation, current);
+  }
+
+  return {
+    success: true,
+    message: existing ? 'Reservation updated successfully' : 'Reservation booked successfully',
+    reservation,
+    table: heldTable || changedTable
+  };
+};
+
+/**
+ * Hold the tables of bookings that have come due since they were made
+ * @param {Object} tablesDB - PouchDB instance for tables and reservations
+ * @param {Function} getTableSettings - async (restaurantId) => settings.tables
+ * @param {number} now - Timestamp in ms
+ * @returns {Promise<Array>} - Held tables
+ */
+const holdDueTables = async (tablesDB, getTableSettings, now = Date.now()) => {
+  const result = await tablesDB.find({
+    selector: {
+      type: 'reservation',
+      status: 'booked',
+      startAt: { $lte: new Date(now + MAX_DURATION * 60000).toISOString() }
+    }
+  });
+
+  const settingsByRestaurant = new Map();
+  const heldTables = [];
+  for (const reservation of result.docs.filter(entry => !entry.tableHeldAt)) {
+    if (!settingsByRestaurant.has(reservation.restaurantId)) {
+      settingsByRestaurant.set(reservation.restaurantId, await getTableSettings(reservation.restaurantId));
+    }
+    try {
+      const heldTable = await holdTableIfDue(
+        tablesDB,
+        reservation,
+        settingsByRestaurant.get(reservation.restaurantId).defaultTurnoverTime,
+        now
+      );
+      if (heldTable) heldTables.push(heldTable);
+    } catch (error) {
+      // The table changed under us; the next sweep picks it up again
+      if (error.status !== 409) throw error;
+    }
+  }
+  return heldTables;
+};
+
+export const registerSocketEvents = (socket, {
+  db: tablesDB,
+  branchesDB,
+  settingsDB,
+  sessionDB,
+  logsDB
+}) => {
+  if (!tablesDB || !settingsDB || !sessionDB) {
+    console.error('Missing required database dependencies for reservation routes');
+    return;
+  }
+
+  const getTableSettings = async (restaurantId) => {
+    const settings = await getRestaurantSettings(settingsDB, restaurantId);
+    return settings.tables;
+  };
+
+  // Hold the tables of bookings coming due and show them as reserved everywhere
+  const checkDueTables = async () => {
+    const heldTables = await holdDueTables(tablesDB, getTableSettings);
+    for (const table of heldTables) {
+      socket.nsp.emit('tables:statusUpdated', table);
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'reservations',
+        action: 'holdTable',
+        tableId: table._id,
+        reservationId: table.reservationInfo.reservationId,
+        timestamp: table.updatedAt,
+        level: 'info',
+        message: `Table ${table.number} held for ${table.reservationInfo.customerName}`
+      });
+    }
+  };
+
+  if (!tableHoldSweep) {
+    tableHoldSweep = setInterval(() => {
+      checkDueTables().catch(error => console.error('Failed to hold reserved tables:', error));
+    }, HOLD_CHECK_INTERVAL);
+    tableHoldSweep.unref?.();
+  }
+
+  // Load a reservation and check it is still open
+  const getOpenReservation = async (reservationId) => {
+    const reservation = await tablesDB.get(reservationId).catch(() => null);
+    if (!reservation || reservation.type !== 'reservation') {
+      return { message: 'Reservation not found' };
+    }
+    if (reservation.status !== 'booked') {
+      return { message: `Reservation is already ${reservation.status.replace('_', '-')}` };
+    }
+    return { reservation };
+  };
+
+  // Get Availability - start times of a day with a table free for the party
+  socket.on('reservations:getAvailability', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      const partySize = Number(data.partySize);
+      if (!data.date || !Number.isInteger(partySize) || partySize <= 0) {
+        return callback?.({
+          success: false,
+          message: 'Date and party size are required'
+        });
+      }
+
+      // 2. Load the opening hours, tables and bookings of the day
+      const tableSettings = await getTableSettings(data.restaurantId);
+      const duration = Number(data.duration) || tableSettings.defaultTurnoverTime;
+      const branch = await branchesDB?.get(data.branchId).catch(() => null);
+      const serviceWindow = getServiceWindow(branch, data.date);
+      if (!serviceWindow) {
+        return callback?.({
+          success: true,
+          data: { date: data.date, duration, slots: [] }
+        });
+      }
+
+      const tables = (await tablesDB.find({
+        selector: {
+          type: 'table',
+          restaurantId: data.restaurantId,
+          branchId: data.branchId,
+          isActive: true
+        }
+      })).docs.filter(table => table.capacity >= partySize);
+      const dayReservations = await findOverlappingReservations(
+        tablesDB,
+        data.branchId,
+        serviceWindow.opensAt.toISOString(),
+        serviceWindow.closesAt.toISOString()
+      );
+
+      // 3. Walk the day in slots, counting the tables free for the whole stay
+      const earliest = Date.now() + tableSettings.minReservationNotice * 60 * 60 * 1000;
+      const latest = Date.now() + tableSettings.reservationWindow * DAY_MS;
+      const slots = [];
+      for (
+        let start = serviceWindow.opensAt;
+        addMinutes(start, duration) <= serviceWindow.closesAt;
+        start = addMinutes(start, SLOT_INTERVAL)
+      ) {
+        const startAt = start.toISOString();
+        const endAt = addMinutes(start, duration).toISOString();
+        const busyTableIds = new Set(dayReservations
+          .filter(reservation => overlaps(reservation.startAt, reservation.endAt, startAt, endAt))
+          .map(reservation => reservation.tableId));
+        const freeTables = tables.filter(table => !busyTableIds.has(table._id));
+        const bookable = start.getTime() >= earliest && start.getTime() <= latest;
+        slots.push({
+          time: toLocalTime(start),
+          startAt,
+          freeTables: freeTables.length,
+          available: bookable && freeTables.length > 0
+        });
+      }
+
+      // 4. Send response
+      callback?.({
+        success: true,
+        data: { date: data.date, duration, slots }
+      });
+
+    } catch (error) {
+      console.error('Error getting reservation availability:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to get availability',
+        error: error.message
+      });
+    }
+  });
+
+  // Create Reservation
+  socket.on('reservations:create', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Book it
+      const tableSettings = await getTableSettings(data.restaurantId);
+      const result = await bookReservation(
+        { tablesDB, branchesDB },
+        data,
+        tableSettings,
+        sessionValidation.user._id
+      );
+      if (!result.success) {
+        return callback?.({
+          success: false,
+          message: result.message,
+          errors: result.errors
+        });
+      }
+      const { reservation, table } = result;
+
+      // 3. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'reservations',
+        action: 'create',
+        reservationId: reservation._id,
+        tableId: reservation.tableId,
+        userId: sessionValidation.user._id,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `Table ${reservation.tableNumber} booked for ${reservation.customerName}, party of ${reservation.partySize} at ${reservation.date} ${reservation.time}`
+      });
+
+      // 4. Emit events to other clients
+      socket.broadcast.emit('reservations:updated', reservation);
+      if (table) socket.broadcast.emit('tables:reserved', table);
+
+      // 5. Send success response
+      callback?.({
+        success: true,
+        message: result.message,
+        data: { reservation, table }
+      });
+
+    } catch (error) {
+      console.error('Error creating reservation:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to create reservation',
+        error: error.message
+      });
+    }
+  });
+
+  // Update Reservation - change the guest details, party size, time or table
+  socket.on('reservations:update', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the reservation
+      const { reservation: existing, message } = await getOpenReservation(data.reservationId);
+      if (!existing) {
+        return callback?.({ success: false, message });
+      }
+
+      // 3. Rebook it with the changes
+      const { sessionId, reservationId, ...changes } = data;
+      const tableSettings = await getTableSettings(existing.restaurantId);
+      const result = await bookReservation(
+        { tablesDB, branchesDB },
+        { ...changes, restaurantId: existing.restaurantId, branchId: existing.branchId },
+        tableSettings,
+        sessionValidation.user._id,
+        existing
+      );
+      if (!result.success) {
+        return callback?.({
+          success: false,
+          message: result.message,
+          errors: result.errors
+        });
+      }
+      const { reservation, table } = result;
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'reservations',
+        action: 'update',
+        reservationId: reservation._id,
+        tableId: reservation.tableId,
+        userId: sessionValidation.user._id,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `Reservation for ${reservation.customerName} changed to table ${reservation.tableNumber}, party of ${reservation.partySize} at ${reservation.date} ${reservation.time}`
+      });
+
+      // 5. Emit events to other clients
+      socket.broadcast.emit('reservations:updated', reservation);
+      if (table) socket.broadcast.emit('tables:statusUpdated', table);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: result.message,
+        data: { reservation, table }
+      });
+
+    } catch (error) {
+      console.error('Error updating reservation:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to update reservation',
+        error: error.message
+      });
+    }
+  });
+
+  // Cancel Reservation
+  socket.on('reservations:cancel', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the reservation
+      const { reservation: existing, message } = await getOpenReservation(data.reservationId);
+      if (!existing) {
+        return callback?.({ success: false, message });
+      }
+
+      // 3. Cancel it and free its table
+      const now = new Date().toISOString();
+      const reservation = {
+        ...existing,
+        status: 'cancelled',
+        cancelReason: sanitizeHtml(data.reason || ''),
+        cancelledAt: now,
+        cancelledBy: sessionValidation.user._id,
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      };
+      const saved = await tablesDB.put(reservation);
+      reservation._rev = saved.rev;
+      const table = await releaseTable(tablesDB, reservation, sessionValidation.user._id);
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'reservations',
+        action: 'cancel',
+        reservationId: reservation._id,
+        tableId: reservation.tableId,
+        userId: sessionValidation.user._id,
+        timestamp: now,
+        level: 'info',
+        message: `Reservation for ${reservation.customerName} at ${reservation.date} ${reservation.time} cancelled${reservation.cancelReason ? `: ${reservation.cancelReason}` : ''}`
+      });
+
+      // 5. Emit events to other clients
+      socket.broadcast.emit('reservations:updated', reservation);
+      if (table) socket.broadcast.emit('tables:statusUpdated', table);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: 'Reservation cancelled successfully',
+        data: { reservation, table }
+      });
+
+    } catch (error) {
+      console.error('Error cancelling reservation:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to cancel reservation',
+        error: error.message
+      });
+    }
+  });
+
+  // Mark No-Show - the party never arrived; frees the table
+  socket.on('reservations:markNoShow', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the reservation; the party gets a grace period
+      const { reservation: existing, message } = await getOpenReservation(data.reservationId);
+      if (!existing) {
+        return callback?.({ success: false, message });
+      }
+
+      if (Date.now() < addMinutes(existing.startAt, NO_SHOW_GRACE_MINUTES).getTime()) {
+        return callback?.({
+          success: false,
+          message: `A party is only a no-show ${NO_SHOW_GRACE_MINUTES} minutes after its booking`
+        });
+      }
+
+      // 3. Mark it and free the table
+      const now = new Date().toISOString();
+      const reservation = {
+        ...existing,
+        status: 'no_show',
+        noShowAt: now,
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      };
+      const saved = await tablesDB.put(reservation);
+      reservation._rev = saved.rev;
+      const table = await releaseTable(tablesDB, reservation, sessionValidation.user._id);
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'reservations',
+        action: 'noShow',
+        reservationId: reservation._id,
+        tableId: reservation.tableId,
+        userId: sessionValidation.user._id,
+        timestamp: now,
+        level: 'warning',
+        message: `${reservation.customerName} did not show for ${reservation.date} ${reservation.time}`
+      });
+
+      // 5. Emit events to other clients
+      socket.broadcast.emit('reservations:updated', reservation);
+      if (table) socket.broadcast.emit('tables:statusUpdated', table);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: 'Reservation marked as no-show',
+        data: { reservation, table }
+      });
+
+    } catch (error) {
+      console.error('Error marking reservation as no-show:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to mark no-show',
+        error: error.message
+      });
+    }
+  });
+
+  // Seat Reservation - the party has arrived; their table becomes occupied
+  socket.on('reservations:seat', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the reservation and the table, which may be swapped on arrival
+      const { reservation: existing, message } = await getOpenReservation(data.reservationId);
+      if (!existing) {
+        return callback?.({ success: false, message });
+      }
+
+      const table = await tablesDB.get(data.tableId || existing.tableId);
+      const isHeldForParty = table.status === 'reserved' && table.reservationInfo?.reservationId === existing._id;
+      if (table.status !== 'available' && !isHeldForParty) {
+        return callback?.({
+          success: false,
+          message: `Table ${table.number} is ${table.status}`
+        });
+      }
+
+      // 3. Seat the party
+      const now = new Date().toISOString();
+      const seatedTable = {
+        ...table,
+        status: 'occupied',
+        reservationInfo: null,
+        currentReservationId: existing._id,
+        seatedAt: now,
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      };
+      const savedTable = await tablesDB.put(seatedTable);
+      seatedTable._rev = savedTable.rev;
+
+      const reservation = {
+        ...existing,
+        status: 'seated',
+        tableId: table._id,
+        tableNumber: table.number,
+        seatedAt: now,
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      };
+      const saved = await tablesDB.put(reservation);
+      reservation._rev = saved.rev;
+
+      // A different table was taken, so the held one is free again
+      const releasedTable = table._id !== existing.tableId
+        ? await releaseTable(tablesDB, existing, sessionValidation.user._id)
+        : null;
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'reservations',
+        action: 'seat',
+        reservationId: reservation._id,
+        tableId: table._id,
+        userId: sessionValidation.user._id,
+        timestamp: now,
+        level: 'info',
+        message: `${reservation.customerName} seated at table ${table.number}`
+      });
+
+      // 5. Emit events to other clients
+      socket.broadcast.emit('reservations:updated', reservation);
+      socket.broadcast.emit('tables:statusUpdated', seatedTable);
+      if (releasedTable) socket.broadcast.emit('tables:statusUpdated', releasedTable);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: 'Party seated successfully',
+        data: { reservation, table: seatedTable }
+      });
+
+    } catch (error) {
+      console.error('Error seating reservation:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to seat reservation',
+        error: error.message
+      });
+    }
+  });
+
+  // Get Day - the book of a date in time order with cover counts
+  socket.on('reservations:getDay', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      if (!data.date) {
+        return callback?.({
+          success: false,
+          message: 'Date is required'
+        });
+      }
+
+      // 2. Load the day's reservations
+      const dayStart = new Date(`${data.date}T00:00`);
+      const result = await tablesDB.find({
+        selector: {
+          type: 'reservation',
+          branchId: data.branchId,
+          startAt: {
+            $gte: dayStart.toISOString(),
+            $lt: addMinutes(dayStart, 24 * 60).toISOString()
+          }
+        }
+      });
+      const reservations = result.docs.sort((a, b) => a.startAt.localeCompare(b.startAt));
+
+      // 3. Count bookings and covers by status
+      const summary = reservations.reduce((acc, reservation) => {
+        acc.reservations[reservation.status] = (acc.reservations[reservation.status] || 0) + 1;
+        if (ACTIVE_STATUSES.includes(reservation.status) || reservation.status === 'completed') {
+          acc.covers += reservation.partySize;
+        }
+        return acc;
+      }, { covers: 0, reservations: {} });
+
+      // 4. Send response
+      callback?.({
+        success: true,
+        data: {
+          date: data.date,
+          reservations,
+          summary
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting reservations:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to get reservations',
+        error: error.message
+      });
+    }
+  });
+};
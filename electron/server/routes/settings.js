@@ -1,4 +1,5 @@
 import { validateUserSession } from './utils.js';
+import { validatePrinterDevice } from '../utils/printing.js';
 import path from 'path';
 import fs from 'fs';
 import sharp from 'sharp';
@@ -49,7 +50,8 @@ const DEFAULT_SYSTEM_SETTINGS = {
       canManageLoyalty: true,
       canManageSpecials: true,
       canManageAnalytics: true,
-      canManageIntegrations: true
+      canManageIntegrations: true,
+      allowPriceModification: true
     },
     manager: {
       canManageUsers: false,
@@ -65,7 +67,8 @@ const DEFAULT_SYSTEM_SETTINGS = {
       canManageLoyalty: true,
       canManageSpecials: true,
       canManageAnalytics: true,
-      canManageIntegrations: false
+      canManageIntegrations: false,
+      allowPriceModification: true
     },
     admin: {
       canManageUsers: true,
@@ -81,7 +84,8 @@ const DEFAULT_SYSTEM_SETTINGS = {
       canManageLoyalty: true,
       canManageSpecials: true,
       canManageAnalytics: true,
-      canManageIntegrations: false
+      canManageIntegrations: false,
+      allowPriceModification: true
     },
     kitchen: {
       canManageUsers: false,
@@ -97,7 +101,8 @@ const DEFAULT_SYSTEM_SETTINGS = {
       canManageLoyalty: false,
       canManageSpecials: false,
       canManageAnalytics: false,
-      canManageIntegrations: false
+      canManageIntegrations: false,
+      allowPriceModification: false
     },
     waiter: {
       canManageUsers: false,
@@ -113,7 +118,8 @@ const DEFAULT_SYSTEM_SETTINGS = {
       canManageLoyalty: true,
       canManageSpecials: true,
       canManageAnalytics: false,
-      canManageIntegrations: false
+      canManageIntegrations: false,
+      allowPriceModification: false
     },
     cashier: {
       canManageUsers: false,
@@ -129,7 +135,8 @@ const DEFAULT_SYSTEM_SETTINGS = {
       canManageLoyalty: true,
       canManageSpecials: true,
       canManageAnalytics: false,
-      canManageIntegrations: false
+      canManageIntegrations: false,
+      allowPriceModification: false
     }
   },
 
@@ -166,6 +173,21 @@ const DEFAULT_SYSTEM_SETTINGS = {
     barcodePosition: 'center'
   },
 
+  // Printer Settings - one device per station. Devices are
+  // { type: 'network', host, port: 9100 }, { type: 'usb', path } or { type: 'file', path }
+  printing: {
+    // Printer per station, e.g. receipt: { type: 'network', host, port },
+    // kitchen: { type: 'usb', path } or { type: 'file', path } for testing
+    stations: {},
+    printReceiptOnPayment: false,
+    printKitchenTickets: true,
+    openDrawerOnCashPayment: true,
+    cutPaper: true,
+    retryAttempts: 3,
+    retryDelay: 2000, // ms, grows with each attempt
+    connectionTimeout: 5000 // ms
+  },
+
   // POS Settings
   pos: {
     defaultOrderType: 'Dine-in',
@@ -175,14 +197,42 @@ const DEFAULT_SYSTEM_SETTINGS = {
     allowCustomerInfo: false,
     taxRate: 0.10,
     serviceChargeRate: 0.05,
-    roundingMethod: 'nearest',
+    roundingMethod: 'nearest', // nearest, up or down, applied per line at decimalPlaces
+    taxInclusive: false, // menu prices already include tax
+    taxClasses: {
+      // 'standard' always uses taxRate
+      reduced: 0.05,
+      zero: 0
+    },
+    orderTypeTaxRules: {
+      'Dine-in': { exemptTaxClasses: [], applyServiceCharge: true },
+      'Takeout': { exemptTaxClasses: [], applyServiceCharge: false },
+      'Delivery': { exemptTaxClasses: [], applyServiceCharge: false }
+    },
     paymentMethods: ['cash', 'credit_card', 'mobile_payment'],
     defaultPaymentMethod: 'cash',
     autoPrintReceipt: true,
     showOrderConfirmation: true,
     allowPartialPayments: false,
+    orderNumbering: {
+      // Each terminal keeps a gap-free series per branch so offline terminals never collide
+      resetPolicy: 'daily', // daily or continuous
+      prefixes: {
+        'Dine-in': 'DI',
+        'Takeout': 'TO',
+        'Delivery': 'DL'
+      },
+      sequencePadding: 4
+    },
+    reasonCodes: {
+      void: ['customer_request', 'wrong_item', 'entry_error', 'kitchen_error'],
+      comp: ['service_recovery', 'quality_issue', 'manager_discretion', 'staff_meal'],
+      refund: ['customer_complaint', 'quality_issue', 'overcharge', 'order_cancelled']
+    },
     allowOrderModification: true,
     orderModificationWindow: 5, // minutes
+    // Courses in serving order; later courses can be held and fired separately
+    courses: ['drinks', 'starters', 'mains', 'dessert'],
     defaultCurrency: 'USD',
     currencySymbol: '$',
     decimalPlaces: 2
@@ -292,7 +342,31 @@ const DEFAULT_SYSTEM_SETTINGS = {
     requireConfirmation: true,
     displayPriority: ['dine-in', 'takeout', 'delivery'],
     customStatuses: [],
-    defaultStatus: 'pending'
+    defaultStatus: 'pending',
+    // Items go to the station set on the item or its category, else the default
+    stations: ['main', 'grill', 'fry', 'salad', 'bar', 'dessert'],
+    defaultStation: 'main',
+    // Ticket timers turn yellow and red at these shares of a ticket's prep-time
+    // target, taken from the recipes; late tickets are escalated
+    ticketTimers: {
+      defaultPrepTime: 15, // minutes, for items without a recipe prep time
+      warningPercent: 75,
+      latePercent: 100,
+      slaTarget: 90 // percent of tickets ready on time each day
+    },
+    // Bump-bar keys by action; the select keys pick a ticket on the current page.
+    // user.shortcuts.custom.kds can override single actions.
+    bumpBar: {
+      ticketsPerPage: 8,
+      keys: {
+        select: ['1', '2', '3', '4', '5', '6', '7', '8'],
+        start: ['9'],
+        bump: ['0', 'Enter'],
+        recall: ['.', 'Backspace'],
+        previousPage: ['-', 'PageUp'],
+        nextPage: ['+', 'PageDown']
+      }
+    }
   },
 
   // Table Management Settings
@@ -319,7 +393,8 @@ const DEFAULT_SYSTEM_SETTINGS = {
       showGrid: true,
       showLabels: true,
       showStatus: true,
-      showCapacity: true
+      showCapacity: true,
+      gridSize: 20 // plan units; tables snap to the grid in the editor
     }
   },
 
@@ -372,6 +447,7 @@ const DEFAULT_SYSTEM_SETTINGS = {
     enabled: true,
     pointsPerDollar: 1,
     minimumPointsRedemption: 100,
+    pointsRedemptionValue: 0.01, // currency value of one point when used as a tender
     pointsExpiry: 365, // days
     allowPointsTransfer: false,
     allowPointsGift: false,
@@ -518,6 +594,46 @@ const PAPER_SIZES = {
   }
 };
 
+/**
+ * Load a restaurant's settings, filling every section from the defaults
+ * @param {Object} settingsDB - PouchDB instance for settings
+ * @param {string} restaurantId - Restaurant ID (settings document ID)
+ * @returns {Promise<Object>} - Merged settings object
+ */
+export const getRestaurantSettings = async (settingsDB, restaurantId) => {
+  const stored = restaurantId
+    ? await settingsDB?.get(restaurantId).catch(() => null)
+    : null;
+  const storedSettings = stored?.settings || {};
+
+  return Object.keys(DEFAULT_SYSTEM_SETTINGS).reduce((acc, section) => {
+    acc[section] = {
+      ...DEFAULT_SYSTEM_SETTINGS[section],
+      ...(storedSettings[section] || {})
+    };
+    return acc;
+  }, {});
+};
+
+// A bump-bar key can only trigger one action
+const validateBumpBarKeys = (keys) => {
+  const errors = [];
+  const boundTo = new Map();
+  Object.entries(keys || {}).forEach(([action, actionKeys]) => {
+    if (!Array.isArray(actionKeys) || actionKeys.some(key => typeof key !== 'string' || key.length === 0)) {
+      errors.push(`bumpBar.${action}: keys must be a list of key names`);
+      return;
+    }
+    actionKeys.forEach(key => {
+      if (boundTo.has(key)) {
+        errors.push(`bumpBar: key "${key}" is bound to both ${boundTo.get(key)} and ${action}`);
+      }
+      boundTo.set(key, action);
+    });
+  });
+  return errors;
+};
+
 // Helper function to save logo
 const saveLogo = async (logoData, restaurantId) => {
   try {
@@ -608,6 +724,18 @@ export const registerSocketEvents = (socket, {
         });
       }
 
+      // Printer devices are checked here so a bad address fails on save, not at print time
+      const printerErrors = Object.entries(data.settings?.printing?.stations || {})
+        .flatMap(([station, device]) => validatePrinterDevice(device).map(error => `${station}: ${error}`));
+      const bumpBarErrors = validateBumpBarKeys(data.settings?.kds?.bumpBar?.keys);
+      if (printerErrors.length > 0 || bumpBarErrors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: [...printerErrors, ...bumpBarErrors]
+        });
+      }
+
       const existingSettings = await settingsDB.get(data.restaurantId).catch(() => null);
       const settings = {
         _id: data.restaurantId,
@@ -1,6 +1,7 @@
 import { v4 as uuidv4 } from 'uuid';
 import sanitizeHtml from 'sanitize-html';
 import { validateUserSession } from './utils.js';
+import { PROMOTION_TYPES, PROMOTION_SCOPES } from '../utils/promotions.js';
 
 const validateSpecial = (data) => {
   const errors = [];
@@ -64,6 +65,98 @@ const validateSpecial = (data) => {
   };
 };
 
+const validatePromotion = (data) => {
+  const errors = [];
+  const sanitizedData = {
+    name: sanitizeHtml(data.name || ''),
+    description: sanitizeHtml(data.description || ''),
+    promotionType: data.promotionType,
+    scope: data.scope || 'order',
+    value: Number(data.value) || 0,
+    menuItemIds: Array.isArray(data.menuItemIds) ? data.menuItemIds : [],
+    categoryIds: Array.isArray(data.categoryIds) ? data.categoryIds : [],
+    minSubtotal: Number(data.minSubtotal) || 0,
+    buyQuantity: data.promotionType === 'bogo' ? Number(data.buyQuantity) : null,
+    getQuantity: data.promotionType === 'bogo' ? Number(data.getQuantity) : null,
+    getDiscountPercent: data.promotionType === 'bogo' ? Number(data.getDiscountPercent ?? 100) : null,
+    comboItems: data.promotionType === 'combo' && Array.isArray(data.comboItems)
+      ? data.comboItems.map(item => ({ menuItemId: item.menuItemId, quantity: Number(item.quantity) || 1 }))
+      : [],
+    comboPrice: data.promotionType === 'combo' ? Number(data.comboPrice) : null,
+    happyHourOnly: Boolean(data.happyHourOnly),
+    couponCode: data.couponCode ? sanitizeHtml(String(data.couponCode)).trim().toUpperCase() : null,
+    usageLimit: data.usageLimit !== undefined && data.usageLimit !== null ? Number(data.usageLimit) : null,
+    startDate: data.startDate || null,
+    endDate: data.endDate || null,
+    daysOfWeek: Array.isArray(data.daysOfWeek) ? data.daysOfWeek : [],
+    timeSlots: Array.isArray(data.timeSlots) ? data.timeSlots : [],
+    status: data.status || 'draft',
+    restaurantId: data.restaurantId,
+    branchId: data.branchId || null
+  };
+
+  if (!sanitizedData.name) {
+    errors.push('Promotion name is required');
+  }
+
+  if (!PROMOTION_TYPES.includes(sanitizedData.promotionType)) {
+    errors.push(`Promotion type must be one of: ${PROMOTION_TYPES.join(', ')}`);
+  }
+
+  if (!PROMOTION_SCOPES.includes(sanitizedData.scope)) {
+    errors.push('Invalid promotion scope');
+  }
+
+  if (['percentage', 'fixed'].includes(sanitizedData.promotionType)) {
+    if (sanitizedData.value <= 0 ||
+        (sanitizedData.promotionType === 'percentage' && sanitizedData.value > 100)) {
+      errors.push('Invalid discount value');
+    }
+  }
+
+  if (sanitizedData.promotionType === 'bogo') {
+    if (!Number.isInteger(sanitizedData.buyQuantity) || sanitizedData.buyQuantity < 1 ||
+        !Number.isInteger(sanitizedData.getQuantity) || sanitizedData.getQuantity < 1) {
+      errors.push('Buy and get quantities must be positive whole numbers');
+    }
+    if (!(sanitizedData.getDiscountPercent > 0 && sanitizedData.getDiscountPercent <= 100)) {
+      errors.push('Discount on the free items must be between 1 and 100 percent');
+    }
+  }
+
+  if (sanitizedData.promotionType === 'combo') {
+    if (sanitizedData.comboItems.length < 2 || sanitizedData.comboItems.some(item => !item.menuItemId)) {
+      errors.push('A combo needs at least two menu items');
+    }
+    if (!Number.isFinite(sanitizedData.comboPrice) || sanitizedData.comboPrice < 0) {
+      errors.push('Valid combo price is required');
+    }
+  }
+
+  if (sanitizedData.usageLimit !== null && (!Number.isInteger(sanitizedData.usageLimit) || sanitizedData.usageLimit < 1)) {
+    errors.push('Usage limit must be a positive whole number');
+  }
+
+  if (sanitizedData.startDate && sanitizedData.endDate &&
+      new Date(sanitizedData.startDate) > new Date(sanitizedData.endDate)) {
+    errors.push('End date must be after start date');
+  }
+
+  if (sanitizedData.timeSlots.some(slot => !/^\d{2}:\d{2}-\d{2}:\d{2}$/.test(slot))) {
+    errors.push('Time slots must look like HH:MM-HH:MM');
+  }
+
+  if (!['draft', 'active', 'ended'].includes(sanitizedData.status)) {
+    errors.push('Invalid status');
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitizedData
+  };
+};
+
 export const registerSocketEvents = (socket, {
   db: specialsDB,
   menuItemsDB,
@@ -297,7 +390,8 @@ export const registerSocketEvents = (socket, {
     }
   });
 
-  // Track Special Order
+  // Track Special Order - for sales outside the POS; POS orders use up
+  // special quantities through the promotion engine
   socket.on('specials:trackOrder', async (data, callback) => {
     try {
       // 1. Validate session
@@ -367,4 +461,211 @@ export const registerSocketEvents = (socket, {
       });
     }
   });
+
+  // Create Promotion
+  socket.on('specials:createPromotion', async (data, callback) => {
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Validate promotion data
+      const validationResult = validatePromotion(data);
+      if (!validationResult.isValid) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: validationResult.errors
+        });
+      }
+
+      // 3. Coupon codes must be unique within the restaurant
+      const promotionData = validationResult.sanitizedData;
+      if (promotionData.couponCode) {
+        const existing = await specialsDB.find({
+          selector: {
+            type: 'promotion',
+            restaurantId: promotionData.restaurantId,
+            couponCode: promotionData.couponCode
+          }
+        });
+        if (existing.docs.some(doc => doc.status !== 'ended')) {
+          return callback?.({
+            success: false,
+            message: `Coupon code ${promotionData.couponCode} is already in use`
+          });
+        }
+      }
+
+      // 4. Create promotion document
+      const promotion = {
+        _id: `promotion_${uuidv4()}`,
+        type: 'promotion',
+        ...promotionData,
+        usageCount: 0,
+        createdBy: sessionValidation.user._id,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      };
+
+      // 5. Save to database
+      await specialsDB.put(promotion);
+
+      // 6. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'specials',
+        action: 'createPromotion',
+        promotionId: promotion._id,
+        userId: sessionValidation.user._id,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `Promotion ${promotion.name} created`
+      });
+
+      // 7. Emit event to other clients
+      socket.broadcast.emit('specials:promotionCreated', promotion);
+
+      // 8. Send success response
+      callback?.({
+        success: true,
+        message: 'Promotion created successfully',
+        data: promotion
+      });
+
+    } catch (error) {
+      console.error('Error creating promotion:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to create promotion',
+        error: error.message
+      });
+    }
+  });
+
+  // List Promotions
+  socket.on('specials:listPromotions', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Query promotions for the restaurant, including restaurant-wide ones
+      const selector = {
+        type: 'promotion',
+        restaurantId: data.restaurantId
+      };
+      if (data.status) {
+        selector.status = data.status;
+      }
+      const result = await specialsDB.find({ selector });
+      const promotions = result.docs.filter(doc =>
+        !data.branchId || !doc.branchId || doc.branchId === data.branchId
+      );
+
+      // 3. Send response
+      callback?.({
+        success: true,
+        data: promotions
+      });
+
+    } catch (error) {
+      console.error('Error listing promotions:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to list promotions',
+        error: error.message
+      });
+    }
+  });
+
+  // Update Promotion Status
+  socket.on('specials:updatePromotionStatus', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      if (!['draft', 'active', 'ended'].includes(data.status)) {
+        return callback?.({
+          success: false,
+          message: 'Invalid status'
+        });
+      }
+
+      // 2. Get promotion and update status
+      const promotion = await specialsDB.get(data.promotionId);
+      const updatedPromotion = {
+        ...promotion,
+        status: data.status,
+        updatedAt: new Date().toISOString(),
+        updatedBy: sessionValidation.user._id
+      };
+
+      // 3. Save changes
+      await specialsDB.put(updatedPromotion);
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'specials',
+        action: 'updatePromotionStatus',
+        promotionId: promotion._id,
+        userId: sessionValidation.user._id,
+        timestamp: new Date().toISOString(),
+        level: 'info',
+        message: `Promotion ${promotion.name} status updated to ${data.status}`
+      });
+
+      // 5. Emit event to other clients
+      socket.broadcast.emit('specials:promotionStatusUpdated', updatedPromotion);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: 'Promotion status updated successfully',
+        data: updatedPromotion
+      });
+
+    } catch (error) {
+      console.error('Error updating promotion status:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to update promotion status',
+        error: error.message
+      });
+    }
+  });
 };
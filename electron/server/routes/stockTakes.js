@@ -0,0 +1,912 @@
+import { v4 as uuidv4 } from 'uuid';
+import sanitizeHtml from 'sanitize-html';
+import { validateUserSession } from './utils.js';
+import { getRestaurantSettings } from './settings.js';
+import { recordInventoryTransaction, broadcastInventoryTransaction } from './inventory.js';
+import { checkIngredientUnit, toStockUnit } from '../utils/units.js';
+import { getStockUnitCost } from '../utils/batches.js';
+
+// Where a stock take can go from each status. Approving posts the
+// variances, so it has its own event.
+const STATUS_TRANSITIONS = {
+  counting: ['submitted', 'cancelled'],
+  submitted: ['counting', 'cancelled'],
+  approved: [],
+  cancelled: []
+};
+
+// Stock takes whose ingredients are still being counted
+const OPEN_STATUSES = ['counting', 'submitted'];
+
+const SCOPE_TYPES = ['all', 'location', 'category'];
+
+// Attempts at saving counts while other counters save theirs
+const MAX_CONFLICT_RETRIES = 5;
+
+// Months between full stock takes, by stockTakeFrequency
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+const FREQUENCY_DAYS = { daily: 1, weekly: 7, biweekly: 14 };
+
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const validateStockTake = (data) => {
+  const errors = [];
+  const sanitizedData = {
+    scope: {
+      type: data.scope?.type || 'all',
+      value: data.scope?.value ? sanitizeHtml(data.scope.value) : ''
+    },
+    notes: sanitizeHtml(data.notes || ''),
+    restaurantId: data.restaurantId,
+    branchId: data.branchId
+  };
+
+  if (!sanitizedData.restaurantId || !sanitizedData.branchId) {
+    errors.push('Restaurant and branch are required');
+  }
+
+  if (!SCOPE_TYPES.includes(sanitizedData.scope.type)) {
+    errors.push(`Scope must be one of ${SCOPE_TYPES.join(', ')}`);
+  } else if (sanitizedData.scope.type !== 'all' && !sanitizedData.scope.value) {
+    errors.push(`A ${sanitizedData.scope.type} to count is required`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitizedData
+  };
+};
+
+const validateCounts = (data) => {
+  const errors = [];
+  const counts = (Array.isArray(data.counts) ? data.counts : []).map(count => ({
+    ingredientId: count.ingredientId,
+    quantity: Number(count.quantity),
+    unit: count.unit ? sanitizeHtml(count.unit) : undefined
+  }));
+
+  if (counts.length === 0) {
+    errors.push('At least one count is required');
+  }
+
+  counts.forEach((count, index) => {
+    if (!count.ingredientId) {
+      errors.push(`Count ${index + 1}: ingredient is required`);
+    }
+    if (!Number.isFinite(count.quantity) || count.quantity < 0) {
+      errors.push(`Count ${index + 1}: quantity must be zero or more`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    counts
+  };
+};
+
+/**
+ * Whether an ingredient falls in the part of the stock being counted.
+ * Ingredients without a location are kept in the default one.
+ * @param {Object} ingredient - Ingredient document
+ * @param {Object} scope - { type, value }
+ * @param {string} defaultLocation - settings.inventory.defaultLocation
+ * @returns {boolean}
+ */
+const isInScope = (ingredient, scope, defaultLocation) => {
+  if (scope.type === 'location') return (ingredient.location || defaultLocation) === scope.value;
+  if (scope.type === 'category') return ingredient.category === scope.value;
+  return true;
+};
+
+/**
+ * Work out the counted quantity and variance of each line. Counters count
+ * separate shelves, so their counts are added up; a counter who counts a
+ * line again replaces their own count.
+ * @param {Object} stockTake - Stock take document
+ * @returns {Object} - Stock take with counted lines and totals
+ */
+export const summarizeStockTake = (stockTake) => {
+  const items = stockTake.items.map(item => {
+    if (item.counts.length === 0) {
+      return { ...item, countedQuantity: null, variance: null, varianceValue: null };
+    }
+    const countedQuantity = roundQuantity(item.counts.reduce((sum, count) => sum + count.quantity, 0));
+    const variance = roundQuantity(countedQuantity - item.expectedQuantity);
+    return { ...item, countedQuantity, variance, varianceValue: roundMoney(variance * item.unitCost) };
+  });
+
+  const counted = items.filter(item => item.countedQuantity !== null);
+  return {
+    ...stockTake,
+    items,
+    totals: {
+      itemCount: items.length,
+      countedCount: counted.length,
+      varianceCount: counted.filter(item => item.variance !== 0).length,
+      expectedValue: roundMoney(counted.reduce((sum, item) => sum + item.expectedQuantity * item.unitCost, 0)),
+      countedValue: roundMoney(counted.reduce((sum, item) => sum + item.countedQuantity * item.unitCost, 0)),
+      varianceValue: roundMoney(counted.reduce((sum, item) => sum + item.varianceValue, 0))
+    }
+  };
+};
+
+/**
+ * When the next full stock take is due
+ * @param {string} from - ISO date of this one
+ * @param {string} frequency - settings.inventory.stockTakeFrequency
+ * @returns {string|null} - ISO date, or null for an unknown frequency
+ */
+const getNextStockTakeDate = (from, frequency) => {
+  const next = new Date(from);
+  if (FREQUENCY_MONTHS[frequency]) {
+    next.setMonth(next.getMonth() + FREQUENCY_MONTHS[frequency]);
+  } else if (FREQUENCY_DAYS[frequency]) {
+    next.setDate(next.getDate() + FREQUENCY_DAYS[frequency]);
+  } else {
+    return null;
+  }
+  return next.toISOString();
+};
+
+/**
+ * Compare what the POS says was used between two counts with what the
+ * counts say was used. Actual usage is the opening count plus deliveries
+ * and corrections, less waste and the closing count; whatever the POS and
+ * other recorded deductions don't explain is the variance.
+ * @param {Object} item - Counted line of the closing stock take
+ * @param {Object} opening - Counted line of the previous stock take, with its frozenAt
+ * @param {Array} transactions - Inventory transactions of the ingredient since the opening count
+ * @returns {Object} - Usage report line
+ */
+const getUsageLine = (item, opening, transactions) => {
+  const total = (filter) => roundQuantity(transactions.filter(filter).reduce((sum, transaction) => sum + transaction.quantity, 0));
+  const fromOrders = (transaction) => transaction.relatedDocumentType === 'order';
+
+  const received = total(transaction => transaction.transactionType === 'Add');
+  const waste = total(transaction => transaction.transactionType === 'Spoilage');
+  const adjustments = total(transaction => transaction.transactionType === 'Adjustment' &&
+    !fromOrders(transaction) && transaction.relatedDocumentType !== 'stockTake');
+  // Voids give ingredients back to stock as order adjustments
+  const theoreticalUsage = roundQuantity(
+    total(transaction => transaction.transactionType === 'Deduct' && fromOrders(transaction)) -
+    total(transaction => transaction.transactionType === 'Adjustment' && fromOrders(transaction))
+  );
+  const otherUsage = total(transaction => transaction.transactionType === 'Deduct' && !fromOrders(transaction));
+  const actualUsage = roundQuantity(opening.countedQuantity + received + adjustments - waste - item.countedQuantity);
+  const variance = roundQuantity(actualUsage - theoreticalUsage - otherUsage);
+
+  return {
+    ingredientId: item.ingredientId,
+    ingredientName: item.ingredientName,
+    unit: item.unit,
+    openingQuantity: opening.countedQuantity,
+    openingDate: opening.frozenAt,
+    received,
+    adjustments,
+    waste,
+    closingQuantity: item.countedQuantity,
+    theoreticalUsage,
+    otherUsage,
+    actualUsage,
+    variance,
+    unitCost: item.unitCost,
+    varianceValue: roundMoney(variance * item.unitCost),
+    variancePercentage: theoreticalUsage > 0 ? roundMoney(variance / theoreticalUsage * 100) : null
+  };
+};
+
+export const registerSocketEvents = (socket, {
+  db: inventoryTransactionsDB,
+  ingredientsDB,
+  settingsDB,
+  notificationsDB,
+  sessionDB,
+  logsDB
+}) => {
+  if (!inventoryTransactionsDB || !ingredientsDB || !settingsDB || !sessionDB) {
+    console.error('Missing required database dependencies for stock take routes');
+    return;
+  }
+
+  const getStockTake = async (stockTakeId) => {
+    const stockTake = await inventoryTransactionsDB.get(stockTakeId).catch(() => null);
+    return stockTake?.type === 'stockTake' ? stockTake : null;
+  };
+
+  const saveStockTake = async (stockTake) => {
+    const saved = await inventoryTransactionsDB.put(stockTake);
+    return { ...stockTake, _rev: saved.rev };
+  };
+
+  // Counters save at the same time, so on a conflict apply the change
+  // again to the latest revision
+  const updateStockTake = async (stockTakeId, applyChange) => {
+    for (let attempt = 1; ; attempt++) {
+      const stockTake = await getStockTake(stockTakeId);
+      try {
+        return await saveStockTake(applyChange(stockTake));
+      } catch (error) {
+        if (error.status !== 409 || attempt >= MAX_CONFLICT_RETRIES) {
+          throw error;
+        }
+      }
+    }
+  };
+
+  const logStockTake = (stockTake, action, user, message, level = 'info') => logsDB.put({
+    _id: `log_${uuidv4()}`,
+    type: 'log',
+    category: 'stockTakes',
+    action,
+    stockTakeId: stockTake._id,
+    userId: user._id,
+    restaurantId: stockTake.restaurantId,
+    branchId: stockTake.branchId,
+    timestamp: new Date().toISOString(),
+    level,
+    message
+  });
+
+  // Start Stock Take - freezes the expected quantity and cost of every
+  // ingredient in scope; counts are compared against these
+  socket.on('stockTakes:start', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Validate stock take data
+      const validationResult = validateStockTake(data);
+      if (!validationResult.isValid) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: validationResult.errors
+        });
+      }
+      const { scope, restaurantId, branchId } = validationResult.sanitizedData;
+
+      // 3. Find the ingredients to count, none of them already in an open count
+      const settings = await getRestaurantSettings(settingsDB, restaurantId);
+      const [ingredientsResult, openResult] = await Promise.all([
+        ingredientsDB.find({
+          selector: {
+            type: 'ingredient',
+            restaurantId,
+            branchId
+          }
+        }),
+        inventoryTransactionsDB.find({
+          selector: {
+            type: 'stockTake',
+            branchId,
+            status: { $in: OPEN_STATUSES }
+          }
+        })
+      ]);
+      const ingredients = ingredientsResult.docs.filter(ingredient =>
+        ingredient.isActive !== false && isInScope(ingredient, scope, settings.inventory.defaultLocation)
+      );
+      if (ingredients.length === 0) {
+        return callback?.({
+          success: false,
+          message: 'No ingredients to count'
+        });
+      }
+
+      const overlapping = openResult.docs.find(open =>
+        open.items.some(item => ingredients.some(ingredient => ingredient._id === item.ingredientId))
+      );
+      if (overlapping) {
+        return callback?.({
+          success: false,
+          message: `Some of these ingredients are already being counted in stock take ${overlapping.reference}`
+        });
+      }
+
+      // 4. Create the stock take with the frozen quantities
+      const now = new Date().toISOString();
+      const stockTake = {
+        _id: `stock_take_${uuidv4()}`,
+        type: 'stockTake',
+        reference: `ST-${now.slice(2, 10).replace(/-/g, '')}-${uuidv4().slice(0, 4).toUpperCase()}`,
+        ...validationResult.sanitizedData,
+        status: 'counting',
+        frozenAt: now,
+        items: ingredients
+          .map(ingredient => ({
+            ingredientId: ingredient._id,
+            ingredientName: ingredient.name,
+            unit: ingredient.unit,
+            location: ingredient.location || settings.inventory.defaultLocation,
+            category: ingredient.category || '',
+            expectedQuantity: ingredient.stockLevel,
+            unitCost: getStockUnitCost(ingredient),
+            counts: []
+          }))
+          .sort((a, b) => a.location.localeCompare(b.location) || a.ingredientName.localeCompare(b.ingredientName)),
+        counters: [],
+        statusHistory: [{ status: 'counting', changedAt: now, changedBy: sessionValidation.user._id }],
+        createdBy: sessionValidation.user._id,
+        createdAt: now,
+        updatedAt: now
+      };
+      await inventoryTransactionsDB.put(stockTake);
+
+      // 5. Log the action
+      await logStockTake(
+        stockTake,
+        'start',
+        sessionValidation.user,
+        `Stock take ${stockTake.reference} started for ${stockTake.items.length} ingredients` +
+          (scope.type === 'all' ? '' : ` in ${scope.type} ${scope.value}`)
+      );
+
+      // 6. Emit event to other clients
+      const summary = summarizeStockTake(stockTake);
+      socket.broadcast.emit('stockTakes:updated', summary);
+
+      // 7. Send success response
+      callback?.({
+        success: true,
+        message: 'Stock take started',
+        data: summary
+      });
+
+    } catch (error) {
+      console.error('Error starting stock take:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to start stock take',
+        error: error.message
+      });
+    }
+  });
+
+  // Record Counts - a counter's counts for some of the lines, in the stock
+  // unit or any unit the ingredient converts from
+  socket.on('stockTakes:count', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'kitchen'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Validate the counts against the stock take
+      const validationResult = validateCounts(data);
+      if (!validationResult.isValid) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: validationResult.errors
+        });
+      }
+
+      const stockTake = await getStockTake(data.stockTakeId);
+      if (!stockTake) {
+        return callback?.({
+          success: false,
+          message: 'Stock take not found'
+        });
+      }
+      if (stockTake.status !== 'counting') {
+        return callback?.({
+          success: false,
+          message: `Stock take ${stockTake.reference} is ${stockTake.status} and no longer takes counts`
+        });
+      }
+
+      // 3. Convert each count to the stock unit
+      const errors = [];
+      const counts = [];
+      for (const count of validationResult.counts) {
+        const item = stockTake.items.find(line => line.ingredientId === count.ingredientId);
+        if (!item) {
+          errors.push(`Ingredient ${count.ingredientId} is not part of this stock take`);
+          continue;
+        }
+        const ingredient = count.unit && count.unit !== item.unit
+          ? await ingredientsDB.get(count.ingredientId)
+          : { name: item.ingredientName, unit: item.unit };
+        const quantity = toStockUnit(count.quantity, count.unit, ingredient);
+        if (quantity === null) {
+          errors.push(checkIngredientUnit(count.unit, ingredient));
+          continue;
+        }
+        counts.push({ ...count, stockQuantity: quantity });
+      }
+      if (errors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors
+        });
+      }
+
+      // 4. Replace this counter's earlier counts of the same lines
+      const user = sessionValidation.user;
+      const countedAt = new Date().toISOString();
+      const updatedStockTake = await updateStockTake(stockTake._id, (current) => ({
+        ...current,
+        items: current.items.map(item => {
+          const count = counts.find(entry => entry.ingredientId === item.ingredientId);
+          if (!count) return item;
+          return {
+            ...item,
+            counts: [
+              ...item.counts.filter(entry => entry.counterId !== user._id),
+              {
+                counterId: user._id,
+                counterName: user.name || user.username,
+                quantity: count.stockQuantity,
+                enteredQuantity: count.quantity,
+                enteredUnit: count.unit || item.unit,
+                countedAt
+              }
+            ]
+          };
+        }),
+        counters: current.counters.includes(user._id) ? current.counters : [...current.counters, user._id],
+        updatedAt: countedAt
+      }));
+
+      // 5. Emit event to other clients
+      const summary = summarizeStockTake(updatedStockTake);
+      socket.broadcast.emit('stockTakes:updated', summary);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: `${counts.length} count(s) saved`,
+        data: summary
+      });
+
+    } catch (error) {
+      console.error('Error recording stock take counts:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to record counts',
+        error: error.message
+      });
+    }
+  });
+
+  // Update Stock Take Status - submit counts for approval, reopen them for
+  // a recount or cancel
+  socket.on('stockTakes:updateStatus', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the stock take and check the change is allowed
+      const stockTake = await getStockTake(data.stockTakeId);
+      if (!stockTake) {
+        return callback?.({
+          success: false,
+          message: 'Stock take not found'
+        });
+      }
+      if (!STATUS_TRANSITIONS[stockTake.status]?.includes(data.status)) {
+        return callback?.({
+          success: false,
+          message: `A ${stockTake.status} stock take cannot be marked ${data.status}`
+        });
+      }
+      if (data.status === 'submitted' && !stockTake.items.some(item => item.counts.length > 0)) {
+        return callback?.({
+          success: false,
+          message: 'Nothing has been counted yet'
+        });
+      }
+
+      // 3. Apply the change
+      const now = new Date().toISOString();
+      const updatedStockTake = await updateStockTake(stockTake._id, (current) => ({
+        ...current,
+        status: data.status,
+        ...(data.status === 'cancelled' ? { cancellationReason: sanitizeHtml(data.reason || '') } : {}),
+        statusHistory: [
+          ...current.statusHistory,
+          { status: data.status, changedAt: now, changedBy: sessionValidation.user._id }
+        ],
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      }));
+
+      // 4. Log the action
+      await logStockTake(
+        updatedStockTake,
+        data.status,
+        sessionValidation.user,
+        `Stock take ${updatedStockTake.reference} ${data.status === 'counting' ? 'reopened for counting' : data.status}`
+      );
+
+      // 5. Emit event to other clients
+      const summary = summarizeStockTake(updatedStockTake);
+      socket.broadcast.emit('stockTakes:updated', summary);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: `Stock take ${data.status}`,
+        data: summary
+      });
+
+    } catch (error) {
+      console.error('Error updating stock take status:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to update stock take status',
+        error: error.message
+      });
+    }
+  });
+
+  // Approve Stock Take - posts each counted variance as an Adjustment.
+  // Stock that moved while counting is left alone, since the variance is
+  // measured against the frozen quantity. Lines not counted are not adjusted.
+  socket.on('stockTakes:approve', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the stock take
+      const stockTake = await getStockTake(data.stockTakeId);
+      if (!stockTake) {
+        return callback?.({
+          success: false,
+          message: 'Stock take not found'
+        });
+      }
+      if (stockTake.status !== 'submitted') {
+        return callback?.({
+          success: false,
+          message: `Only submitted stock takes can be approved; this one is ${stockTake.status}`
+        });
+      }
+
+      // 3. Post the variances. Lines posted by an earlier attempt that
+      // failed part way are skipped.
+      const summary = summarizeStockTake(stockTake);
+      const recorded = [];
+      const failures = [];
+      const items = [];
+      for (const item of summary.items) {
+        const { countedQuantity, variance, varianceValue, ...line } = item;
+        if (!variance || line.adjustmentTransactionId) {
+          items.push(line);
+          continue;
+        }
+        try {
+          const result = await recordInventoryTransaction(
+            { inventoryTransactionsDB, ingredientsDB, logsDB, notificationsDB },
+            {
+              transactionType: 'Adjustment',
+              ingredientId: line.ingredientId,
+              ingredientName: line.ingredientName,
+              quantity: variance,
+              unit: line.unit,
+              cost: Math.abs(varianceValue),
+              reason: `Stock take ${stockTake.reference}: counted ${countedQuantity} ${line.unit}, expected ${line.expectedQuantity} ${line.unit}`,
+              relatedDocumentId: stockTake._id,
+              relatedDocumentType: 'stockTake',
+              restaurantId: stockTake.restaurantId,
+              branchId: stockTake.branchId
+            },
+            sessionValidation.user
+          );
+          if (!result.success) {
+            throw new Error(result.errors?.join(', ') || result.message);
+          }
+          recorded.push(result);
+          items.push({ ...line, adjustmentTransactionId: result.transaction._id });
+        } catch (error) {
+          failures.push(`${line.ingredientName}: ${error.message}`);
+          items.push(line);
+        }
+      }
+      recorded.forEach(result => broadcastInventoryTransaction(socket, result));
+
+      // 4. Approve once every variance is in; otherwise keep what was posted
+      // so approving again picks up the rest
+      const now = new Date().toISOString();
+      const approved = failures.length === 0;
+      const updatedStockTake = await saveStockTake({
+        ...stockTake,
+        items,
+        ...(approved ? {
+          status: 'approved',
+          approvedBy: sessionValidation.user._id,
+          approvedAt: now,
+          statusHistory: [
+            ...stockTake.statusHistory,
+            { status: 'approved', changedAt: now, changedBy: sessionValidation.user._id }
+          ]
+        } : {}),
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      });
+      const approvedSummary = summarizeStockTake(updatedStockTake);
+
+      if (!approved) {
+        await logStockTake(
+          updatedStockTake,
+          'approve',
+          sessionValidation.user,
+          `Stock take ${updatedStockTake.reference} could not post every variance: ${failures.join('; ')}`,
+          'error'
+        );
+        socket.broadcast.emit('stockTakes:updated', approvedSummary);
+        return callback?.({
+          success: false,
+          message: 'Some variances could not be posted',
+          errors: failures
+        });
+      }
+
+      // 5. A full count sets when the next one is due
+      if (stockTake.scope.type === 'all') {
+        const settings = await getRestaurantSettings(settingsDB, stockTake.restaurantId);
+        const stored = await settingsDB.get(stockTake.restaurantId).catch(() => ({
+          _id: stockTake.restaurantId,
+          type: 'settings',
+          settings: {}
+        }));
+        await settingsDB.put({
+          ...stored,
+          settings: {
+            ...stored.settings,
+            inventory: {
+              ...settings.inventory,
+              lastStockTake: stockTake.frozenAt,
+              nextStockTake: getNextStockTakeDate(stockTake.frozenAt, settings.inventory.stockTakeFrequency)
+            }
+          },
+          updatedAt: now,
+          updatedBy: sessionValidation.user._id
+        });
+      }
+
+      // 6. Log the action
+      await logStockTake(
+        updatedStockTake,
+        'approve',
+        sessionValidation.user,
+        `Stock take ${updatedStockTake.reference} approved with ${approvedSummary.totals.varianceCount} variances worth ${approvedSummary.totals.varianceValue}`
+      );
+
+      // 7. Emit event to other clients
+      socket.broadcast.emit('stockTakes:updated', approvedSummary);
+
+      // 8. Send success response
+      callback?.({
+        success: true,
+        message: 'Stock take approved',
+        data: approvedSummary
+      });
+
+    } catch (error) {
+      console.error('Error approving stock take:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to approve stock take',
+        error: error.message
+      });
+    }
+  });
+
+  // List Stock Takes - newest first, with the locations and categories a
+  // new one can be limited to
+  socket.on('stockTakes:list', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'kitchen'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get stock takes and ingredients of the branch
+      const selector = {
+        type: 'stockTake',
+        branchId: data.branchId
+      };
+      if (data.status) {
+        selector.status = data.status;
+      }
+      const settings = await getRestaurantSettings(settingsDB, data.restaurantId);
+      const [stockTakesResult, ingredientsResult] = await Promise.all([
+        inventoryTransactionsDB.find({ selector }),
+        ingredientsDB.find({
+          selector: {
+            type: 'ingredient',
+            restaurantId: data.restaurantId,
+            branchId: data.branchId
+          }
+        })
+      ]);
+
+      const stockTakes = stockTakesResult.docs
+        .map(summarizeStockTake)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      const ingredients = ingredientsResult.docs.filter(ingredient => ingredient.isActive !== false);
+
+      callback?.({
+        success: true,
+        data: {
+          stockTakes,
+          locations: [...new Set(ingredients.map(ingredient => ingredient.location || settings.inventory.defaultLocation))].sort(),
+          categories: [...new Set(ingredients.map(ingredient => ingredient.category).filter(Boolean))].sort(),
+          lastStockTake: settings.inventory.lastStockTake,
+          nextStockTake: settings.inventory.nextStockTake
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing stock takes:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to list stock takes',
+        error: error.message
+      });
+    }
+  });
+
+  // Get Usage Report - theoretical usage from POS deductions against actual
+  // usage from the counts, since each ingredient was last counted
+  socket.on('stockTakes:getUsageReport', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the closing stock take and the approved ones before it
+      const stockTake = await getStockTake(data.stockTakeId);
+      if (!stockTake || stockTake.status !== 'approved') {
+        return callback?.({
+          success: false,
+          message: 'Usage can only be reported for an approved stock take'
+        });
+      }
+      const closing = summarizeStockTake(stockTake);
+      const previousResult = await inventoryTransactionsDB.find({
+        selector: {
+          type: 'stockTake',
+          branchId: stockTake.branchId,
+          status: 'approved'
+        }
+      });
+      const previous = previousResult.docs
+        .filter(doc => doc.frozenAt < stockTake.frozenAt)
+        .map(summarizeStockTake)
+        .sort((a, b) => new Date(b.frozenAt) - new Date(a.frozenAt));
+
+      // 3. Each counted line opens from its latest earlier count
+      const openings = new Map();
+      closing.items
+        .filter(item => item.countedQuantity !== null)
+        .forEach(item => {
+          const openingTake = previous.find(doc => doc.items.some(line =>
+            line.ingredientId === item.ingredientId && line.countedQuantity !== null
+          ));
+          if (openingTake) {
+            const line = openingTake.items.find(entry => entry.ingredientId === item.ingredientId);
+            openings.set(item.ingredientId, { ...line, frozenAt: openingTake.frozenAt });
+          }
+        });
+
+      // 4. Get the stock movements between the counts
+      const earliest = [...openings.values()].reduce((min, line) => (line.frozenAt < min ? line.frozenAt : min), stockTake.frozenAt);
+      const transactionsResult = await inventoryTransactionsDB.find({
+        selector: {
+          type: 'inventoryTransaction',
+          branchId: stockTake.branchId,
+          createdAt: {
+            $gte: earliest,
+            $lte: stockTake.frozenAt
+          }
+        }
+      });
+
+      // 5. Build the report
+      const lines = closing.items
+        .filter(item => openings.has(item.ingredientId))
+        .map(item => {
+          const opening = openings.get(item.ingredientId);
+          const transactions = transactionsResult.docs.filter(transaction =>
+            transaction.ingredientId === item.ingredientId && transaction.createdAt >= opening.frozenAt
+          );
+          return getUsageLine(item, opening, transactions);
+        })
+        .sort((a, b) => Math.abs(b.varianceValue) - Math.abs(a.varianceValue));
+
+      callback?.({
+        success: true,
+        data: {
+          stockTakeId: stockTake._id,
+          reference: stockTake.reference,
+          closingDate: stockTake.frozenAt,
+          lines,
+          notCompared: closing.items
+            .filter(item => item.countedQuantity !== null && !openings.has(item.ingredientId))
+            .map(item => item.ingredientName),
+          totals: {
+            theoreticalValue: roundMoney(lines.reduce((sum, line) => sum + line.theoreticalUsage * line.unitCost, 0)),
+            actualValue: roundMoney(lines.reduce((sum, line) => sum + line.actualUsage * line.unitCost, 0)),
+            varianceValue: roundMoney(lines.reduce((sum, line) => sum + line.varianceValue, 0))
+          }
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting usage report:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to get usage report',
+        error: error.message
+      });
+    }
+  });
+};
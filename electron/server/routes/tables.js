@@ -2,6 +2,15 @@ import { v4 as uuidv4 } from 'uuid';
 import validator from 'validator';
 import sanitizeHtml from 'sanitize-html';
 import { validateUserSession } from './utils.js';
+import { getRestaurantSettings } from './settings.js';
+import { bookReservation } from './reservations.js';
+import { WAITING_STATUSES } from '../utils/waitTimes.js';
+
+// Shapes the floor plan can draw a table as
+const TABLE_SHAPES = ['square', 'rectangle', 'round', 'oval'];
+
+// Floor plan of a branch before anyone has laid it out
+const DEFAULT_AREAS = [{ id: 'main', name: 'Main Floor', width: 1000, height: 700 }];
 
 const validateTable = (data) => {
   const errors = [];
@@ -38,9 +47,87 @@ const validateTable = (data) => {
   };
 };
 
+/**
+ * Validate a floor plan: its areas and where each table sits in them.
+ * Coordinates are in plan units from the top-left corner of the area;
+ * rotation is in degrees around the table's centre.
+ * @param {Object} data - { areas: [{ id, name, width, height }], placements: [{ tableId, areaId, x, y, width, height, shape, rotation }] }
+ * @returns {Object} - { isValid, errors, sanitizedData }
+ */
+const validateFloorPlan = (data) => {
+  const errors = [];
+  const sanitizedData = {
+    areas: (Array.isArray(data.areas) ? data.areas : []).map(area => ({
+      id: sanitizeHtml(String(area.id || '')),
+      name: sanitizeHtml(area.name || ''),
+      width: Number(area.width),
+      height: Number(area.height)
+    })),
+    placements: (Array.isArray(data.placements) ? data.placements : []).map(placement => ({
+      tableId: placement.tableId,
+      areaId: placement.areaId,
+      x: Number(placement.x),
+      y: Number(placement.y),
+      width: Number(placement.width),
+      height: Number(placement.height),
+      shape: placement.shape || 'square',
+      rotation: (((Number(placement.rotation) || 0) % 360) + 360) % 360
+    }))
+  };
+
+  if (sanitizedData.areas.length === 0) {
+    errors.push('At least one area is required');
+  }
+
+  const areas = new Map();
+  sanitizedData.areas.forEach(area => {
+    if (!area.id || areas.has(area.id)) {
+      errors.push('Each area needs its own ID');
+    }
+    if (!validator.isLength(area.name, { min: 1, max: 50 })) {
+      errors.push('Area name must be 1-50 characters');
+    }
+    if (!(area.width > 0) || !(area.height > 0)) {
+      errors.push(`${area.name || 'Area'}: width and height must be positive`);
+    }
+    areas.set(area.id, area);
+  });
+
+  const placedTables = new Set();
+  sanitizedData.placements.forEach(placement => {
+    const area = areas.get(placement.areaId);
+    if (!placement.tableId || placedTables.has(placement.tableId)) {
+      errors.push('Each table can only be placed once');
+    }
+    placedTables.add(placement.tableId);
+    if (!area) {
+      errors.push(`Table ${placement.tableId} is placed in an unknown area`);
+      return;
+    }
+    if (!TABLE_SHAPES.includes(placement.shape)) {
+      errors.push(`Table ${placement.tableId}: shape must be one of ${TABLE_SHAPES.join(', ')}`);
+    }
+    if (!(placement.width > 0) || !(placement.height > 0)) {
+      errors.push(`Table ${placement.tableId}: width and height must be positive`);
+    }
+    if (!(placement.x >= 0) || !(placement.y >= 0) ||
+      placement.x + placement.width > area.width || placement.y + placement.height > area.height) {
+      errors.push(`Table ${placement.tableId} lies outside ${area.name}`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitizedData
+  };
+};
+
 export const registerSocketEvents = (socket, {
   db: tablesDB,
   posDB,
+  branchesDB,
+  settingsDB,
   sessionDB,
   logsDB
 }) => {
@@ -49,6 +136,21 @@ export const registerSocketEvents = (socket, {
     return;
   }
 
+  // Tables combined into a primary table, which holds the party and the order
+  const getCombinedTables = async (primaryTable) => {
+    const members = await Promise.all(
+      (primaryTable.combinedTableIds || []).map(tableId => tablesDB.get(tableId).catch(() => null))
+    );
+    return members.filter(Boolean);
+  };
+
+  // Apply the same changes to several tables and return them as saved
+  const saveTables = async (tables, changes) => Promise.all(tables.map(async (table) => {
+    const updatedTable = { ...table, ...changes };
+    const saved = await tablesDB.put(updatedTable);
+    return { ...updatedTable, _rev: saved.rev };
+  }));
+
   // Create Table
   socket.on('tables:create', async (data, callback) => {
     try {
@@ -156,37 +258,135 @@ export const registerSocketEvents = (socket, {
         });
       }
 
-      // 2. Get table
+      // 2. Get table; tables combined into another follow its status
       const table = await tablesDB.get(data.tableId);
+      if (table.combinedWith) {
+        const primaryTable = await tablesDB.get(table.combinedWith);
+        return callback?.({
+          success: false,
+          message: `Table ${table.number} is combined with table ${primaryTable.number}; update that table instead`
+        });
+      }
+
+      // 3. A party from the waitlist is seated by occupying its table
+      let waitlistEntry = null;
+      if (data.waitlistEntryId) {
+        waitlistEntry = await tablesDB.get(data.waitlistEntryId).catch(() => null);
+        if (!waitlistEntry || waitlistEntry.type !== 'waitlistEntry' || !WAITING_STATUSES.includes(waitlistEntry.status)) {
+          return callback?.({
+            success: false,
+            message: 'Party is no longer on the waitlist'
+          });
+        }
+        if (data.status !== 'occupied') {
+          return callback?.({
+            success: false,
+            message: 'Waitlist parties are seated by occupying a table'
+          });
+        }
+        if (table.status === 'occupied') {
+          return callback?.({
+            success: false,
+            message: `Table ${table.number} is occupied`
+          });
+        }
+      }
 
-      // 3. Update status
+      // 4. Update status. Seating a party starts a turn of the table and
+      //    clearing it ends the turn
+      const now = new Date().toISOString();
+      const isSeated = data.status === 'occupied' && table.status !== 'occupied';
+      const isCleared = table.status === 'occupied' && data.status !== 'occupied';
       const updatedTable = {
         ...table,
         status: data.status,
         currentOrderId: data.orderId,
-        updatedAt: new Date().toISOString(),
+        updatedAt: now,
         updatedBy: sessionValidation.user._id
       };
+      if (isSeated) {
+        updatedTable.seatedAt = now;
+        updatedTable.currentReservationId = null;
+        updatedTable.currentWaitlistEntryId = waitlistEntry?._id || null;
+      }
+      if (isCleared) {
+        updatedTable.seatedAt = null;
+        updatedTable.currentReservationId = null;
+        updatedTable.currentWaitlistEntryId = null;
+      }
 
       await tablesDB.put(updatedTable);
+      const memberTables = await saveTables(
+        await getCombinedTables(updatedTable),
+        { status: data.status, updatedAt: now, updatedBy: sessionValidation.user._id }
+      );
 
-      // 4. Log the action
+      // 5. Record the turn and close out the party that had the table
+      const updatedParties = [];
+      if (isCleared && table.seatedAt) {
+        await tablesDB.put({
+          _id: `tableTurn_${uuidv4()}`,
+          type: 'tableTurn',
+          restaurantId: table.restaurantId,
+          branchId: table.branchId,
+          tableId: table._id,
+          reservationId: table.currentReservationId || null,
+          waitlistEntryId: table.currentWaitlistEntryId || null,
+          seatedAt: table.seatedAt,
+          clearedAt: now,
+          minutes: Math.round((new Date(now) - new Date(table.seatedAt)) / 60000)
+        });
+      }
+
+      const seatedPartyIds = isCleared ? [table.currentReservationId, table.currentWaitlistEntryId].filter(Boolean) : [];
+      for (const partyId of seatedPartyIds) {
+        const party = await tablesDB.get(partyId).catch(() => null);
+        if (party?.status === 'seated') {
+          const completedParty = { ...party, status: 'completed', completedAt: now, updatedAt: now };
+          const saved = await tablesDB.put(completedParty);
+          updatedParties.push({ ...completedParty, _rev: saved.rev });
+        }
+      }
+
+      if (waitlistEntry) {
+        const seatedEntry = {
+          ...waitlistEntry,
+          status: 'seated',
+          tableId: table._id,
+          tableNumber: table.number,
+          seatedAt: now,
+          actualWait: Math.round((new Date(now) - new Date(waitlistEntry.createdAt)) / 60000),
+          updatedAt: now,
+          updatedBy: sessionValidation.user._id
+        };
+        const saved = await tablesDB.put(seatedEntry);
+        updatedParties.push({ ...seatedEntry, _rev: saved.rev });
+      }
+
+      // 6. Log the action
       await logsDB.put({
         _id: `log_${uuidv4()}`,
         type: 'log',
         category: 'tables',
         action: 'updateStatus',
         tableId: table._id,
+        waitlistEntryId: waitlistEntry?._id,
         userId: sessionValidation.user._id,
         timestamp: new Date().toISOString(),
         level: 'info',
-        message: `Table ${table.number} status updated to ${data.status}`
+        message: waitlistEntry
+          ? `${waitlistEntry.customerName} seated from the waitlist at table ${table.number}`
+          : `Table ${table.number} status updated to ${data.status}`
       });
 
-      // 5. Emit event to other clients
+      // 7. Emit events to other clients
       socket.broadcast.emit('tables:statusUpdated', updatedTable);
+      memberTables.forEach(member => socket.broadcast.emit('tables:statusUpdated', member));
+      for (const party of updatedParties) {
+        socket.broadcast.emit(party.type === 'reservation' ? 'reservations:updated' : 'waitlist:updated', party);
+      }
 
-      // 6. Send success response
+      // 8. Send success response
       callback?.({
         success: true,
         message: 'Table status updated successfully',
@@ -279,13 +479,13 @@ export const registerSocketEvents = (socket, {
     }
   });
 
-  // Reserve Table
-  socket.on('tables:reserve', async (data, callback) => {
+  // Get Floor Plan - areas, table layout and the colours of each status
+  socket.on('tables:getFloorPlan', async (data, callback) => {
     try {
       // 1. Validate session
       const sessionValidation = await validateUserSession(
         data.sessionId,
-        ['owner', 'manager', 'admin', 'waiter'],
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
         sessionDB
       );
 
@@ -296,55 +496,608 @@ export const registerSocketEvents = (socket, {
         });
       }
 
-      // 2. Get table
-      const table = await tablesDB.get(data.tableId);
+      // 2. Load the plan, its tables and the display settings
+      const floorPlan = await tablesDB.get(`floorPlan_${data.branchId}`).catch(() => null);
+      const tables = await tablesDB.find({
+        selector: {
+          type: 'table',
+          restaurantId: data.restaurantId,
+          branchId: data.branchId,
+          isActive: true
+        }
+      });
+      const settings = await getRestaurantSettings(settingsDB, data.restaurantId);
+
+      // 3. Send response
+      callback?.({
+        success: true,
+        data: {
+          areas: floorPlan?.areas || DEFAULT_AREAS,
+          tables: tables.docs,
+          statusColors: settings.tables.tableStatusColors,
+          display: settings.tables.floorPlan,
+          updatedAt: floorPlan?.updatedAt || null
+        }
+      });
+
+    } catch (error) {
+      console.error('Error getting floor plan:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to get floor plan',
+        error: error.message
+      });
+    }
+  });
+
+  // Save Floor Plan - areas of the branch and the position of its tables.
+  // Tables left out of the placements are taken off the plan.
+  socket.on('tables:saveFloorPlan', async (data, callback) => {
+    try {
+      // 1. Validate session and permissions
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin'],
+        sessionDB
+      );
 
-      // 3. Check if table is available
-      if (table.status !== 'available') {
+      if (!sessionValidation.valid) {
         return callback?.({
           success: false,
-          message: 'Table is not available for reservation'
+          message: sessionValidation.message
         });
       }
 
-      // 4. Create reservation
-      const updatedTable = {
-        ...table,
-        status: 'reserved',
-        reservationInfo: {
-          customerName: sanitizeHtml(data.customerName || ''),
-          customerPhone: sanitizeHtml(data.customerPhone || ''),
-          partySize: Number(data.partySize) || 1,
-          reservationTime: data.reservationTime,
-          notes: sanitizeHtml(data.notes || '')
-        },
-        updatedAt: new Date().toISOString(),
+      // 2. Validate the plan against the branch's tables
+      const validationResult = validateFloorPlan(data);
+      const tables = (await tablesDB.find({
+        selector: {
+          type: 'table',
+          restaurantId: data.restaurantId,
+          branchId: data.branchId
+        }
+      })).docs;
+      const tableIds = new Set(tables.map(table => table._id));
+      validationResult.sanitizedData.placements
+        .filter(placement => !tableIds.has(placement.tableId))
+        .forEach(placement => validationResult.errors.push(`Table ${placement.tableId} does not belong to this branch`));
+      if (validationResult.errors.length > 0) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: validationResult.errors
+        });
+      }
+
+      // 3. Save the areas
+      const { areas, placements } = validationResult.sanitizedData;
+      const now = new Date().toISOString();
+      const existing = await tablesDB.get(`floorPlan_${data.branchId}`).catch(() => null);
+      const floorPlan = {
+        ...(existing || { createdAt: now, createdBy: sessionValidation.user._id }),
+        _id: `floorPlan_${data.branchId}`,
+        type: 'floorPlan',
+        restaurantId: data.restaurantId,
+        branchId: data.branchId,
+        areas,
+        updatedAt: now,
         updatedBy: sessionValidation.user._id
       };
+      const saved = await tablesDB.put(floorPlan);
+      floorPlan._rev = saved.rev;
 
-      await tablesDB.put(updatedTable);
+      // 4. Move the tables whose layout changed
+      const layouts = new Map(placements.map(({ tableId, ...layout }) => [tableId, layout]));
+      const movedTables = tables
+        .filter(table => JSON.stringify(table.layout || null) !== JSON.stringify(layouts.get(table._id) || null))
+        .map(table => ({
+          ...table,
+          layout: layouts.get(table._id) || null,
+          updatedAt: now,
+          updatedBy: sessionValidation.user._id
+        }));
+      const results = await Promise.all(movedTables.map(table => tablesDB.put(table)));
+      results.forEach((result, index) => {
+        movedTables[index]._rev = result.rev;
+      });
 
       // 5. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'tables',
+        action: 'saveFloorPlan',
+        branchId: data.branchId,
+        tableIds: movedTables.map(table => table._id),
+        userId: sessionValidation.user._id,
+        timestamp: now,
+        level: 'info',
+        message: `Floor plan saved with ${areas.length} areas, ${movedTables.length} tables moved`
+      });
+
+      // 6. Emit event to other clients
+      socket.broadcast.emit('tables:floorPlanUpdated', {
+        branchId: data.branchId,
+        areas,
+        tables: movedTables
+      });
+
+      // 7. Send success response
+      callback?.({
+        success: true,
+        message: 'Floor plan saved successfully',
+        data: {
+          areas,
+          tables: movedTables,
+          updatedAt: now
+        }
+      });
+
+    } catch (error) {
+      console.error('Error saving floor plan:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to save floor plan',
+        error: error.message
+      });
+    }
+  });
+
+  // Combine Tables - seat a large party across several tables. A table
+  // already in use, or else the first one given, becomes the primary table
+  // that holds the party and the order; the others follow its status.
+  socket.on('tables:combine', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the tables and check they can be combined
+      const tableIds = [...new Set(data.tableIds || [])];
+      if (tableIds.length < 2) {
+        return callback?.({
+          success: false,
+          message: 'At least two tables are required to combine'
+        });
+      }
+
+      const tables = await Promise.all(tableIds.map(tableId => tablesDB.get(tableId).catch(() => null)));
+      if (tables.some(table => !table || table.type !== 'table' || table.isActive === false)) {
+        return callback?.({
+          success: false,
+          message: 'Table not found'
+        });
+      }
+
+      const settings = await getRestaurantSettings(settingsDB, tables[0].restaurantId);
+      if (!settings.tables.allowTableCombination) {
+        return callback?.({
+          success: false,
+          message: 'Combining tables is turned off for this restaurant'
+        });
+      }
+
+      if (tables.some(table => table.branchId !== tables[0].branchId)) {
+        return callback?.({
+          success: false,
+          message: 'Tables must be in the same branch'
+        });
+      }
+
+      const alreadyCombined = tables.find(table => table.combinedWith);
+      if (alreadyCombined) {
+        return callback?.({
+          success: false,
+          message: `Table ${alreadyCombined.number} is already combined with another table`
+        });
+      }
+
+      const inUse = tables.filter(table => table.status !== 'available');
+      if (inUse.length > 1) {
+        return callback?.({
+          success: false,
+          message: `Only one of the tables can be in use; tables ${inUse.map(table => table.number).join(', ')} are not available`
+        });
+      }
+
+      const primaryTable = inUse[0] || tables.find(table => table._id === data.primaryTableId) || tables[0];
+      const addedTables = tables.filter(table => table._id !== primaryTable._id);
+      const groupPrimary = addedTables.find(table => table.combinedTableIds?.length);
+      if (groupPrimary) {
+        return callback?.({
+          success: false,
+          message: `Table ${groupPrimary.number} is combining other tables; split it first`
+        });
+      }
+
+      // 3. Combine them
+      const now = new Date().toISOString();
+      const addedMembers = await saveTables(addedTables, {
+        status: primaryTable.status,
+        combinedWith: primaryTable._id,
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      });
+      const members = [...await getCombinedTables(primaryTable), ...addedMembers];
+      const [updatedPrimary] = await saveTables([primaryTable], {
+        combinedTableIds: members.map(table => table._id),
+        combinedCapacity: members.reduce((sum, table) => sum + table.capacity, primaryTable.capacity),
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      });
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'tables',
+        action: 'combine',
+        tableId: primaryTable._id,
+        tableIds: addedTables.map(table => table._id),
+        userId: sessionValidation.user._id,
+        timestamp: now,
+        level: 'info',
+        message: `Tables ${addedTables.map(table => table.number).join(', ')} combined with table ${primaryTable.number}, seating ${updatedPrimary.combinedCapacity}`
+      });
+
+      // 5. Emit events to other clients
+      [updatedPrimary, ...addedMembers].forEach(table => socket.broadcast.emit('tables:statusUpdated', table));
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: 'Tables combined successfully',
+        data: {
+          table: updatedPrimary,
+          combinedTables: addedMembers
+        }
+      });
+
+    } catch (error) {
+      console.error('Error combining tables:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to combine tables',
+        error: error.message
+      });
+    }
+  });
+
+  // Split Tables - take tables back out of a combination, all of them
+  // unless some are given. Tables a party sat at are left for cleaning.
+  socket.on('tables:split', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the primary table of the combination and check it can be split
+      let primaryTable = await tablesDB.get(data.tableId);
+      if (primaryTable.combinedWith) {
+        primaryTable = await tablesDB.get(primaryTable.combinedWith);
+      }
+
+      const settings = await getRestaurantSettings(settingsDB, primaryTable.restaurantId);
+      if (!settings.tables.allowTableSplitting) {
+        return callback?.({
+          success: false,
+          message: 'Splitting tables is turned off for this restaurant'
+        });
+      }
+
+      if (!primaryTable.combinedTableIds?.length) {
+        return callback?.({
+          success: false,
+          message: `Table ${primaryTable.number} is not combined with other tables`
+        });
+      }
+
+      const splitIds = data.tableIds?.length ? data.tableIds : primaryTable.combinedTableIds;
+      if (splitIds.some(tableId => !primaryTable.combinedTableIds.includes(tableId))) {
+        return callback?.({
+          success: false,
+          message: `Only tables combined with table ${primaryTable.number} can be split off`
+        });
+      }
+
+      // 3. Split them off
+      const now = new Date().toISOString();
+      const members = await getCombinedTables(primaryTable);
+      const splitTables = await saveTables(
+        members.filter(table => splitIds.includes(table._id)),
+        {
+          status: primaryTable.status === 'occupied' ? 'cleaning' : 'available',
+          combinedWith: null,
+          updatedAt: now,
+          updatedBy: sessionValidation.user._id
+        }
+      );
+      const remaining = members.filter(table => !splitIds.includes(table._id));
+      const [updatedPrimary] = await saveTables([primaryTable], {
+        combinedTableIds: remaining.map(table => table._id),
+        combinedCapacity: remaining.length > 0
+          ? remaining.reduce((sum, table) => sum + table.capacity, primaryTable.capacity)
+          : null,
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      });
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'tables',
+        action: 'split',
+        tableId: primaryTable._id,
+        tableIds: splitTables.map(table => table._id),
+        userId: sessionValidation.user._id,
+        timestamp: now,
+        level: 'info',
+        message: `Tables ${splitTables.map(table => table.number).join(', ')} split from table ${primaryTable.number}`
+      });
+
+      // 5. Emit events to other clients
+      [updatedPrimary, ...splitTables].forEach(table => socket.broadcast.emit('tables:statusUpdated', table));
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: 'Tables split successfully',
+        data: {
+          table: updatedPrimary,
+          splitTables
+        }
+      });
+
+    } catch (error) {
+      console.error('Error splitting tables:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to split tables',
+        error: error.message
+      });
+    }
+  });
+
+  // Transfer Table - move a seated party and its open order to another table
+  socket.on('tables:transfer', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get both tables and check the move
+      const [fromTable, toTable] = await Promise.all([
+        tablesDB.get(data.fromTableId),
+        tablesDB.get(data.toTableId)
+      ]);
+
+      if (fromTable._id === toTable._id) {
+        return callback?.({
+          success: false,
+          message: 'Pick a different table to move to'
+        });
+      }
+
+      if (fromTable.branchId !== toTable.branchId) {
+        return callback?.({
+          success: false,
+          message: 'Tables must be in the same branch'
+        });
+      }
+
+      if (fromTable.status !== 'occupied') {
+        return callback?.({
+          success: false,
+          message: `Table ${fromTable.number} has no party to move`
+        });
+      }
+
+      if (fromTable.combinedWith || fromTable.combinedTableIds?.length) {
+        return callback?.({
+          success: false,
+          message: `Table ${fromTable.number} is combined; split it before moving the party`
+        });
+      }
+
+      if (toTable.status !== 'available' || toTable.combinedWith || toTable.combinedTableIds?.length) {
+        return callback?.({
+          success: false,
+          message: `Table ${toTable.number} is not available`
+        });
+      }
+
+      // 3. Move the party; the table it leaves needs cleaning
+      const now = new Date().toISOString();
+      const [movedToTable] = await saveTables([toTable], {
+        status: 'occupied',
+        currentOrderId: fromTable.currentOrderId,
+        seatedAt: fromTable.seatedAt || now,
+        currentReservationId: fromTable.currentReservationId || null,
+        currentWaitlistEntryId: fromTable.currentWaitlistEntryId || null,
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      });
+      const [leftTable] = await saveTables([fromTable], {
+        status: 'cleaning',
+        currentOrderId: null,
+        seatedAt: null,
+        currentReservationId: null,
+        currentWaitlistEntryId: null,
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      });
+
+      // 4. The open order and the booking or waitlist party follow the move
+      let updatedOrder = null;
+      const order = fromTable.currentOrderId ? await posDB.get(fromTable.currentOrderId).catch(() => null) : null;
+      if (order) {
+        updatedOrder = {
+          ...order,
+          tableNumber: toTable.number,
+          transfers: [
+            ...(order.transfers || []),
+            {
+              from: { tableNumber: order.tableNumber, serverName: order.serverName },
+              to: { tableNumber: toTable.number, serverName: order.serverName },
+              transferredBy: sessionValidation.user._id,
+              transferredAt: now
+            }
+          ],
+          updatedAt: now,
+          updatedBy: sessionValidation.user._id
+        };
+        const saved = await posDB.put(updatedOrder);
+        updatedOrder._rev = saved.rev;
+      }
+
+      const updatedParties = [];
+      for (const partyId of [fromTable.currentReservationId, fromTable.currentWaitlistEntryId].filter(Boolean)) {
+        const party = await tablesDB.get(partyId).catch(() => null);
+        if (party?.status === 'seated') {
+          const movedParty = { ...party, tableId: toTable._id, tableNumber: toTable.number, updatedAt: now };
+          const saved = await tablesDB.put(movedParty);
+          updatedParties.push({ ...movedParty, _rev: saved.rev });
+        }
+      }
+
+      // 5. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'tables',
+        action: 'transfer',
+        tableId: fromTable._id,
+        toTableId: toTable._id,
+        orderId: order?._id,
+        userId: sessionValidation.user._id,
+        timestamp: now,
+        level: 'info',
+        message: `Party moved from table ${fromTable.number} to table ${toTable.number}${order ? ` with order ${order.orderNumber}` : ''}`
+      });
+
+      // 6. Emit events to other clients
+      socket.broadcast.emit('tables:statusUpdated', leftTable);
+      socket.broadcast.emit('tables:statusUpdated', movedToTable);
+      if (updatedOrder) socket.broadcast.emit('pos:orderUpdated', updatedOrder);
+      for (const party of updatedParties) {
+        socket.broadcast.emit(party.type === 'reservation' ? 'reservations:updated' : 'waitlist:updated', party);
+      }
+
+      // 7. Send success response
+      callback?.({
+        success: true,
+        message: 'Party moved successfully',
+        data: {
+          fromTable: leftTable,
+          toTable: movedToTable,
+          order: updatedOrder
+        }
+      });
+
+    } catch (error) {
+      console.error('Error transferring table:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to move party',
+        error: error.message
+      });
+    }
+  });
+
+  // Reserve Table - books the table in the reservation book
+  socket.on('tables:reserve', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get table
+      const table = await tablesDB.get(data.tableId);
+
+      // 3. Book it for the requested time
+      const settings = await getRestaurantSettings(settingsDB, table.restaurantId);
+      const result = await bookReservation(
+        { tablesDB, branchesDB },
+        { ...data, restaurantId: table.restaurantId, branchId: table.branchId },
+        settings.tables,
+        sessionValidation.user._id
+      );
+      if (!result.success) {
+        return callback?.({
+          success: false,
+          message: result.message,
+          errors: result.errors
+        });
+      }
+      const { reservation } = result;
+
+      // 4. Log the action
       await logsDB.put({
         _id: `log_${uuidv4()}`,
         type: 'log',
         category: 'tables',
         action: 'reserve',
         tableId: table._id,
+        reservationId: reservation._id,
         userId: sessionValidation.user._id,
         timestamp: new Date().toISOString(),
         level: 'info',
-        message: `Table ${table.number} reserved for ${updatedTable.reservationInfo.customerName}`
+        message: `Table ${table.number} reserved for ${reservation.customerName} at ${reservation.date} ${reservation.time}`
       });
 
-      // 6. Emit event to other clients
-      socket.broadcast.emit('tables:reserved', updatedTable);
+      // 5. Emit events to other clients
+      socket.broadcast.emit('reservations:updated', reservation);
+      if (result.table) socket.broadcast.emit('tables:reserved', result.table);
 
-      // 7. Send success response
+      // 6. Send success response
       callback?.({
         success: true,
         message: 'Table reserved successfully',
-        data: updatedTable
+        data: {
+          reservation,
+          table: result.table || table
+        }
       });
 
     } catch (error) {
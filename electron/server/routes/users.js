@@ -7,6 +7,7 @@ import validateUser from '../utils/validateUser.js';
 import { loginHandler, logoutHandler } from '../utils/authHandlers.js';
 import { sessionManager } from '../utils/sessionManager.js';
 import { activityLogger } from '../utils/activityLogger.js';
+import { OVERRIDE_ROLES, savePin } from '../utils/managerOverride.js';
 
 // Socket.IO event handlers
 export const registerSocketEvents = (socket, { db, sessionDB, logsDB, restaurantsDB, branchesDB }) => {
@@ -604,6 +605,64 @@ export const registerSocketEvents = (socket, { db, sessionDB, logsDB, restaurant
     }
   });
 
+  // Manager override PIN
+  socket.on('user:setPin', async (data, callback) => {
+    try {
+      const session = await sessionDB.get(data.sessionId).catch(() => null);
+      if (!session || session._deleted || new Date(session.expiresAt) < new Date()) {
+        return callback?.({
+          success: false,
+          message: 'Invalid or expired session'
+        });
+      }
+
+      const currentUser = session.userDetails;
+      if (!currentUser || !OVERRIDE_ROLES.includes(currentUser.role)) {
+        return callback?.({
+          success: false,
+          message: 'Only managers can set an override PIN'
+        });
+      }
+
+      if (!/^\d{4,8}$/.test(String(data.pin || ''))) {
+        return callback?.({
+          success: false,
+          message: 'PIN must be 4-8 digits'
+        });
+      }
+
+      // Confirm the password so a PIN can't be set from an unattended session
+      const user = await db.get(currentUser._id);
+      const isPasswordValid = await bcrypt.compare(data.password || '', user.password);
+      if (!isPasswordValid) {
+        return callback?.({
+          success: false,
+          message: 'Password is incorrect'
+        });
+      }
+
+      await savePin(db, user, String(data.pin));
+
+      await activityLogger.logActivity(logsDB, {
+        type: activityLogger.ACTIVITY_TYPES.ACCOUNT_UPDATED,
+        userId: user._id,
+        details: 'Manager override PIN updated'
+      });
+
+      return callback?.({
+        success: true,
+        message: 'PIN updated successfully'
+      });
+    } catch (error) {
+      console.error('Set PIN error:', error);
+      return callback?.({
+        success: false,
+        message: error.message || 'Failed to set PIN',
+        error: error.message
+      });
+    }
+  });
+
   socket.on('user:delete', async ({ id }, callback) => {
     try {
       let user;
@@ -0,0 +1,451 @@
+import { v4 as uuidv4 } from 'uuid';
+import validator from 'validator';
+import sanitizeHtml from 'sanitize-html';
+import { validateUserSession } from './utils.js';
+import { getRestaurantSettings } from './settings.js';
+import { WAITING_STATUSES, estimateWait, getAverageTurnTime } from '../utils/waitTimes.js';
+
+// Ways a party leaves the list without being seated
+const REMOVAL_STATUSES = ['left', 'cancelled'];
+
+const validateWaitlistEntry = (data, tableSettings) => {
+  const errors = [];
+  const sanitizedData = {
+    customerName: sanitizeHtml(data.customerName || '').trim(),
+    customerPhone: sanitizeHtml(data.customerPhone || '').trim(),
+    partySize: Number(data.partySize),
+    notes: sanitizeHtml(data.notes || ''),
+    restaurantId: data.restaurantId,
+    branchId: data.branchId
+  };
+
+  if (!tableSettings.allowWaitlist) {
+    errors.push('The waitlist is turned off for this restaurant');
+  }
+
+  if (!sanitizedData.restaurantId || !sanitizedData.branchId) {
+    errors.push('Restaurant and branch are required');
+  }
+
+  if (!validator.isLength(sanitizedData.customerName, { min: 1, max: 100 })) {
+    errors.push('Customer name is required and must be 1-100 characters');
+  }
+
+  if (sanitizedData.customerPhone && !validator.isMobilePhone(sanitizedData.customerPhone, 'any')) {
+    errors.push('Invalid phone number format');
+  }
+
+  if (!Number.isInteger(sanitizedData.partySize) || sanitizedData.partySize <= 0) {
+    errors.push('Party size must be a whole number greater than zero');
+  } else if (sanitizedData.partySize > tableSettings.maxPartySize) {
+    errors.push(`Parties are limited to ${tableSettings.maxPartySize} guests`);
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    sanitizedData
+  };
+};
+
+export const registerSocketEvents = (socket, {
+  db: tablesDB,
+  settingsDB,
+  sessionDB,
+  logsDB
+}) => {
+  if (!tablesDB || !settingsDB || !sessionDB) {
+    console.error('Missing required database dependencies for waitlist routes');
+    return;
+  }
+
+  // Tables, parties still waiting and turn time of a branch: what every quote is made from
+  const loadWaitState = async (restaurantId, branchId) => {
+    const settings = await getRestaurantSettings(settingsDB, restaurantId);
+    const [tablesResult, waitingResult, averageTurnTime] = await Promise.all([
+      tablesDB.find({
+        selector: {
+          type: 'table',
+          restaurantId,
+          branchId,
+          isActive: true
+        }
+      }),
+      tablesDB.find({
+        selector: {
+          type: 'waitlistEntry',
+          branchId,
+          status: { $in: WAITING_STATUSES }
+        }
+      }),
+      getAverageTurnTime(tablesDB, branchId, settings.tables.defaultTurnoverTime)
+    ]);
+    return {
+      tableSettings: settings.tables,
+      tables: tablesResult.docs,
+      waiting: waitingResult.docs.sort((a, b) => a.createdAt.localeCompare(b.createdAt)),
+      averageTurnTime
+    };
+  };
+
+  // Load an entry that is still on the list
+  const getWaitingEntry = async (entryId) => {
+    const entry = await tablesDB.get(entryId).catch(() => null);
+    if (!entry || entry.type !== 'waitlistEntry') {
+      return { message: 'Waitlist entry not found' };
+    }
+    if (!WAITING_STATUSES.includes(entry.status)) {
+      return { message: `Party is already ${entry.status}` };
+    }
+    return { entry };
+  };
+
+  // Quote Wait - what a party of this size would wait if added now
+  socket.on('waitlist:quote', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      const partySize = Number(data.partySize);
+      if (!Number.isInteger(partySize) || partySize <= 0) {
+        return callback?.({
+          success: false,
+          message: 'Party size must be a whole number greater than zero'
+        });
+      }
+
+      // 2. Estimate behind everyone already waiting
+      const { tables, waiting, averageTurnTime } = await loadWaitState(data.restaurantId, data.branchId);
+      const quotedWait = estimateWait({ partySize, tables, partiesAhead: waiting, averageTurnTime });
+
+      // 3. Send response
+      callback?.({
+        success: true,
+        data: {
+          partySize,
+          quotedWait,
+          partiesAhead: waiting.length,
+          averageTurnTime
+        }
+      });
+
+    } catch (error) {
+      console.error('Error quoting wait:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to quote wait',
+        error: error.message
+      });
+    }
+  });
+
+  // Add Party - put a walk-in on the list with a quoted wait
+  socket.on('waitlist:add', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Validate the party
+      const { tableSettings, tables, waiting, averageTurnTime } = await loadWaitState(data.restaurantId, data.branchId);
+      const validationResult = validateWaitlistEntry(data, tableSettings);
+      if (!validationResult.isValid) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: validationResult.errors
+        });
+      }
+
+      // 3. Quote the wait; no table at all fits a party that is too large
+      const quotedWait = estimateWait({
+        partySize: validationResult.sanitizedData.partySize,
+        tables,
+        partiesAhead: waiting,
+        averageTurnTime
+      });
+      if (quotedWait === null) {
+        return callback?.({
+          success: false,
+          message: `No table seats a party of ${validationResult.sanitizedData.partySize}`
+        });
+      }
+
+      // 4. Save the entry
+      const now = new Date().toISOString();
+      const entry = {
+        _id: `waitlist_${uuidv4()}`,
+        type: 'waitlistEntry',
+        ...validationResult.sanitizedData,
+        status: 'waiting',
+        quotedWait,
+        averageTurnTime,
+        createdBy: sessionValidation.user._id,
+        createdAt: now,
+        updatedAt: now
+      };
+      const saved = await tablesDB.put(entry);
+      entry._rev = saved.rev;
+
+      // 5. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'waitlist',
+        action: 'add',
+        waitlistEntryId: entry._id,
+        userId: sessionValidation.user._id,
+        timestamp: now,
+        level: 'info',
+        message: `${entry.customerName}, party of ${entry.partySize}, added to the waitlist with a ${quotedWait} minute quote`
+      });
+
+      // 6. Emit event to other clients
+      socket.broadcast.emit('waitlist:updated', entry);
+
+      // 7. Send success response
+      callback?.({
+        success: true,
+        message: 'Party added to the waitlist',
+        data: entry
+      });
+
+    } catch (error) {
+      console.error('Error adding to waitlist:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to add party to the waitlist',
+        error: error.message
+      });
+    }
+  });
+
+  // List Waitlist - parties in arrival order with how long they have left to wait
+  socket.on('waitlist:list', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Re-estimate each party behind those ahead of it
+      const { tableSettings, tables, waiting, averageTurnTime } = await loadWaitState(data.restaurantId, data.branchId);
+      const now = Date.now();
+      const entries = waiting.map((entry, index) => ({
+        ...entry,
+        waited: Math.round((now - new Date(entry.createdAt).getTime()) / 60000),
+        remainingWait: estimateWait({
+          partySize: entry.partySize,
+          tables,
+          partiesAhead: waiting.slice(0, index),
+          averageTurnTime,
+          now
+        })
+      }));
+
+      // 3. Send response
+      callback?.({
+        success: true,
+        data: {
+          entries,
+          availableTables: tables
+            .filter(table => table.status === 'available')
+            .map(({ _id, number, capacity }) => ({ _id, number, capacity }))
+            .sort((a, b) => a.number - b.number),
+          averageTurnTime,
+          notificationsEnabled: tableSettings.waitlistNotification
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing waitlist:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to list waitlist',
+        error: error.message
+      });
+    }
+  });
+
+  // Notify Party - tell a waiting party their table is ready
+  socket.on('waitlist:notify', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      // 2. Get the entry; notifying must be turned on
+      const { entry: existing, message } = await getWaitingEntry(data.entryId);
+      if (!existing) {
+        return callback?.({ success: false, message });
+      }
+
+      const settings = await getRestaurantSettings(settingsDB, existing.restaurantId);
+      if (!settings.tables.waitlistNotification) {
+        return callback?.({
+          success: false,
+          message: 'Waitlist notifications are turned off for this restaurant'
+        });
+      }
+
+      // 3. Mark the party notified
+      const now = new Date().toISOString();
+      const entry = {
+        ...existing,
+        status: 'notified',
+        notifiedAt: now,
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      };
+      const saved = await tablesDB.put(entry);
+      entry._rev = saved.rev;
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'waitlist',
+        action: 'notify',
+        waitlistEntryId: entry._id,
+        userId: sessionValidation.user._id,
+        timestamp: now,
+        level: 'info',
+        message: `${entry.customerName} notified that their table is ready`
+      });
+
+      // 5. Emit event to other clients
+      socket.broadcast.emit('waitlist:updated', entry);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: 'Party notified',
+        data: entry
+      });
+
+    } catch (error) {
+      console.error('Error notifying waitlist party:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to notify party',
+        error: error.message
+      });
+    }
+  });
+
+  // Remove Party - the party left or cancelled before being seated
+  socket.on('waitlist:remove', async (data, callback) => {
+    try {
+      // 1. Validate session
+      const sessionValidation = await validateUserSession(
+        data.sessionId,
+        ['owner', 'manager', 'admin', 'waiter', 'cashier'],
+        sessionDB
+      );
+
+      if (!sessionValidation.valid) {
+        return callback?.({
+          success: false,
+          message: sessionValidation.message
+        });
+      }
+
+      const status = data.reason || 'left';
+      if (!REMOVAL_STATUSES.includes(status)) {
+        return callback?.({
+          success: false,
+          message: `Reason must be one of: ${REMOVAL_STATUSES.join(', ')}`
+        });
+      }
+
+      // 2. Get the entry
+      const { entry: existing, message } = await getWaitingEntry(data.entryId);
+      if (!existing) {
+        return callback?.({ success: false, message });
+      }
+
+      // 3. Take it off the list
+      const now = new Date().toISOString();
+      const entry = {
+        ...existing,
+        status,
+        removedAt: now,
+        updatedAt: now,
+        updatedBy: sessionValidation.user._id
+      };
+      const saved = await tablesDB.put(entry);
+      entry._rev = saved.rev;
+
+      // 4. Log the action
+      await logsDB.put({
+        _id: `log_${uuidv4()}`,
+        type: 'log',
+        category: 'waitlist',
+        action: 'remove',
+        waitlistEntryId: entry._id,
+        userId: sessionValidation.user._id,
+        timestamp: now,
+        level: 'info',
+        message: `${entry.customerName} removed from the waitlist (${status})`
+      });
+
+      // 5. Emit event to other clients
+      socket.broadcast.emit('waitlist:updated', entry);
+
+      // 6. Send success response
+      callback?.({
+        success: true,
+        message: 'Party removed from the waitlist',
+        data: entry
+      });
+
+    } catch (error) {
+      console.error('Error removing waitlist party:', error);
+      callback?.({
+        success: false,
+        message: 'Failed to remove party',
+        error: error.message
+      });
+    }
+  });
+};
@@ -1,12 +1,18 @@
 import { v4 as uuidv4 } from 'uuid';
 import sanitizeHtml from 'sanitize-html';
 import { validateUserSession } from './utils.js';
+import { getRestaurantSettings } from './settings.js';
+import { checkIngredientUnit, toStockUnit } from '../utils/units.js';
+import { getStockShortages } from '../utils/inventoryDeduction.js';
+import { recordInventoryTransaction, broadcastInventoryTransaction } from './inventory.js';
 
 const validateWasteRecord = (data) => {
   const errors = [];
   const sanitizedData = {
     ingredientId: data.ingredientId,
     quantity: Number(data.quantity) || 0,
+    unit: data.unit ? sanitizeHtml(data.unit) : undefined,
+    batchId: data.batchId ? sanitizeHtml(data.batchId) : undefined,
     reason: sanitizeHtml(data.reason || ''),
     wasteType: data.wasteType || 'spoilage',
     disposalMethod: sanitizeHtml(data.disposalMethod || ''),
@@ -45,7 +51,9 @@ export const registerSocketEvents = (socket, {
   inventoryTransactionsDB,
   ingredientsDB,
   sessionDB,
-  logsDB
+  logsDB,
+  notificationsDB,
+  settingsDB
 }) => {
   if (!wasteRecordsDB || !inventoryTransactionsDB || !ingredientsDB || !sessionDB) {
     console.error('Missing required database dependencies for waste records routes');
@@ -83,11 +91,60 @@ export const registerSocketEvents = (socket, {
         });
       }
 
-      // 3. Get ingredient information
+      // 3. Get ingredient information and the wasted quantity in its stock unit
       const ingredient = await ingredientsDB.get(data.ingredientId);
+      const unit = validationResult.sanitizedData.unit || ingredient.unit;
+      const stockQuantity = toStockUnit(validationResult.sanitizedData.quantity, unit, ingredient);
+      if (stockQuantity === null) {
+        return callback?.({
+          success: false,
+          message: 'Validation failed',
+          errors: [checkIngredientUnit(unit, ingredient)]
+        });
+      }
 
-      // 4. Calculate cost if not provided
-      const wasteCost = data.cost || (ingredient.cost * validationResult.sanitizedData.quantity);
+      // Waste can't write off more than is in stock unless negative stock is allowed
+      const settings = await getRestaurantSettings(settingsDB, ingredient.restaurantId || data.restaurantId);
+      const shortages = getStockShortages([{
+        ingredientName: ingredient.name,
+        quantity: stockQuantity,
+        unit: ingredient.unit,
+        stockLevel: ingredient.stockLevel
+      }]);
+      if (shortages.length > 0 && !settings.inventory.allowNegativeStock) {
+        return callback?.({
+          success: false,
+          message: 'Not enough stock',
+          errors: shortages
+        });
+      }
+
+      // 4. Write the waste off stock, from the named batch or else in the
+      // order of the inventory method; its cost comes from those batches
+      // unless one was given
+      const result = await recordInventoryTransaction(
+        { inventoryTransactionsDB, ingredientsDB, logsDB, notificationsDB },
+        {
+          transactionType: 'Spoilage',
+          ingredientId: ingredient._id,
+          ingredientName: ingredient.name,
+          quantity: validationResult.sanitizedData.quantity,
+          unit,
+          batchId: validationResult.sanitizedData.batchId,
+          cost: data.cost || undefined,
+          reason: `Waste: ${validationResult.sanitizedData.reason}`,
+          restaurantId: data.restaurantId,
+          branchId: data.branchId
+        },
+        sessionValidation.user
+      );
+      if (!result.success) {
+        return callback?.({
+          success: false,
+          message: result.message,
+          errors: result.errors
+        });
+      }
 
       // 5. Create waste record
       const wasteRecord = {
@@ -95,44 +152,16 @@ export const registerSocketEvents = (socket, {
         type: 'wasteRecord',
         ...validationResult.sanitizedData,
         ingredientName: ingredient.name,
-        unit: ingredient.unit,
-        cost: wasteCost,
+        unit,
+        stockQuantity,
+        stockUnit: ingredient.unit,
+        cost: result.transaction.cost,
+        transactionId: result.transaction._id,
         createdAt: new Date().toISOString()
       };
+      await wasteRecordsDB.put(wasteRecord);
 
-      // 6. Create inventory transaction for waste
-      const inventoryTransaction = {
-        _id: `inventory_transaction_${uuidv4()}`,
-        type: 'inventoryTransaction',
-        transactionType: 'Spoilage',
-        ingredientId: ingredient._id,
-        ingredientName: ingredient.name,
-        quantity: validationResult.sanitizedData.quantity,
-        unit: ingredient.unit,
-        cost: wasteCost,
-        reason: `Waste: ${validationResult.sanitizedData.reason}`,
-        restaurantId: data.restaurantId,
-        branchId: data.branchId,
-        createdBy: sessionValidation.user._id,
-        createdAt: new Date().toISOString()
-      };
-
-      // 7. Update ingredient stock level
-      const updatedIngredient = {
-        ...ingredient,
-        stockLevel: Math.max(0, ingredient.stockLevel - validationResult.sanitizedData.quantity),
-        updatedAt: new Date().toISOString(),
-        updatedBy: sessionValidation.user._id
-      };
-
-      // 8. Save all changes
-      await Promise.all([
-        wasteRecordsDB.put(wasteRecord),
-        inventoryTransactionsDB.put(inventoryTransaction),
-        ingredientsDB.put(updatedIngredient)
-      ]);
-
-      // 9. Log the action
+      // 6. Log the action
       await logsDB.put({
         _id: `log_${uuidv4()}`,
         type: 'log',
@@ -143,30 +172,21 @@ export const registerSocketEvents = (socket, {
         userId: sessionValidation.user._id,
         timestamp: new Date().toISOString(),
         level: 'info',
-        message: `${wasteRecord.quantity} ${ingredient.unit} of ${ingredient.name} recorded as waste`
+        message: `${wasteRecord.quantity} ${wasteRecord.unit} of ${ingredient.name} recorded as waste`
       });
 
-      // 10. Check for low stock and emit alert if needed
-      if (updatedIngredient.stockLevel <= updatedIngredient.minimumThreshold) {
-        socket.broadcast.emit('inventory:lowStock', {
-          ingredientId: ingredient._id,
-          name: ingredient.name,
-          currentStock: updatedIngredient.stockLevel,
-          minimumThreshold: updatedIngredient.minimumThreshold
-        });
-      }
-
-      // 11. Emit waste recorded event
+      // 7. Emit the stock movement, with its low stock alert, and the waste record
+      broadcastInventoryTransaction(socket, result);
       socket.broadcast.emit('waste:recorded', wasteRecord);
 
-      // 12. Send success response
+      // 8. Send success response
       callback?.({
         success: true,
         message: 'Waste record created successfully',
         data: {
           wasteRecord,
-          inventoryTransaction,
-          updatedIngredient
+          inventoryTransaction: result.transaction,
+          updatedIngredient: result.ingredient
         }
       });
 
@@ -222,7 +242,7 @@ export const registerSocketEvents = (socket, {
           };
         }
         acc.byType[record.wasteType].count++;
-        acc.byType[record.wasteType].quantity += record.quantity;
+        acc.byType[record.wasteType].quantity += record.stockQuantity ?? record.quantity;
         acc.byType[record.wasteType].cost += record.cost;
 
         // Group by ingredient
@@ -235,7 +255,7 @@ export const registerSocketEvents = (socket, {
           };
         }
         acc.byIngredient[record.ingredientId].count++;
-        acc.byIngredient[record.ingredientId].quantity += record.quantity;
+        acc.byIngredient[record.ingredientId].quantity += record.stockQuantity ?? record.quantity;
         acc.byIngredient[record.ingredientId].cost += record.cost;
 
         // Update totals
@@ -333,7 +353,7 @@ export const registerSocketEvents = (socket, {
             cost: 0
           };
         }
-        acc[date].topWastedIngredients[record.ingredientId].quantity += record.quantity;
+        acc[date].topWastedIngredients[record.ingredientId].quantity += record.stockQuantity ?? record.quantity;
         acc[date].topWastedIngredients[record.ingredientId].cost += record.cost;
 
         return acc;
@@ -0,0 +1,76 @@
+import { consumeBatches, getBatchReturns, returnToBatches } from '../utils/batches.js';
+
+const ingredient = {
+  unit: 'kg',
+  cost: 3,
+  batches: [
+    { batchId: 'A', quantity: 10, unitCost: 1, receivedDate: '2025-01-01', expiryDate: '2025-03-01' },
+    { batchId: 'B', quantity: 10, unitCost: 2, receivedDate: '2025-01-05', expiryDate: '2025-02-01' },
+    { batchId: 'C', quantity: 5, receivedDate: '2025-01-10' }
+  ]
+};
+
+const drawn = (result) => result.consumed.map(entry => [entry.batchId, entry.quantity]);
+
+describe('batch consumption', () => {
+  test('FIFO draws the oldest batches first and drops emptied ones', () => {
+    const result = consumeBatches(ingredient, 12, { method: 'FIFO' });
+
+    expect(drawn(result)).toEqual([['A', 10], ['B', 2]]);
+    expect(result.cost).toBe(14);
+    expect(result.shortfall).toBe(0);
+    expect(result.batches.map(batch => [batch.batchId, batch.quantity])).toEqual([['B', 8], ['C', 5]]);
+  });
+
+  test('LIFO draws the newest batches first and values unpriced batches at the ingredient cost', () => {
+    const result = consumeBatches(ingredient, 12, { method: 'LIFO' });
+
+    expect(drawn(result)).toEqual([['C', 5], ['B', 7]]);
+    expect(result.cost).toBe(29);
+  });
+
+  test('FEFO draws the soonest to expire first and batches without expiry last', () => {
+    expect(drawn(consumeBatches(ingredient, 12, { method: 'FEFO' }))).toEqual([['B', 10], ['A', 2]]);
+    expect(drawn(consumeBatches(ingredient, 22, { method: 'FEFO' }))).toEqual([['B', 10], ['A', 10], ['C', 2]]);
+  });
+
+  test('returns what the batches cannot cover as the shortfall', () => {
+    const result = consumeBatches(ingredient, 30);
+
+    expect(result.shortfall).toBe(5);
+    expect(result.batches).toEqual([]);
+    expect(result.cost).toBe(10 + 20 + 15 + 15);
+  });
+
+  test('draws only from the chosen batch', () => {
+    const result = consumeBatches(ingredient, 12, { batchId: 'A' });
+    expect(drawn(result)).toEqual([['A', 10]]);
+    expect(result.shortfall).toBe(2);
+  });
+
+  test('leaves the ingredient untouched', () => {
+    consumeBatches(ingredient, 12);
+    expect(ingredient.batches.map(batch => batch.quantity)).toEqual([10, 10, 5]);
+  });
+});
+
+describe('batch returns', () => {
+  const movements = [{ batchConsumption: consumeBatches(ingredient, 12).consumed }];
+
+  test('puts stock back into the batches most recently drawn from', () => {
+    expect(getBatchReturns(movements, 5).map(entry => [entry.batchId, entry.quantity])).toEqual([['B', 2], ['A', 3]]);
+  });
+
+  test('skips what earlier returns already put back and never returns more than was drawn', () => {
+    const returned = [...movements, { batchReturns: [{ batchId: 'B', quantity: 2 }] }];
+    expect(getBatchReturns(returned, 15).map(entry => [entry.batchId, entry.quantity])).toEqual([['A', 10]]);
+  });
+
+  test('brings back emptied batches with their cost and dates', () => {
+    const { batches } = consumeBatches(ingredient, 12);
+    const restored = returnToBatches({ batches }, getBatchReturns(movements, 5));
+
+    expect(restored.map(batch => [batch.batchId, batch.quantity])).toEqual([['B', 10], ['C', 5], ['A', 3]]);
+    expect(restored[2]).toMatchObject({ unitCost: 1, expiryDate: '2025-03-01', receivedDate: '2025-01-01' });
+  });
+});
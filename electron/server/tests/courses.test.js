@@ -0,0 +1,68 @@
+import { jest } from '@jest/globals';
+import { registerPosRoutes, restaurant } from './helpers/posRoutes.js';
+
+const heldOrder = {
+  _id: 'order_1',
+  type: 'transaction',
+  ...restaurant,
+  orderNumber: 'ORD-T1-0001',
+  orderType: 'Dine-in',
+  paymentStatus: 'Pending',
+  kitchenRounds: 1,
+  orderItems: [
+    { menuItemId: 'soup', name: 'Soup', quantity: 1, course: 'starters', round: 1, firedAt: '2025-03-07T19:00:00.000Z' },
+    { menuItemId: 'burger', name: 'Burger', quantity: 1, course: 'mains', round: null, firedAt: null }
+  ],
+  courses: { mains: { status: 'held', heldAt: '2025-03-07T19:00:00.000Z', heldBy: 'user_manager', fireAt: null } }
+};
+
+describe('firing courses', () => {
+  let socket;
+  let posDB;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    ({ socket, posDB } = registerPosRoutes({ posDB: [heldOrder] }));
+  });
+
+  test('reads the order again when it changed while the course was fired', async () => {
+    // A payment lands between reading the order and saving the fired course
+    posDB.beforePut = async () => {
+      posDB.beforePut = null;
+      const order = await posDB.get('order_1');
+      await posDB.put({ ...order, amountPaid: 5 });
+    };
+
+    const result = await socket.call('pos:fireCourse', { sessionId: 'session_manager', orderId: 'order_1', course: 'mains' });
+
+    expect(result.success).toBe(true);
+    const saved = await posDB.get('order_1');
+    expect(saved).toMatchObject({ amountPaid: 5, kitchenRounds: 2 });
+    expect(saved.courses.mains.status).toBe('fired');
+    expect(saved.orderItems[1]).toMatchObject({ round: 2, firedAt: expect.any(String) });
+  });
+
+  test('gives up once the order keeps changing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    posDB.beforePut = async (doc) => {
+      const order = await posDB.get(doc._id);
+      const beforePut = posDB.beforePut;
+      posDB.beforePut = null;
+      await posDB.put({ ...order, updatedAt: new Date().toISOString() });
+      posDB.beforePut = beforePut;
+    };
+
+    const result = await socket.call('pos:fireCourse', { sessionId: 'session_manager', orderId: 'order_1', course: 'mains' });
+
+    expect(result).toMatchObject({ success: false });
+    expect((await posDB.get('order_1')).courses.mains.status).toBe('held');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,76 @@
+import { calculateDrawerReport } from '../routes/cashDrawer.js';
+
+const drawer = {
+  _id: 'drawer_b',
+  openingFloat: 100,
+  movements: [
+    { type: 'paid_in', amount: 10 },
+    { type: 'paid_out', amount: 5 },
+    { type: 'drop', amount: 20 }
+  ]
+};
+
+const orders = [
+  {
+    // Opened in an earlier shift and settled in this one
+    drawerSessionId: 'drawer_a',
+    paymentStatus: 'Completed',
+    payments: [{ method: 'cash', amount: 30, status: 'approved', drawerSessionId: 'drawer_b' }],
+    refunds: [{ method: 'cash', amount: 5, drawerSessionId: 'drawer_b' }]
+  },
+  {
+    drawerSessionId: 'drawer_b',
+    paymentStatus: 'Completed',
+    payments: [
+      { method: 'credit_card', amount: 20, status: 'approved', drawerSessionId: 'drawer_b' },
+      { method: 'cash', amount: 15, status: 'declined', drawerSessionId: 'drawer_b' }
+    ],
+    adjustments: [{ type: 'void', amount: 3 }, { type: 'comp', amount: 4 }]
+  },
+  {
+    // Opened here, part paid at another terminal
+    drawerSessionId: 'drawer_b',
+    paymentStatus: 'Partial',
+    payments: [{ method: 'cash', amount: 10, status: 'approved', drawerSessionId: 'drawer_c' }]
+  },
+  {
+    // Paid before payments carried their drawer
+    drawerSessionId: 'drawer_b',
+    paymentStatus: 'Completed',
+    payments: [{ method: 'cash', amount: 12, status: 'approved' }]
+  }
+];
+
+describe('drawer report', () => {
+  test('counts the payments and refunds the drawer took', () => {
+    const report = calculateDrawerReport(drawer, orders, { reportType: 'X' });
+
+    expect(report.movements).toEqual({ paid_in: 10, paid_out: 5, drop: 20 });
+    expect(report.tenders).toEqual([
+      { method: 'cash', sales: 42, refunds: 5, expected: 122, counted: null, variance: null },
+      { method: 'credit_card', sales: 20, refunds: 0, expected: 20, counted: null, variance: null }
+    ]);
+    expect(report.grossSales).toBe(62);
+    expect(report.totalVariance).toBeNull();
+  });
+
+  test('counts orders, voids and comps of the orders opened in the drawer', () => {
+    const report = calculateDrawerReport(drawer, orders, { reportType: 'X' });
+
+    expect(report).toMatchObject({ orderCount: 3, openOrderCount: 1, voidTotal: 3, compTotal: 4 });
+  });
+
+  test('compares counted tenders with what is expected at close', () => {
+    const report = calculateDrawerReport(drawer, orders, {
+      reportType: 'Z',
+      counts: { cash: 120, credit_card: 20, mobile_payment: 0 }
+    });
+
+    expect(report.tenders.map(tender => [tender.method, tender.counted, tender.variance])).toEqual([
+      ['cash', 120, -2],
+      ['credit_card', 20, 0],
+      ['mobile_payment', 0, 0]
+    ]);
+    expect(report.totalVariance).toBe(-2);
+  });
+});
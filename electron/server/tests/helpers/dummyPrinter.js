@@ -0,0 +1,41 @@
+import net from 'net';
+
+/**
+ * Start a TCP server that accepts print jobs like a network ESC/POS printer.
+ * Each connection is one job; its bytes are collected in `jobs`.
+ * @param {Object} options - { port } 0 picks a free port
+ * @returns {Promise<Object>} - { host, port, jobs, waitForJobs, close }
+ */
+export const startDummyPrinter = ({ port = 0 } = {}) => new Promise((resolve, reject) => {
+  const jobs = [];
+  const waiting = [];
+
+  const server = net.createServer((connection) => {
+    const chunks = [];
+    connection.on('data', chunk => chunks.push(chunk));
+    connection.on('end', () => {
+      jobs.push(Buffer.concat(chunks));
+      connection.end();
+      waiting.filter(waiter => jobs.length >= waiter.count).forEach(waiter => {
+        waiting.splice(waiting.indexOf(waiter), 1);
+        waiter.resolve(jobs);
+      });
+    });
+  });
+
+  // Resolves once at least `count` jobs have been received
+  const waitForJobs = (count = 1) => jobs.length >= count
+    ? Promise.resolve(jobs)
+    : new Promise(done => waiting.push({ count, resolve: done }));
+
+  server.on('error', reject);
+  server.listen(port, '127.0.0.1', () => {
+    resolve({
+      host: '127.0.0.1',
+      port: server.address().port,
+      jobs,
+      waitForJobs,
+      close: () => new Promise(done => server.close(() => done()))
+    });
+  });
+});
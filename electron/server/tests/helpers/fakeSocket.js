@@ -0,0 +1,22 @@
+/**
+ * A Socket.IO socket stand-in for calling route handlers directly.
+ * Everything emitted or broadcast is collected in `emitted`.
+ * @returns {Object} - Socket with call(event, data) resolving to the callback response
+ */
+export const createFakeSocket = () => {
+  const handlers = {};
+  const emitted = [];
+  const record = (room) => ({ emit: (event, data) => emitted.push({ room, event, data }) });
+
+  return {
+    id: 'socket_test',
+    emitted,
+    on: (event, handler) => { handlers[event] = handler; },
+    emit: (event, data) => emitted.push({ event, data }),
+    broadcast: { ...record('broadcast'), to: record },
+    to: record,
+    join: () => {},
+    leave: () => {},
+    call: (event, data) => new Promise(resolve => handlers[event](data, resolve))
+  };
+};
@@ -0,0 +1,61 @@
+const OPERATORS = {
+  $in: (value, expected) => expected.includes(value),
+  $ne: (value, expected) => value !== expected,
+  $gt: (value, expected) => value !== undefined && value > expected,
+  $gte: (value, expected) => value !== undefined && value >= expected,
+  $lt: (value, expected) => value !== undefined && value < expected,
+  $lte: (value, expected) => value !== undefined && value <= expected
+};
+
+const matches = (doc, selector) => Object.entries(selector).every(([field, condition]) => {
+  const value = field.split('.').reduce((parent, key) => parent?.[key], doc);
+  if (condition && typeof condition === 'object' && !Array.isArray(condition)) {
+    return Object.entries(condition).every(([operator, expected]) => OPERATORS[operator](value, expected));
+  }
+  return value === condition;
+});
+
+/**
+ * A PouchDB stand-in that keeps documents in memory. Writes check _rev like
+ * PouchDB does, so a stale write fails with a 409; `beforePut` runs before
+ * each write and lets a test write a document first to force that conflict.
+ * find matches selector fields by equality or with $in, $ne, $gt, $gte, $lt
+ * and $lte, and honours limit; it does not sort.
+ * @param {Array} docs - Documents to start with
+ * @returns {Object} - { get, put, find, docs, beforePut }
+ */
+export const createMemoryDB = (docs = []) => {
+  const store = new Map();
+  const error = (status, name) => Object.assign(new Error(name), { status, name });
+
+  const write = (doc) => {
+    const existing = store.get(doc._id);
+    if ((existing?._rev || undefined) !== (doc._rev || undefined)) {
+      throw error(409, 'conflict');
+    }
+    const revision = Number(existing?._rev?.split('-')[0] || 0) + 1;
+    const saved = { ...doc, _rev: `${revision}-memory` };
+    store.set(doc._id, saved);
+    return { ok: true, id: doc._id, rev: saved._rev };
+  };
+
+  docs.forEach(write);
+
+  const db = {
+    beforePut: null,
+    docs: () => [...store.values()].map(doc => ({ ...doc })),
+    get: async (id) => {
+      if (!store.has(id)) throw error(404, 'not_found');
+      return { ...store.get(id) };
+    },
+    put: async (doc) => {
+      if (db.beforePut) await db.beforePut(doc);
+      return write(doc);
+    },
+    find: async ({ selector, limit }) => ({
+      docs: db.docs().filter(doc => matches(doc, selector)).slice(0, limit)
+    }),
+    createIndex: async () => ({ result: 'exists' })
+  };
+  return db;
+};
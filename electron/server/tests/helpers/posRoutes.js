@@ -0,0 +1,35 @@
+import { registerSocketEvents } from '../../routes/pos.js';
+import { createFakeSocket } from './fakeSocket.js';
+import { createMemoryDB } from './memoryDB.js';
+
+export const restaurant = { restaurantId: 'restaurant_1', branchId: 'branch_1' };
+
+/**
+ * Register the POS routes on a fake socket over in-memory databases, with a
+ * manager session ('session_manager') and a burger on the menu at 10.00
+ * @param {Object} docs - Documents to start databases with, by database name
+ * @returns {Object} - { socket, posDB, specialsDB, ... }
+ */
+export const registerPosRoutes = (docs = {}) => {
+  const databases = {
+    db: createMemoryDB(docs.posDB),
+    menuItemsDB: createMemoryDB([
+      { _id: 'burger', type: 'menuItem', name: 'Burger', price: { regular: 10 }, ...restaurant },
+      ...(docs.menuItemsDB || [])
+    ]),
+    categoriesDB: createMemoryDB(),
+    sessionDB: createMemoryDB([{
+      _id: 'session_manager',
+      userId: 'user_manager',
+      userDetails: { _id: 'user_manager', role: 'manager', name: 'Sam' },
+      expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+    }]),
+    logsDB: createMemoryDB(),
+    notificationsDB: createMemoryDB(),
+    settingsDB: createMemoryDB(docs.settingsDB),
+    specialsDB: createMemoryDB(docs.specialsDB)
+  };
+  const socket = createFakeSocket();
+  registerSocketEvents(socket, databases);
+  return { socket, posDB: databases.db, ...databases };
+};
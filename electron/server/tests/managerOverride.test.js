@@ -0,0 +1,51 @@
+import bcrypt from 'bcryptjs';
+import { requiresManagerOverride, verifyManagerOverride } from '../utils/managerOverride.js';
+import { createMemoryDB } from './helpers/memoryDB.js';
+
+const pinFor = async (user, pin) => ({
+  _id: `pin_${user._id}`,
+  type: 'userPin',
+  userId: user._id,
+  restaurantId: user.restaurantId,
+  pinHash: await bcrypt.hash(pin, 4)
+});
+
+describe('manager override', () => {
+  let usersDB;
+  const manager = { _id: 'user_manager', name: 'Sam', role: 'manager', restaurantId: 'r1', branchId: 'b1' };
+  const admin = { _id: 'user_admin', name: 'Jo', role: 'admin', restaurantId: 'r1', branchId: 'b1' };
+  const cashier = { _id: 'user_cashier', name: 'Lee', role: 'cashier', restaurantId: 'r1', branchId: 'b1' };
+
+  beforeAll(async () => {
+    usersDB = createMemoryDB([
+      manager, admin, cashier,
+      await pinFor(manager, '1234'),
+      await pinFor(admin, '5678'),
+      await pinFor(cashier, '4321')
+    ]);
+  });
+
+  test('only staff below manager need an override', () => {
+    expect(requiresManagerOverride({ role: 'cashier' })).toBe(true);
+    expect(requiresManagerOverride({ role: 'waiter' })).toBe(true);
+    expect(requiresManagerOverride({ role: 'manager' })).toBe(false);
+    expect(requiresManagerOverride({ role: 'owner' })).toBe(false);
+  });
+
+  test('accepts a manager PIN at their own branch', async () => {
+    const result = await verifyManagerOverride(usersDB, { pin: '1234', restaurantId: 'r1', branchId: 'b1' });
+    expect(result).toEqual({ valid: true, manager: { _id: 'user_manager', name: 'Sam', role: 'manager' } });
+  });
+
+  test('limits managers to their branch but not admins', async () => {
+    expect(await verifyManagerOverride(usersDB, { pin: '1234', restaurantId: 'r1', branchId: 'b2' }))
+      .toEqual({ valid: false, message: 'Invalid manager PIN' });
+    expect((await verifyManagerOverride(usersDB, { pin: '5678', restaurantId: 'r1', branchId: 'b2' })).valid).toBe(true);
+  });
+
+  test('rejects PINs of staff who cannot approve and malformed PINs', async () => {
+    expect((await verifyManagerOverride(usersDB, { pin: '4321', restaurantId: 'r1', branchId: 'b1' })).valid).toBe(false);
+    expect(await verifyManagerOverride(usersDB, { pin: '12', restaurantId: 'r1' }))
+      .toEqual({ valid: false, message: 'A manager PIN is required for this action' });
+  });
+});
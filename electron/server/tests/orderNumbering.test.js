@@ -0,0 +1,61 @@
+import { allocateOrderNumber } from '../utils/orderNumbering.js';
+import { createMemoryDB } from './helpers/memoryDB.js';
+
+const TERMINAL = { _id: '_local/terminal', code: 'T1' };
+
+describe('order numbering', () => {
+  const date = new Date(2025, 2, 7, 12);
+
+  test('numbers orders in sequence per branch and day', async () => {
+    const posDB = createMemoryDB([TERMINAL]);
+    const numbering = { resetPolicy: 'daily', prefixes: { Takeout: 'TO' } };
+
+    const first = await allocateOrderNumber(posDB, { branchId: 'b1', orderType: 'Dine-in', numbering, date });
+    const second = await allocateOrderNumber(posDB, { branchId: 'b1', orderType: 'Takeout', numbering, date });
+
+    expect(first).toMatchObject({ orderNumber: 'ORD250307-T1-0001', sequence: 1, period: '250307' });
+    expect(second.orderNumber).toBe('TO250307-T1-0002');
+  });
+
+  test('starts again at one the next day and keeps counting without a daily reset', async () => {
+    const posDB = createMemoryDB([TERMINAL]);
+    const nextDay = new Date(2025, 2, 8, 9);
+
+    await allocateOrderNumber(posDB, { branchId: 'b1', orderType: 'Dine-in', date });
+    const daily = await allocateOrderNumber(posDB, { branchId: 'b1', orderType: 'Dine-in', date: nextDay });
+    expect(daily).toMatchObject({ orderNumber: 'ORD250308-T1-0001', sequence: 1 });
+
+    const numbering = { resetPolicy: 'continuous', sequencePadding: 6 };
+    await allocateOrderNumber(posDB, { branchId: 'b1', orderType: 'Dine-in', numbering, date });
+    const continuous = await allocateOrderNumber(posDB, { branchId: 'b1', orderType: 'Dine-in', numbering, date: nextDay });
+    expect(continuous).toMatchObject({ orderNumber: 'ORD-T1-000002', period: 'continuous' });
+  });
+
+  test('reads the counter again when another order takes the number first', async () => {
+    const posDB = createMemoryDB([TERMINAL]);
+    await allocateOrderNumber(posDB, { branchId: 'b1', orderType: 'Dine-in', date });
+
+    // The first write races with another order that already took number 2
+    posDB.beforePut = async (doc) => {
+      const counter = await posDB.get(doc._id);
+      posDB.beforePut = null;
+      await posDB.put({ ...counter, lastSequence: 2 });
+    };
+
+    const allocation = await allocateOrderNumber(posDB, { branchId: 'b1', orderType: 'Dine-in', date });
+    expect(allocation.sequence).toBe(3);
+    expect((await posDB.get(allocation.counterId)).lastSequence).toBe(3);
+  });
+
+  test('gives up after repeated conflicts', async () => {
+    const posDB = createMemoryDB([TERMINAL]);
+    posDB.beforePut = async (doc) => {
+      if (doc._id.startsWith('orderCounter_')) {
+        throw Object.assign(new Error('conflict'), { status: 409 });
+      }
+    };
+
+    await expect(allocateOrderNumber(posDB, { branchId: 'b1', orderType: 'Dine-in', date }))
+      .rejects.toThrow('Could not allocate an order number, please try again');
+  });
+});
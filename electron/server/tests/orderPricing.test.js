@@ -0,0 +1,75 @@
+import { calculateOrderTotals, roundAmount } from '../utils/orderPricing.js';
+
+const posSettings = {
+  taxRate: 0.1,
+  taxClasses: { food: 0.05 },
+  serviceChargeRate: 0.1,
+  roundingMethod: 'nearest',
+  decimalPlaces: 2
+};
+
+const lines = [
+  { menuItemId: 'steak', name: 'Steak', subtotal: 10, taxClass: 'standard' },
+  { menuItemId: 'bread', name: 'Bread', subtotal: 5, taxClass: 'food' }
+];
+
+describe('order totals', () => {
+  test('adds exclusive tax per tax class and a dine-in service charge', () => {
+    const totals = calculateOrderTotals({ lines, orderType: 'Dine-in', posSettings });
+
+    expect(totals).toMatchObject({ subtotal: 15, discountAmount: 0, tax: 1.25, serviceCharge: 1.5, totalAmount: 17.75 });
+    expect(totals.taxBreakdown.byClass).toEqual([
+      { taxClass: 'standard', taxRate: 0.1, taxableAmount: 10, taxAmount: 1 },
+      { taxClass: 'food', taxRate: 0.05, taxableAmount: 5, taxAmount: 0.25 }
+    ]);
+  });
+
+  test('takes inclusive tax out of the price without adding it to the total', () => {
+    const totals = calculateOrderTotals({
+      lines: [{ menuItemId: 'steak', name: 'Steak', subtotal: 11, taxClass: 'standard' }],
+      orderType: 'Takeout',
+      posSettings: { ...posSettings, taxInclusive: true }
+    });
+
+    expect(totals).toMatchObject({ subtotal: 11, tax: 1, serviceCharge: 0, totalAmount: 11 });
+    expect(totals.taxBreakdown.lines[0]).toMatchObject({ grossAmount: 11, netAmount: 10, taxAmount: 1 });
+  });
+
+  test('exempts tax classes for an order type', () => {
+    const totals = calculateOrderTotals({
+      lines,
+      orderType: 'Takeout',
+      posSettings: { ...posSettings, orderTypeTaxRules: { Takeout: { exemptTaxClasses: ['food'] } } }
+    });
+
+    expect(totals).toMatchObject({ tax: 1, serviceCharge: 0, totalAmount: 16 });
+    expect(totals.taxBreakdown.lines[1]).toMatchObject({ exempt: true, taxRate: 0, taxAmount: 0 });
+    expect(totals.taxBreakdown.byClass.map(entry => entry.taxClass)).toEqual(['standard', 'food']);
+  });
+
+  test('allocates an order discount across lines before tax', () => {
+    const totals = calculateOrderTotals({ lines, orderType: 'Takeout', posSettings, discountAmount: 3 });
+
+    expect(totals.taxBreakdown.lines.map(line => line.discountAmount)).toEqual([2, 1]);
+    expect(totals).toMatchObject({ discountAmount: 3, tax: 1, totalAmount: 13 });
+  });
+
+  test('rounds tax with the configured method', () => {
+    const line = [{ menuItemId: 'wine', name: 'Wine', subtotal: 10.01, taxClass: 'standard' }];
+    const taxFor = (roundingMethod) => calculateOrderTotals({
+      lines: line,
+      orderType: 'Takeout',
+      posSettings: { ...posSettings, taxRate: 0.07, roundingMethod }
+    }).tax;
+
+    expect(taxFor('nearest')).toBe(0.7);
+    expect(taxFor('up')).toBe(0.71);
+    expect(taxFor('down')).toBe(0.7);
+  });
+
+  test('rounds without floating point noise', () => {
+    expect(roundAmount(0.1 + 0.2, { roundingMethod: 'up' })).toBe(0.3);
+    expect(roundAmount(2.345, { decimalPlaces: 2 })).toBe(2.35);
+    expect(roundAmount(12.5, { roundingMethod: 'down', decimalPlaces: 0 })).toBe(12);
+  });
+});
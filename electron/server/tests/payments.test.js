@@ -0,0 +1,122 @@
+import { applyTenders, buildSplitChecks, summarizePayments } from '../routes/pos.js';
+
+const settings = {
+  pos: { decimalPlaces: 2, paymentMethods: ['cash', 'credit_card', 'debit_card'] },
+  loyalty: { enabled: true, pointsRedemptionValue: 0.01, minimumPointsRedemption: 100 }
+};
+
+const order = {
+  subtotal: 30,
+  totalAmount: 33,
+  orderItems: [
+    { name: 'Burger', subtotal: 12, seat: 1 },
+    { name: 'Pasta', subtotal: 15, seat: 2 },
+    { name: 'Fries', subtotal: 3 }
+  ]
+};
+
+describe('split checks', () => {
+  test('splits evenly and lets the last check absorb rounding', () => {
+    const { errors, checks } = buildSplitChecks({ ...order, totalAmount: 10 }, { method: 'even', count: 3 });
+
+    expect(errors).toEqual([]);
+    expect(checks.map(check => check.amount)).toEqual([3.33, 3.33, 3.34]);
+    expect(checks[0]).toMatchObject({ checkId: 'check_1', label: 'Guest 1', balanceDue: 3.33, status: 'Pending' });
+  });
+
+  test('splits by seat and shares unseated lines between seats', () => {
+    const { checks } = buildSplitChecks(order, { method: 'seat' });
+
+    expect(checks.map(check => check.label)).toEqual(['Seat 1', 'Seat 2']);
+    expect(checks.map(check => check.lineIndexes)).toEqual([[0], [1]]);
+    // Seat 1 is 13.50 of 30 and seat 2 takes the rest of the 33 total
+    expect(checks.map(check => check.amount)).toEqual([14.85, 18.15]);
+  });
+
+  test('splits by item and requires every line on exactly one check', () => {
+    const { checks } = buildSplitChecks(order, {
+      method: 'item',
+      assignments: [{ label: 'Alex', lineIndexes: [0, 2] }, { lineIndexes: [1] }]
+    });
+    expect(checks.map(check => [check.label, check.amount])).toEqual([['Alex', 16.5], ['Check 2', 16.5]]);
+
+    const missing = buildSplitChecks(order, { method: 'item', assignments: [{ lineIndexes: [0] }, { lineIndexes: [1] }] });
+    expect(missing.errors).toEqual(['Every order line must be assigned to exactly one check']);
+  });
+
+  test('rejects unknown methods and short even splits', () => {
+    expect(buildSplitChecks(order, { method: 'table' }).errors).toHaveLength(1);
+    expect(buildSplitChecks(order, { method: 'even', count: 1 }).errors).toEqual(['Even split requires a count of at least 2']);
+  });
+});
+
+describe('payment summary', () => {
+  test('derives paid amount, balance and split check status from approved payments', () => {
+    const summary = summarizePayments({
+      ...order,
+      paymentMethod: 'Cash',
+      splitChecks: [
+        { checkId: 'check_1', amount: 16.5 },
+        { checkId: 'check_2', amount: 16.5 }
+      ],
+      payments: [
+        { method: 'credit_card', amount: 16.5, status: 'approved', checkId: 'check_1' },
+        { method: 'cash', amount: 10, status: 'approved', checkId: 'check_2' },
+        { method: 'debit_card', amount: 6.5, status: 'declined', checkId: 'check_2' }
+      ]
+    });
+
+    expect(summary).toMatchObject({ amountPaid: 26.5, balanceDue: 6.5, paymentStatus: 'Partial', paymentMethod: 'Split' });
+    expect(summary.splitChecks.map(check => [check.status, check.balanceDue])).toEqual([['Completed', 0], ['Partial', 6.5]]);
+  });
+
+  test('marks an order paid in full as completed and one with only declines as failed', () => {
+    expect(summarizePayments({ ...order, payments: [{ method: 'cash', amount: 33, status: 'approved' }] }))
+      .toMatchObject({ balanceDue: 0, paymentStatus: 'Completed', paymentMethod: 'cash' });
+    expect(summarizePayments({ ...order, payments: [{ method: 'credit_card', amount: 33, status: 'declined' }] }))
+      .toMatchObject({ amountPaid: 0, balanceDue: 33, paymentStatus: 'Failed' });
+  });
+});
+
+describe('tenders', () => {
+  test('applies card before cash and gives change on cash only', () => {
+    const { errors, entries, remaining, changeDue } = applyTenders([
+      { method: 'cash', amount: 20 },
+      { method: 'credit_card', amount: 15, reference: 'auth-1' }
+    ], 30, settings);
+
+    expect(errors).toEqual([]);
+    expect(entries.map(entry => [entry.method, entry.tendered, entry.amount, entry.change])).toEqual([
+      ['credit_card', 15, 15, 0],
+      ['cash', 20, 15, 5]
+    ]);
+    expect(remaining).toBe(0);
+    expect(changeDue).toBe(5);
+  });
+
+  test('rejects a card tender above the balance', () => {
+    const { errors } = applyTenders([{ method: 'credit_card', amount: 40 }], 30, settings);
+    expect(errors).toEqual(['credit_card tender of 40.00 exceeds the balance due']);
+  });
+
+  test('values loyalty points and requires a member and the minimum', () => {
+    const { entries, remaining } = applyTenders([{ method: 'loyalty_points', points: 500, memberId: 'member_1' }], 30, settings);
+    expect(entries[0]).toMatchObject({ amount: 5, points: 500, memberId: 'member_1' });
+    expect(remaining).toBe(25);
+
+    const { errors } = applyTenders([{ method: 'loyalty_points', points: 50 }], 30, settings);
+    expect(errors).toEqual(['Loyalty member is required for points tenders', 'At least 100 points must be redeemed']);
+  });
+
+  test('records declined tenders without applying them', () => {
+    const { entries, remaining } = applyTenders([{ method: 'debit_card', amount: 10, status: 'declined' }], 30, settings);
+    expect(entries[0]).toMatchObject({ status: 'declined', tendered: 10, amount: 0 });
+    expect(remaining).toBe(30);
+  });
+
+  test('rejects tenders the restaurant does not accept', () => {
+    const { errors } = applyTenders([{ method: 'mobile_payment', amount: 10 }], 30, settings);
+    expect(errors).toEqual(['Tender not accepted: mobile_payment']);
+    expect(applyTenders([], 30, settings).errors).toEqual(['At least one tender is required']);
+  });
+});
@@ -0,0 +1,101 @@
+import sharp from 'sharp';
+import { COMMANDS, encodeDocument, encodeRasterImage, receiptToBlocks } from '../utils/escpos.js';
+import { createPrintQueue, printToStation, sendToDevice } from '../utils/printing.js';
+import { startDummyPrinter } from './helpers/dummyPrinter.js';
+
+const includesBytes = (buffer, bytes) => buffer.includes(Buffer.from(bytes));
+
+describe('ESC/POS printing', () => {
+  let printer;
+
+  beforeEach(async () => {
+    printer = await startDummyPrinter();
+  });
+
+  afterEach(async () => {
+    await printer.close();
+  });
+
+  test('encodes styled text, cut and drawer kick', async () => {
+    const data = await encodeDocument(receiptToBlocks({
+      text: 'Resty\nTotal:   12.50\n',
+      emphasis: [{ prefix: 'Total:', bold: true, doubleHeight: true }]
+    }), { openDrawer: true });
+
+    expect(data.subarray(0, 2)).toEqual(Buffer.from(COMMANDS.initialize));
+    expect(includesBytes(data, [...COMMANDS.bold(true), ...COMMANDS.size({ doubleHeight: true }), ...Buffer.from('Total:')])).toBe(true);
+    expect(includesBytes(data, COMMANDS.drawerKick)).toBe(true);
+    expect(data.subarray(-COMMANDS.cut.length)).toEqual(Buffer.from(COMMANDS.cut));
+  });
+
+  test('rasters a logo as a GS v 0 image', async () => {
+    const logo = await sharp({
+      create: { width: 16, height: 2, channels: 3, background: '#000000' }
+    }).png().toBuffer();
+
+    const raster = await encodeRasterImage(logo);
+
+    expect(raster.subarray(0, 8)).toEqual(Buffer.from([0x1d, 0x76, 0x30, 0x00, 2, 0, 2, 0]));
+    expect(raster.subarray(8)).toEqual(Buffer.from([0xff, 0xff, 0xff, 0xff]));
+  });
+
+  test('sends a job to a network printer', async () => {
+    const printing = {
+      stations: { kitchen: { type: 'network', host: printer.host, port: printer.port } }
+    };
+
+    const queued = await printToStation(printing, 'kitchen', receiptToBlocks({ text: '1x Burger\n' }), {
+      queue: createPrintQueue({ retryDelay: 10 })
+    });
+    const job = await queued.done;
+
+    expect(job.status).toBe('printed');
+    const jobs = await printer.waitForJobs(1);
+    expect(jobs[0].includes(Buffer.from('1x Burger'))).toBe(true);
+  });
+
+  test('retries until the printer comes back online', async () => {
+    const { port } = printer;
+    await printer.close();
+    printer = null;
+    // The printer is offline for the first attempt only
+    const queue = createPrintQueue({
+      retryAttempts: 3,
+      retryDelay: 10,
+      send: async (...args) => {
+        try {
+          return await sendToDevice(...args);
+        } catch (error) {
+          printer = printer || await startDummyPrinter({ port });
+          throw error;
+        }
+      }
+    });
+
+    const job = await queue.enqueue({
+      station: 'receipt',
+      device: { type: 'network', host: '127.0.0.1', port },
+      data: Buffer.from('receipt')
+    }).done;
+
+    expect(job.status).toBe('printed');
+    expect(job.attempts).toBe(2);
+    expect(await printer.waitForJobs(1)).toEqual([Buffer.from('receipt')]);
+  });
+
+  test('marks a job failed once retries run out', async () => {
+    const queue = createPrintQueue({ retryAttempts: 2, retryDelay: 10 });
+    await printer.close();
+
+    const job = await queue.enqueue({
+      station: 'receipt',
+      device: { type: 'network', host: printer.host, port: printer.port },
+      data: Buffer.from('receipt'),
+      timeout: 200
+    }).done;
+
+    expect(job.status).toBe('failed');
+    expect(job.attempts).toBe(2);
+    expect(job.lastError).toBeTruthy();
+  });
+});
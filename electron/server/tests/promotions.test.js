@@ -0,0 +1,102 @@
+import {
+  countPromotedUnits,
+  evaluateRule,
+  isRuleAvailable,
+  promotionToRule,
+  recordPromotionUse,
+  releasePromotionUse,
+  selectBestPromotion,
+  specialToRule
+} from '../utils/promotions.js';
+import { calculateOrderTotals } from '../utils/orderPricing.js';
+import { createMemoryDB } from './helpers/memoryDB.js';
+
+const lines = [
+  { menuItemId: 'burger', categoryId: 'mains', quantity: 2, subtotal: 20 },
+  { menuItemId: 'fries', categoryId: 'sides', quantity: 1, subtotal: 3 }
+];
+
+const promotion = (fields) => promotionToRule({ _id: `promo_${fields.promotionType}`, name: 'Promo', ...fields });
+
+describe('promotion rules', () => {
+  test('spreads an order percentage over the lines once the minimum is met', () => {
+    const rule = promotion({ promotionType: 'percentage', value: 10, minSubtotal: 20 });
+    expect(evaluateRule(rule, lines)).toEqual([2, expect.closeTo(0.3)]);
+    expect(evaluateRule({ ...rule, minSubtotal: 30 }, lines)).toBeNull();
+  });
+
+  test('gives the cheapest unit of each buy one get one group away', () => {
+    const rule = promotion({ promotionType: 'bogo', buyQuantity: 1, getQuantity: 1, menuItemIds: ['burger'] });
+    expect(evaluateRule(rule, lines)).toEqual([10, 0]);
+  });
+
+  test('prices a combo at its bundle price', () => {
+    const rule = promotion({
+      promotionType: 'combo',
+      comboItems: [{ menuItemId: 'burger', quantity: 1 }, { menuItemId: 'fries', quantity: 1 }],
+      comboPrice: 11
+    });
+    const [burger, fries] = evaluateRule(rule, lines);
+    expect(burger + fries).toBeCloseTo(2);
+    expect(burger).toBeCloseTo(2 * 10 / 13);
+  });
+
+  test('sells a special at its special price and picks the best rule', () => {
+    const special = specialToRule({ _id: 'special_1', name: 'Burger day', menuItemId: 'burger', price: 8 });
+    expect(evaluateRule(special, lines)).toEqual([4, 0]);
+
+    const best = selectBestPromotion([
+      special,
+      promotion({ promotionType: 'fixed', value: 5 })
+    ], lines, { now: new Date() });
+    expect(best).toMatchObject({ rule: { ruleId: 'promo_fixed' }, amount: 5 });
+  });
+
+  test('needs the coupon code and stops at the usage limit unless already redeemed', () => {
+    const coupon = promotion({ promotionType: 'fixed', value: 5, couponCode: 'SAVE5', usageLimit: 1, usageCount: 1 });
+    expect(isRuleAvailable({ ...coupon, usageCount: 0 }, { couponCode: 'save5' })).toBe(true);
+    expect(isRuleAvailable({ ...coupon, usageCount: 0 }, {})).toBe(false);
+    expect(isRuleAvailable(coupon, { couponCode: 'SAVE5' })).toBe(false);
+    expect(isRuleAvailable(coupon, { couponCode: 'SAVE5', redeemedRuleIds: [coupon.ruleId] })).toBe(true);
+  });
+
+  test('takes promotion discounts line by line before tax', () => {
+    const totals = calculateOrderTotals({
+      lines: lines.map(line => ({ ...line, taxClass: 'standard' })),
+      orderType: 'Takeout',
+      posSettings: { taxRate: 0.1, decimalPlaces: 2 },
+      lineDiscounts: [10, 0]
+    });
+    expect(totals).toMatchObject({ subtotal: 23, discountAmount: 10, tax: 1.3, totalAmount: 14.3 });
+  });
+});
+
+describe('promotion use', () => {
+  test('counts a coupon redemption and gives it back', async () => {
+    const specialsDB = createMemoryDB([{ _id: 'promo_coupon', usageLimit: 1, usageCount: 0 }]);
+    const applied = { ruleId: 'promo_coupon', source: 'coupon' };
+
+    const use = await recordPromotionUse(specialsDB, applied);
+    expect(use).toMatchObject({ recorded: true, quantity: 1 });
+    expect(await recordPromotionUse(specialsDB, applied)).toEqual({ recorded: false, message: 'Coupon code has reached its usage limit' });
+
+    await releasePromotionUse(specialsDB, applied, use.quantity);
+    expect((await specialsDB.get('promo_coupon')).usageCount).toBe(0);
+  });
+
+  test('sells only the special portions left at the special price and uses up exactly those', async () => {
+    const specialsDB = createMemoryDB([{ _id: 'special_1', availableQuantity: 2 }]);
+    const special = specialToRule({ _id: 'special_1', name: 'Burger day', menuItemId: 'burger', price: 8, availableQuantity: 2 });
+    const order = [{ menuItemId: 'burger', quantity: 5, subtotal: 50 }];
+
+    expect(evaluateRule(special, order)).toEqual([4]);
+    expect(countPromotedUnits(special, order)).toBe(2);
+
+    const use = await recordPromotionUse(specialsDB, { ruleId: 'special_1', source: 'special' }, countPromotedUnits(special, order));
+    expect(use.quantity).toBe(2);
+    expect((await specialsDB.get('special_1')).availableQuantity).toBe(0);
+
+    await releasePromotionUse(specialsDB, { ruleId: 'special_1', source: 'special' }, use.quantity);
+    expect((await specialsDB.get('special_1')).availableQuantity).toBe(2);
+  });
+});
@@ -0,0 +1,55 @@
+import { jest } from '@jest/globals';
+import { registerPosRoutes, restaurant } from './helpers/posRoutes.js';
+
+describe('refunds', () => {
+  let socket;
+  let order;
+
+  const refund = (lines) => socket.call('pos:refundOrder', {
+    sessionId: 'session_manager',
+    orderId: order._id,
+    reasonCode: 'quality_issue',
+    method: 'cash',
+    lines
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(async () => {
+    ({ socket } = registerPosRoutes());
+    const created = await socket.call('pos:createOrder', {
+      sessionId: 'session_manager',
+      ...restaurant,
+      orderType: 'Takeout',
+      orderItems: [{ menuItemId: 'burger', quantity: 2 }]
+    });
+    const paid = await socket.call('pos:recordPayment', {
+      sessionId: 'session_manager',
+      orderId: created.data._id,
+      tenders: [{ method: 'cash', amount: created.data.totalAmount }]
+    });
+    order = paid.data.order;
+  });
+
+  test('adds up entries for the same line', async () => {
+    const result = await refund([{ lineIndex: 0, quantity: 1 }, { lineIndex: 0, quantity: 1 }]);
+
+    expect(result.success).toBe(true);
+    expect(result.data.refund.lines).toHaveLength(1);
+    expect(result.data.refund.lines[0].quantity).toBe(2);
+    expect(result.data.refund.amount).toBe(order.totalAmount);
+    expect(result.data.order.orderItems[0].refundedQuantity).toBe(2);
+  });
+
+  test('rejects entries for the same line that add up to more than is left on it', async () => {
+    const result = await refund([{ lineIndex: 0, quantity: 1 }, { lineIndex: 0 }, { lineIndex: 0 }]);
+
+    expect(result).toEqual({ success: false, message: 'Invalid refund quantity for line 0' });
+  });
+});
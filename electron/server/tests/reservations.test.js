@@ -0,0 +1,54 @@
+import { bookReservation } from '../routes/reservations.js';
+import { getRestaurantSettings } from '../routes/settings.js';
+import { createMemoryDB } from './helpers/memoryDB.js';
+
+const restaurant = { restaurantId: 'restaurant_1', branchId: 'branch_1' };
+
+// Two days ahead at a local time, so notice and the booking window are met
+const at = (time, days = 2) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  const [hours, minutes] = time.split(':').map(Number);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+describe('rescheduling reservations', () => {
+  let tablesDB;
+  let tableSettings;
+  let existing;
+
+  const reschedule = (changes) => bookReservation({ tablesDB }, { ...changes, ...restaurant }, tableSettings, 'user_manager', existing);
+
+  beforeEach(async () => {
+    tablesDB = createMemoryDB([{ _id: 'table_1', type: 'table', number: 1, capacity: 4, isActive: true, ...restaurant }]);
+    tableSettings = { ...(await getRestaurantSettings(null, null)).tables, allowTableReservation: true };
+    const booked = await bookReservation({ tablesDB }, {
+      ...restaurant,
+      customerName: 'Alex',
+      partySize: 2,
+      startAt: at('19:00').toISOString()
+    }, tableSettings, 'user_manager');
+    existing = await tablesDB.get(booked.reservation._id);
+  });
+
+  test('moves to a new start time', async () => {
+    const result = await reschedule({ startAt: at('20:30').toISOString() });
+
+    expect(result.success).toBe(true);
+    expect(result.reservation.startAt).toBe(at('20:30').toISOString());
+    expect(result.reservation.time).toBe('20:30');
+  });
+
+  test('moves to a new reservation time', async () => {
+    const result = await reschedule({ reservationTime: at('18:00', 3).toISOString() });
+
+    expect(result.reservation.startAt).toBe(at('18:00', 3).toISOString());
+  });
+
+  test('keeps the stored date when only the time changes', async () => {
+    const result = await reschedule({ time: '21:00' });
+
+    expect(result.reservation).toMatchObject({ date: existing.date, startAt: at('21:00').toISOString() });
+  });
+});
@@ -0,0 +1,48 @@
+import { summarizeStockTake } from '../routes/stockTakes.js';
+
+const line = (ingredientId, expectedQuantity, unitCost, quantities) => ({
+  ingredientId,
+  expectedQuantity,
+  unitCost,
+  counts: quantities.map((quantity, index) => ({ userId: `user_${index + 1}`, quantity }))
+});
+
+describe('stock take summary', () => {
+  test('adds up the counts of each line and values the variance', () => {
+    const { items } = summarizeStockTake({
+      items: [
+        line('flour', 20, 1.5, [12, 6.5]),
+        line('oil', 4.2, 3, [4.3])
+      ]
+    });
+
+    expect(items[0]).toMatchObject({ countedQuantity: 18.5, variance: -1.5, varianceValue: -2.25 });
+    // Counts are rounded so float noise doesn't show up as a variance
+    expect(items[1]).toMatchObject({ countedQuantity: 4.3, variance: 0.1, varianceValue: 0.3 });
+  });
+
+  test('leaves uncounted lines out of the totals', () => {
+    const { items, totals } = summarizeStockTake({
+      items: [
+        line('flour', 20, 1.5, [18.5]),
+        line('sugar', 10, 2, [10]),
+        line('salt', 5, 0.5, [])
+      ]
+    });
+
+    expect(items[2]).toMatchObject({ countedQuantity: null, variance: null, varianceValue: null });
+    expect(totals).toEqual({
+      itemCount: 3,
+      countedCount: 2,
+      varianceCount: 1,
+      expectedValue: 50,
+      countedValue: 47.75,
+      varianceValue: -2.25
+    });
+  });
+
+  test('keeps the rest of the stock take', () => {
+    const summary = summarizeStockTake({ _id: 'stockTake_1', status: 'counting', items: [] });
+    expect(summary).toMatchObject({ _id: 'stockTake_1', status: 'counting', totals: { itemCount: 0, varianceValue: 0 } });
+  });
+});
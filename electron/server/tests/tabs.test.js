@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import { registerPosRoutes, restaurant } from './helpers/posRoutes.js';
+
+describe('merging tabs', () => {
+  let socket;
+  let posDB;
+  let specialsDB;
+
+  const openTab = (data) => socket.call('pos:createOrder', {
+    sessionId: 'session_manager',
+    ...restaurant,
+    isTab: true,
+    orderItems: [{ menuItemId: 'burger', quantity: 1 }],
+    ...data
+  });
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    console.log.mockRestore();
+  });
+
+  beforeEach(() => {
+    ({ socket, posDB, specialsDB } = registerPosRoutes({
+      specialsDB: [
+        { _id: 'special_burger', type: 'special', ...restaurant, status: 'active', name: 'Burger day', menuItemId: 'burger', price: 8, availableQuantity: 3 },
+        { _id: 'promotion_coupon', type: 'promotion', ...restaurant, status: 'active', name: 'Five off', promotionType: 'fixed', value: 5, couponCode: 'FIVE', usageLimit: 10, usageCount: 0 }
+      ]
+    }));
+  });
+
+  test('keeps the special portions of both tabs counted once', async () => {
+    const target = await openTab();
+    const source = await openTab();
+    expect((await specialsDB.get('special_burger')).availableQuantity).toBe(1);
+
+    const merged = await socket.call('pos:mergeTabs', {
+      sessionId: 'session_manager',
+      sourceOrderId: source.data._id,
+      targetOrderId: target.data._id
+    });
+
+    expect(merged.success).toBe(true);
+    expect(merged.data.discountAmount).toBe(4);
+    expect(merged.data.specialPortions).toEqual({ special_burger: 2 });
+    expect((await specialsDB.get('special_burger')).availableQuantity).toBe(1);
+    expect((await posDB.get(source.data._id)).specialPortions).toEqual({});
+  });
+
+  test('gives back a coupon the merged tab no longer uses', async () => {
+    const target = await openTab({ orderItems: [{ menuItemId: 'burger', quantity: 4 }] });
+    const source = await openTab({ couponCode: 'FIVE', orderItems: [{ menuItemId: 'burger', quantity: 2 }] });
+    expect((await specialsDB.get('promotion_coupon')).usageCount).toBe(1);
+
+    const merged = await socket.call('pos:mergeTabs', {
+      sessionId: 'session_manager',
+      sourceOrderId: source.data._id,
+      targetOrderId: target.data._id
+    });
+
+    expect(merged.data.appliedPromotion.ruleId).toBe('special_burger');
+    expect((await specialsDB.get('promotion_coupon')).usageCount).toBe(0);
+    expect((await posDB.get(source.data._id)).redeemedCoupons).toEqual([]);
+  });
+});
@@ -0,0 +1,51 @@
+import { convertQuantity, toStockUnit } from '../utils/units.js';
+
+const beer = {
+  unit: 'bottle',
+  customUnits: [
+    { name: 'six-pack', quantity: 6, unit: 'bottle' },
+    { name: 'case', quantity: 4, unit: 'six-pack' }
+  ]
+};
+
+describe('unit conversion', () => {
+  test('converts within mass, volume and count', () => {
+    expect(convertQuantity(1.5, 'kg', 'g')).toBe(1500);
+    expect(convertQuantity(500, 'ml', 'l')).toBe(0.5);
+    expect(convertQuantity(2, 'dozen', 'pc')).toBe(24);
+    expect(convertQuantity(1, 'lb', 'oz')).toBeCloseTo(16);
+  });
+
+  test('understands the spellings staff type', () => {
+    expect(convertQuantity(2, 'Kilos', 'grams')).toBe(2000);
+    expect(convertQuantity(3, 'Litres', 'ml')).toBe(3000);
+    expect(convertQuantity(1, 'tablespoons', 'tsp')).toBeCloseTo(3);
+  });
+
+  test('will not convert across dimensions', () => {
+    expect(convertQuantity(1, 'kg', 'l')).toBeNull();
+    expect(convertQuantity(1, 'pc', 'g')).toBeNull();
+  });
+
+  test('resolves custom units built on each other, in the plural too', () => {
+    expect(convertQuantity(2, 'cases', 'bottle', beer)).toBe(48);
+    expect(convertQuantity(12, 'bottles', 'six-pack', beer)).toBe(2);
+    expect(convertQuantity(1, 'case', 'l', beer)).toBeNull();
+  });
+});
+
+describe('stock units', () => {
+  test('converts into the unit an ingredient is stocked in', () => {
+    expect(toStockUnit(250, 'g', { unit: 'kg' })).toBe(0.25);
+    expect(toStockUnit(1, 'case', beer)).toBe(24);
+  });
+
+  test('takes a quantity without a unit as already in the stock unit', () => {
+    expect(toStockUnit(3, undefined, { unit: 'kg' })).toBe(3);
+    expect(toStockUnit(3, '', beer)).toBe(3);
+  });
+
+  test('returns null for a unit the ingredient cannot be measured in', () => {
+    expect(toStockUnit(1, 'kg', beer)).toBeNull();
+  });
+});
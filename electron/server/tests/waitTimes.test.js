@@ -0,0 +1,64 @@
+import { estimateWait, summarizeWaits } from '../utils/waitTimes.js';
+
+const now = new Date('2025-03-07T19:00:00Z').getTime();
+const minutesAgo = (minutes) => new Date(now - minutes * 60000).toISOString();
+
+describe('quoted waits', () => {
+  const tables = [
+    { _id: 'table_1', capacity: 4, status: 'available' },
+    { _id: 'table_2', capacity: 4, status: 'occupied', seatedAt: minutesAgo(48) },
+    { _id: 'table_3', capacity: 8, status: 'occupied', seatedAt: minutesAgo(10), isActive: false }
+  ];
+  const estimate = (partySize, partiesAhead = []) => estimateWait({ partySize, tables, partiesAhead, averageTurnTime: 60, now });
+
+  test('seats a party straight away at a free table', () => {
+    expect(estimate(2)).toBe(0);
+  });
+
+  test('lets parties ahead take tables first and rounds up to five minutes', () => {
+    // table_2 frees up in 12 minutes
+    expect(estimate(2, [{ partySize: 4 }])).toBe(15);
+    // Both tables are taken by the parties ahead, so the first one has to turn again
+    expect(estimate(2, [{ partySize: 4 }, { partySize: 3 }])).toBe(60);
+  });
+
+  test('ignores parties ahead too large for the tables that fit', () => {
+    expect(estimate(2, [{ partySize: 6 }])).toBe(0);
+  });
+
+  test('expects a table being cleaned soon and gives no quote when nothing fits', () => {
+    expect(estimateWait({
+      partySize: 2,
+      tables: [{ capacity: 2, status: 'cleaning' }],
+      averageTurnTime: 60,
+      now
+    })).toBe(5);
+    expect(estimate(6)).toBeNull();
+  });
+});
+
+describe('wait accuracy', () => {
+  test('compares quoted and actual waits of seated parties', () => {
+    const summary = summarizeWaits([
+      { status: 'seated', quotedWait: 15, actualWait: 12 },
+      { status: 'completed', quotedWait: 20, actualWait: 30 },
+      { status: 'seated', quotedWait: null, actualWait: 5 },
+      { status: 'left', quotedWait: 30 },
+      { status: 'waiting', quotedWait: 10 }
+    ]);
+
+    expect(summary).toEqual({
+      parties: 5,
+      seated: 3,
+      walkedAway: 1,
+      averageQuoted: 17.5,
+      averageActual: 15.7,
+      averageDifference: 3.5,
+      onTimeRate: 50
+    });
+  });
+
+  test('reports zeros when nobody was seated', () => {
+    expect(summarizeWaits([])).toMatchObject({ parties: 0, averageActual: 0, onTimeRate: 0 });
+  });
+});
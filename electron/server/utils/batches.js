@@ -0,0 +1,180 @@
+// Stock batches of an ingredient: which ones a movement draws from, what
+// that stock cost and which batches are running out of date.
+
+export const INVENTORY_METHODS = ['FIFO', 'LIFO', 'FEFO'];
+
+// Consumed quantities pick up float noise; anything smaller is an empty batch
+const EPSILON = 1e-9;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const time = (date, fallback) => (date ? new Date(date).getTime() : fallback);
+
+/**
+ * Batches in the order a method uses them up: oldest received first (FIFO),
+ * newest received first (LIFO) or soonest to expire first (FEFO). Under
+ * FEFO, batches without an expiry date go last, oldest first.
+ * @param {Array} batches - Ingredient batches
+ * @param {string} method - FIFO, LIFO or FEFO
+ * @returns {Array} - Sorted copy
+ */
+export const sortBatches = (batches, method = 'FIFO') => {
+  const byReceived = (a, b) => time(a.receivedDate, 0) - time(b.receivedDate, 0);
+  return [...batches].sort((a, b) => {
+    if (method === 'LIFO') return -byReceived(a, b);
+    if (method === 'FEFO') {
+      return time(a.expiryDate, Infinity) - time(b.expiryDate, Infinity) || byReceived(a, b);
+    }
+    return byReceived(a, b);
+  });
+};
+
+/**
+ * Cost of one stock unit from a batch; batches received without a price
+ * are valued at the ingredient's cost
+ * @param {Object} batch - Ingredient batch
+ * @param {Object} ingredient - Ingredient document
+ * @returns {number}
+ */
+export const getBatchUnitCost = (batch, ingredient) => (
+  Number.isFinite(batch?.unitCost) ? batch.unitCost : Number(ingredient.cost) || 0
+);
+
+/**
+ * Average cost of one stock unit across the batches on hand, or the
+ * ingredient's cost when nothing is batched
+ * @param {Object} ingredient - Ingredient document with batches
+ * @returns {number}
+ */
+export const getStockUnitCost = (ingredient) => {
+  const batches = (ingredient.batches || []).filter(batch => batch.quantity > EPSILON);
+  const quantity = batches.reduce((sum, batch) => sum + batch.quantity, 0);
+  if (quantity <= EPSILON) return Number(ingredient.cost) || 0;
+  return batches.reduce((sum, batch) => sum + batch.quantity * getBatchUnitCost(batch, ingredient), 0) / quantity;
+};
+
+/**
+ * Draw a quantity from an ingredient's batches. With a batchId only that
+ * batch is drawn from. Whatever the batches cannot cover comes from stock
+ * that was never batched and is returned as the shortfall. Emptied
+ * batches are dropped.
+ * @param {Object} ingredient - Ingredient document with batches
+ * @param {number} quantity - Quantity in the stock unit
+ * @param {Object} options - { method, batchId }
+ * @returns {Object} - { batches, consumed: [{ batchId, quantity, unitCost, expiryDate, receivedDate }], shortfall, cost }
+ */
+export const consumeBatches = (ingredient, quantity, { method = 'FIFO', batchId } = {}) => {
+  const batches = (ingredient.batches || []).map(batch => ({ ...batch }));
+  const available = sortBatches(
+    batches.filter(batch => batch.quantity > EPSILON && (!batchId || batch.batchId === batchId)),
+    method
+  );
+
+  const consumed = [];
+  let remaining = quantity;
+  for (const batch of available) {
+    if (remaining <= EPSILON) break;
+    const taken = Math.min(batch.quantity, remaining);
+    batch.quantity -= taken;
+    remaining -= taken;
+    consumed.push({
+      batchId: batch.batchId,
+      quantity: taken,
+      unitCost: getBatchUnitCost(batch, ingredient),
+      expiryDate: batch.expiryDate,
+      receivedDate: batch.receivedDate
+    });
+  }
+
+  const shortfall = remaining > EPSILON ? remaining : 0;
+  const cost = consumed.reduce((sum, entry) => sum + entry.quantity * entry.unitCost, 0)
+    + shortfall * (Number(ingredient.cost) || 0);
+  return {
+    batches: batches.filter(batch => batch.quantity > EPSILON),
+    consumed,
+    shortfall,
+    cost
+  };
+};
+
+/**
+ * Where stock given back on a document, such as a voided order line, goes:
+ * into the batches the document drew it from, most recently drawn first,
+ * less whatever earlier returns already put back. What the batches cannot
+ * take came from stock that was never batched.
+ * @param {Array} movements - The document's transactions for one ingredient,
+ *   with batchConsumption on the ones that drew stock and batchReturns on returns
+ * @param {number} quantity - Quantity given back in the stock unit
+ * @returns {Array} - [{ batchId, quantity, unitCost, expiryDate, receivedDate }]
+ */
+export const getBatchReturns = (movements, quantity) => {
+  const consumed = movements.flatMap(movement => movement.batchConsumption || []);
+  const outstanding = new Map();
+  consumed.forEach(entry => outstanding.set(entry.batchId, (outstanding.get(entry.batchId) || 0) + entry.quantity));
+  movements.flatMap(movement => movement.batchReturns || []).forEach(entry => {
+    outstanding.set(entry.batchId, (outstanding.get(entry.batchId) || 0) - entry.quantity);
+  });
+
+  const returns = [];
+  let remaining = quantity;
+  for (const entry of [...consumed].reverse()) {
+    if (remaining <= EPSILON) break;
+    const returned = Math.min(entry.quantity, outstanding.get(entry.batchId), remaining);
+    if (returned <= EPSILON) continue;
+    outstanding.set(entry.batchId, outstanding.get(entry.batchId) - returned);
+    remaining -= returned;
+    const existing = returns.find(line => line.batchId === entry.batchId);
+    if (existing) {
+      existing.quantity += returned;
+    } else {
+      returns.push({
+        batchId: entry.batchId,
+        quantity: returned,
+        unitCost: entry.unitCost,
+        expiryDate: entry.expiryDate,
+        receivedDate: entry.receivedDate
+      });
+    }
+  }
+  return returns;
+};
+
+/**
+ * Put returned stock back into its batches. A batch that was emptied and
+ * dropped comes back with its cost, expiry and received date.
+ * @param {Object} ingredient - Ingredient document with batches
+ * @param {Array} returns - From getBatchReturns
+ * @returns {Array} - Updated batches
+ */
+export const returnToBatches = (ingredient, returns) => {
+  const batches = (ingredient.batches || []).map(batch => ({ ...batch }));
+  returns.forEach(entry => {
+    const batch = batches.find(candidate => candidate.batchId === entry.batchId);
+    if (batch) {
+      batch.quantity += entry.quantity;
+    } else {
+      batches.push({ ...entry });
+    }
+  });
+  return batches;
+};
+
+/**
+ * Batches with stock left that expire within the warning window
+ * @param {Object} ingredient - Ingredient document with batches
+ * @param {number} warningDays - Days ahead to warn
+ * @param {number} now - Current time in ms
+ * @returns {Array} - [{ batchId, quantity, expiryDate, daysLeft, expired, value }]
+ */
+export const getExpiringBatches = (ingredient, warningDays, now = Date.now()) => {
+  return (ingredient.batches || [])
+    .filter(batch => batch.expiryDate && batch.quantity > EPSILON)
+    .filter(batch => time(batch.expiryDate) <= now + warningDays * DAY_MS)
+    .map(batch => ({
+      ...batch,
+      daysLeft: Math.ceil((time(batch.expiryDate) - now) / DAY_MS),
+      expired: time(batch.expiryDate) <= now,
+      value: batch.quantity * getBatchUnitCost(batch, ingredient)
+    }))
+    .sort((a, b) => time(a.expiryDate) - time(b.expiryDate));
+};
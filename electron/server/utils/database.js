@@ -127,28 +127,46 @@ export const initializeDatabases = async () => {
         { fields: ['type', 'restaurantId'] }
       ]},
       recipesDB: { path: 'recipes', indexes: [
-        { fields: ['type', 'restaurantId'] }
+        { fields: ['type', 'restaurantId'] },
+        { fields: ['type', 'menuItemId', 'isActive'] }
       ]},
       recipeVersionsDB: { path: 'recipe_versions', indexes: [
-        { fields: ['type', 'recipeId', 'version'] }
+        { fields: ['type', 'recipeId', 'version'] },
+        { fields: ['type', 'recipeId', 'status'] }
       ]},
 
       // Operations
       posDB: { path: 'pos', indexes: [
         { fields: ['type', 'restaurantId', 'status'] },
-        { fields: ['type', 'orderDate'] }
+        { fields: ['type', 'orderDate'] },
+        { fields: ['type', 'branchId', 'terminalId', 'status'] },
+        { fields: ['type', 'branchId', 'updatedAt'] },
+        { fields: ['type', 'nextCourseFireAt'] }
       ]},
       inventoryTransactionsDB: { path: 'inventory_transactions', indexes: [
-        { fields: ['type', 'restaurantId', 'date'] }
+        { fields: ['type', 'restaurantId', 'date'] },
+        { fields: ['type', 'branchId', 'createdAt'] },
+        { fields: ['type', 'branchId', 'status'] },
+        { fields: ['type', 'relatedDocumentId'] }
       ]},
       kdsDB: { path: 'kds', indexes: [
-        { fields: ['type', 'restaurantId', 'status'] }
+        { fields: ['type', 'restaurantId', 'status'] },
+        { fields: ['type', 'orderId'] },
+        { fields: ['type', 'branchId', 'station', 'status'] },
+        { fields: ['type', 'status'] },
+        { fields: ['type', 'branchId', 'readyAt'] }
       ]},
       tablesDB: { path: 'tables', indexes: [
-        { fields: ['type', 'restaurantId', 'status'] }
+        { fields: ['type', 'restaurantId', 'status'] },
+        { fields: ['type', 'branchId', 'startAt'] },
+        { fields: ['type', 'status', 'startAt'] },
+        { fields: ['type', 'branchId', 'status'] },
+        { fields: ['type', 'branchId', 'createdAt'] },
+        { fields: ['type', 'branchId', 'clearedAt'] }
       ]},
       specialsDB: { path: 'specials', indexes: [
-        { fields: ['type', 'restaurantId', 'active'] }
+        { fields: ['type', 'restaurantId', 'active'] },
+        { fields: ['type', 'restaurantId', 'status'] }
       ]},
       wasteRecordsDB: { path: 'waste_records', indexes: [
         { fields: ['type', 'restaurantId', 'date'] }
@@ -156,7 +174,9 @@ export const initializeDatabases = async () => {
 
       // Business
       suppliersDB: { path: 'suppliers', indexes: [
-        { fields: ['type', 'restaurantId'] }
+        { fields: ['type', 'restaurantId'] },
+        { fields: ['type', 'branchId', 'status'] },
+        { fields: ['type', 'branchId', 'createdAt'] }
       ]},
       loyaltyDB: { path: 'loyalty', indexes: [
         { fields: ['type', 'restaurantId', 'customerId'] }
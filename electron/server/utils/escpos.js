@@ -0,0 +1,142 @@
+// ESC/POS encoding for thermal receipt and kitchen printers
+import sharp from 'sharp';
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Printable dots per line for each paper size
+export const PRINT_WIDTHS = {
+  '80mm': 576,
+  '58mm': 384
+};
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+export const COMMANDS = {
+  initialize: [ESC, 0x40],
+  align: (alignment) => [ESC, 0x61, ALIGNMENTS[alignment] ?? 0],
+  bold: (on) => [ESC, 0x45, on ? 1 : 0],
+  size: ({ doubleHeight = false, doubleWidth = false } = {}) => [GS, 0x21, (doubleWidth ? 0x10 : 0) | (doubleHeight ? 0x01 : 0)],
+  feed: (lines) => [ESC, 0x64, Math.min(Math.max(lines, 0), 255)],
+  // Partial cut after feeding to the cutter
+  cut: [GS, 0x56, 0x42, 0x00],
+  // Pulse drawer pin 2: 50ms on, 500ms off
+  drawerKick: [ESC, 0x70, 0x00, 0x19, 0xfa]
+};
+
+/**
+ * Encode text for the printer's default code page. Characters outside
+ * printable ASCII are replaced so they can't be read as commands.
+ * @param {string} text - Text to print
+ * @returns {Buffer} - Encoded text
+ */
+export const encodeText = (text) => Buffer.from(String(text).replace(/[^\x20-\x7e\n]/g, '?'), 'ascii');
+
+/**
+ * Convert an image to a GS v 0 raster bit image. Dark pixels print.
+ * @param {Buffer} image - Image in any format sharp reads
+ * @param {number} maxWidth - Printable width in dots
+ * @returns {Promise<Buffer>} - Raster command with image data
+ */
+export const encodeRasterImage = async (image, maxWidth = PRINT_WIDTHS['80mm']) => {
+  const { data, info } = await sharp(image)
+    .flatten({ background: '#ffffff' })
+    .resize({ width: maxWidth, withoutEnlargement: true })
+    .greyscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const widthBytes = Math.ceil(info.width / 8);
+  const raster = Buffer.alloc(widthBytes * info.height);
+  for (let y = 0; y < info.height; y++) {
+    for (let x = 0; x < info.width; x++) {
+      if (data[(y * info.width + x) * info.channels] < 128) {
+        raster[y * widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+      }
+    }
+  }
+
+  return Buffer.concat([
+    Buffer.from([GS, 0x76, 0x30, 0x00, widthBytes & 0xff, widthBytes >> 8, info.height & 0xff, info.height >> 8]),
+    raster
+  ]);
+};
+
+/**
+ * Encode a printout into raw ESC/POS bytes
+ * @param {Array} blocks - [{ type: 'text', text, bold, doubleHeight, doubleWidth, align }
+ *   | { type: 'image', data, align } | { type: 'feed', lines }]
+ * @param {Object} options - { maxImageWidth, cut, openDrawer }
+ * @returns {Promise<Buffer>} - Bytes to send to the printer
+ */
+export const encodeDocument = async (blocks, { maxImageWidth = PRINT_WIDTHS['80mm'], cut = true, openDrawer = false } = {}) => {
+  const parts = [Buffer.from(COMMANDS.initialize)];
+
+  for (const block of blocks) {
+    switch (block.type) {
+      case 'text':
+        parts.push(
+          Buffer.from(COMMANDS.align(block.align || 'left')),
+          Buffer.from(COMMANDS.bold(block.bold)),
+          Buffer.from(COMMANDS.size(block)),
+          encodeText(block.text.endsWith('\n') ? block.text : `${block.text}\n`),
+          Buffer.from(COMMANDS.size()),
+          Buffer.from(COMMANDS.bold(false))
+        );
+        break;
+      case 'image':
+        parts.push(
+          Buffer.from(COMMANDS.align(block.align || 'center')),
+          await encodeRasterImage(block.data, maxImageWidth),
+          Buffer.from(COMMANDS.align('left'))
+        );
+        break;
+      case 'feed':
+        parts.push(Buffer.from(COMMANDS.feed(block.lines)));
+        break;
+      default:
+        break;
+    }
+  }
+
+  if (openDrawer) {
+    parts.push(Buffer.from(COMMANDS.drawerKick));
+  }
+  if (cut) {
+    parts.push(Buffer.from(COMMANDS.feed(3)), Buffer.from(COMMANDS.cut));
+  }
+  return Buffer.concat(parts);
+};
+
+/**
+ * Lay out a receipt model ({ text, images, emphasis }) as printable blocks.
+ * The logo prints above the text and codes below it. Lines matching an
+ * emphasis rule ({ prefix } or { pattern }) are printed bold and/or double height.
+ * @param {Object} receipt - Receipt from the receipt pipeline
+ * @returns {Array} - Blocks for encodeDocument
+ */
+export const receiptToBlocks = (receipt) => {
+  const images = receipt.images || [];
+  const emphasis = receipt.emphasis || [];
+  const imageBlock = (image) => ({ type: 'image', data: image.data, align: image.position || 'center' });
+
+  const lines = receipt.text ? receipt.text.replace(/\n$/, '').split('\n') : [];
+  const textBlocks = lines.map(line => {
+    const style = emphasis.find(rule =>
+      (rule.prefix && line.startsWith(rule.prefix)) || (rule.pattern && rule.pattern.test(line))
+    ) || {};
+    return {
+      type: 'text',
+      text: line,
+      bold: Boolean(style.bold),
+      doubleHeight: Boolean(style.doubleHeight),
+      align: style.align || 'left'
+    };
+  });
+
+  return [
+    ...images.filter(image => image.type === 'logo').map(imageBlock),
+    ...textBlocks,
+    ...images.filter(image => image.type !== 'logo').map(imageBlock)
+  ];
+};
@@ -0,0 +1,204 @@
+// Ingredient stock movements driven by POS order lines
+import { convertQuantity, normalizeUnit, toStockUnit } from './units.js';
+
+// Converted quantities pick up float noise; three decimals is enough to read
+const roundQuantity = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * How a variant's portion compares with the regular one, from the menu
+ * item's variantPortions, such as 1.5 for a large
+ * @param {Object} menuItem - Menu item document
+ * @param {string} variant - regular, large or special
+ * @returns {number|null} - Factor, or null when the variant has none set
+ */
+export const getVariantPortion = (menuItem, variant = 'regular') => {
+  if (variant === 'regular') {
+    return 1;
+  }
+  const portion = menuItem?.variantPortions?.[variant];
+  return Number.isFinite(portion) && portion > 0 ? portion : null;
+};
+
+/**
+ * Whether a variant has no ingredient list or portion size of its own, so
+ * its stock can only be taken at the regular amounts
+ * @param {Object} menuItem - Menu item document
+ * @param {string} variant - regular, large or special
+ * @returns {boolean}
+ */
+export const isVariantUnmapped = (menuItem, variant = 'regular') => (
+  !menuItem?.variantIngredients?.[variant] && getVariantPortion(menuItem, variant) === null
+);
+
+/**
+ * Recipe ingredients for a menu item variant. Variants without their own
+ * list use the regular ingredients scaled by their portion size.
+ * @param {Object} menuItem - Menu item document
+ * @param {string} variant - regular, large or special
+ * @returns {Array} - [{ ingredientId, quantity, unit }]
+ */
+export const getVariantIngredients = (menuItem, variant = 'regular') => {
+  if (menuItem?.variantIngredients?.[variant]) {
+    return menuItem.variantIngredients[variant];
+  }
+  const portion = getVariantPortion(menuItem, variant) ?? 1;
+  return (menuItem?.ingredients || []).map(ingredient => ({ ...ingredient, quantity: ingredient.quantity * portion }));
+};
+
+/**
+ * Ingredients in one portion of a menu item. Variants with their own list
+ * on the menu item use it; otherwise the active version of the item's
+ * active recipe is used, scaled down to one serving and by the variant's
+ * portion size, and the menu item's own list only when it has no recipe.
+ * @param {Object} dbs - { recipesDB, recipeVersionsDB }
+ * @param {Object} menuItem - Menu item document
+ * @param {string} variant - regular, large or special
+ * @returns {Promise<Array>} - [{ ingredientId, quantity, unit }]
+ */
+export const getRecipeIngredients = async ({ recipesDB, recipeVersionsDB }, menuItem, variant = 'regular') => {
+  if (menuItem?.variantIngredients?.[variant] || !recipesDB) {
+    return getVariantIngredients(menuItem, variant);
+  }
+
+  const recipes = await recipesDB.find({
+    selector: { type: 'recipe', menuItemId: menuItem._id, isActive: true },
+    limit: 1
+  });
+  const recipe = recipes.docs[0];
+  if (!recipe) {
+    return getVariantIngredients(menuItem, variant);
+  }
+
+  const versions = recipeVersionsDB
+    ? await recipeVersionsDB.find({
+      selector: { type: 'recipeVersion', recipeId: recipe._id, status: 'active' },
+      limit: 1
+    })
+    : { docs: [] };
+  const version = versions.docs[0];
+  const ingredients = version?.ingredients || recipe.ingredients || [];
+  if (ingredients.length === 0) {
+    return getVariantIngredients(menuItem, variant);
+  }
+  const servings = (version ? version.servingSize : recipe.yield) || 1;
+  const portion = getVariantPortion(menuItem, variant) ?? 1;
+  return ingredients.map(ingredient => ({ ...ingredient, quantity: ingredient.quantity / servings * portion }));
+};
+
+/**
+ * Work out the ingredients used by an order line, including modifier
+ * add/remove adjustments. Removals never take an ingredient below zero.
+ * Adjustments in another standard unit of the same kind, such as g
+ * against kg, are converted before they are netted off.
+ * @param {Object} menuItem - Menu item document
+ * @param {number} quantity - Number of portions
+ * @param {Object} options - { modifiers, variant } chosen on the line, and
+ *   the portion's ingredients when they come from a recipe
+ * @returns {Array} - [{ ingredientId, quantity, unit }]
+ */
+export const getLineIngredientUsage = (menuItem, quantity, { modifiers = [], variant = 'regular', ingredients } = {}) => {
+  const usage = new Map();
+  // An adjustment without a unit is in the unit of the recipe line
+  const inUnitOf = (entry, amount, unit) => (!unit || !entry.unit ? amount : convertQuantity(amount, unit, entry.unit));
+  const addUsage = (ingredientId, amount, unit) => {
+    const existing = [...usage.values()].find(entry =>
+      entry.ingredientId === ingredientId && inUnitOf(entry, amount, unit) !== null
+    );
+    if (existing) {
+      existing.quantity += inUnitOf(existing, amount, unit);
+      return;
+    }
+    usage.set(`${ingredientId}:${normalizeUnit(unit)}`, { ingredientId, quantity: amount, unit });
+  };
+
+  (ingredients || getVariantIngredients(menuItem, variant)).forEach(ingredient => {
+    addUsage(ingredient.ingredientId, ingredient.quantity, ingredient.unit);
+  });
+  modifiers.forEach(modifier => {
+    (modifier.ingredientAdjustments || []).forEach(adjustment => {
+      addUsage(
+        adjustment.ingredientId,
+        adjustment.action === 'remove' ? -adjustment.quantity : adjustment.quantity,
+        adjustment.unit
+      );
+    });
+  });
+
+  return [...usage.values()]
+    .filter(entry => entry.quantity > 0)
+    .map(entry => ({ ...entry, quantity: entry.quantity * quantity }));
+};
+
+/**
+ * Ingredients used by a set of order lines, each line sized from its menu
+ * item's recipe. Variants with no ingredients or portion size of their own
+ * are taken at the regular amounts and reported in warnings.
+ * @param {Object} dbs - { menuItemsDB, recipesDB, recipeVersionsDB }
+ * @param {Array} orderItems - Order lines, { menuItemId, quantity, modifiers, variant }
+ * @returns {Promise<Object>} - { usage: [{ ingredientId, quantity, unit, menuItemId }], warnings }
+ */
+export const getOrderIngredientUsage = async ({ menuItemsDB, ...recipeDBs }, orderItems) => {
+  const portions = new Map();
+  const usage = [];
+  const warnings = [];
+  for (const item of orderItems) {
+    const variant = item.variant || 'regular';
+    const key = `${item.menuItemId}:${variant}`;
+    if (!portions.has(key)) {
+      const menuItem = await menuItemsDB.get(item.menuItemId);
+      portions.set(key, { menuItem, ingredients: await getRecipeIngredients(recipeDBs, menuItem, variant) });
+      if (isVariantUnmapped(menuItem, variant)) {
+        warnings.push(`${menuItem.name} (${variant}) has no ingredients or portion size of its own; stock was taken at regular amounts`);
+      }
+    }
+    const { menuItem, ingredients } = portions.get(key);
+    getLineIngredientUsage(menuItem, item.quantity, { modifiers: item.modifiers, variant, ingredients })
+      .forEach(entry => usage.push({ ...entry, menuItemId: item.menuItemId }));
+  }
+  return { usage, warnings };
+};
+
+/**
+ * Total the usage of each ingredient in its stock unit, next to what is in
+ * stock. Usage that cannot be applied, such as an ingredient that no longer
+ * exists or a unit it cannot be measured in, is reported in errors.
+ * @param {Object} ingredientsDB - PouchDB instance for ingredients
+ * @param {Array} usage - usage from getOrderIngredientUsage
+ * @returns {Promise<Object>} - { lines: [{ ingredientId, ingredientName, quantity, unit, stockLevel }], errors }
+ */
+export const getStockUsage = async (ingredientsDB, usage) => {
+  const lines = new Map();
+  const errors = [];
+  for (const { ingredientId, quantity, unit } of usage) {
+    const ingredient = await ingredientsDB.get(ingredientId).catch(() => null);
+    if (!ingredient) {
+      errors.push(`${ingredientId}: ingredient not found`);
+      continue;
+    }
+    const stockQuantity = toStockUnit(quantity, unit, ingredient);
+    if (stockQuantity === null) {
+      errors.push(`${ingredient.name}: stocked in ${ingredient.unit}, not ${unit}`);
+      continue;
+    }
+    if (!lines.has(ingredientId)) {
+      lines.set(ingredientId, {
+        ingredientId,
+        ingredientName: ingredient.name,
+        quantity: 0,
+        unit: ingredient.unit,
+        stockLevel: ingredient.stockLevel
+      });
+    }
+    lines.get(ingredientId).quantity += stockQuantity;
+  }
+  return { lines: [...lines.values()], errors };
+};
+
+/**
+ * Ingredients an order would take below zero
+ * @param {Array} lines - Lines from getStockUsage
+ * @returns {Array} - Warning messages, one per short ingredient
+ */
+export const getStockShortages = (lines) => lines
+  .filter(line => line.quantity > line.stockLevel)
+  .map(line => `Only ${roundQuantity(line.stockLevel)} ${line.unit} of ${line.ingredientName} in stock, ${roundQuantity(line.quantity)} ${line.unit} needed`);
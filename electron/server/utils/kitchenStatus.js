@@ -0,0 +1,109 @@
+// Kitchen capacity and station load per branch, shared by every KDS client
+
+const DEFAULT_MAX_CAPACITY = 10;
+const DEFAULT_STATION_CAPACITY = 5;
+const DEFAULT_STATIONS = {
+  main: { capacity: 5 },
+  grill: { capacity: 3 },
+  salad: { capacity: 2 },
+  dessert: { capacity: 2 }
+};
+
+// Ticket statuses that still take up kitchen capacity
+const OPEN_STATUSES = ['pending', 'preparing'];
+
+// Socket.IO room for kitchen status updates of a branch
+export const kitchenStatusRoom = (branchId) => `kitchen:${branchId}`;
+
+const kitchenStatusId = (branchId) => `kitchenStatus_${branchId}`;
+
+/**
+ * Validate a capacity update
+ * @param {Object} data - { maxCapacity, stations: { name: { capacity } } }
+ * @returns {Array<string>} - Validation errors
+ */
+export const validateKitchenCapacity = (data) => {
+  const errors = [];
+  if (data.maxCapacity !== undefined && (!Number.isInteger(data.maxCapacity) || data.maxCapacity < 1)) {
+    errors.push('Max capacity must be a positive whole number');
+  }
+  if (data.stations !== undefined) {
+    if (!data.stations || typeof data.stations !== 'object' || Array.isArray(data.stations)) {
+      errors.push('Stations must map station names to capacities');
+    } else {
+      Object.entries(data.stations).forEach(([station, config]) => {
+        if (!Number.isInteger(config?.capacity) || config.capacity < 1) {
+          errors.push(`${station}: capacity must be a positive whole number`);
+        }
+      });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Rebuild the kitchen status of a branch from its open tickets and save it.
+ * Capacities come from the saved status; load is always recounted, so the
+ * status survives restarts and can't drift between clients.
+ * @param {Object} kdsDB - PouchDB instance for KDS
+ * @param {Object} params - { restaurantId, branchId, capacity } capacity
+ *   optionally replaces { maxCapacity, stations }
+ * @returns {Promise<Object>} - Saved kitchen status
+ */
+export const refreshKitchenStatus = async (kdsDB, { restaurantId, branchId, capacity = null }, retries = 3) => {
+  const existing = await kdsDB.get(kitchenStatusId(branchId)).catch(() => null);
+  const maxCapacity = capacity?.maxCapacity ?? existing?.maxCapacity ?? DEFAULT_MAX_CAPACITY;
+  const stationCapacity = capacity?.stations
+    ? Object.fromEntries(Object.entries(capacity.stations).map(([station, config]) => [station, { capacity: config.capacity }]))
+    : existing?.stations || DEFAULT_STATIONS;
+
+  const openTickets = (await kdsDB.find({
+    selector: {
+      type: 'kdsEntry',
+      branchId,
+      status: { $in: OPEN_STATUSES }
+    }
+  })).docs;
+
+  const stations = Object.fromEntries(Object.entries(stationCapacity).map(([station, config]) => [
+    station,
+    { capacity: config.capacity, active: 0 }
+  ]));
+  openTickets.forEach(ticket => {
+    const station = ticket.station || 'main';
+    stations[station] = stations[station] || { capacity: DEFAULT_STATION_CAPACITY, active: 0 };
+    stations[station].active++;
+  });
+
+  // Latest expected finish across tickets with a target time, counted from
+  // when each was fired; status changes don't restart the clock
+  const completionTimes = openTickets
+    .map(ticket => ({ ticket, prepTime: ticket.targetPrepTime || ticket.preparationTime }))
+    .filter(({ prepTime }) => prepTime > 0)
+    .map(({ ticket, prepTime }) => new Date(ticket.firedAt || ticket.createdAt).getTime() + prepTime * 60000);
+
+  const status = {
+    ...(existing || {}),
+    _id: kitchenStatusId(branchId),
+    type: 'kitchenStatus',
+    restaurantId: existing?.restaurantId || restaurantId,
+    branchId,
+    maxCapacity,
+    activeOrders: new Set(openTickets.map(ticket => ticket.orderId)).size,
+    stations,
+    estimatedCompletionTime: completionTimes.length > 0
+      ? new Date(Math.max(...completionTimes)).toISOString()
+      : null,
+    updatedAt: new Date().toISOString()
+  };
+
+  try {
+    const result = await kdsDB.put(status);
+    return { ...status, _rev: result.rev };
+  } catch (error) {
+    if (error.status === 409 && retries > 0) {
+      return refreshKitchenStatus(kdsDB, { restaurantId, branchId, capacity }, retries - 1);
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,278 @@
+// Plain-text kitchen tickets, shared by the KDS and kitchen printers
+import { getTicketTargetPrepTime } from './ticketTimers.js';
+
+/**
+ * Render the item lines of a ticket with modifiers indented under each line
+ * @param {Array} orderItems - Order lines
+ * @returns {Array<string>} - Ticket lines
+ */
+export const formatTicketItems = (orderItems) => {
+  const lines = [];
+  (orderItems || []).forEach(item => {
+    const quantity = item.quantity - (item.voidedQuantity || 0);
+    if (quantity <= 0) {
+      return;
+    }
+    const variant = item.variant && item.variant !== 'regular' ? ` (${item.variant.toUpperCase()})` : '';
+    lines.push(`${quantity}x ${item.name}${variant}`);
+    (item.modifiers || []).forEach(modifier => {
+      lines.push(`   ${modifier.name}`);
+    });
+  });
+  return lines;
+};
+
+/**
+ * Render a full kitchen ticket
+ * @param {Object} entry - KDS entry or order
+ * @param {number} charactersPerLine - Printer width
+ * @returns {string} - Ticket text
+ */
+export const renderKitchenTicket = (entry, charactersPerLine = 32) => {
+  const line = '-'.repeat(charactersPerLine);
+  const header = [
+    `#${entry.orderNumber}  ${entry.orderType || ''}`.trim(),
+    entry.tableNumber ? `Table ${entry.tableNumber}` : null,
+    new Date(entry.createdAt || Date.now()).toLocaleTimeString()
+  ].filter(Boolean);
+
+  return [
+    ...header,
+    line,
+    ...formatTicketItems(entry.orderItems),
+    line,
+    entry.notes ? `Notes: ${entry.notes}` : null
+  ].filter(value => value !== null).join('\n') + '\n';
+};
+
+/**
+ * A kitchen ticket as a receipt model for the printers: order number in
+ * large type and item lines in bold
+ * @param {Object} entry - KDS entry with ticketText
+ * @returns {Object} - { text, images, emphasis }
+ */
+export const kitchenTicketToReceipt = (entry) => ({
+  text: entry.ticketText || renderKitchenTicket(entry),
+  images: [],
+  emphasis: [
+    { prefix: '#', bold: true, doubleHeight: true },
+    { pattern: /^\d+x /, bold: true, doubleHeight: true }
+  ]
+});
+
+/**
+ * Resolve the kitchen station of a menu item, falling back to its category
+ * @param {Object} menuItem - Menu item document
+ * @param {Object} category - Category document (optional)
+ * @param {string} defaultStation - Station for items without one
+ * @returns {string} - Station name
+ */
+export const resolvePreparationStation = (menuItem, category, defaultStation = 'main') => {
+  return menuItem?.preparationStation || category?.preparationStation || defaultStation;
+};
+
+// Socket.IO rooms for station screens and the expo view of a branch
+export const kdsStationRoom = (branchId, station) => `kds:${branchId}:${station}`;
+export const kdsExpoRoom = (branchId) => `kds:${branchId}:expo`;
+
+// Ticket statuses that count as bumped from a station
+const BUMPED_STATUSES = ['ready', 'delivered'];
+
+/**
+ * Group station tickets into the expo view of each order. An order is ready
+ * once every fired ticket that isn't cancelled has been bumped; held courses
+ * don't count until they are fired.
+ * @param {Array} entries - KDS entries
+ * @returns {Array} - [{ orderId, orderNumber, tableNumber, orderType, tickets, ready }]
+ */
+export const buildExpoOrders = (entries) => {
+  const orders = new Map();
+  entries.forEach(entry => {
+    if (!orders.has(entry.orderId)) {
+      orders.set(entry.orderId, {
+        orderId: entry.orderId,
+        orderNumber: entry.orderNumber,
+        tableNumber: entry.tableNumber,
+        orderType: entry.orderType,
+        serverName: entry.serverName,
+        createdAt: entry.createdAt,
+        tickets: []
+      });
+    }
+    orders.get(entry.orderId).tickets.push(entry);
+  });
+
+  return [...orders.values()].map(order => {
+    const activeTickets = order.tickets.filter(ticket => !['cancelled', 'held'].includes(ticket.status));
+    return {
+      ...order,
+      tickets: order.tickets.sort((a, b) => (a.round || 1) - (b.round || 1) || (a.station || '').localeCompare(b.station || '')),
+      ready: activeTickets.length > 0 && activeTickets.every(ticket => BUMPED_STATUSES.includes(ticket.status))
+    };
+  });
+};
+
+/**
+ * All-day counts: open quantities summed across tickets per station, by
+ * menu item, variant and modifiers. Held courses are counted apart.
+ * @param {Array} entries - Open KDS entries
+ * @returns {Object} - { station: [{ menuItemId, name, variant, modifiers, quantity, heldQuantity, tickets }] }
+ */
+export const buildAllDayCounts = (entries) => {
+  const stations = {};
+  entries.forEach(entry => {
+    const counts = stations[entry.station] = stations[entry.station] || new Map();
+    (entry.orderItems || []).forEach(item => {
+      const quantity = item.quantity - (item.voidedQuantity || 0);
+      if (quantity <= 0) {
+        return;
+      }
+      const modifiers = (item.modifiers || []).map(modifier => modifier.name).sort();
+      const key = [item.menuItemId, item.variant || 'regular', ...modifiers].join('|');
+      if (!counts.has(key)) {
+        counts.set(key, {
+          menuItemId: item.menuItemId,
+          name: item.name,
+          variant: item.variant || 'regular',
+          modifiers,
+          quantity: 0,
+          heldQuantity: 0,
+          tickets: new Set()
+        });
+      }
+      const count = counts.get(key);
+      if (entry.status === 'held') {
+        count.heldQuantity += quantity;
+      } else {
+        count.quantity += quantity;
+      }
+      count.tickets.add(entry._id);
+    });
+  });
+
+  return Object.fromEntries(Object.entries(stations).map(([station, counts]) => [
+    station,
+    [...counts.values()]
+      .map(count => ({ ...count, tickets: count.tickets.size }))
+      .sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name))
+  ]));
+};
+
+// Ticket text with the station, and the course for held courses, next to the order type
+const renderStationTicket = (entry, order) => renderKitchenTicket({
+  ...entry,
+  orderNumber: entry.isDelta ? `${order.orderNumber} (round ${entry.round})` : order.orderNumber,
+  orderType: [order.orderType, entry.station.toUpperCase(), entry.course?.toUpperCase()].filter(Boolean).join(' ')
+});
+
+/**
+ * Create the KDS tickets for some lines of an order, one per kitchen
+ * station. Later rounds get their own delta tickets holding only the new
+ * lines. Held courses get one held ticket per course and station, shown
+ * greyed out on the KDS until the course is fired.
+ * @param {Object} kdsDB - PouchDB instance for KDS
+ * @param {Object} order - Order the lines belong to
+ * @param {Array<number>} lineIndexes - Lines to send to the kitchen
+ * @param {Object} options - { round, createdBy, defaultStation, held, defaultPrepTime }
+ * @returns {Promise<Array>} - Saved KDS entries
+ */
+export const createKitchenTickets = async (kdsDB, order, lineIndexes, { round, createdBy, defaultStation = 'main', held = false, defaultPrepTime = 15 }) => {
+  const now = new Date().toISOString();
+  const groups = new Map();
+  lineIndexes.forEach(lineIndex => {
+    const item = order.orderItems[lineIndex];
+    const station = item.preparationStation || defaultStation;
+    const course = held ? item.course : null;
+    const key = `${course}|${station}`;
+    groups.set(key, { station, course, lines: [...(groups.get(key)?.lines || []), lineIndex] });
+  });
+
+  const heldSuffix = Date.now().toString(36);
+  const entries = [...groups.values()].map(({ station, course, lines }) => {
+    const entry = {
+      _id: held
+        ? `kds_${order._id}_${course}_${station}_${heldSuffix}`
+        : round > 1 ? `kds_${order._id}_r${round}_${station}` : `kds_${order._id}_${station}`,
+      type: 'kdsEntry',
+      orderId: order._id,
+      orderNumber: order.orderNumber,
+      station,
+      course,
+      round: held ? null : round,
+      isDelta: !held && round > 1,
+      status: held ? 'held' : 'pending',
+      fireAt: held ? order.courses?.[course]?.fireAt || null : null,
+      firedAt: held ? null : now,
+      orderItems: lines.map(lineIndex => ({ ...order.orderItems[lineIndex], lineIndex })),
+      targetPrepTime: getTicketTargetPrepTime(lines.map(lineIndex => order.orderItems[lineIndex]), defaultPrepTime),
+      tableNumber: order.tableNumber,
+      orderType: order.orderType,
+      serverName: order.serverName,
+      createdAt: now,
+      updatedAt: now,
+      createdBy,
+      restaurantId: order.restaurantId,
+      branchId: order.branchId
+    };
+    entry.ticketText = renderStationTicket(entry, order);
+    return entry;
+  });
+
+  await Promise.all(entries.map(entry => kdsDB.put(entry)));
+  return entries;
+};
+
+/**
+ * Fire the held course tickets covering some lines: they become pending
+ * tickets of the round, with quantities refreshed from the order
+ * @param {Object} kdsDB - PouchDB instance for KDS
+ * @param {Object} order - Order with the lines already fired
+ * @param {Array<number>} lineIndexes - Lines being fired
+ * @param {Object} options - { round, firedAt, firedBy }
+ * @returns {Promise<Object>} - { tickets, remainingLines } remainingLines had no held ticket
+ */
+export const releaseHeldTickets = async (kdsDB, order, lineIndexes, { round, firedAt, firedBy }) => {
+  const heldTickets = (await kdsDB.find({
+    selector: { type: 'kdsEntry', orderId: order._id, status: 'held' }
+  })).docs.filter(ticket => ticket.orderItems.some(item => lineIndexes.includes(item.lineIndex)));
+
+  const tickets = heldTickets.map(ticket => {
+    const entry = {
+      ...ticket,
+      status: 'pending',
+      round,
+      isDelta: round > 1,
+      fireAt: null,
+      firedAt,
+      firedBy,
+      orderItems: ticket.orderItems.map(item => ({ ...order.orderItems[item.lineIndex], lineIndex: item.lineIndex })),
+      updatedAt: firedAt
+    };
+    entry.ticketText = renderStationTicket(entry, order);
+    return entry;
+  });
+  await Promise.all(tickets.map(ticket => kdsDB.put(ticket)));
+
+  const releasedLines = tickets.flatMap(ticket => ticket.orderItems.map(item => item.lineIndex));
+  return {
+    tickets,
+    remainingLines: lineIndexes.filter(lineIndex => !releasedLines.includes(lineIndex))
+  };
+};
+
+/**
+ * Set when the held tickets of a course fire on their own
+ * @param {Object} kdsDB - PouchDB instance for KDS
+ * @param {string} orderId - Order ID
+ * @param {string} course - Course name
+ * @param {string} fireAt - ISO timestamp
+ * @returns {Promise<Array>} - Updated KDS entries
+ */
+export const scheduleHeldTickets = async (kdsDB, orderId, course, fireAt) => {
+  const heldTickets = (await kdsDB.find({
+    selector: { type: 'kdsEntry', orderId, status: 'held', course }
+  })).docs;
+  const tickets = heldTickets.map(ticket => ({ ...ticket, fireAt, updatedAt: new Date().toISOString() }));
+  await Promise.all(tickets.map(ticket => kdsDB.put(ticket)));
+  return tickets;
+};
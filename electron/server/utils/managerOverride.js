@@ -0,0 +1,81 @@
+// Manager PIN overrides for restricted POS actions
+import bcrypt from 'bcryptjs';
+
+// Roles that can approve restricted actions without an override
+export const OVERRIDE_ROLES = ['owner', 'super-admin', 'admin', 'manager'];
+
+/**
+ * Check whether a user needs a manager override for a restricted action
+ * @param {Object} user - User from the session
+ * @returns {boolean} - True when a manager PIN is required
+ */
+export const requiresManagerOverride = (user) => !OVERRIDE_ROLES.includes(user?.role);
+
+/**
+ * Hash a PIN and save it as the user's PIN document.
+ * PINs live in their own document so they never travel with session user details.
+ * @param {Object} usersDB - PouchDB instance for users
+ * @param {Object} user - User document the PIN belongs to
+ * @param {string} pin - Plain 4-8 digit PIN
+ * @returns {Promise<Object>} - Saved PIN document (without the hash)
+ */
+export const savePin = async (usersDB, user, pin) => {
+  const pinId = `pin_${user._id}`;
+  const existing = await usersDB.get(pinId).catch(() => null);
+  const pinDoc = {
+    ...(existing || {}),
+    _id: pinId,
+    type: 'userPin',
+    userId: user._id,
+    restaurantId: user.restaurantId,
+    branchId: user.branchId,
+    pinHash: await bcrypt.hash(pin, 10),
+    updatedAt: new Date().toISOString()
+  };
+  await usersDB.put(pinDoc);
+
+  const { pinHash, ...safePinDoc } = pinDoc;
+  return safePinDoc;
+};
+
+/**
+ * Find the manager whose PIN matches within a restaurant
+ * @param {Object} usersDB - PouchDB instance for users
+ * @param {Object} params - { pin, restaurantId, branchId }
+ * @returns {Promise<Object>} - { valid, manager, message }
+ */
+export const verifyManagerOverride = async (usersDB, { pin, restaurantId, branchId }) => {
+  if (!pin || !/^\d{4,8}$/.test(String(pin))) {
+    return { valid: false, message: 'A manager PIN is required for this action' };
+  }
+  if (!usersDB) {
+    return { valid: false, message: 'Manager override is not available' };
+  }
+
+  const result = await usersDB.find({
+    selector: {
+      type: 'userPin',
+      restaurantId
+    }
+  });
+
+  for (const pinDoc of result.docs) {
+    if (!(await bcrypt.compare(String(pin), pinDoc.pinHash))) {
+      continue;
+    }
+    const manager = await usersDB.get(pinDoc.userId).catch(() => null);
+    if (!manager || manager._deleted || manager.isLocked || !OVERRIDE_ROLES.includes(manager.role)) {
+      continue;
+    }
+    // Owners and admins can approve at any branch; managers only at their own
+    if (manager.role === 'manager' && branchId && manager.branchId !== branchId) {
+      continue;
+    }
+    return {
+      valid: true,
+      manager: { _id: manager._id, name: manager.name, role: manager.role }
+    };
+  }
+
+  return { valid: false, message: 'Invalid manager PIN' };
+};
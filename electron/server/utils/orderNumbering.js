@@ -0,0 +1,113 @@
+// Sequential, gap-free order numbers per branch and terminal
+import { v4 as uuidv4 } from 'uuid';
+
+const TERMINAL_DOC_ID = '_local/terminal';
+const MAX_ATTEMPTS = 5;
+
+/**
+ * Get the code identifying this install. It lives in a _local document,
+ * which PouchDB never replicates, so every synced terminal keeps its own.
+ * @param {Object} posDB - PouchDB instance for POS
+ * @returns {Promise<string>} - Terminal code
+ */
+export const getTerminalCode = async (posDB) => {
+  const existing = await posDB.get(TERMINAL_DOC_ID).catch(() => null);
+  if (existing?.code) {
+    return existing.code;
+  }
+
+  const code = uuidv4().replace(/-/g, '').slice(0, 6).toUpperCase();
+  try {
+    await posDB.put({ _id: TERMINAL_DOC_ID, code, createdAt: new Date().toISOString() });
+    return code;
+  } catch (error) {
+    // Another request created it first
+    if (error.status === 409) {
+      return (await posDB.get(TERMINAL_DOC_ID)).code;
+    }
+    throw error;
+  }
+};
+
+const formatDatePart = (date) => {
+  const year = date.getFullYear().toString().slice(-2);
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${year}${month}${day}`;
+};
+
+/**
+ * Take the next order number for a branch.
+ *
+ * Each terminal keeps its own counter document per branch (and per day when
+ * numbering resets daily). Terminals never write each other's counters, so
+ * numbers stay unique after offline terminals sync, and each terminal's
+ * series has no gaps.
+ * @param {Object} posDB - PouchDB instance for POS
+ * @param {Object} params - { branchId, orderType, numbering, date }
+ * @returns {Promise<Object>} - { orderNumber, sequence, terminalCode, period, counterId }
+ */
+export const allocateOrderNumber = async (posDB, { branchId, orderType, numbering = {}, date = new Date() }) => {
+  const terminalCode = await getTerminalCode(posDB);
+  const daily = numbering.resetPolicy !== 'continuous';
+  const period = daily ? formatDatePart(date) : 'continuous';
+  const counterId = `orderCounter_${branchId}_${terminalCode}_${period}`;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const counter = await posDB.get(counterId).catch(error => {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    });
+    const sequence = (counter?.lastSequence || 0) + 1;
+
+    try {
+      await posDB.put({
+        ...(counter || {
+          _id: counterId,
+          type: 'orderCounter',
+          branchId,
+          terminalCode,
+          period,
+          createdAt: new Date().toISOString()
+        }),
+        lastSequence: sequence,
+        updatedAt: new Date().toISOString()
+      });
+    } catch (error) {
+      // Another order on this terminal took the number; read the counter again
+      if (error.status === 409) {
+        continue;
+      }
+      throw error;
+    }
+
+    const prefix = numbering.prefixes?.[orderType] ?? 'ORD';
+    const sequencePart = sequence.toString().padStart(numbering.sequencePadding || 4, '0');
+    const orderNumber = daily
+      ? `${prefix}${period}-${terminalCode}-${sequencePart}`
+      : `${prefix}-${terminalCode}-${sequencePart}`;
+
+    return { orderNumber, sequence, terminalCode, period, counterId };
+  }
+
+  throw new Error('Could not allocate an order number, please try again');
+};
+
+/**
+ * Record a number that was taken but never used, so the gap is accounted for
+ * @param {Object} posDB - PouchDB instance for POS
+ * @param {Object} allocation - Result of allocateOrderNumber
+ * @param {string} reason - Why the number was not used
+ * @returns {Promise<void>}
+ */
+export const recordSkippedOrderNumber = async (posDB, allocation, reason) => {
+  await posDB.put({
+    _id: `orderNumberSkip_${uuidv4()}`,
+    type: 'orderNumberSkip',
+    ...allocation,
+    reason,
+    createdAt: new Date().toISOString()
+  });
+};
@@ -0,0 +1,160 @@
+// Order pricing: tax, service charge and rounding computed from restaurant settings
+
+const ROUNDING_METHODS = ['nearest', 'up', 'down'];
+
+/**
+ * Round an amount using the configured rounding method
+ * @param {number} amount - Amount to round
+ * @param {Object} options - { roundingMethod, decimalPlaces }
+ * @returns {number} - Rounded amount
+ */
+export const roundAmount = (amount, { roundingMethod = 'nearest', decimalPlaces = 2 } = {}) => {
+  const factor = 10 ** decimalPlaces;
+  // Strip floating point noise before rounding so 0.1 + 0.2 doesn't round up
+  const scaled = Number((amount * factor).toFixed(6));
+
+  switch (ROUNDING_METHODS.includes(roundingMethod) ? roundingMethod : 'nearest') {
+    case 'up':
+      return Math.ceil(scaled) / factor;
+    case 'down':
+      return Math.floor(scaled) / factor;
+    default:
+      return Math.round(scaled) / factor;
+  }
+};
+
+/**
+ * Resolve the tax class of a menu item, falling back to its category
+ * @param {Object} menuItem - Menu item document
+ * @param {Object} category - Category document (optional)
+ * @returns {string} - Tax class name
+ */
+export const resolveTaxClass = (menuItem, category) => {
+  return menuItem?.taxClass || category?.taxClass || 'standard';
+};
+
+/**
+ * Get the tax rate for a tax class. The standard class uses pos.taxRate.
+ * @param {string} taxClass - Tax class name
+ * @param {Object} posSettings - settings.pos
+ * @returns {number} - Tax rate as a fraction
+ */
+export const getTaxRate = (taxClass, posSettings) => {
+  if (taxClass === 'standard') {
+    return Number(posSettings.taxRate) || 0;
+  }
+  const rate = posSettings.taxClasses?.[taxClass];
+  return Number.isFinite(rate) ? rate : Number(posSettings.taxRate) || 0;
+};
+
+/**
+ * Calculate the discount amount for an order-level discount
+ * @param {Object} discount - { type: 'fixed' | 'percentage', value }
+ * @param {number} subtotal - Order subtotal
+ * @returns {number} - Discount amount, never more than the subtotal
+ */
+export const calculateDiscountAmount = (discount, subtotal) => {
+  const value = Number(discount?.value) || 0;
+  if (value <= 0) {
+    return 0;
+  }
+  const amount = discount.type === 'percentage' ? subtotal * (value / 100) : value;
+  return Math.min(amount, subtotal);
+};
+
+/**
+ * Calculate order totals and a line-by-line tax breakdown
+ * @param {Object} params
+ * @param {Array} params.lines - Order lines ({ menuItemId, name, subtotal, taxClass })
+ * @param {string} params.orderType - Dine-in, Takeout or Delivery
+ * @param {Object} params.posSettings - settings.pos
+ * @param {number} params.discountAmount - Order-level discount, allocated across lines before tax
+ * @param {Array} params.lineDiscounts - Discount per line from a promotion; replaces discountAmount
+ * @returns {Object} - { subtotal, discountAmount, tax, serviceCharge, totalAmount, taxBreakdown }
+ */
+export const calculateOrderTotals = ({ lines, orderType, posSettings, discountAmount = 0, lineDiscounts = null }) => {
+  const rounding = {
+    roundingMethod: posSettings.roundingMethod,
+    decimalPlaces: posSettings.decimalPlaces
+  };
+  const orderTypeRules = posSettings.orderTypeTaxRules?.[orderType] || {};
+  const exemptClasses = orderTypeRules.exemptTaxClasses || [];
+  const taxInclusive = Boolean(posSettings.taxInclusive);
+
+  const subtotal = roundAmount(lines.reduce((sum, line) => sum + line.subtotal, 0), rounding);
+  const discount = lineDiscounts
+    ? roundAmount(lines.reduce((sum, line, index) => sum + roundAmount(Math.min(lineDiscounts[index] || 0, line.subtotal), rounding), 0), rounding)
+    : roundAmount(Math.min(discountAmount, subtotal), rounding);
+
+  let allocatedDiscount = 0;
+  const breakdownLines = lines.map((line, index) => {
+    // Allocate the order discount by line value; the last line absorbs rounding
+    let lineDiscount;
+    if (lineDiscounts) {
+      lineDiscount = roundAmount(Math.min(lineDiscounts[index] || 0, line.subtotal), rounding);
+    } else if (index === lines.length - 1) {
+      lineDiscount = roundAmount(discount - allocatedDiscount, rounding);
+    } else {
+      lineDiscount = roundAmount(subtotal > 0 ? discount * (line.subtotal / subtotal) : 0, rounding);
+    }
+    allocatedDiscount += lineDiscount;
+
+    const exempt = exemptClasses.includes(line.taxClass);
+    const taxRate = exempt ? 0 : getTaxRate(line.taxClass, posSettings);
+    const grossAmount = line.subtotal - lineDiscount;
+    const netAmount = taxInclusive ? grossAmount / (1 + taxRate) : grossAmount;
+    const taxAmount = roundAmount(taxInclusive ? grossAmount - netAmount : netAmount * taxRate, rounding);
+
+    return {
+      lineIndex: index,
+      menuItemId: line.menuItemId,
+      name: line.name,
+      taxClass: line.taxClass,
+      taxRate,
+      exempt,
+      grossAmount: roundAmount(line.subtotal, rounding),
+      discountAmount: lineDiscount,
+      netAmount: roundAmount(taxInclusive ? grossAmount - taxAmount : netAmount, rounding),
+      taxAmount
+    };
+  });
+
+  const byClass = breakdownLines.reduce((acc, line) => {
+    const key = line.exempt ? `${line.taxClass} (exempt)` : line.taxClass;
+    acc[key] = acc[key] || { taxClass: line.taxClass, taxRate: line.taxRate, taxableAmount: 0, taxAmount: 0 };
+    acc[key].taxableAmount = roundAmount(acc[key].taxableAmount + line.netAmount, rounding);
+    acc[key].taxAmount = roundAmount(acc[key].taxAmount + line.taxAmount, rounding);
+    return acc;
+  }, {});
+
+  const tax = roundAmount(breakdownLines.reduce((sum, line) => sum + line.taxAmount, 0), rounding);
+  const netTotal = breakdownLines.reduce((sum, line) => sum + line.netAmount, 0);
+
+  const applyServiceCharge = orderTypeRules.applyServiceCharge ?? orderType === 'Dine-in';
+  const serviceChargeRate = applyServiceCharge ? Number(posSettings.serviceChargeRate) || 0 : 0;
+  const serviceCharge = roundAmount(netTotal * serviceChargeRate, rounding);
+
+  const totalAmount = roundAmount(
+    taxInclusive
+      ? subtotal - discount + serviceCharge
+      : subtotal - discount + tax + serviceCharge,
+    rounding
+  );
+
+  return {
+    subtotal,
+    discountAmount: discount,
+    tax,
+    serviceCharge,
+    totalAmount,
+    taxBreakdown: {
+      orderType,
+      taxInclusive,
+      roundingMethod: rounding.roundingMethod,
+      decimalPlaces: rounding.decimalPlaces,
+      serviceChargeRate,
+      lines: breakdownLines,
+      byClass: Object.values(byClass)
+    }
+  };
+};
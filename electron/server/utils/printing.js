@@ -0,0 +1,211 @@
+// Printer devices and the retrying print queue
+import net from 'net';
+import path from 'path';
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
+import { encodeDocument, PRINT_WIDTHS } from './escpos.js';
+
+export const DEVICE_TYPES = ['network', 'usb', 'file'];
+const DEFAULT_NETWORK_PORT = 9100;
+const MAX_FINISHED_JOBS = 100;
+
+/**
+ * Validate a printer device configuration
+ * @param {Object} device - { type, host, port, path }
+ * @returns {Array<string>} - Validation errors
+ */
+export const validatePrinterDevice = (device) => {
+  const errors = [];
+  if (!device || !DEVICE_TYPES.includes(device.type)) {
+    errors.push(`Printer type must be one of: ${DEVICE_TYPES.join(', ')}`);
+    return errors;
+  }
+  if (device.type === 'network') {
+    if (!device.host) {
+      errors.push('Printer host is required');
+    }
+    const port = device.port ?? DEFAULT_NETWORK_PORT;
+    if (!Number.isInteger(port) || port < 1 || port > 65535) {
+      errors.push('Printer port must be between 1 and 65535');
+    }
+  } else if (!device.path) {
+    errors.push('Printer path is required');
+  }
+  return errors;
+};
+
+const sendToNetworkPrinter = (device, data, timeout) => new Promise((resolve, reject) => {
+  const client = net.createConnection({ host: device.host, port: device.port ?? DEFAULT_NETWORK_PORT });
+  let settled = false;
+  const finish = (error) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    client.destroy();
+    if (error) {
+      reject(error);
+    } else {
+      resolve();
+    }
+  };
+
+  client.setTimeout(timeout, () => finish(new Error(`Printer ${device.host} did not respond`)));
+  client.on('error', finish);
+  client.on('connect', () => {
+    client.end(data, () => finish());
+  });
+});
+
+/**
+ * Send raw bytes to a printer device. USB printers are written through
+ * their device path (e.g. /dev/usb/lp0); file devices save a .bin file per
+ * job into a directory, relative paths being under the working directory.
+ * @param {Object} device - { type, host, port, path }
+ * @param {Buffer} data - Encoded printout
+ * @param {Object} options - { timeout, jobId }
+ * @returns {Promise<void>}
+ */
+export const sendToDevice = async (device, data, { timeout = 5000, jobId = `print_${uuidv4()}` } = {}) => {
+  switch (device.type) {
+    case 'network':
+      return sendToNetworkPrinter(device, data, timeout);
+    case 'usb':
+      return fs.promises.writeFile(device.path, data);
+    case 'file': {
+      const directory = path.resolve(process.cwd(), device.path);
+      await fs.promises.mkdir(directory, { recursive: true });
+      return fs.promises.writeFile(path.join(directory, `${jobId}.bin`), data);
+    }
+    default:
+      throw new Error(`Unknown printer type: ${device.type}`);
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const deviceKey = (device) => device.type === 'network'
+  ? `network:${device.host}:${device.port ?? DEFAULT_NETWORK_PORT}`
+  : `${device.type}:${device.path}`;
+
+/**
+ * Create a print queue. Jobs for the same device print one at a time in
+ * the order they were queued; failed sends are retried with a growing delay.
+ * @param {Object} options - { send, retryAttempts, retryDelay, timeout }
+ * @returns {Object} - { enqueue, getJobs }
+ */
+export const createPrintQueue = ({ send = sendToDevice, retryAttempts = 3, retryDelay = 2000, timeout = 5000 } = {}) => {
+  const jobs = new Map();
+  const deviceChains = new Map();
+
+  const forgetFinishedJobs = () => {
+    const finished = [...jobs.values()].filter(job => ['printed', 'failed'].includes(job.status));
+    finished.slice(0, Math.max(finished.length - MAX_FINISHED_JOBS, 0)).forEach(job => jobs.delete(job.jobId));
+  };
+
+  const runJob = async (job, { attempts, delay, sendTimeout }) => {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      job.status = 'printing';
+      job.attempts = attempt;
+      try {
+        await send(job.device, job.data, { timeout: sendTimeout, jobId: job.jobId });
+        job.status = 'printed';
+        job.printedAt = new Date().toISOString();
+        return;
+      } catch (error) {
+        job.lastError = error.message;
+        if (attempt < attempts) {
+          job.status = 'retrying';
+          await wait(delay * attempt);
+        }
+      }
+    }
+    job.status = 'failed';
+  };
+
+  /**
+   * Queue a printout
+   * @param {Object} params - { station, device, data, description, retryAttempts, retryDelay, timeout }
+   * @returns {Object} - { jobId, done }; done resolves with the job once it
+   * printed or failed and never rejects
+   */
+  const enqueue = ({ station, device, data, description = '', ...overrides }) => {
+    const job = {
+      jobId: `print_${uuidv4()}`,
+      station,
+      device,
+      data,
+      description,
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      queuedAt: new Date().toISOString()
+    };
+    jobs.set(job.jobId, job);
+
+    const key = deviceKey(device);
+    const previous = deviceChains.get(key) || Promise.resolve();
+    const run = previous.then(() => runJob(job, {
+      attempts: overrides.retryAttempts ?? retryAttempts,
+      delay: overrides.retryDelay ?? retryDelay,
+      sendTimeout: overrides.timeout ?? timeout
+    }));
+    deviceChains.set(key, run);
+    const done = run.then(() => {
+      if (deviceChains.get(key) === run) {
+        deviceChains.delete(key);
+      }
+      forgetFinishedJobs();
+      return job;
+    });
+    return { jobId: job.jobId, done };
+  };
+
+  // Job details without the raw bytes
+  const getJobs = () => [...jobs.values()].map(({ data, ...job }) => ({ ...job, bytes: data.length }));
+
+  return { enqueue, getJobs };
+};
+
+// Shared queue for the server process
+export const printQueue = createPrintQueue();
+
+/**
+ * Encode a printout and queue it for a station's printer
+ * @param {Object} printingSettings - settings.printing
+ * @param {string} station - Station name, e.g. receipt or kitchen
+ * @param {Array} blocks - Blocks for encodeDocument
+ * @param {Object} options - { openDrawer, cut, description, paperSize, queue }
+ * @returns {Promise<Object|null>} - { jobId, done }, or null when the station has no printer
+ */
+export const printToStation = async (printingSettings, station, blocks, {
+  openDrawer = false,
+  cut = printingSettings?.cutPaper !== false,
+  description,
+  paperSize,
+  queue = printQueue
+} = {}) => {
+  const device = printingSettings?.stations?.[station];
+  if (!device) {
+    return null;
+  }
+  const errors = validatePrinterDevice(device);
+  if (errors.length > 0) {
+    throw new Error(`Printer for ${station} is misconfigured: ${errors.join(', ')}`);
+  }
+
+  const data = await encodeDocument(blocks, {
+    maxImageWidth: PRINT_WIDTHS[paperSize] || PRINT_WIDTHS['80mm'],
+    cut,
+    openDrawer
+  });
+  return queue.enqueue({
+    station,
+    device,
+    data,
+    description,
+    retryAttempts: printingSettings.retryAttempts,
+    retryDelay: printingSettings.retryDelay,
+    timeout: printingSettings.connectionTimeout
+  });
+};
@@ -0,0 +1,391 @@
+// Promotion rules engine. Promotions, coupons, active specials and manual
+// discounts are all turned into rules and priced against the order lines;
+// the rule giving the customer the most off is applied.
+
+export const PROMOTION_TYPES = ['percentage', 'fixed', 'bogo', 'combo'];
+export const PROMOTION_SCOPES = ['order', 'item'];
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Settings switch that has to be on for each promotion type
+const TYPE_SETTINGS = {
+  percentage: 'allowDiscountSpecials',
+  fixed: 'allowDiscountSpecials',
+  bogo: 'allowBOGOSpecials',
+  combo: 'allowComboSpecials'
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Windows ending before they start run past midnight
+const isWithinWindow = (now, start, end) => {
+  const current = now.getHours() * 60 + now.getMinutes();
+  const from = toMinutes(start);
+  const to = toMinutes(end);
+  return from <= to ? current >= from && current <= to : current >= from || current <= to;
+};
+
+/**
+ * Check whether happy hour is running
+ * @param {Object} specialsSettings - settings.specials
+ * @param {Date} now - Time to check
+ * @returns {boolean} - True during happy hour
+ */
+export const isHappyHour = (specialsSettings, now = new Date()) => {
+  if (!specialsSettings?.allowHappyHour) {
+    return false;
+  }
+  const days = specialsSettings.happyHourDays || [];
+  return days.includes(DAY_NAMES[now.getDay()])
+    && isWithinWindow(now, specialsSettings.happyHourStart, specialsSettings.happyHourEnd);
+};
+
+/**
+ * Turn a promotion document into a rule
+ * @param {Object} promotion - Promotion document
+ * @returns {Object} - Rule
+ */
+export const promotionToRule = (promotion) => ({
+  ruleId: promotion._id,
+  source: promotion.couponCode ? 'coupon' : 'promotion',
+  name: promotion.name,
+  promotionType: promotion.promotionType,
+  scope: promotion.scope || 'order',
+  value: Number(promotion.value) || 0,
+  menuItemIds: promotion.menuItemIds || [],
+  categoryIds: promotion.categoryIds || [],
+  minSubtotal: Number(promotion.minSubtotal) || 0,
+  buyQuantity: promotion.buyQuantity,
+  getQuantity: promotion.getQuantity,
+  getDiscountPercent: promotion.getDiscountPercent ?? 100,
+  comboItems: promotion.comboItems || [],
+  comboPrice: promotion.comboPrice,
+  happyHourOnly: Boolean(promotion.happyHourOnly),
+  couponCode: promotion.couponCode || null,
+  usageLimit: promotion.usageLimit ?? null,
+  usageCount: promotion.usageCount || 0,
+  startDate: promotion.startDate,
+  endDate: promotion.endDate,
+  daysOfWeek: promotion.daysOfWeek || [],
+  timeSlots: promotion.timeSlots || []
+});
+
+/**
+ * Turn a menu special into an item rule. A special without a discount value
+ * sells its item at the special price.
+ * @param {Object} special - Special document
+ * @returns {Object} - Rule
+ */
+export const specialToRule = (special) => ({
+  ruleId: special._id,
+  source: 'special',
+  name: special.name,
+  promotionType: special.discountType === 'percentage' ? 'percentage' : 'fixed',
+  scope: 'item',
+  value: Number(special.discountValue) || 0,
+  specialPrice: special.discountValue ? null : Number(special.price) || null,
+  menuItemIds: [special.menuItemId],
+  categoryIds: [],
+  availableQuantity: special.availableQuantity,
+  startDate: special.startDate,
+  endDate: special.endDate,
+  daysOfWeek: special.daysOfWeek || [],
+  timeSlots: special.timeSlots || []
+});
+
+/**
+ * Check whether a rule can be used right now
+ * @param {Object} rule - Rule
+ * @param {Object} context - { now, specialsSettings, couponCode, redeemedRuleIds }
+ * @returns {boolean} - True when the rule is available
+ */
+export const isRuleAvailable = (rule, { now = new Date(), specialsSettings = {}, couponCode, redeemedRuleIds = [] }) => {
+  if (rule.source === 'manual') {
+    return true;
+  }
+  if (specialsSettings[TYPE_SETTINGS[rule.promotionType]] === false) {
+    return false;
+  }
+  if (rule.startDate && new Date(rule.startDate) > now) {
+    return false;
+  }
+  if (rule.endDate && new Date(rule.endDate) < now) {
+    return false;
+  }
+  if (rule.daysOfWeek?.length > 0 && !rule.daysOfWeek.includes(DAY_NAMES[now.getDay()])) {
+    return false;
+  }
+  if (rule.timeSlots?.length > 0 && !rule.timeSlots.some(slot => isWithinWindow(now, ...slot.split('-')))) {
+    return false;
+  }
+  if (rule.happyHourOnly && !isHappyHour(specialsSettings, now)) {
+    return false;
+  }
+  if (rule.availableQuantity !== undefined && rule.availableQuantity !== null && rule.availableQuantity <= 0) {
+    return false;
+  }
+  if (rule.couponCode) {
+    if (!couponCode || rule.couponCode.toUpperCase() !== String(couponCode).toUpperCase()) {
+      return false;
+    }
+    // An order keeps a coupon it already redeemed even once the limit is reached
+    const redeemed = redeemedRuleIds.includes(rule.ruleId);
+    if (!redeemed && rule.usageLimit !== null && rule.usageCount >= rule.usageLimit) {
+      return false;
+    }
+  }
+  return true;
+};
+
+const matchesRule = (rule, line) =>
+  (rule.menuItemIds.length === 0 || rule.menuItemIds.includes(line.menuItemId))
+  && (rule.categoryIds.length === 0 || rule.categoryIds.includes(line.categoryId));
+
+// One entry per charged unit, most expensive first
+const expandUnits = (lines, lineIndexes) => lineIndexes
+  .flatMap(lineIndex => {
+    const line = lines[lineIndex];
+    const unitPrice = line.quantity > 0 ? line.subtotal / line.quantity : 0;
+    return Array.from({ length: line.quantity }, () => ({ lineIndex, unitPrice }));
+  })
+  .sort((a, b) => b.unitPrice - a.unitPrice);
+
+const allocate = (lineDiscounts, lines, lineIndexes, amount) => {
+  const base = lineIndexes.reduce((sum, lineIndex) => sum + lines[lineIndex].subtotal, 0);
+  lineIndexes.forEach(lineIndex => {
+    lineDiscounts[lineIndex] += base > 0 ? amount * (lines[lineIndex].subtotal / base) : 0;
+  });
+};
+
+const getMatchingLines = (rule, lines) => lines
+  .map((line, index) => (line.quantity > 0 && matchesRule(rule, line) ? index : null))
+  .filter(index => index !== null);
+
+// Units an item rule discounts on each matching line. A special with
+// limited portions discounts no more units than it has left.
+const getItemDiscounts = (rule, lines, matching) => {
+  let portionsLeft = Number.isFinite(rule.availableQuantity) ? rule.availableQuantity : Infinity;
+  return matching.map(lineIndex => {
+    const line = lines[lineIndex];
+    const unitPrice = line.subtotal / line.quantity;
+    let unitDiscount;
+    if (rule.specialPrice !== null && rule.specialPrice !== undefined) {
+      unitDiscount = unitPrice - rule.specialPrice;
+    } else {
+      unitDiscount = rule.promotionType === 'percentage' ? unitPrice * (rule.value / 100) : rule.value;
+    }
+    const units = unitDiscount > 0 ? Math.min(line.quantity, Math.max(portionsLeft, 0)) : 0;
+    portionsLeft -= units;
+    return { lineIndex, units, unitDiscount: Math.max(unitDiscount, 0) };
+  });
+};
+
+/**
+ * Units of the order lines an item rule discounts, such as the portions
+ * sold at a special's price
+ * @param {Object} rule - Item rule
+ * @param {Array} lines - Order lines as for evaluateRule
+ * @returns {number} - Discounted units
+ */
+export const countPromotedUnits = (rule, lines) => {
+  if (rule.scope !== 'item' || !['percentage', 'fixed'].includes(rule.promotionType)) {
+    return 0;
+  }
+  return getItemDiscounts(rule, lines, getMatchingLines(rule, lines)).reduce((sum, entry) => sum + entry.units, 0);
+};
+
+/**
+ * Price a rule against order lines
+ * @param {Object} rule - Rule
+ * @param {Array} lines - [{ menuItemId, categoryId, quantity, subtotal }] with charged quantities
+ * @returns {Array|null} - Discount per line, or null when the rule doesn't apply
+ */
+export const evaluateRule = (rule, lines) => {
+  const lineDiscounts = lines.map(() => 0);
+  const matching = getMatchingLines(rule, lines);
+
+  switch (rule.promotionType) {
+    case 'percentage':
+    case 'fixed': {
+      if (matching.length === 0) {
+        return null;
+      }
+      if (rule.scope === 'item') {
+        getItemDiscounts(rule, lines, matching).forEach(({ lineIndex, units, unitDiscount }) => {
+          lineDiscounts[lineIndex] = unitDiscount * units;
+        });
+        break;
+      }
+      const eligibleSubtotal = matching.reduce((sum, lineIndex) => sum + lines[lineIndex].subtotal, 0);
+      if (eligibleSubtotal < (rule.minSubtotal || 0)) {
+        return null;
+      }
+      const amount = rule.promotionType === 'percentage'
+        ? eligibleSubtotal * (rule.value / 100)
+        : Math.min(rule.value, eligibleSubtotal);
+      allocate(lineDiscounts, lines, matching, amount);
+      break;
+    }
+    case 'bogo': {
+      // Buy X get Y: in every group of X + Y units the cheapest Y are discounted
+      const buy = Number(rule.buyQuantity) || 1;
+      const get = Number(rule.getQuantity) || 1;
+      const units = expandUnits(lines, matching);
+      const freeUnits = Math.floor(units.length / (buy + get)) * get;
+      if (freeUnits === 0) {
+        return null;
+      }
+      units.slice(units.length - freeUnits).forEach(unit => {
+        lineDiscounts[unit.lineIndex] += unit.unitPrice * (rule.getDiscountPercent / 100);
+      });
+      break;
+    }
+    case 'combo': {
+      // A bundle of items sold together for the combo price
+      const components = rule.comboItems.map(component => ({
+        quantity: Number(component.quantity) || 1,
+        units: expandUnits(lines, matching.filter(lineIndex => lines[lineIndex].menuItemId === component.menuItemId))
+      }));
+      const bundles = components.length === 0
+        ? 0
+        : Math.min(...components.map(component => Math.floor(component.units.length / component.quantity)));
+      if (bundles === 0) {
+        return null;
+      }
+      const bundledUnits = components.flatMap(component => component.units.slice(0, component.quantity * bundles));
+      const regularPrice = bundledUnits.reduce((sum, unit) => sum + unit.unitPrice, 0);
+      const amount = regularPrice - Number(rule.comboPrice) * bundles;
+      if (amount <= 0) {
+        return null;
+      }
+      bundledUnits.forEach(unit => {
+        lineDiscounts[unit.lineIndex] += amount * (unit.unitPrice / regularPrice);
+      });
+      break;
+    }
+    default:
+      return null;
+  }
+
+  const capped = lineDiscounts.map((amount, lineIndex) => Math.min(amount, lines[lineIndex].subtotal));
+  return capped.some(amount => amount > 0) ? capped : null;
+};
+
+/**
+ * Pick the rule that takes the most off the order
+ * @param {Array} rules - Candidate rules
+ * @param {Array} lines - Order lines as for evaluateRule
+ * @param {Object} context - As for isRuleAvailable
+ * @returns {Object|null} - { rule, amount, lineDiscounts } or null when nothing applies
+ */
+export const selectBestPromotion = (rules, lines, context) => {
+  let best = null;
+  rules.forEach(rule => {
+    if (!isRuleAvailable(rule, context)) {
+      return;
+    }
+    const lineDiscounts = evaluateRule(rule, lines);
+    if (!lineDiscounts) {
+      return;
+    }
+    const amount = lineDiscounts.reduce((sum, value) => sum + value, 0);
+    if (!best || amount > best.amount) {
+      best = { rule, amount, lineDiscounts };
+    }
+  });
+  return best;
+};
+
+/**
+ * Load the active promotions and specials of a branch as rules.
+ * Promotions without a branch apply to every branch of the restaurant.
+ * @param {Object} specialsDB - PouchDB instance for specials and promotions
+ * @param {Object} params - { restaurantId, branchId }
+ * @returns {Promise<Array>} - Rules
+ */
+export const loadPromotionRules = async (specialsDB, { restaurantId, branchId }) => {
+  if (!specialsDB) {
+    return [];
+  }
+  const result = await specialsDB.find({
+    selector: {
+      type: { $in: ['promotion', 'special'] },
+      restaurantId,
+      status: 'active'
+    }
+  });
+  return result.docs
+    .filter(doc => !doc.branchId || doc.branchId === branchId)
+    .map(doc => (doc.type === 'special' ? specialToRule(doc) : promotionToRule(doc)));
+};
+
+/**
+ * Record that an order used a promotion. Coupons count a redemption against
+ * their usage limit; specials use up their available quantity.
+ * @param {Object} specialsDB - PouchDB instance for specials and promotions
+ * @param {Object} appliedPromotion - Promotion applied to the order
+ * @param {number} quantity - Portions sold at the special price
+ * @returns {Promise<Object>} - { recorded, doc, quantity, message } quantity is what was used up
+ */
+export const recordPromotionUse = async (specialsDB, appliedPromotion, quantity = 1) => {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const doc = await specialsDB.get(appliedPromotion.ruleId);
+    let updated;
+    let used;
+    if (appliedPromotion.source === 'coupon') {
+      if (Number.isFinite(doc.usageLimit) && (doc.usageCount || 0) >= doc.usageLimit) {
+        return { recorded: false, message: 'Coupon code has reached its usage limit' };
+      }
+      updated = { ...doc, usageCount: (doc.usageCount || 0) + 1 };
+      used = 1;
+    } else if (appliedPromotion.source === 'special' && Number.isFinite(doc.availableQuantity)) {
+      used = Math.min(doc.availableQuantity, quantity);
+      updated = { ...doc, availableQuantity: doc.availableQuantity - used };
+    } else {
+      return { recorded: true, doc, quantity: 0 };
+    }
+
+    try {
+      await specialsDB.put({ ...updated, updatedAt: new Date().toISOString() });
+      return { recorded: true, doc: updated, quantity: used };
+    } catch (error) {
+      // Another order used the promotion at the same time; read it again
+      if (error.status !== 409) {
+        throw error;
+      }
+    }
+  }
+  throw new Error('Could not record promotion use, please try again');
+};
+
+/**
+ * Give back a promotion use recorded for an order that was never saved
+ * @param {Object} specialsDB - PouchDB instance for specials and promotions
+ * @param {Object} appliedPromotion - Promotion applied to the order
+ * @param {number} quantity - What recordPromotionUse used up
+ * @returns {Promise<void>}
+ */
+export const releasePromotionUse = async (specialsDB, appliedPromotion, quantity) => {
+  if (!quantity) {
+    return;
+  }
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const doc = await specialsDB.get(appliedPromotion.ruleId);
+    const updated = appliedPromotion.source === 'coupon'
+      ? { ...doc, usageCount: Math.max(0, (doc.usageCount || 0) - 1) }
+      : { ...doc, availableQuantity: doc.availableQuantity + quantity };
+
+    try {
+      await specialsDB.put({ ...updated, updatedAt: new Date().toISOString() });
+      return;
+    } catch (error) {
+      if (error.status !== 409) {
+        throw error;
+      }
+    }
+  }
+  throw new Error('Could not release promotion use');
+};
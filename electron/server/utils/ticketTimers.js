@@ -0,0 +1,163 @@
+// Ticket timers against the prep-time target of each KDS ticket
+import { v4 as uuidv4 } from 'uuid';
+
+// Statuses in which a ticket is still being worked on
+const TIMED_STATUSES = ['pending', 'preparing'];
+
+// Roles of the branch users alerted about late tickets
+const LATE_TICKET_ROLES = ['manager', 'chef', 'kitchen'];
+
+/**
+ * Prep-time target of a ticket: the slowest of its lines, using the recipe
+ * prep time of each line and the kitchen default for lines without one
+ * @param {Array} orderItems - Ticket lines
+ * @param {number} defaultPrepTime - Minutes for lines without a recipe time
+ * @returns {number} - Target in minutes
+ */
+export const getTicketTargetPrepTime = (orderItems, defaultPrepTime) => {
+  const lineTimes = (orderItems || []).map(item => item.prepTime || defaultPrepTime);
+  return lineTimes.length > 0 ? Math.max(...lineTimes) : defaultPrepTime;
+};
+
+/**
+ * Timer of a ticket. The clock starts when the ticket is fired, so held
+ * courses don't run late while they wait.
+ * @param {Object} ticket - KDS entry
+ * @param {Object} timerSettings - settings.kds.ticketTimers
+ * @param {number} now - Timestamp in ms
+ * @returns {Object} - { startedAt, targetPrepTime, warningAt, lateAt, elapsed, state } state is ok, warning or late
+ */
+export const getTicketTimer = (ticket, timerSettings, now = Date.now()) => {
+  const startedAt = ticket.firedAt || ticket.createdAt;
+  const targetPrepTime = ticket.targetPrepTime || timerSettings.defaultPrepTime;
+  const start = new Date(startedAt).getTime();
+  const warningAt = start + targetPrepTime * timerSettings.warningPercent / 100 * 60000;
+  const lateAt = start + targetPrepTime * timerSettings.latePercent / 100 * 60000;
+  const end = ticket.readyAt ? new Date(ticket.readyAt).getTime() : now;
+  return {
+    startedAt,
+    targetPrepTime,
+    warningAt: new Date(warningAt).toISOString(),
+    lateAt: new Date(lateAt).toISOString(),
+    elapsed: Math.max(0, (end - start) / 60000),
+    state: end > lateAt ? 'late' : end > warningAt ? 'warning' : 'ok'
+  };
+};
+
+/**
+ * IDs of the active users of a branch who are alerted about late tickets
+ * @param {Object} usersDB - PouchDB instance for users
+ * @param {Object} params - { restaurantId, branchId }
+ * @returns {Promise<Array<string>>}
+ */
+const findLateTicketRecipients = async (usersDB, { restaurantId, branchId }) => {
+  if (!usersDB) {
+    return [];
+  }
+  const result = await usersDB.find({
+    selector: {
+      type: 'user',
+      restaurantId
+    }
+  });
+  return result.docs
+    .filter(user => !user._deleted && !user.isLocked && user.isActive !== false)
+    .filter(user => LATE_TICKET_ROLES.includes(user.role) && user.branchId === branchId)
+    .map(user => user._id);
+};
+
+/**
+ * Alert the kitchen staff and managers of the branch about tickets past
+ * their red threshold. Each ticket is escalated once; escalatedAt is
+ * stamped on it.
+ * @param {Object} kdsDB - PouchDB instance for KDS
+ * @param {Object} notificationsDB - PouchDB instance for notifications
+ * @param {Object} usersDB - PouchDB instance for users
+ * @param {Function} getTimerSettings - async (restaurantId) => settings.kds.ticketTimers
+ * @param {number} now - Timestamp in ms
+ * @returns {Promise<Array>} - [{ ticket, notification }]
+ */
+export const escalateLateTickets = async (kdsDB, notificationsDB, usersDB, getTimerSettings, now = Date.now()) => {
+  const result = await kdsDB.find({
+    selector: {
+      type: 'kdsEntry',
+      status: { $in: TIMED_STATUSES }
+    }
+  });
+
+  const timerSettings = {};
+  const recipients = {};
+  const escalated = [];
+  for (const ticket of result.docs.filter(doc => !doc.escalatedAt)) {
+    timerSettings[ticket.restaurantId] = timerSettings[ticket.restaurantId] || await getTimerSettings(ticket.restaurantId);
+    const timer = getTicketTimer(ticket, timerSettings[ticket.restaurantId], now);
+    if (timer.state !== 'late') {
+      continue;
+    }
+
+    const escalatedAt = new Date(now).toISOString();
+    try {
+      await kdsDB.put({ ...ticket, escalatedAt });
+    } catch (error) {
+      // Changed since it was read; the next sweep picks it up again
+      if (error.status === 409) {
+        continue;
+      }
+      throw error;
+    }
+
+    recipients[ticket.branchId] = recipients[ticket.branchId] || await findLateTicketRecipients(usersDB, ticket);
+    const notification = {
+      _id: `notification_${uuidv4()}`,
+      type: 'ticket_late',
+      message: `Order #${ticket.orderNumber} (${ticket.station}) is ${Math.round(timer.elapsed)} min old, target ${timer.targetPrepTime} min`,
+      priority: 'high',
+      metadata: {
+        ticketId: ticket._id,
+        orderId: ticket.orderId,
+        orderNumber: ticket.orderNumber,
+        station: ticket.station,
+        tableNumber: ticket.tableNumber,
+        startedAt: timer.startedAt,
+        targetPrepTime: timer.targetPrepTime,
+        restaurantId: ticket.restaurantId,
+        branchId: ticket.branchId
+      },
+      createdAt: escalatedAt,
+      read: false,
+      targetUsers: recipients[ticket.branchId]
+    };
+    await notificationsDB.put(notification);
+    escalated.push({ ticket: { ...ticket, escalatedAt }, notification });
+  }
+  return escalated;
+};
+
+/**
+ * Daily SLA of bumped tickets: a ticket meets it when it was ready before
+ * its red threshold
+ * @param {Array} tickets - KDS entries with readyAt
+ * @param {Object} timerSettings - settings.kds.ticketTimers
+ * @returns {Array} - [{ date, tickets, onTime, late, onTimeRate, met }] by day
+ */
+export const summarizeDailySla = (tickets, timerSettings) => {
+  const days = {};
+  tickets.filter(ticket => ticket.readyAt).forEach(ticket => {
+    const timer = getTicketTimer(ticket, timerSettings);
+    const date = timer.startedAt.split('T')[0];
+    days[date] = days[date] || { date, tickets: 0, onTime: 0, late: 0 };
+    days[date].tickets++;
+    if (timer.state === 'late') {
+      days[date].late++;
+    } else {
+      days[date].onTime++;
+    }
+  });
+
+  return Object.values(days)
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(day => {
+      const onTimeRate = (day.onTime / day.tickets) * 100;
+      return { ...day, onTimeRate, met: onTimeRate >= timerSettings.slaTarget };
+    });
+};
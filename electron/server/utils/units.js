@@ -0,0 +1,173 @@
+// Units of measure and conversion between them. Quantities only convert
+// within a dimension; an ingredient can add its own units on top, such as
+// a case of 24 bottles.
+
+// Size of each unit in the base unit of its dimension: grams, millilitres, pieces
+const UNITS = {
+  mg: { dimension: 'mass', factor: 0.001 },
+  g: { dimension: 'mass', factor: 1 },
+  kg: { dimension: 'mass', factor: 1000 },
+  oz: { dimension: 'mass', factor: 28.349523125 },
+  lb: { dimension: 'mass', factor: 453.59237 },
+  ml: { dimension: 'volume', factor: 1 },
+  cl: { dimension: 'volume', factor: 10 },
+  dl: { dimension: 'volume', factor: 100 },
+  l: { dimension: 'volume', factor: 1000 },
+  tsp: { dimension: 'volume', factor: 4.92892159375 },
+  tbsp: { dimension: 'volume', factor: 14.78676478125 },
+  'fl oz': { dimension: 'volume', factor: 29.5735295625 },
+  cup: { dimension: 'volume', factor: 236.5882365 },
+  pt: { dimension: 'volume', factor: 473.176473 },
+  qt: { dimension: 'volume', factor: 946.352946 },
+  gal: { dimension: 'volume', factor: 3785.411784 },
+  pc: { dimension: 'count', factor: 1 },
+  dozen: { dimension: 'count', factor: 12 }
+};
+
+// Spellings staff type for the units above
+const ALIASES = {
+  milligram: 'mg', milligrams: 'mg',
+  gram: 'g', grams: 'g', gr: 'g',
+  kilogram: 'kg', kilograms: 'kg', kilo: 'kg', kilos: 'kg', kgs: 'kg',
+  ounce: 'oz', ounces: 'oz',
+  pound: 'lb', pounds: 'lb', lbs: 'lb',
+  milliliter: 'ml', milliliters: 'ml', millilitre: 'ml', millilitres: 'ml',
+  centiliter: 'cl', centiliters: 'cl', centilitre: 'cl', centilitres: 'cl',
+  deciliter: 'dl', deciliters: 'dl', decilitre: 'dl', decilitres: 'dl',
+  liter: 'l', liters: 'l', litre: 'l', litres: 'l', lt: 'l', ltr: 'l',
+  teaspoon: 'tsp', teaspoons: 'tsp',
+  tablespoon: 'tbsp', tablespoons: 'tbsp',
+  floz: 'fl oz', 'fluid ounce': 'fl oz', 'fluid ounces': 'fl oz',
+  cups: 'cup',
+  pint: 'pt', pints: 'pt',
+  quart: 'qt', quarts: 'qt',
+  gallon: 'gal', gallons: 'gal',
+  piece: 'pc', pieces: 'pc', pcs: 'pc', each: 'pc', ea: 'pc', unit: 'pc', units: 'pc', item: 'pc', items: 'pc',
+  dozens: 'dozen', dz: 'dozen'
+};
+
+/**
+ * Canonical spelling of a unit: a registered unit when it is one, otherwise
+ * the unit trimmed and lower cased so custom units still match
+ * @param {string} unit - Unit as typed
+ * @returns {string} - Canonical unit
+ */
+export const normalizeUnit = (unit) => {
+  const key = String(unit || '').trim().toLowerCase().replace(/\s+/g, ' ').replace(/\.$/, '');
+  return UNITS[key] ? key : ALIASES[key] || key;
+};
+
+/**
+ * Whether a unit is in the registry rather than one of an ingredient's own
+ * @param {string} unit - Unit as typed
+ * @returns {boolean}
+ */
+export const isStandardUnit = (unit) => Boolean(UNITS[normalizeUnit(unit)]);
+
+// Custom units are often written in the plural, such as 2 cases
+const findUnit = (units, unit) => units.get(unit) || (unit.endsWith('s') ? units.get(unit.slice(0, -1)) : undefined);
+
+/**
+ * Units an ingredient can be measured in, with the size of each in the base
+ * unit of their dimension. A stock unit outside the registry, such as
+ * bottle, becomes a dimension of its own; custom units are sized through
+ * the unit they are defined in.
+ * @param {Object} ingredient - Ingredient document, { unit, customUnits }
+ * @returns {Map} - unit => { dimension, factor }
+ */
+const getIngredientUnits = (ingredient) => {
+  const units = new Map(Object.entries(UNITS));
+  const stockUnit = normalizeUnit(ingredient?.unit);
+  if (stockUnit && !units.has(stockUnit)) {
+    units.set(stockUnit, { dimension: `custom:${stockUnit}`, factor: 1 });
+  }
+
+  // Custom units may build on each other, so keep resolving until nothing changes
+  let pending = (ingredient?.customUnits || []).map(custom => ({ ...custom, name: normalizeUnit(custom.name) }));
+  while (pending.length > 0) {
+    const unresolved = pending.filter(custom => {
+      const target = findUnit(units, normalizeUnit(custom.unit));
+      if (!target || units.has(custom.name)) return !target;
+      units.set(custom.name, { dimension: target.dimension, factor: custom.quantity * target.factor });
+      return false;
+    });
+    if (unresolved.length === pending.length) break;
+    pending = unresolved;
+  }
+  return units;
+};
+
+/**
+ * Convert a quantity between two units
+ * @param {number} quantity - Quantity in fromUnit
+ * @param {string} fromUnit - Unit the quantity is in
+ * @param {string} toUnit - Unit wanted
+ * @param {Object} ingredient - Ingredient whose custom units apply, if any
+ * @returns {number|null} - Converted quantity, or null when the units are incompatible
+ */
+export const convertQuantity = (quantity, fromUnit, toUnit, ingredient = null) => {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (from === to) return quantity;
+
+  const units = getIngredientUnits(ingredient);
+  const fromSize = findUnit(units, from);
+  const toSize = findUnit(units, to);
+  if (!fromSize || !toSize || fromSize.dimension !== toSize.dimension) return null;
+  return quantity * fromSize.factor / toSize.factor;
+};
+
+/**
+ * Convert a quantity into the unit an ingredient is stocked in
+ * @param {number} quantity - Quantity in unit
+ * @param {string} unit - Unit the quantity is in; the stock unit when missing
+ * @param {Object} ingredient - Ingredient document
+ * @returns {number|null} - Quantity in ingredient.unit, or null when the units are incompatible
+ */
+export const toStockUnit = (quantity, unit, ingredient) => convertQuantity(quantity, unit || ingredient.unit, ingredient.unit, ingredient);
+
+/**
+ * Validation message for a unit an ingredient cannot be measured in
+ * @param {string} unit - Unit given
+ * @param {Object} ingredient - Ingredient document
+ * @returns {string|null} - Error message, or null when the unit converts to the stock unit
+ */
+export const checkIngredientUnit = (unit, ingredient) => {
+  if (!unit || toStockUnit(1, unit, ingredient) !== null) return null;
+  return `${ingredient.name} is stocked in ${ingredient.unit} and cannot be measured in ${unit}`;
+};
+
+/**
+ * Validate the custom units of an ingredient. Each needs a name of its own
+ * and a size that converts to the stock unit, given in the stock unit, a
+ * registered unit or an earlier custom unit.
+ * @param {Array} customUnits - [{ name, quantity, unit }]
+ * @param {string} stockUnit - Unit the ingredient is stocked in
+ * @returns {Array} - Validation errors
+ */
+export const validateCustomUnits = (customUnits, stockUnit) => {
+  const errors = [];
+  const stock = normalizeUnit(stockUnit);
+  const stockDimension = UNITS[stock]?.dimension || `custom:${stock}`;
+  const known = new Map([[stock, stockDimension]]);
+  for (const custom of customUnits) {
+    const name = normalizeUnit(custom.name);
+    if (!name) {
+      errors.push('Custom unit name is required');
+      continue;
+    }
+    if (UNITS[name] || known.has(name)) {
+      errors.push(`Unit ${custom.name} is already defined`);
+      continue;
+    }
+    if (!Number.isFinite(custom.quantity) || custom.quantity <= 0) {
+      errors.push(`Custom unit ${custom.name} must contain a positive quantity`);
+    }
+    const target = normalizeUnit(custom.unit);
+    if ((UNITS[target]?.dimension || findUnit(known, target)) !== stockDimension) {
+      errors.push(`Custom unit ${custom.name} must be defined in a unit that converts to ${stockUnit}`);
+    }
+    known.set(name, stockDimension);
+  }
+  return errors;
+};
@@ -0,0 +1,117 @@
+// Quoted waits for walk-in parties and how they compare with the real wait
+
+// Parties on the waitlist that still need a table
+export const WAITING_STATUSES = ['waiting', 'notified'];
+
+// Turns of the last two weeks give the average time a table stays taken
+const TURN_TIME_LOOKBACK_DAYS = 14;
+
+// A table being cleaned, or past its expected turn, is taken to free up this soon
+const MIN_REMAINING_MINUTES = 5;
+
+// Waits are quoted to guests in steps of five minutes
+const QUOTE_STEP = 5;
+
+/**
+ * Average minutes from seating a party to clearing its table over recent turns
+ * @param {Object} tablesDB - PouchDB instance for tables
+ * @param {string} branchId - Branch to average over
+ * @param {number} fallback - Minutes to use before any turns are recorded, settings.tables.defaultTurnoverTime
+ * @param {number} now - Timestamp in ms
+ * @returns {Promise<number>} - Minutes
+ */
+export const getAverageTurnTime = async (tablesDB, branchId, fallback, now = Date.now()) => {
+  const result = await tablesDB.find({
+    selector: {
+      type: 'tableTurn',
+      branchId,
+      clearedAt: { $gte: new Date(now - TURN_TIME_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString() }
+    }
+  });
+  if (result.docs.length === 0) return fallback;
+  return Math.round(result.docs.reduce((sum, turn) => sum + turn.minutes, 0) / result.docs.length);
+};
+
+/**
+ * Minutes until a table is expected to take a new party
+ * @param {Object} table - Table document
+ * @param {number} averageTurnTime - Minutes a party keeps a table
+ * @param {number} now - Timestamp in ms
+ * @returns {number} - Minutes
+ */
+const getMinutesUntilFree = (table, averageTurnTime, now) => {
+  if (table.status === 'available') return 0;
+  if (table.status === 'cleaning') return MIN_REMAINING_MINUTES;
+
+  // A held table is free once its booked party has had its turn
+  const takenSince = table.status === 'reserved' && table.reservationInfo?.reservationTime
+    ? table.reservationInfo.reservationTime
+    : table.seatedAt || table.updatedAt;
+  const freeAt = new Date(takenSince).getTime() + averageTurnTime * 60000;
+  return Math.max(MIN_REMAINING_MINUTES, (freeAt - now) / 60000);
+};
+
+/**
+ * Quote the wait of a party. Tables that fit it are expected to free up one
+ * after another; parties ahead on the list that fit the same tables take
+ * them first, and once every table has turned the next round starts.
+ * @param {Object} options - { partySize, tables, partiesAhead, averageTurnTime, now }
+ * @returns {number|null} - Minutes, or null when no table fits the party
+ */
+export const estimateWait = ({ partySize, tables, partiesAhead = [], averageTurnTime, now = Date.now() }) => {
+  const fittingTables = tables.filter(table => table.isActive !== false && table.capacity >= partySize);
+  if (fittingTables.length === 0) return null;
+
+  const freeIn = fittingTables
+    .map(table => getMinutesUntilFree(table, averageTurnTime, now))
+    .sort((a, b) => a - b);
+  const largestCapacity = Math.max(...fittingTables.map(table => table.capacity));
+  const competing = partiesAhead.filter(party => party.partySize <= largestCapacity).length;
+
+  const rounds = Math.floor(competing / freeIn.length);
+  const wait = freeIn[competing % freeIn.length] + rounds * averageTurnTime;
+  return Math.ceil(wait / QUOTE_STEP) * QUOTE_STEP;
+};
+
+const average = (values) => values.length > 0
+  ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length * 10) / 10
+  : 0;
+
+/**
+ * Quoted against actual waits of a set of waitlist parties. A party is on
+ * time when it was seated within its quote.
+ * @param {Array} entries - Waitlist entries
+ * @returns {Object} - { parties, seated, walkedAway, averageQuoted, averageActual, averageDifference, onTimeRate }
+ */
+export const summarizeWaits = (entries) => {
+  const seated = entries.filter(entry => entry.status === 'seated' || entry.status === 'completed');
+  const quoted = seated.filter(entry => entry.quotedWait !== null && entry.quotedWait !== undefined);
+  const onTime = quoted.filter(entry => entry.actualWait <= entry.quotedWait);
+  return {
+    parties: entries.length,
+    seated: seated.length,
+    walkedAway: entries.filter(entry => entry.status === 'left').length,
+    averageQuoted: average(quoted.map(entry => entry.quotedWait)),
+    averageActual: average(seated.map(entry => entry.actualWait)),
+    averageDifference: average(quoted.map(entry => entry.actualWait - entry.quotedWait)),
+    onTimeRate: quoted.length > 0 ? Math.round(onTime.length / quoted.length * 1000) / 10 : 0
+  };
+};
+
+/**
+ * Wait accuracy per day the parties arrived
+ * @param {Array} entries - Waitlist entries
+ * @returns {Array} - [{ date, ...summarizeWaits }]
+ */
+export const summarizeWaitAccuracy = (entries) => {
+  const days = new Map();
+  for (const entry of entries) {
+    const date = entry.createdAt.split('T')[0];
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(entry);
+  }
+
+  return [...days.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, dayEntries]) => ({ date, ...summarizeWaits(dayEntries) }));
+};
@@ -0,0 +1,309 @@
+"use client"
+
+import { useCallback, useEffect, useMemo, useState } from "react"
+import { toast } from "sonner"
+import { ChevronLeft, ChevronRight, Utensils } from "lucide-react"
+
+import { useAuth } from "@/lib/hooks/useAuth"
+import { useBranch } from "@/lib/hooks/useBranch"
+import { useSocket } from "@/lib/hooks/useSocket"
+import { useBumpBar } from "@/lib/hooks/useBumpBar"
+import { useAuthStore } from "@/lib/store/auth"
+import { Breadcrumb, BreadcrumbItem, BreadcrumbList, BreadcrumbPage } from "@/components/ui/breadcrumb"
+import { Separator } from "@/components/ui/separator"
+import { SidebarTrigger } from "@/components/ui/sidebar"
+import { Button } from "@/components/ui/button"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { EmptyState } from "@/components/ui/empty-state"
+import { ExpoOrderCard, KdsTicketCard } from "@/components/kds/kds-ticket"
+import { AllDayPanel } from "@/components/kds/all-day-panel"
+
+const STATION_STORAGE_KEY = "kdsStation"
+
+// Tickets a station screen keeps showing; bumped tickets move on to expo
+const STATION_STATUSES = ["held", "pending", "preparing"]
+
+const keyLabel = (keys) => (keys || []).join(" / ")
+
+export default function KitchenQueuePage() {
+  const { user } = useAuth({ requireAuth: true })
+  const { currentBranch } = useBranch()
+  const { isConnected, emit, on, off } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+
+  const [station, setStation] = useState("main")
+  const [orders, setOrders] = useState([])
+  const [kitchenStatus, setKitchenStatus] = useState(null)
+  const [bumpBar, setBumpBar] = useState(null)
+  const [ticketTimers, setTicketTimers] = useState(null)
+  const [page, setPage] = useState(0)
+  const [selectedIndex, setSelectedIndex] = useState(null)
+  const [now, setNow] = useState(Date.now())
+
+  const isExpo = station === "expo"
+  const branchId = currentBranch?._id
+  const restaurantId = user?.restaurantId
+
+  // Each screen remembers the station it shows
+  useEffect(() => {
+    setStation(localStorage.getItem(STATION_STORAGE_KEY) || "main")
+  }, [])
+
+  // Ticket timers tick on the screen; colours change against the prep-time targets
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 15000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const subscribe = useCallback(() => {
+    if (!isConnected || !branchId || !restaurantId) return
+    emit("kds:subscribeStation", { sessionId, restaurantId, branchId, station }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to load tickets")
+        return
+      }
+      setOrders(response.data.orders)
+      setKitchenStatus(response.data.kitchenStatus)
+      setBumpBar(response.data.bumpBar)
+      setTicketTimers(response.data.ticketTimers)
+    })
+  }, [isConnected, emit, sessionId, restaurantId, branchId, station])
+
+  useEffect(() => {
+    setPage(0)
+    setSelectedIndex(null)
+    subscribe()
+  }, [subscribe])
+
+  // Keep a station's tickets in sync; expo reloads its view on ticket changes
+  const upsertTicket = useCallback(
+    (ticket) => {
+      if (ticket.branchId !== branchId) return
+      if (isExpo) {
+        subscribe()
+        return
+      }
+      if (ticket.station !== station) return
+      setOrders((current) => {
+        const others = current.filter((entry) => entry._id !== ticket._id)
+        if (!STATION_STATUSES.includes(ticket.status)) return others
+        return [...others, ticket].sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      })
+    },
+    [branchId, isExpo, station, subscribe]
+  )
+
+  const upsertExpoOrder = useCallback((expoOrder) => {
+    setOrders((current) => {
+      const others = current.filter((entry) => entry.orderId !== expoOrder.orderId)
+      const isOpen = expoOrder.tickets.some((ticket) => !["delivered", "cancelled"].includes(ticket.status))
+      if (!isOpen) return others
+      return [...others, expoOrder].sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    })
+  }, [])
+
+  useEffect(() => {
+    if (!isConnected) return
+    const handleStatus = (status) => {
+      if (status.branchId === branchId) setKitchenStatus(status)
+    }
+    const handleExpo = (expoOrder) => {
+      if (isExpo) upsertExpoOrder(expoOrder)
+    }
+    const handleLate = (ticket) => {
+      if (ticket.branchId !== branchId) return
+      toast.error(`Order #${ticket.orderNumber} (${ticket.station}) is past its prep time`)
+      upsertTicket(ticket)
+    }
+
+    on("kds:ticketCreated", upsertTicket)
+    on("kds:orderStatusUpdated", upsertTicket)
+    on("kds:expoUpdated", handleExpo)
+    on("kds:statusUpdated", handleStatus)
+    on("kds:ticketLate", handleLate)
+    return () => {
+      off("kds:ticketCreated", upsertTicket)
+      off("kds:orderStatusUpdated", upsertTicket)
+      off("kds:expoUpdated", handleExpo)
+      off("kds:statusUpdated", handleStatus)
+      off("kds:ticketLate", handleLate)
+    }
+  }, [isConnected, on, off, branchId, isExpo, upsertTicket, upsertExpoOrder])
+
+  const ticketsPerPage = bumpBar?.ticketsPerPage || 8
+  const pageCount = Math.max(1, Math.ceil(orders.length / ticketsPerPage))
+  const currentPage = Math.min(page, pageCount - 1)
+  const pageOrders = useMemo(
+    () => orders.slice(currentPage * ticketsPerPage, (currentPage + 1) * ticketsPerPage),
+    [orders, currentPage, ticketsPerPage]
+  )
+  // Without a selection the bump bar works on the oldest ticket of the page
+  const selected = pageOrders[selectedIndex ?? 0]
+
+  const applyTickets = (response) => {
+    if (isExpo) {
+      upsertExpoOrder(response.data.expo)
+    } else {
+      response.data.tickets.forEach(upsertTicket)
+    }
+    setSelectedIndex(null)
+  }
+
+  const updateStatus = (status) => {
+    if (!selected) return
+    if (isExpo && !selected.ready) {
+      toast.error(`Order ${selected.orderNumber} is not ready yet`)
+      return
+    }
+    const payload = isExpo
+      ? { sessionId, orderId: selected.orderId, status }
+      : { sessionId, orderId: selected.orderId, ticketId: selected._id, status }
+    emit("kds:updateOrderStatus", payload, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to update ticket")
+        return
+      }
+      applyTickets(response)
+    })
+  }
+
+  const handlers = {
+    select: (position) => {
+      if (position < pageOrders.length) setSelectedIndex(position)
+    },
+    start: () => {
+      if (!isExpo) updateStatus("preparing")
+    },
+    bump: () => updateStatus(isExpo ? "delivered" : "ready"),
+    recall: () => {
+      emit("kds:recallTicket", { sessionId, restaurantId, branchId, station }, (response) => {
+        if (!response?.success) {
+          toast.error(response?.message || "Failed to recall ticket")
+          return
+        }
+        applyTickets(response)
+        toast.success(response.message)
+      })
+    },
+    previousPage: () => {
+      setPage(Math.max(0, currentPage - 1))
+      setSelectedIndex(null)
+    },
+    nextPage: () => {
+      setPage(Math.min(pageCount - 1, currentPage + 1))
+      setSelectedIndex(null)
+    },
+  }
+
+  useBumpBar(bumpBar?.keys, handlers, isConnected)
+
+  const changeStation = (value) => {
+    localStorage.setItem(STATION_STORAGE_KEY, value)
+    setStation(value)
+  }
+
+  const stations = Object.keys(kitchenStatus?.stations || {})
+  if (!stations.includes(station) && !isExpo) stations.push(station)
+
+  return (
+    <>
+      <header className="flex h-16 shrink-0 items-center gap-2 border-b">
+        <div className="flex items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+          <Breadcrumb>
+            <BreadcrumbList>
+              <BreadcrumbItem>
+                <BreadcrumbPage>Order Queue</BreadcrumbPage>
+              </BreadcrumbItem>
+            </BreadcrumbList>
+          </Breadcrumb>
+        </div>
+      </header>
+      <div className="flex flex-1 flex-col gap-4 p-4">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center gap-4">
+            <Select value={station} onValueChange={changeStation}>
+              <SelectTrigger className="w-[180px] capitalize">
+                <SelectValue placeholder="Station" />
+              </SelectTrigger>
+              <SelectContent>
+                {stations.map((name) => (
+                  <SelectItem key={name} value={name} className="capitalize">
+                    {name}
+                  </SelectItem>
+                ))}
+                <SelectItem value="expo">Expo</SelectItem>
+              </SelectContent>
+            </Select>
+            <span className="text-sm text-muted-foreground">
+              {orders.length} {isExpo ? "orders" : "tickets"}
+              {kitchenStatus ? ` · ${kitchenStatus.activeOrders}/${kitchenStatus.maxCapacity} orders in the kitchen` : ""}
+            </span>
+          </div>
+          <div className="flex items-center gap-2">
+            <Button variant="outline" size="icon" onClick={handlers.previousPage} disabled={currentPage === 0}>
+              <ChevronLeft className="h-4 w-4" />
+              <span className="sr-only">Previous page</span>
+            </Button>
+            <span className="text-sm">
+              Page {currentPage + 1} of {pageCount}
+            </span>
+            <Button variant="outline" size="icon" onClick={handlers.nextPage} disabled={currentPage >= pageCount - 1}>
+              <ChevronRight className="h-4 w-4" />
+              <span className="sr-only">Next page</span>
+            </Button>
+          </div>
+        </div>
+
+        <div className="grid gap-4 lg:grid-cols-[1fr_280px]">
+          <div>
+            {orders.length === 0 ? (
+              <EmptyState
+                icon={Utensils}
+                title="No open tickets"
+                description={isExpo ? "Orders appear here while their stations work on them." : "New tickets for this station appear here as soon as they are fired."}
+              />
+            ) : (
+              <div className="grid gap-4 sm:grid-cols-2 xl:grid-cols-4">
+                {pageOrders.map((entry, index) =>
+                  isExpo ? (
+                    <ExpoOrderCard
+                      key={entry.orderId}
+                      order={entry}
+                      position={index + 1}
+                      isSelected={selectedIndex === index}
+                      now={now}
+                      onSelect={() => setSelectedIndex(index)}
+                    />
+                  ) : (
+                    <KdsTicketCard
+                      key={entry._id}
+                      ticket={entry}
+                      position={index + 1}
+                      isSelected={selectedIndex === index}
+                      now={now}
+                      timers={ticketTimers}
+                      onSelect={() => setSelectedIndex(index)}
+                    />
+                  )
+                )}
+              </div>
+            )}
+          </div>
+          <AllDayPanel sessionId={sessionId} restaurantId={restaurantId} branchId={branchId} station={station} />
+        </div>
+
+        {bumpBar && (
+          <div className="flex flex-wrap gap-4 rounded-md border p-3 text-xs text-muted-foreground">
+            <span>Select: {keyLabel(bumpBar.keys.select)}</span>
+            {!isExpo && <span>Start: {keyLabel(bumpBar.keys.start)}</span>}
+            <span>Bump: {keyLabel(bumpBar.keys.bump)}</span>
+            <span>Recall: {keyLabel(bumpBar.keys.recall)}</span>
+            <span>Pages: {keyLabel(bumpBar.keys.previousPage)} · {keyLabel(bumpBar.keys.nextPage)}</span>
+          </div>
+        )}
+      </div>
+    </>
+  )
+}
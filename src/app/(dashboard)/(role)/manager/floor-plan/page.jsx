@@ -0,0 +1,34 @@
+"use client"
+
+import { useAuth } from "@/lib/hooks/useAuth"
+import { useBranch } from "@/lib/hooks/useBranch"
+import { Breadcrumb, BreadcrumbItem, BreadcrumbList, BreadcrumbPage } from "@/components/ui/breadcrumb"
+import { Separator } from "@/components/ui/separator"
+import { SidebarTrigger } from "@/components/ui/sidebar"
+import { FloorPlanEditor } from "@/components/tables/floor-plan-editor"
+
+export default function ManagerFloorPlanPage() {
+  const { user } = useAuth({ requireAuth: true })
+  const { currentBranch } = useBranch()
+
+  return (
+    <>
+      <header className="flex h-16 shrink-0 items-center gap-2 border-b">
+        <div className="flex items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+          <Breadcrumb>
+            <BreadcrumbList>
+              <BreadcrumbItem>
+                <BreadcrumbPage>Floor Plan</BreadcrumbPage>
+              </BreadcrumbItem>
+            </BreadcrumbList>
+          </Breadcrumb>
+        </div>
+      </header>
+      <div className="flex flex-1 flex-col gap-4 p-4">
+        <FloorPlanEditor restaurantId={user?.restaurantId} branchId={currentBranch?._id} />
+      </div>
+    </>
+  )
+}
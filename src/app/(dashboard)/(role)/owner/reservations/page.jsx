@@ -0,0 +1,47 @@
+"use client"
+
+import { useAuth } from "@/lib/hooks/useAuth"
+import { useBranch } from "@/lib/hooks/useBranch"
+import { Breadcrumb, BreadcrumbItem, BreadcrumbList, BreadcrumbPage } from "@/components/ui/breadcrumb"
+import { Separator } from "@/components/ui/separator"
+import { SidebarTrigger } from "@/components/ui/sidebar"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { ReservationBook } from "@/components/tables/reservation-book"
+import { WaitlistPanel } from "@/components/tables/waitlist-panel"
+
+export default function OwnerReservationsPage() {
+  const { user } = useAuth({ requireAuth: true })
+  const { currentBranch } = useBranch()
+
+  return (
+    <>
+      <header className="flex h-16 shrink-0 items-center gap-2 border-b">
+        <div className="flex items-center gap-2 px-4">
+          <SidebarTrigger className="-ml-1" />
+          <Separator orientation="vertical" className="mr-2 h-4" />
+          <Breadcrumb>
+            <BreadcrumbList>
+              <BreadcrumbItem>
+                <BreadcrumbPage>Reservations</BreadcrumbPage>
+              </BreadcrumbItem>
+            </BreadcrumbList>
+          </Breadcrumb>
+        </div>
+      </header>
+      <div className="flex flex-1 flex-col gap-4 p-4">
+        <Tabs defaultValue="reservations">
+          <TabsList>
+            <TabsTrigger value="reservations">Reservations</TabsTrigger>
+            <TabsTrigger value="waitlist">Waitlist</TabsTrigger>
+          </TabsList>
+          <TabsContent value="reservations">
+            <ReservationBook restaurantId={user?.restaurantId} branchId={currentBranch?._id} />
+          </TabsContent>
+          <TabsContent value="waitlist">
+            <WaitlistPanel restaurantId={user?.restaurantId} branchId={currentBranch?._id} />
+          </TabsContent>
+        </Tabs>
+      </div>
+    </>
+  )
+}
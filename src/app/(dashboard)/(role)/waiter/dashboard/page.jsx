@@ -1,18 +1,25 @@
 "use client"
 
+import { useState } from "react"
 import { Clock, Users, Table } from "lucide-react"
 import { useAuth } from "@/lib/hooks/useAuth"
 import { useBranch } from "@/lib/hooks/useBranch"
+import { useFloorPlan } from "@/lib/hooks/useFloorPlan"
 import { Breadcrumb, BreadcrumbItem, BreadcrumbList, BreadcrumbPage } from "@/components/ui/breadcrumb"
 import { Separator } from "@/components/ui/separator"
 import { SidebarTrigger } from "@/components/ui/sidebar"
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
 import { Button } from "@/components/ui/button"
+import { FloorPlanView } from "@/components/tables/floor-plan"
+import { TableActions } from "@/components/tables/table-actions"
 import Link from "next/link"
 
 export default function WaiterDashboardPage() {
   const { user } = useAuth({ requireAuth: true })
   const { currentBranch } = useBranch()
+  const floorPlan = useFloorPlan({ restaurantId: user?.restaurantId, branchId: currentBranch?._id })
+  const [selectedTableId, setSelectedTableId] = useState(null)
+  const selectedTable = floorPlan.tables.find((table) => table._id === selectedTableId)
 
   return (
     <>
@@ -85,9 +92,25 @@ export default function WaiterDashboardPage() {
               <CardTitle>Table Status</CardTitle>
             </CardHeader>
             <CardContent>
-              <div className="h-[300px] rounded-md border border-dashed flex items-center justify-center">
-                <p className="text-sm text-muted-foreground">Table layout will appear here</p>
-              </div>
+              {floorPlan.tables.some((table) => table.layout) ? (
+                <FloorPlanView
+                  areas={floorPlan.areas}
+                  tables={floorPlan.tables}
+                  statusColors={floorPlan.statusColors}
+                  display={floorPlan.display}
+                  selectedTableId={selectedTableId}
+                  onSelectTable={(table) => setSelectedTableId(table?._id ?? null)}
+                />
+              ) : (
+                <div className="h-[300px] rounded-md border border-dashed flex items-center justify-center">
+                  <p className="text-sm text-muted-foreground">No tables have been placed on the floor plan yet</p>
+                </div>
+              )}
+              {selectedTable && (
+                <div className="mt-4">
+                  <TableActions table={selectedTable} tables={floorPlan.tables} onChanged={floorPlan.reload} />
+                </div>
+              )}
             </CardContent>
           </Card>
           <Card className="col-span-3">
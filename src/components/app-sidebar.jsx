@@ -1,10 +1,12 @@
 "use client"
 import {
   BarChart3,
+  CalendarDays,
   CreditCard,
   FileText,
   Home,
   LayoutDashboard,
+  LayoutGrid,
   Package,
   Settings,
   ShoppingCart,
@@ -74,6 +76,24 @@ export function AppSidebar({ userRole, ...props }) {
       })
     }
 
+    // Floor plan - for managers, admins, owners
+    if (["manager", "admin", "owner", "super-admin"].includes(role)) {
+      items.push({
+        title: "Floor Plan",
+        url: `/${role}/floor-plan`,
+        icon: LayoutGrid,
+      })
+    }
+
+    // Reservations - for waiters, managers, admins, owners
+    if (["waiter", "manager", "admin", "owner", "super-admin"].includes(role)) {
+      items.push({
+        title: "Reservations",
+        url: `/${role}/reservations`,
+        icon: CalendarDays,
+      })
+    }
+
     // Kitchen - for kitchen staff, managers, admins, owners
     if (["kitchen", "manager", "admin", "owner", "super-admin"].includes(role)) {
       const kitchenBasePath = role === "kitchen" ? "/kitchen" : `/${role}/kitchen`
@@ -114,6 +134,14 @@ export function AppSidebar({ userRole, ...props }) {
             title: "Purchase Orders",
             url: `${inventoryBasePath}/orders`,
           },
+          {
+            title: "Expiring Stock",
+            url: `${inventoryBasePath}/expiry`,
+          },
+          {
+            title: "Stock Takes",
+            url: `${inventoryBasePath}/stock-takes`,
+          },
         ],
       })
     }
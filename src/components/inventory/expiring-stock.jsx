@@ -0,0 +1,136 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+import { CalendarClock, Trash2 } from "lucide-react"
+import { useSocket } from "@/lib/hooks/useSocket"
+import { useAuthStore } from "@/lib/store/auth"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import { EmptyState } from "@/components/ui/empty-state"
+
+const STOCK_EVENTS = ["inventory:expiringStock", "inventory:transactionRecorded", "waste:recorded"]
+
+const formatMoney = (value) => Number(value || 0).toFixed(2)
+
+const formatQuantity = (value) => Math.round(value * 1000) / 1000
+
+const describeExpiry = (batch) => {
+  if (batch.expired) return "Expired"
+  if (batch.daysLeft <= 0) return "Expires today"
+  return `Expires in ${batch.daysLeft} day${batch.daysLeft === 1 ? "" : "s"}`
+}
+
+/**
+ * Batches expiring within the warning window, soonest first, each with a
+ * one-click write-off into the waste log.
+ */
+export function ExpiringStock({ restaurantId, branchId }) {
+  const { isConnected, emit, on, off } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [report, setReport] = useState(null)
+  const [writingOff, setWritingOff] = useState(null)
+
+  const loadExpiringStock = useCallback(() => {
+    if (!isConnected || !restaurantId) return
+    emit("inventory:getExpiringStock", { sessionId, restaurantId, branchId }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to load expiring stock")
+        return
+      }
+      setReport(response.data)
+    })
+  }, [isConnected, emit, sessionId, restaurantId, branchId])
+
+  useEffect(() => {
+    loadExpiringStock()
+  }, [loadExpiringStock])
+
+  useEffect(() => {
+    if (!isConnected) return
+    STOCK_EVENTS.forEach((event) => on(event, loadExpiringStock))
+    return () => STOCK_EVENTS.forEach((event) => off(event, loadExpiringStock))
+  }, [isConnected, on, off, loadExpiringStock])
+
+  const writeOff = (batch) => {
+    setWritingOff(batch.batchId)
+    emit(
+      "waste:record",
+      {
+        sessionId,
+        restaurantId,
+        branchId,
+        ingredientId: batch.ingredientId,
+        batchId: batch.batchId,
+        quantity: batch.quantity,
+        unit: batch.unit,
+        wasteType: "spoilage",
+        reason: batch.expired ? "Past expiry date" : "Written off before expiry",
+      },
+      (response) => {
+        setWritingOff(null)
+        if (!response?.success) {
+          toast.error(response?.errors?.join(", ") || response?.message || "Failed to write off batch")
+          return
+        }
+        toast.success(`${formatQuantity(batch.quantity)} ${batch.unit} of ${batch.ingredientName} written off`)
+        loadExpiringStock()
+      }
+    )
+  }
+
+  if (report && !report.trackExpiryDates) {
+    return (
+      <EmptyState
+        icon={CalendarClock}
+        title="Expiry dates are not tracked"
+        description="Turn on expiry tracking in the inventory settings to see expiring batches."
+      />
+    )
+  }
+
+  if (!report || report.batches.length === 0) {
+    return (
+      <EmptyState
+        icon={CalendarClock}
+        title="Nothing expiring"
+        description={`Batches expiring within ${report?.warningDays ?? 7} days appear here.`}
+      />
+    )
+  }
+
+  return (
+    <div className="space-y-2">
+      <p className="text-sm text-muted-foreground">
+        {report.batches.length} batch{report.batches.length === 1 ? "" : "es"} expiring within {report.warningDays} days,
+        worth {formatMoney(report.totalValue)}
+      </p>
+      {report.batches.map((batch) => (
+        <Card key={batch.batchId}>
+          <CardContent className="flex flex-wrap items-center justify-between gap-4 p-4">
+            <div>
+              <div className="flex items-center gap-2 font-medium">
+                {batch.ingredientName}
+                <Badge variant={batch.expired ? "destructive" : "secondary"}>{describeExpiry(batch)}</Badge>
+              </div>
+              <div className="text-sm text-muted-foreground">
+                {formatQuantity(batch.quantity)} {batch.unit} · {new Date(batch.expiryDate).toLocaleDateString()}
+                {batch.supplierBatchNumber ? ` · lot ${batch.supplierBatchNumber}` : ""} · {formatMoney(batch.value)}
+              </div>
+            </div>
+            <Button
+              size="sm"
+              variant={batch.expired ? "destructive" : "outline"}
+              disabled={writingOff === batch.batchId}
+              onClick={() => writeOff(batch)}
+            >
+              <Trash2 className="mr-1 h-4 w-4" />
+              Write off
+            </Button>
+          </CardContent>
+        </Card>
+      ))}
+    </div>
+  )
+}
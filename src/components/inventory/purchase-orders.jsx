@@ -0,0 +1,536 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+import { AlertTriangle, ClipboardList, PackageCheck, Plus, Sparkles, Trash2 } from "lucide-react"
+import { useSocket } from "@/lib/hooks/useSocket"
+import { useAuthStore } from "@/lib/store/auth"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog"
+import { EmptyState } from "@/components/ui/empty-state"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Textarea } from "@/components/ui/textarea"
+
+const STATUS_LABELS = {
+  draft: "Draft",
+  approved: "Approved",
+  sent: "Sent",
+  partially_received: "Partially received",
+  received: "Received",
+  closed: "Closed",
+  cancelled: "Cancelled",
+}
+
+const STATUS_VARIANTS = {
+  draft: "outline",
+  approved: "secondary",
+  sent: "default",
+  partially_received: "default",
+  received: "secondary",
+  closed: "outline",
+  cancelled: "outline",
+}
+
+// Status changes offered on each status; receiving has its own dialog
+const NEXT_ACTIONS = {
+  draft: [
+    { status: "approved", label: "Approve" },
+    { status: "cancelled", label: "Cancel", variant: "ghost" },
+  ],
+  approved: [
+    { status: "sent", label: "Mark sent" },
+    { status: "cancelled", label: "Cancel", variant: "ghost" },
+  ],
+  partially_received: [{ status: "closed", label: "Close short", variant: "outline" }],
+  received: [{ status: "closed", label: "Close", variant: "outline" }],
+}
+
+const VARIANCE_LABELS = {
+  over: "Over delivered",
+  short: "Short delivered",
+  price: "Price differs",
+}
+
+const formatMoney = (value) => Number(value || 0).toFixed(2)
+
+function NewPurchaseOrderDialog({ restaurantId, branchId, onCreated }) {
+  const { emit } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [open, setOpen] = useState(false)
+  const [suppliers, setSuppliers] = useState([])
+  const [supplierId, setSupplierId] = useState("")
+  const [ingredients, setIngredients] = useState([])
+  const [lines, setLines] = useState([])
+  const [notes, setNotes] = useState("")
+
+  useEffect(() => {
+    if (!open) return
+    setSupplierId("")
+    setLines([])
+    setNotes("")
+    emit("suppliers:list", { sessionId, restaurantId, status: "active" }, (response) => {
+      if (response?.success) setSuppliers(response.data.suppliers)
+    })
+  }, [open, emit, sessionId, restaurantId])
+
+  // Only the supplier's own ingredients can go on its order
+  useEffect(() => {
+    if (!supplierId) return
+    emit("suppliers:getDetails", { sessionId, supplierId }, (response) => {
+      if (!response?.success) return
+      const supplied = response.data.ingredients.filter((ingredient) => ingredient.branchId === branchId)
+      setIngredients(supplied)
+      setLines(
+        supplied
+          .filter((ingredient) => ingredient.stockLevel <= ingredient.minimumStockLevel)
+          .map((ingredient) => ({
+            ingredientId: ingredient._id,
+            quantity: String(Math.max(ingredient.minimumStockLevel * 2 - ingredient.stockLevel, 1)),
+            unit: ingredient.unit,
+            unitPrice: String(ingredient.cost || 0),
+          }))
+      )
+    })
+  }, [emit, sessionId, supplierId, branchId])
+
+  const updateLine = (index, field, value) =>
+    setLines((current) => current.map((line, lineIndex) => (lineIndex === index ? { ...line, [field]: value } : line)))
+
+  const addLine = () =>
+    setLines((current) => [...current, { ingredientId: "", quantity: "1", unit: "", unitPrice: "0" }])
+
+  // A newly picked ingredient is ordered in its stock unit until changed
+  const pickIngredient = (index, ingredientId) => {
+    const ingredient = ingredients.find((entry) => entry._id === ingredientId)
+    setLines((current) =>
+      current.map((line, lineIndex) => (lineIndex === index ? { ...line, ingredientId, unit: ingredient?.unit || "" } : line))
+    )
+  }
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    emit(
+      "purchaseOrders:create",
+      {
+        sessionId,
+        restaurantId,
+        branchId,
+        supplierId,
+        notes,
+        items: lines.map((line) => ({ ...line, quantity: Number(line.quantity), unitPrice: Number(line.unitPrice) })),
+      },
+      (response) => {
+        if (!response?.success) {
+          toast.error(response?.errors?.join(", ") || response?.message || "Failed to create purchase order")
+          return
+        }
+        toast.success(`Purchase order ${response.data.orderNumber} drafted`)
+        onCreated()
+        setOpen(false)
+      }
+    )
+  }
+
+  const total = lines.reduce((sum, line) => sum + Number(line.quantity) * Number(line.unitPrice), 0)
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button>
+          <Plus className="mr-2 h-4 w-4" />
+          New order
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>New purchase order</DialogTitle>
+            <DialogDescription>Ingredients below their minimum stock level are filled in for you.</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-1">
+            <Label>Supplier</Label>
+            <Select value={supplierId} onValueChange={setSupplierId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Pick a supplier" />
+              </SelectTrigger>
+              <SelectContent>
+                {suppliers.map((supplier) => (
+                  <SelectItem key={supplier._id} value={supplier._id}>
+                    {supplier.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          {supplierId && (
+            <div className="space-y-2">
+              {lines.map((line, index) => (
+                <div key={index} className="grid grid-cols-[1fr_90px_90px_90px_auto] items-end gap-2">
+                  <Select value={line.ingredientId} onValueChange={(value) => pickIngredient(index, value)}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Ingredient" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {ingredients.map((ingredient) => (
+                        <SelectItem key={ingredient._id} value={ingredient._id}>
+                          {ingredient.name} ({ingredient.stockLevel} {ingredient.unit} in stock)
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    type="number"
+                    min={0}
+                    step="any"
+                    aria-label="Quantity"
+                    value={line.quantity}
+                    onChange={(event) => updateLine(index, "quantity", event.target.value)}
+                  />
+                  <Input
+                    aria-label="Unit"
+                    value={line.unit}
+                    onChange={(event) => updateLine(index, "unit", event.target.value)}
+                  />
+                  <Input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    aria-label="Unit price"
+                    value={line.unitPrice}
+                    onChange={(event) => updateLine(index, "unitPrice", event.target.value)}
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="icon"
+                    onClick={() => setLines((current) => current.filter((_, lineIndex) => lineIndex !== index))}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                    <span className="sr-only">Remove line</span>
+                  </Button>
+                </div>
+              ))}
+              <Button type="button" variant="outline" size="sm" onClick={addLine} disabled={ingredients.length === 0}>
+                Add ingredient
+              </Button>
+            </div>
+          )}
+          <div className="space-y-1">
+            <Label htmlFor="purchase-order-notes">Notes</Label>
+            <Textarea id="purchase-order-notes" value={notes} onChange={(event) => setNotes(event.target.value)} rows={2} />
+          </div>
+          <DialogFooter className="items-center gap-4">
+            <span className="text-sm text-muted-foreground">Total {formatMoney(total)}</span>
+            <Button type="submit" disabled={!supplierId || lines.length === 0}>
+              Save draft
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+function ReceiveDialog({ purchaseOrder, onReceived }) {
+  const { emit } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [open, setOpen] = useState(false)
+  const [lines, setLines] = useState([])
+  const [notes, setNotes] = useState("")
+  const [receiptId, setReceiptId] = useState(null)
+
+  // Start from what is still outstanding at the ordered price
+  useEffect(() => {
+    if (!open) return
+    setNotes("")
+    setReceiptId(null)
+    setLines(
+      purchaseOrder.items.map((item) => ({
+        ingredientId: item.ingredientId,
+        quantity: String(Math.max(item.quantity - item.receivedQuantity, 0)),
+        unitPrice: String(item.unitPrice),
+        supplierBatchNumber: "",
+        expiryDate: "",
+      }))
+    )
+  }, [open, purchaseOrder])
+
+  const updateLine = (index, field, value) =>
+    setLines((current) => current.map((line, lineIndex) => (lineIndex === index ? { ...line, [field]: value } : line)))
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    emit(
+      "purchaseOrders:receive",
+      {
+        sessionId,
+        purchaseOrderId: purchaseOrder._id,
+        receiptId,
+        notes,
+        items: lines.map((line) => ({
+          ...line,
+          quantity: Number(line.quantity),
+          unitPrice: Number(line.unitPrice),
+          expiryDate: line.expiryDate ? new Date(line.expiryDate).toISOString() : undefined,
+        })),
+      },
+      (response) => {
+        if (!response?.success) {
+          // Receiving again under the same receipt only posts the lines that failed
+          if (response?.data?.receiptId) setReceiptId(response.data.receiptId)
+          toast.error(response?.errors?.join(", ") || response?.error || response?.message || "Failed to receive delivery")
+          return
+        }
+        if (response.data.variances.length > 0) {
+          toast.warning(response.message)
+        } else {
+          toast.success(response.message)
+        }
+        onReceived()
+        setOpen(false)
+      }
+    )
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button size="sm">
+          <PackageCheck className="mr-1 h-4 w-4" />
+          Receive
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-3xl">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>Receive {purchaseOrder.orderNumber}</DialogTitle>
+            <DialogDescription>Enter what arrived. Quantities and prices that differ from the order are flagged.</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-2">
+            <div className="grid grid-cols-[1fr_90px_90px_110px_140px] gap-2 text-xs text-muted-foreground">
+              <span>Ingredient</span>
+              <span>Quantity</span>
+              <span>Unit price</span>
+              <span>Batch</span>
+              <span>Expires</span>
+            </div>
+            {lines.map((line, index) => {
+              const item = purchaseOrder.items[index]
+              return (
+                <div key={line.ingredientId} className="grid grid-cols-[1fr_90px_90px_110px_140px] items-center gap-2">
+                  <span className="text-sm">
+                    {item.ingredientName}
+                    <span className="block text-xs text-muted-foreground">
+                      {item.receivedQuantity} of {item.quantity} {item.unit} received
+                    </span>
+                  </span>
+                  <Input
+                    type="number"
+                    min={0}
+                    step="any"
+                    aria-label="Received quantity"
+                    value={line.quantity}
+                    onChange={(event) => updateLine(index, "quantity", event.target.value)}
+                  />
+                  <Input
+                    type="number"
+                    min={0}
+                    step="0.01"
+                    aria-label="Unit price"
+                    value={line.unitPrice}
+                    onChange={(event) => updateLine(index, "unitPrice", event.target.value)}
+                  />
+                  <Input
+                    aria-label="Batch number"
+                    value={line.supplierBatchNumber}
+                    onChange={(event) => updateLine(index, "supplierBatchNumber", event.target.value)}
+                  />
+                  <Input
+                    type="date"
+                    aria-label="Expiry date"
+                    value={line.expiryDate}
+                    onChange={(event) => updateLine(index, "expiryDate", event.target.value)}
+                  />
+                </div>
+              )
+            })}
+          </div>
+          <div className="space-y-1">
+            <Label htmlFor="receipt-notes">Notes</Label>
+            <Textarea id="receipt-notes" value={notes} onChange={(event) => setNotes(event.target.value)} rows={2} />
+          </div>
+          <DialogFooter>
+            <Button type="submit">Book into stock</Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+/**
+ * Purchase orders of a branch from draft to closed, with deliveries
+ * booked into stock and differences from the order called out.
+ */
+export function PurchaseOrders({ restaurantId, branchId }) {
+  const { isConnected, emit, on, off } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [purchaseOrders, setPurchaseOrders] = useState([])
+  const [statusFilter, setStatusFilter] = useState("open")
+
+  const loadPurchaseOrders = useCallback(() => {
+    if (!isConnected || !branchId) return
+    const status =
+      statusFilter === "open" ? ["draft", "approved", "sent", "partially_received", "received"] : statusFilter
+    emit("purchaseOrders:list", { sessionId, branchId, status: statusFilter === "all" ? undefined : status }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to load purchase orders")
+        return
+      }
+      setPurchaseOrders(response.data)
+    })
+  }, [isConnected, emit, sessionId, branchId, statusFilter])
+
+  useEffect(() => {
+    loadPurchaseOrders()
+  }, [loadPurchaseOrders])
+
+  useEffect(() => {
+    if (!isConnected) return
+    const handleUpdated = (purchaseOrder) => {
+      if (purchaseOrder.branchId === branchId) loadPurchaseOrders()
+    }
+    on("purchaseOrders:updated", handleUpdated)
+    return () => off("purchaseOrders:updated", handleUpdated)
+  }, [isConnected, on, off, branchId, loadPurchaseOrders])
+
+  const generate = () => {
+    emit("purchaseOrders:generate", { sessionId, restaurantId, branchId }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to generate purchase orders")
+        return
+      }
+      toast.success(response.message)
+      if (response.data.unassigned.length > 0) {
+        toast.warning(`No supplier set for ${response.data.unassigned.map((ingredient) => ingredient.name).join(", ")}`)
+      }
+      loadPurchaseOrders()
+    })
+  }
+
+  const updateStatus = (purchaseOrder, status) => {
+    emit("purchaseOrders:updateStatus", { sessionId, purchaseOrderId: purchaseOrder._id, status }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to update purchase order")
+        return
+      }
+      toast.success(`${purchaseOrder.orderNumber}: ${STATUS_LABELS[status].toLowerCase()}`)
+      loadPurchaseOrders()
+    })
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <Select value={statusFilter} onValueChange={setStatusFilter}>
+          <SelectTrigger className="w-[200px]">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value="open">Open orders</SelectItem>
+            <SelectItem value="all">All orders</SelectItem>
+            {Object.entries(STATUS_LABELS).map(([status, label]) => (
+              <SelectItem key={status} value={status}>
+                {label}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={generate}>
+            <Sparkles className="mr-2 h-4 w-4" />
+            Generate from low stock
+          </Button>
+          <NewPurchaseOrderDialog restaurantId={restaurantId} branchId={branchId} onCreated={loadPurchaseOrders} />
+        </div>
+      </div>
+
+      {purchaseOrders.length === 0 ? (
+        <EmptyState icon={ClipboardList} title="No purchase orders" description="Purchase orders for this branch appear here." />
+      ) : (
+        <div className="space-y-3">
+          {purchaseOrders.map((purchaseOrder) => (
+            <Card key={purchaseOrder._id} className={purchaseOrder.status === "cancelled" ? "opacity-50" : ""}>
+              <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-2 space-y-0 p-4 pb-2">
+                <div>
+                  <CardTitle className="text-base">
+                    {purchaseOrder.orderNumber} · {purchaseOrder.supplierName}
+                  </CardTitle>
+                  <p className="text-sm text-muted-foreground">
+                    Total {formatMoney(purchaseOrder.total)}
+                    {purchaseOrder.receivedTotal !== undefined ? ` · received ${formatMoney(purchaseOrder.receivedTotal)}` : ""}
+                    {purchaseOrder.expectedDeliveryDate
+                      ? ` · expected ${new Date(purchaseOrder.expectedDeliveryDate).toLocaleDateString()}`
+                      : ""}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge variant={STATUS_VARIANTS[purchaseOrder.status]}>{STATUS_LABELS[purchaseOrder.status]}</Badge>
+                  {["sent", "partially_received"].includes(purchaseOrder.status) && (
+                    <ReceiveDialog purchaseOrder={purchaseOrder} onReceived={loadPurchaseOrders} />
+                  )}
+                  {(NEXT_ACTIONS[purchaseOrder.status] || []).map((action) => (
+                    <Button
+                      key={action.status}
+                      size="sm"
+                      variant={action.variant || "default"}
+                      onClick={() => updateStatus(purchaseOrder, action.status)}
+                    >
+                      {action.label}
+                    </Button>
+                  ))}
+                </div>
+              </CardHeader>
+              <CardContent className="space-y-2 p-4 pt-0">
+                <div className="grid gap-1 text-sm">
+                  {purchaseOrder.items.map((item) => (
+                    <div key={item.ingredientId} className="flex justify-between">
+                      <span>{item.ingredientName}</span>
+                      <span className="text-muted-foreground">
+                        {item.receivedQuantity > 0 ? `${item.receivedQuantity} / ` : ""}
+                        {item.quantity} {item.unit} at {formatMoney(item.unitPrice)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+                {purchaseOrder.variances.length > 0 && (
+                  <div className="space-y-1 rounded-md border border-amber-300 bg-amber-50 p-2 text-sm dark:bg-amber-950">
+                    {purchaseOrder.variances.map((variance, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <AlertTriangle className="h-3 w-3 text-amber-600" />
+                        {variance.ingredientName}: {VARIANCE_LABELS[variance.type]}, expected {variance.expected}, got{" "}
+                        {variance.actual}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
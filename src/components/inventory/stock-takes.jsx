@@ -0,0 +1,490 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+import { ClipboardCheck, Plus } from "lucide-react"
+import { useSocket } from "@/lib/hooks/useSocket"
+import { useAuthStore } from "@/lib/store/auth"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog"
+import { EmptyState } from "@/components/ui/empty-state"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+
+const STATUS_LABELS = {
+  counting: "Counting",
+  submitted: "Submitted",
+  approved: "Approved",
+  cancelled: "Cancelled",
+}
+
+const STATUS_VARIANTS = {
+  counting: "default",
+  submitted: "secondary",
+  approved: "outline",
+  cancelled: "outline",
+}
+
+// Status changes offered on each status; approving has its own button
+const NEXT_ACTIONS = {
+  counting: [
+    { status: "submitted", label: "Submit" },
+    { status: "cancelled", label: "Cancel", variant: "ghost" },
+  ],
+  submitted: [
+    { status: "counting", label: "Reopen", variant: "outline" },
+    { status: "cancelled", label: "Cancel", variant: "ghost" },
+  ],
+}
+
+const formatMoney = (value) => Number(value || 0).toFixed(2)
+
+const formatQuantity = (value) => Math.round(value * 1000) / 1000
+
+const describeScope = (scope) => (scope.type === "all" ? "All stock" : `${scope.type}: ${scope.value}`)
+
+const varianceClass = (value) => (value < 0 ? "text-destructive" : value > 0 ? "text-green-600" : "")
+
+function StartStockTakeDialog({ restaurantId, branchId, locations, categories, onStarted }) {
+  const { emit } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [open, setOpen] = useState(false)
+  const [scopeType, setScopeType] = useState("all")
+  const [scopeValue, setScopeValue] = useState("")
+
+  useEffect(() => {
+    if (!open) return
+    setScopeType("all")
+    setScopeValue("")
+  }, [open])
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    emit(
+      "stockTakes:start",
+      { sessionId, restaurantId, branchId, scope: { type: scopeType, value: scopeValue } },
+      (response) => {
+        if (!response?.success) {
+          toast.error(response?.errors?.join(", ") || response?.message || "Failed to start stock take")
+          return
+        }
+        toast.success(`Stock take ${response.data.reference} started with ${response.data.items.length} ingredients`)
+        onStarted()
+        setOpen(false)
+      }
+    )
+  }
+
+  const values = scopeType === "location" ? locations : categories
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button>
+          <Plus className="mr-2 h-4 w-4" />
+          Start stock take
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>Start stock take</DialogTitle>
+            <DialogDescription>Expected quantities are frozen when the stock take starts.</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-1">
+            <Label>Count</Label>
+            <Select
+              value={scopeType}
+              onValueChange={(value) => {
+                setScopeType(value)
+                setScopeValue("")
+              }}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">All stock</SelectItem>
+                <SelectItem value="location">One location</SelectItem>
+                <SelectItem value="category">One category</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {scopeType !== "all" && (
+            <div className="space-y-1">
+              <Label>{scopeType === "location" ? "Location" : "Category"}</Label>
+              <Select value={scopeValue} onValueChange={setScopeValue}>
+                <SelectTrigger>
+                  <SelectValue placeholder={`Pick a ${scopeType}`} />
+                </SelectTrigger>
+                <SelectContent>
+                  {values.map((value) => (
+                    <SelectItem key={value} value={value}>
+                      {value}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+          <DialogFooter>
+            <Button type="submit" disabled={scopeType !== "all" && !scopeValue}>
+              Start
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+function CountDialog({ stockTake, onSaved }) {
+  const { emit } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [open, setOpen] = useState(false)
+  const [quantities, setQuantities] = useState({})
+
+  useEffect(() => {
+    if (open) setQuantities({})
+  }, [open])
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    const counts = Object.entries(quantities)
+      .filter(([, quantity]) => quantity !== "")
+      .map(([ingredientId, quantity]) => ({ ingredientId, quantity: Number(quantity) }))
+    emit("stockTakes:count", { sessionId, stockTakeId: stockTake._id, counts }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.errors?.join(", ") || response?.message || "Failed to save counts")
+        return
+      }
+      toast.success(`${counts.length} count${counts.length === 1 ? "" : "s"} saved`)
+      onSaved()
+      setOpen(false)
+    })
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button size="sm">Count</Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-2xl">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>Count {stockTake.reference}</DialogTitle>
+            <DialogDescription>
+              Enter what you counted in the stock unit. Counting an ingredient again replaces your earlier count; other
+              counters&apos; counts are added to it.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="max-h-[60vh] space-y-2 overflow-y-auto">
+            {stockTake.items.map((item) => (
+              <div key={item.ingredientId} className="grid grid-cols-[1fr_120px] items-center gap-2">
+                <div>
+                  <div className="font-medium">{item.ingredientName}</div>
+                  <div className="text-xs text-muted-foreground">
+                    {item.location}
+                    {item.counts.length > 0
+                      ? ` · counted ${item.counts
+                          .map((count) => `${formatQuantity(count.quantity)} by ${count.counterName}`)
+                          .join(", ")}`
+                      : ""}
+                  </div>
+                </div>
+                <div className="flex items-center gap-1">
+                  <Input
+                    type="number"
+                    min={0}
+                    step="any"
+                    aria-label={`${item.ingredientName} counted`}
+                    value={quantities[item.ingredientId] ?? ""}
+                    onChange={(event) =>
+                      setQuantities((current) => ({ ...current, [item.ingredientId]: event.target.value }))
+                    }
+                  />
+                  <span className="text-sm text-muted-foreground">{item.unit}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+          <DialogFooter>
+            <Button type="submit" disabled={!Object.values(quantities).some((quantity) => quantity !== "")}>
+              Save counts
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+function UsageReportDialog({ stockTake }) {
+  const { emit } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [open, setOpen] = useState(false)
+  const [report, setReport] = useState(null)
+
+  useEffect(() => {
+    if (!open) return
+    setReport(null)
+    emit("stockTakes:getUsageReport", { sessionId, stockTakeId: stockTake._id }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to load usage report")
+        return
+      }
+      setReport(response.data)
+    })
+  }, [open, emit, sessionId, stockTake._id])
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button size="sm" variant="outline">
+          Usage report
+        </Button>
+      </DialogTrigger>
+      <DialogContent className="max-w-4xl">
+        <DialogHeader>
+          <DialogTitle>Usage to {stockTake.reference}</DialogTitle>
+          <DialogDescription>
+            Theoretical usage from recipes sold against actual usage from the counts, since each ingredient was last
+            counted.
+          </DialogDescription>
+        </DialogHeader>
+        {report && report.lines.length === 0 ? (
+          <p className="text-sm text-muted-foreground">No ingredient has an earlier approved count to compare with.</p>
+        ) : (
+          report && (
+            <div className="max-h-[60vh] overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Ingredient</TableHead>
+                    <TableHead className="text-right">Opening</TableHead>
+                    <TableHead className="text-right">Received</TableHead>
+                    <TableHead className="text-right">Closing</TableHead>
+                    <TableHead className="text-right">Theoretical</TableHead>
+                    <TableHead className="text-right">Actual</TableHead>
+                    <TableHead className="text-right">Variance</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {report.lines.map((line) => (
+                    <TableRow key={line.ingredientId}>
+                      <TableCell>
+                        <div className="font-medium">{line.ingredientName}</div>
+                        <div className="text-xs text-muted-foreground">
+                          since {new Date(line.openingDate).toLocaleDateString()}
+                          {line.waste ? ` · ${formatQuantity(line.waste)} wasted` : ""}
+                        </div>
+                      </TableCell>
+                      <TableCell className="text-right">{formatQuantity(line.openingQuantity)}</TableCell>
+                      <TableCell className="text-right">{formatQuantity(line.received)}</TableCell>
+                      <TableCell className="text-right">{formatQuantity(line.closingQuantity)}</TableCell>
+                      <TableCell className="text-right">{formatQuantity(line.theoreticalUsage)}</TableCell>
+                      <TableCell className="text-right">{formatQuantity(line.actualUsage)}</TableCell>
+                      <TableCell className={`text-right ${varianceClass(-line.variance)}`}>
+                        {formatQuantity(line.variance)} {line.unit}
+                        <div className="text-xs">
+                          {formatMoney(line.varianceValue)}
+                          {line.variancePercentage !== null ? ` · ${line.variancePercentage}%` : ""}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )
+        )}
+        {report && (
+          <p className="text-sm text-muted-foreground">
+            Theoretical {formatMoney(report.totals.theoreticalValue)} · actual {formatMoney(report.totals.actualValue)} ·
+            variance {formatMoney(report.totals.varianceValue)}
+            {report.notCompared.length > 0 ? ` · first count of ${report.notCompared.join(", ")}` : ""}
+          </p>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+/**
+ * Stock takes of the branch: start a count, enter counts, review the
+ * variance and approve it into stock, then compare usage against sales.
+ */
+export function StockTakes({ restaurantId, branchId }) {
+  const { isConnected, emit, on, off } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [data, setData] = useState(null)
+  const [expanded, setExpanded] = useState(null)
+
+  const loadStockTakes = useCallback(() => {
+    if (!isConnected || !branchId) return
+    emit("stockTakes:list", { sessionId, restaurantId, branchId }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to load stock takes")
+        return
+      }
+      setData(response.data)
+    })
+  }, [isConnected, emit, sessionId, restaurantId, branchId])
+
+  useEffect(() => {
+    loadStockTakes()
+  }, [loadStockTakes])
+
+  useEffect(() => {
+    if (!isConnected) return
+    const handleUpdated = (stockTake) => {
+      if (stockTake.branchId === branchId) loadStockTakes()
+    }
+    on("stockTakes:updated", handleUpdated)
+    return () => off("stockTakes:updated", handleUpdated)
+  }, [isConnected, on, off, branchId, loadStockTakes])
+
+  const updateStatus = (stockTake, status) => {
+    emit("stockTakes:updateStatus", { sessionId, stockTakeId: stockTake._id, status }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to update stock take")
+        return
+      }
+      toast.success(`${stockTake.reference}: ${STATUS_LABELS[status].toLowerCase()}`)
+      loadStockTakes()
+    })
+  }
+
+  const approve = (stockTake) => {
+    emit("stockTakes:approve", { sessionId, stockTakeId: stockTake._id }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.errors?.join(", ") || response?.message || "Failed to approve stock take")
+        loadStockTakes()
+        return
+      }
+      toast.success(response.message)
+      loadStockTakes()
+    })
+  }
+
+  const stockTakes = data?.stockTakes || []
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-sm text-muted-foreground">
+          {data?.lastStockTake ? `Last full count ${new Date(data.lastStockTake).toLocaleDateString()}` : "No full count yet"}
+          {data?.nextStockTake ? ` · next due ${new Date(data.nextStockTake).toLocaleDateString()}` : ""}
+        </p>
+        <StartStockTakeDialog
+          restaurantId={restaurantId}
+          branchId={branchId}
+          locations={data?.locations || []}
+          categories={data?.categories || []}
+          onStarted={loadStockTakes}
+        />
+      </div>
+
+      {stockTakes.length === 0 ? (
+        <EmptyState icon={ClipboardCheck} title="No stock takes" description="Stock takes for this branch appear here." />
+      ) : (
+        <div className="space-y-3">
+          {stockTakes.map((stockTake) => (
+            <Card key={stockTake._id} className={stockTake.status === "cancelled" ? "opacity-50" : ""}>
+              <CardHeader className="flex flex-row flex-wrap items-center justify-between gap-2 space-y-0 p-4 pb-2">
+                <div>
+                  <CardTitle className="text-base">
+                    {stockTake.reference} · {describeScope(stockTake.scope)}
+                  </CardTitle>
+                  <p className="text-sm text-muted-foreground">
+                    {new Date(stockTake.frozenAt).toLocaleString()} · {stockTake.totals.countedCount} of{" "}
+                    {stockTake.totals.itemCount} counted · variance{" "}
+                    <span className={varianceClass(stockTake.totals.varianceValue)}>
+                      {formatMoney(stockTake.totals.varianceValue)}
+                    </span>
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge variant={STATUS_VARIANTS[stockTake.status]}>{STATUS_LABELS[stockTake.status]}</Badge>
+                  {stockTake.status === "counting" && <CountDialog stockTake={stockTake} onSaved={loadStockTakes} />}
+                  {stockTake.status === "submitted" && (
+                    <Button size="sm" onClick={() => approve(stockTake)}>
+                      Approve
+                    </Button>
+                  )}
+                  {stockTake.status === "approved" && <UsageReportDialog stockTake={stockTake} />}
+                  {(NEXT_ACTIONS[stockTake.status] || []).map((action) => (
+                    <Button
+                      key={action.status}
+                      size="sm"
+                      variant={action.variant || "default"}
+                      onClick={() => updateStatus(stockTake, action.status)}
+                    >
+                      {action.label}
+                    </Button>
+                  ))}
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    onClick={() => setExpanded(expanded === stockTake._id ? null : stockTake._id)}
+                  >
+                    {expanded === stockTake._id ? "Hide" : "Details"}
+                  </Button>
+                </div>
+              </CardHeader>
+              {expanded === stockTake._id && (
+                <CardContent className="p-4 pt-0">
+                  <Table>
+                    <TableHeader>
+                      <TableRow>
+                        <TableHead>Ingredient</TableHead>
+                        <TableHead className="text-right">Expected</TableHead>
+                        <TableHead className="text-right">Counted</TableHead>
+                        <TableHead className="text-right">Variance</TableHead>
+                        <TableHead className="text-right">Value</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {stockTake.items.map((item) => (
+                        <TableRow key={item.ingredientId}>
+                          <TableCell>
+                            <div className="font-medium">{item.ingredientName}</div>
+                            <div className="text-xs text-muted-foreground">{item.location}</div>
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {formatQuantity(item.expectedQuantity)} {item.unit}
+                          </TableCell>
+                          <TableCell className="text-right">
+                            {item.countedQuantity === null ? "—" : `${formatQuantity(item.countedQuantity)} ${item.unit}`}
+                          </TableCell>
+                          <TableCell className={`text-right ${varianceClass(item.variance)}`}>
+                            {item.variance === null ? "—" : formatQuantity(item.variance)}
+                          </TableCell>
+                          <TableCell className={`text-right ${varianceClass(item.varianceValue)}`}>
+                            {item.varianceValue === null ? "—" : formatMoney(item.varianceValue)}
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                </CardContent>
+              )}
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,82 @@
+"use client"
+
+import { useCallback, useEffect, useRef, useState } from "react"
+import { useSocket } from "@/lib/hooks/useSocket"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+
+// Ticket events arrive in bursts when a round is fired; reload once they settle
+const REFRESH_DELAY = 500
+
+const TICKET_EVENTS = ["kds:ticketCreated", "kds:orderStatusUpdated", "kds:expoUpdated", "kds:statusUpdated"]
+
+/**
+ * Open quantities per item and modifiers across all tickets of a station,
+ * or of every station on the expo screen. Reloads as tickets change.
+ */
+export function AllDayPanel({ sessionId, restaurantId, branchId, station }) {
+  const { isConnected, emit, on, off } = useSocket()
+  const [stations, setStations] = useState({})
+  const refreshTimer = useRef(null)
+
+  const loadCounts = useCallback(() => {
+    if (!isConnected || !branchId) return
+    emit("kds:getAllDay", { sessionId, restaurantId, branchId, station }, (response) => {
+      if (response?.success) setStations(response.data.stations)
+    })
+  }, [isConnected, emit, sessionId, restaurantId, branchId, station])
+
+  useEffect(() => {
+    loadCounts()
+  }, [loadCounts])
+
+  useEffect(() => {
+    if (!isConnected) return
+    const scheduleRefresh = () => {
+      clearTimeout(refreshTimer.current)
+      refreshTimer.current = setTimeout(loadCounts, REFRESH_DELAY)
+    }
+
+    TICKET_EVENTS.forEach((event) => on(event, scheduleRefresh))
+    return () => {
+      clearTimeout(refreshTimer.current)
+      TICKET_EVENTS.forEach((event) => off(event, scheduleRefresh))
+    }
+  }, [isConnected, on, off, loadCounts])
+
+  const entries = Object.entries(stations)
+
+  return (
+    <Card>
+      <CardHeader className="p-4 pb-2">
+        <CardTitle className="text-base">All Day</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-4 p-4 pt-0">
+        {entries.length === 0 && <p className="text-sm text-muted-foreground">Nothing open</p>}
+        {entries.map(([stationName, counts]) => (
+          <div key={stationName} className="space-y-1">
+            {entries.length > 1 && <p className="text-xs font-semibold uppercase text-muted-foreground">{stationName}</p>}
+            {counts.map((count) => (
+              <div key={[count.menuItemId, count.variant, ...count.modifiers].join("|")} className="flex justify-between gap-2 text-sm">
+                <div>
+                  <span className="font-medium">
+                    {count.name}
+                    {count.variant !== "regular" ? ` (${count.variant})` : ""}
+                  </span>
+                  {count.modifiers.length > 0 && (
+                    <div className="text-xs text-muted-foreground">{count.modifiers.join(", ")}</div>
+                  )}
+                </div>
+                <div className="text-right">
+                  <span className="text-lg font-bold">{count.quantity}</span>
+                  {count.heldQuantity > 0 && (
+                    <div className="text-xs text-muted-foreground">+{count.heldQuantity} held</div>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  )
+}
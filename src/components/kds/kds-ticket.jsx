@@ -0,0 +1,153 @@
+"use client"
+
+import { Clock, PauseCircle } from "lucide-react"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Badge } from "@/components/ui/badge"
+
+const STATUS_VARIANTS = {
+  held: "outline",
+  pending: "secondary",
+  preparing: "default",
+  ready: "default",
+  delivered: "outline",
+  cancelled: "destructive",
+}
+
+const TIMER_STYLES = {
+  ok: { card: "", text: "text-muted-foreground" },
+  warning: { card: "border-2 border-yellow-400", text: "font-semibold text-yellow-600" },
+  late: { card: "border-2 border-red-500", text: "font-semibold text-red-600" },
+}
+
+const minutesSince = (timestamp, now) => Math.max(0, Math.floor((now - new Date(timestamp).getTime()) / 60000))
+
+// Yellow and red at the kitchen's shares of the ticket's prep-time target,
+// counted from when the ticket was fired
+const getTimerState = (ticket, timers, now) => {
+  if (!timers) return "ok"
+  const target = ticket.targetPrepTime || timers.defaultPrepTime
+  const elapsed = minutesSince(ticket.firedAt || ticket.createdAt, now)
+  if (elapsed >= (target * timers.latePercent) / 100) return "late"
+  if (elapsed >= (target * timers.warningPercent) / 100) return "warning"
+  return "ok"
+}
+
+function TicketItems({ items }) {
+  return (
+    <ul className="space-y-1 text-sm">
+      {(items || []).map((item, index) => {
+        const quantity = item.quantity - (item.voidedQuantity || 0)
+        if (quantity <= 0) return null
+        return (
+          <li key={`${item.lineIndex ?? index}`}>
+            <span className="font-semibold">
+              {quantity}x {item.name}
+              {item.variant && item.variant !== "regular" ? ` (${item.variant})` : ""}
+            </span>
+            {(item.modifiers || []).map((modifier) => (
+              <div key={modifier.name} className="pl-4 text-muted-foreground">
+                {modifier.name}
+              </div>
+            ))}
+            {item.notes && <div className="pl-4 italic text-muted-foreground">{item.notes}</div>}
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+function PositionBadge({ position }) {
+  return (
+    <span className="flex h-7 w-7 shrink-0 items-center justify-center rounded-md bg-muted font-mono text-sm font-bold">
+      {position}
+    </span>
+  )
+}
+
+/**
+ * One station ticket; held courses are greyed out until they are fired
+ */
+export function KdsTicketCard({ ticket, position, isSelected, now, timers, onSelect }) {
+  const isHeld = ticket.status === "held"
+  const timerStyle = TIMER_STYLES[isHeld ? "ok" : getTimerState(ticket, timers, now)]
+
+  return (
+    <Card
+      onClick={onSelect}
+      className={`cursor-pointer transition-all ${timerStyle.card} ${isSelected ? "ring-4 ring-primary" : ""} ${isHeld ? "opacity-50" : ""}`}
+    >
+      <CardHeader className="flex flex-row items-start justify-between gap-2 space-y-0 p-4 pb-2">
+        <div className="flex items-center gap-2">
+          <PositionBadge position={position} />
+          <div>
+            <CardTitle className="text-lg">#{ticket.orderNumber}</CardTitle>
+            <p className="text-xs text-muted-foreground">
+              {[ticket.orderType, ticket.tableNumber && `Table ${ticket.tableNumber}`, ticket.course, ticket.round > 1 && `Round ${ticket.round}`]
+                .filter(Boolean)
+                .join(" · ")}
+            </p>
+          </div>
+        </div>
+        <Badge variant={STATUS_VARIANTS[ticket.status] || "secondary"}>{ticket.status}</Badge>
+      </CardHeader>
+      <CardContent className="space-y-3 p-4 pt-0">
+        <TicketItems items={ticket.orderItems} />
+        {ticket.notes && <p className="text-sm italic">Notes: {ticket.notes}</p>}
+        <div className={`flex items-center gap-1 text-xs ${timerStyle.text}`}>
+          {isHeld ? (
+            <>
+              <PauseCircle className="h-3 w-3" />
+              {ticket.fireAt ? `Fires at ${new Date(ticket.fireAt).toLocaleTimeString()}` : "Held"}
+            </>
+          ) : (
+            <>
+              <Clock className="h-3 w-3" />
+              {minutesSince(ticket.firedAt || ticket.createdAt, now)} / {ticket.targetPrepTime || timers?.defaultPrepTime} min
+            </>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
+
+/**
+ * One order on the expo screen with the state of each station ticket
+ */
+export function ExpoOrderCard({ order, position, isSelected, now, onSelect }) {
+  return (
+    <Card
+      onClick={onSelect}
+      className={`cursor-pointer transition-all ${isSelected ? "ring-4 ring-primary" : ""} ${order.ready ? "border-green-500" : ""}`}
+    >
+      <CardHeader className="flex flex-row items-start justify-between gap-2 space-y-0 p-4 pb-2">
+        <div className="flex items-center gap-2">
+          <PositionBadge position={position} />
+          <div>
+            <CardTitle className="text-lg">#{order.orderNumber}</CardTitle>
+            <p className="text-xs text-muted-foreground">
+              {[order.orderType, order.tableNumber && `Table ${order.tableNumber}`].filter(Boolean).join(" · ")}
+            </p>
+          </div>
+        </div>
+        <Badge variant={order.ready ? "default" : "secondary"}>{order.ready ? "ready" : "in progress"}</Badge>
+      </CardHeader>
+      <CardContent className="space-y-2 p-4 pt-0">
+        {order.tickets.map((ticket) => (
+          <div key={ticket._id} className={`flex items-center justify-between text-sm ${ticket.status === "held" ? "opacity-50" : ""}`}>
+            <span className="capitalize">
+              {ticket.station}
+              {ticket.course ? ` · ${ticket.course}` : ""}
+            </span>
+            <Badge variant={STATUS_VARIANTS[ticket.status] || "secondary"}>{ticket.status}</Badge>
+          </div>
+        ))}
+        <div className="flex items-center gap-1 text-xs text-muted-foreground">
+          <Clock className="h-3 w-3" />
+          {minutesSince(order.createdAt, now)} min
+        </div>
+      </CardContent>
+    </Card>
+  )
+}
@@ -0,0 +1,300 @@
+"use client"
+
+import { useEffect, useMemo, useState } from "react"
+import { toast } from "sonner"
+import { Plus, RotateCw, Save, Trash2 } from "lucide-react"
+import { useFloorPlan } from "@/lib/hooks/useFloorPlan"
+import { FloorPlanCanvas } from "@/components/tables/floor-plan"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Skeleton } from "@/components/ui/skeleton"
+
+const TABLE_SHAPES = ["square", "rectangle", "round", "oval"]
+
+// Starting size of a table dropped on the plan, by how many it seats
+const defaultLayout = (table, areaId) => {
+  const isLarge = table.capacity > 4
+  return {
+    areaId,
+    x: 0,
+    y: 0,
+    width: isLarge ? 120 : 60,
+    height: 60,
+    shape: isLarge ? "rectangle" : "square",
+    rotation: 0,
+  }
+}
+
+const layoutsFromTables = (tables) =>
+  Object.fromEntries(tables.filter((table) => table.layout).map((table) => [table._id, table.layout]))
+
+/**
+ * Drag-and-drop editor for a branch's floor plan: areas, and the shape,
+ * position and rotation of each table. Nothing is saved until Save.
+ */
+export function FloorPlanEditor({ restaurantId, branchId }) {
+  const { areas, tables, statusColors, display, isLoading, saveFloorPlan } = useFloorPlan({ restaurantId, branchId })
+
+  const [draftAreas, setDraftAreas] = useState([])
+  const [layouts, setLayouts] = useState({})
+  const [activeAreaId, setActiveAreaId] = useState(null)
+  const [selectedTableId, setSelectedTableId] = useState(null)
+  const [isDirty, setIsDirty] = useState(false)
+  const [isSaving, setIsSaving] = useState(false)
+
+  // Take the saved plan until the user starts editing
+  useEffect(() => {
+    if (isDirty) return
+    setDraftAreas(areas)
+    setLayouts(layoutsFromTables(tables))
+    setActiveAreaId((current) => (areas.some((area) => area.id === current) ? current : areas[0]?.id || null))
+  }, [areas, tables, isDirty])
+
+  const activeArea = draftAreas.find((area) => area.id === activeAreaId)
+  const draftTables = useMemo(
+    () => tables.map((table) => ({ ...table, layout: layouts[table._id] || null })),
+    [tables, layouts]
+  )
+  const unplacedTables = draftTables.filter((table) => !table.layout).sort((a, b) => a.number - b.number)
+  const selectedTable = draftTables.find((table) => table._id === selectedTableId)
+
+  const updateLayout = (tableId, changes) => {
+    setLayouts((current) => ({ ...current, [tableId]: { ...current[tableId], ...changes } }))
+    setIsDirty(true)
+  }
+
+  const removeLayout = (tableId) => {
+    setLayouts((current) => {
+      const { [tableId]: removed, ...rest } = current
+      return rest
+    })
+    setSelectedTableId(null)
+    setIsDirty(true)
+  }
+
+  const updateArea = (changes) => {
+    setDraftAreas((current) => current.map((area) => (area.id === activeAreaId ? { ...area, ...changes } : area)))
+    setIsDirty(true)
+  }
+
+  const addArea = () => {
+    const area = { id: `area_${Date.now().toString(36)}`, name: `Area ${draftAreas.length + 1}`, width: 1000, height: 700 }
+    setDraftAreas((current) => [...current, area])
+    setActiveAreaId(area.id)
+    setIsDirty(true)
+  }
+
+  // Tables of a deleted area go back to the unplaced list
+  const deleteArea = () => {
+    if (draftAreas.length <= 1) {
+      toast.error("A floor plan needs at least one area")
+      return
+    }
+    setLayouts((current) => Object.fromEntries(Object.entries(current).filter(([, layout]) => layout.areaId !== activeAreaId)))
+    const remaining = draftAreas.filter((area) => area.id !== activeAreaId)
+    setDraftAreas(remaining)
+    setActiveAreaId(remaining[0].id)
+    setIsDirty(true)
+  }
+
+  const handleSave = async () => {
+    setIsSaving(true)
+    const placements = Object.entries(layouts).map(([tableId, layout]) => ({ tableId, ...layout }))
+    const response = await saveFloorPlan(draftAreas, placements)
+    setIsSaving(false)
+    if (!response?.success) {
+      toast.error(response?.errors?.join(", ") || response?.message || "Failed to save floor plan")
+      return
+    }
+    setIsDirty(false)
+    toast.success("Floor plan saved")
+  }
+
+  if (isLoading && draftAreas.length === 0) {
+    return <Skeleton className="h-[500px] w-full" />
+  }
+
+  return (
+    <div className="grid gap-4 lg:grid-cols-[1fr_300px]">
+      <div className="space-y-4">
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <div className="flex flex-wrap gap-2">
+            {draftAreas.map((area) => (
+              <Button
+                key={area.id}
+                variant={area.id === activeAreaId ? "default" : "outline"}
+                size="sm"
+                onClick={() => setActiveAreaId(area.id)}
+              >
+                {area.name}
+              </Button>
+            ))}
+            <Button variant="ghost" size="sm" onClick={addArea}>
+              <Plus className="mr-1 h-4 w-4" />
+              Add area
+            </Button>
+          </div>
+          <Button onClick={handleSave} disabled={!isDirty || isSaving}>
+            <Save className="mr-2 h-4 w-4" />
+            {isSaving ? "Saving..." : "Save floor plan"}
+          </Button>
+        </div>
+
+        {activeArea && (
+          <FloorPlanCanvas
+            area={activeArea}
+            tables={draftTables}
+            statusColors={statusColors}
+            display={display}
+            editable
+            selectedTableId={selectedTableId}
+            onSelectTable={(table) => setSelectedTableId(table?._id || null)}
+            onMoveTable={updateLayout}
+          />
+        )}
+      </div>
+
+      <div className="space-y-4">
+        {activeArea && (
+          <Card>
+            <CardHeader className="p-4 pb-2">
+              <CardTitle className="text-base">Area</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3 p-4 pt-0">
+              <div className="space-y-1">
+                <Label htmlFor="area-name">Name</Label>
+                <Input id="area-name" value={activeArea.name} onChange={(event) => updateArea({ name: event.target.value })} />
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div className="space-y-1">
+                  <Label htmlFor="area-width">Width</Label>
+                  <Input
+                    id="area-width"
+                    type="number"
+                    min={100}
+                    value={activeArea.width}
+                    onChange={(event) => updateArea({ width: Number(event.target.value) })}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="area-height">Height</Label>
+                  <Input
+                    id="area-height"
+                    type="number"
+                    min={100}
+                    value={activeArea.height}
+                    onChange={(event) => updateArea({ height: Number(event.target.value) })}
+                  />
+                </div>
+              </div>
+              <Button variant="outline" size="sm" className="w-full text-destructive" onClick={deleteArea}>
+                <Trash2 className="mr-2 h-4 w-4" />
+                Delete area
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
+        {selectedTable?.layout && (
+          <Card>
+            <CardHeader className="p-4 pb-2">
+              <CardTitle className="text-base">Table {selectedTable.number}</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-3 p-4 pt-0">
+              <div className="space-y-1">
+                <Label>Shape</Label>
+                <Select value={selectedTable.layout.shape} onValueChange={(shape) => updateLayout(selectedTable._id, { shape })}>
+                  <SelectTrigger className="capitalize">
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {TABLE_SHAPES.map((shape) => (
+                      <SelectItem key={shape} value={shape} className="capitalize">
+                        {shape}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid grid-cols-2 gap-2">
+                <div className="space-y-1">
+                  <Label htmlFor="table-width">Width</Label>
+                  <Input
+                    id="table-width"
+                    type="number"
+                    min={20}
+                    value={selectedTable.layout.width}
+                    onChange={(event) => updateLayout(selectedTable._id, { width: Number(event.target.value) })}
+                  />
+                </div>
+                <div className="space-y-1">
+                  <Label htmlFor="table-height">Height</Label>
+                  <Input
+                    id="table-height"
+                    type="number"
+                    min={20}
+                    value={selectedTable.layout.height}
+                    onChange={(event) => updateLayout(selectedTable._id, { height: Number(event.target.value) })}
+                  />
+                </div>
+              </div>
+              <div className="flex items-end gap-2">
+                <div className="flex-1 space-y-1">
+                  <Label htmlFor="table-rotation">Rotation</Label>
+                  <Input
+                    id="table-rotation"
+                    type="number"
+                    step={15}
+                    value={selectedTable.layout.rotation}
+                    onChange={(event) => updateLayout(selectedTable._id, { rotation: Number(event.target.value) })}
+                  />
+                </div>
+                <Button
+                  variant="outline"
+                  size="icon"
+                  onClick={() => updateLayout(selectedTable._id, { rotation: (selectedTable.layout.rotation + 45) % 360 })}
+                >
+                  <RotateCw className="h-4 w-4" />
+                  <span className="sr-only">Rotate 45 degrees</span>
+                </Button>
+              </div>
+              <Button variant="outline" size="sm" className="w-full" onClick={() => removeLayout(selectedTable._id)}>
+                Remove from plan
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+
+        <Card>
+          <CardHeader className="p-4 pb-2">
+            <CardTitle className="text-base">Unplaced tables</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2 p-4 pt-0">
+            {unplacedTables.length === 0 && <p className="text-sm text-muted-foreground">Every table is on the plan</p>}
+            {unplacedTables.map((table) => (
+              <div key={table._id} className="flex items-center justify-between text-sm">
+                <span>
+                  Table {table.number} · {table.capacity} seats
+                </span>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  disabled={!activeArea}
+                  onClick={() => {
+                    updateLayout(table._id, defaultLayout(table, activeAreaId))
+                    setSelectedTableId(table._id)
+                  }}
+                >
+                  Place
+                </Button>
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  )
+}
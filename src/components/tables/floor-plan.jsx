@@ -0,0 +1,183 @@
+"use client"
+
+import { useRef, useState } from "react"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+
+const NEUTRAL_COLOR = "#9CA3AF"
+
+// Point of a pointer event in the plan's own units
+const toPlanPoint = (svg, event) => {
+  const point = svg.createSVGPoint()
+  point.x = event.clientX
+  point.y = event.clientY
+  return point.matrixTransform(svg.getScreenCTM().inverse())
+}
+
+function TableShape({ layout, color, isSelected }) {
+  const stroke = isSelected ? "#111827" : "rgba(0,0,0,0.25)"
+  const strokeWidth = isSelected ? 3 : 1.5
+  if (layout.shape === "round" || layout.shape === "oval") {
+    return (
+      <ellipse
+        cx={layout.width / 2}
+        cy={layout.height / 2}
+        rx={layout.width / 2}
+        ry={layout.height / 2}
+        fill={color}
+        stroke={stroke}
+        strokeWidth={strokeWidth}
+      />
+    )
+  }
+  return <rect width={layout.width} height={layout.height} rx={6} fill={color} stroke={stroke} strokeWidth={strokeWidth} />
+}
+
+/**
+ * One area of the floor plan drawn to scale. In edit mode tables can be
+ * dragged; positions snap to the grid and stay inside the area.
+ */
+export function FloorPlanCanvas({
+  area,
+  tables,
+  statusColors = {},
+  display = {},
+  editable = false,
+  selectedTableId = null,
+  onSelectTable,
+  onMoveTable,
+}) {
+  const svgRef = useRef(null)
+  const [drag, setDrag] = useState(null)
+  const gridSize = display.gridSize || 20
+
+  const areaTables = tables.filter((table) => table.layout?.areaId === area.id)
+
+  const handlePointerDown = (event, table) => {
+    onSelectTable?.(table)
+    if (!editable) return
+    const point = toPlanPoint(svgRef.current, event)
+    event.currentTarget.setPointerCapture?.(event.pointerId)
+    setDrag({ tableId: table._id, offsetX: point.x - table.layout.x, offsetY: point.y - table.layout.y })
+  }
+
+  const handlePointerMove = (event) => {
+    if (!drag) return
+    const table = areaTables.find((entry) => entry._id === drag.tableId)
+    if (!table) return
+    const point = toPlanPoint(svgRef.current, event)
+    const snap = (value) => Math.round(value / gridSize) * gridSize
+    const x = Math.min(Math.max(snap(point.x - drag.offsetX), 0), area.width - table.layout.width)
+    const y = Math.min(Math.max(snap(point.y - drag.offsetY), 0), area.height - table.layout.height)
+    if (x !== table.layout.x || y !== table.layout.y) {
+      onMoveTable?.(table._id, { x, y })
+    }
+  }
+
+  return (
+    <svg
+      ref={svgRef}
+      viewBox={`0 0 ${area.width} ${area.height}`}
+      className="h-auto w-full touch-none select-none rounded-md border bg-muted/30"
+      onPointerMove={handlePointerMove}
+      onPointerUp={() => setDrag(null)}
+      onPointerLeave={() => setDrag(null)}
+      onClick={(event) => {
+        if (event.target === svgRef.current) onSelectTable?.(null)
+      }}
+    >
+      {display.showGrid && (
+        <>
+          <defs>
+            <pattern id={`grid-${area.id}`} width={gridSize} height={gridSize} patternUnits="userSpaceOnUse">
+              <path d={`M ${gridSize} 0 L 0 0 0 ${gridSize}`} fill="none" stroke="rgba(0,0,0,0.08)" strokeWidth={1} />
+            </pattern>
+          </defs>
+          <rect width={area.width} height={area.height} fill={`url(#grid-${area.id})`} pointerEvents="none" />
+        </>
+      )}
+      {areaTables.map((table) => {
+        const { layout } = table
+        const color = display.showStatus === false ? NEUTRAL_COLOR : statusColors[table.status] || NEUTRAL_COLOR
+        return (
+          <g
+            key={table._id}
+            className={editable ? "cursor-move" : "cursor-pointer"}
+            onPointerDown={(event) => handlePointerDown(event, table)}
+          >
+            <g transform={`translate(${layout.x} ${layout.y}) rotate(${layout.rotation || 0} ${layout.width / 2} ${layout.height / 2})`}>
+              <TableShape layout={layout} color={color} isSelected={selectedTableId === table._id} />
+            </g>
+            {display.showLabels !== false && (
+              <text
+                x={layout.x + layout.width / 2}
+                y={layout.y + layout.height / 2}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                className="fill-white text-sm font-bold"
+                pointerEvents="none"
+              >
+                {table.number}
+              </text>
+            )}
+            {display.showCapacity && (
+              <text
+                x={layout.x + layout.width / 2}
+                y={layout.y + layout.height / 2 + 16}
+                textAnchor="middle"
+                className="fill-white text-[10px]"
+                pointerEvents="none"
+              >
+                {table.capacity} seats
+              </text>
+            )}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+/**
+ * Read-only floor plan with a tab per area and a legend of status colours
+ */
+export function FloorPlanView({ areas, tables, statusColors, display, selectedTableId, onSelectTable }) {
+  if (areas.length === 0) return null
+
+  return (
+    <Tabs defaultValue={areas[0].id} className="w-full">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        {areas.length > 1 ? (
+          <TabsList>
+            {areas.map((area) => (
+              <TabsTrigger key={area.id} value={area.id}>
+                {area.name}
+              </TabsTrigger>
+            ))}
+          </TabsList>
+        ) : (
+          <span className="text-sm font-medium">{areas[0].name}</span>
+        )}
+        <div className="flex flex-wrap gap-3 text-xs text-muted-foreground">
+          {Object.entries(statusColors).map(([status, color]) => (
+            <span key={status} className="flex items-center gap-1 capitalize">
+              <span className="h-3 w-3 rounded-sm" style={{ backgroundColor: color }} />
+              {status}
+            </span>
+          ))}
+        </div>
+      </div>
+      {areas.map((area) => (
+        <TabsContent key={area.id} value={area.id}>
+          <FloorPlanCanvas
+            area={area}
+            tables={tables}
+            statusColors={statusColors}
+            display={display}
+            selectedTableId={selectedTableId}
+            onSelectTable={onSelectTable}
+          />
+        </TabsContent>
+      ))}
+    </Tabs>
+  )
+}
@@ -0,0 +1,296 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+import { CalendarDays, ChevronLeft, ChevronRight, Plus } from "lucide-react"
+import { useSocket } from "@/lib/hooks/useSocket"
+import { useAuthStore } from "@/lib/store/auth"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "@/components/ui/dialog"
+import { EmptyState } from "@/components/ui/empty-state"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Textarea } from "@/components/ui/textarea"
+
+// Matches the grace period the server gives a late party
+const NO_SHOW_GRACE_MINUTES = 15
+
+const STATUS_LABELS = {
+  booked: "Booked",
+  seated: "Seated",
+  completed: "Completed",
+  cancelled: "Cancelled",
+  no_show: "No-show",
+}
+
+const STATUS_VARIANTS = {
+  booked: "default",
+  seated: "secondary",
+  completed: "outline",
+  cancelled: "outline",
+  no_show: "destructive",
+}
+
+const pad = (value) => String(value).padStart(2, "0")
+const toLocalDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+
+const shiftDate = (date, days) => {
+  const next = new Date(`${date}T00:00`)
+  next.setDate(next.getDate() + days)
+  return toLocalDate(next)
+}
+
+const EMPTY_FORM = { customerName: "", customerPhone: "", partySize: "2", time: "", notes: "" }
+
+function NewReservationDialog({ restaurantId, branchId, date, onBooked }) {
+  const { emit } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [open, setOpen] = useState(false)
+  const [form, setForm] = useState({ ...EMPTY_FORM, date })
+  const [slots, setSlots] = useState([])
+  const [isSaving, setIsSaving] = useState(false)
+
+  useEffect(() => {
+    if (open) setForm({ ...EMPTY_FORM, date })
+  }, [open, date])
+
+  // Offer only the start times with a table free for the party
+  useEffect(() => {
+    if (!open || !form.date || !Number(form.partySize)) return
+    emit(
+      "reservations:getAvailability",
+      { sessionId, restaurantId, branchId, date: form.date, partySize: Number(form.partySize) },
+      (response) => {
+        if (response?.success) setSlots(response.data.slots.filter((slot) => slot.available))
+      }
+    )
+  }, [open, emit, sessionId, restaurantId, branchId, form.date, form.partySize])
+
+  const updateField = (field) => (event) => setForm((current) => ({ ...current, [field]: event.target.value }))
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    setIsSaving(true)
+    emit(
+      "reservations:create",
+      { sessionId, restaurantId, branchId, ...form, partySize: Number(form.partySize) },
+      (response) => {
+        setIsSaving(false)
+        if (!response?.success) {
+          toast.error(response?.errors?.join(", ") || response?.message || "Failed to book reservation")
+          return
+        }
+        const { reservation } = response.data
+        toast.success(`Table ${reservation.tableNumber} booked for ${reservation.customerName}`)
+        onBooked(reservation)
+        setOpen(false)
+      }
+    )
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={setOpen}>
+      <DialogTrigger asChild>
+        <Button>
+          <Plus className="mr-2 h-4 w-4" />
+          New reservation
+        </Button>
+      </DialogTrigger>
+      <DialogContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>New reservation</DialogTitle>
+            <DialogDescription>The smallest free table that fits the party is assigned.</DialogDescription>
+          </DialogHeader>
+          <div className="grid grid-cols-2 gap-3">
+            <div className="col-span-2 space-y-1">
+              <Label htmlFor="reservation-name">Name</Label>
+              <Input id="reservation-name" value={form.customerName} onChange={updateField("customerName")} required />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="reservation-phone">Phone</Label>
+              <Input id="reservation-phone" type="tel" value={form.customerPhone} onChange={updateField("customerPhone")} />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="reservation-party">Party size</Label>
+              <Input
+                id="reservation-party"
+                type="number"
+                min={1}
+                value={form.partySize}
+                onChange={updateField("partySize")}
+                required
+              />
+            </div>
+            <div className="space-y-1">
+              <Label htmlFor="reservation-date">Date</Label>
+              <Input id="reservation-date" type="date" value={form.date} onChange={updateField("date")} required />
+            </div>
+            <div className="space-y-1">
+              <Label>Time</Label>
+              <Select value={form.time} onValueChange={(time) => setForm((current) => ({ ...current, time }))}>
+                <SelectTrigger>
+                  <SelectValue placeholder={slots.length ? "Pick a time" : "No free times"} />
+                </SelectTrigger>
+                <SelectContent>
+                  {slots.map((slot) => (
+                    <SelectItem key={slot.time} value={slot.time}>
+                      {slot.time}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="col-span-2 space-y-1">
+              <Label htmlFor="reservation-notes">Notes</Label>
+              <Textarea id="reservation-notes" value={form.notes} onChange={updateField("notes")} rows={2} />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button type="submit" disabled={isSaving || !form.time}>
+              {isSaving ? "Booking..." : "Book table"}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+/**
+ * Day view of the reservation book: bookings in time order with the
+ * actions of the front desk. Stays live as other terminals book.
+ */
+export function ReservationBook({ restaurantId, branchId }) {
+  const { isConnected, emit, on, off } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [date, setDate] = useState(() => toLocalDate(new Date()))
+  const [reservations, setReservations] = useState([])
+  const [summary, setSummary] = useState(null)
+
+  const loadDay = useCallback(() => {
+    if (!isConnected || !branchId) return
+    emit("reservations:getDay", { sessionId, restaurantId, branchId, date }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to load reservations")
+        return
+      }
+      setReservations(response.data.reservations)
+      setSummary(response.data.summary)
+    })
+  }, [isConnected, emit, sessionId, restaurantId, branchId, date])
+
+  useEffect(() => {
+    loadDay()
+  }, [loadDay])
+
+  useEffect(() => {
+    if (!isConnected) return
+    const handleUpdated = (reservation) => {
+      if (reservation.branchId === branchId) loadDay()
+    }
+    on("reservations:updated", handleUpdated)
+    return () => off("reservations:updated", handleUpdated)
+  }, [isConnected, on, off, branchId, loadDay])
+
+  const runAction = (event, reservation, successMessage, extra = {}) => {
+    emit(event, { sessionId, reservationId: reservation._id, ...extra }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to update reservation")
+        return
+      }
+      toast.success(successMessage)
+      loadDay()
+    })
+  }
+
+  const isPastGrace = (reservation) =>
+    Date.now() >= new Date(reservation.startAt).getTime() + NO_SHOW_GRACE_MINUTES * 60000
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div className="flex items-center gap-2">
+          <Button variant="outline" size="icon" onClick={() => setDate(shiftDate(date, -1))}>
+            <ChevronLeft className="h-4 w-4" />
+            <span className="sr-only">Previous day</span>
+          </Button>
+          <Input type="date" value={date} onChange={(event) => setDate(event.target.value)} className="w-[170px]" />
+          <Button variant="outline" size="icon" onClick={() => setDate(shiftDate(date, 1))}>
+            <ChevronRight className="h-4 w-4" />
+            <span className="sr-only">Next day</span>
+          </Button>
+          {summary && (
+            <span className="text-sm text-muted-foreground">
+              {summary.covers} covers · {summary.reservations.booked || 0} booked · {summary.reservations.seated || 0} seated
+              {summary.reservations.no_show ? ` · ${summary.reservations.no_show} no-show` : ""}
+            </span>
+          )}
+        </div>
+        <NewReservationDialog restaurantId={restaurantId} branchId={branchId} date={date} onBooked={loadDay} />
+      </div>
+
+      {reservations.length === 0 ? (
+        <EmptyState icon={CalendarDays} title="No reservations" description="Bookings for this day appear here." />
+      ) : (
+        <div className="space-y-2">
+          {reservations.map((reservation) => (
+            <Card key={reservation._id} className={reservation.status === "cancelled" ? "opacity-50" : ""}>
+              <CardContent className="flex flex-wrap items-center justify-between gap-4 p-4">
+                <div className="flex items-center gap-4">
+                  <span className="w-14 text-lg font-bold">{reservation.time}</span>
+                  <div>
+                    <div className="font-medium">
+                      {reservation.customerName} · {reservation.partySize} guests
+                    </div>
+                    <div className="text-sm text-muted-foreground">
+                      Table {reservation.tableNumber}
+                      {reservation.customerPhone ? ` · ${reservation.customerPhone}` : ""}
+                      {reservation.notes ? ` · ${reservation.notes}` : ""}
+                    </div>
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <Badge variant={STATUS_VARIANTS[reservation.status]}>{STATUS_LABELS[reservation.status]}</Badge>
+                  {reservation.status === "booked" && (
+                    <>
+                      <Button size="sm" onClick={() => runAction("reservations:seat", reservation, "Party seated")}>
+                        Seat
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        disabled={!isPastGrace(reservation)}
+                        onClick={() => runAction("reservations:markNoShow", reservation, "Marked as no-show")}
+                      >
+                        No-show
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => runAction("reservations:cancel", reservation, "Reservation cancelled")}
+                      >
+                        Cancel
+                      </Button>
+                    </>
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
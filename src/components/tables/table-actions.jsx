@@ -0,0 +1,126 @@
+"use client"
+
+import { useState } from "react"
+import { toast } from "sonner"
+import { ArrowRightLeft, Combine, Split } from "lucide-react"
+import { useSocket } from "@/lib/hooks/useSocket"
+import { useAuthStore } from "@/lib/store/auth"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+
+/**
+ * Actions on the table picked on the floor plan: move the party to another
+ * table, combine it with a free table for a large party, or split it back.
+ */
+export function TableActions({ table, tables, onChanged }) {
+  const { emit } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [targetTableId, setTargetTableId] = useState("")
+
+  const primaryTable = table.combinedWith ? tables.find((other) => other._id === table.combinedWith) : table
+  const isCombined = Boolean(table.combinedWith || table.combinedTableIds?.length)
+  const freeTables = tables.filter(
+    (other) =>
+      other._id !== table._id && other.status === "available" && !other.combinedWith && !other.combinedTableIds?.length
+  )
+
+  const runAction = (event, payload, successMessage) => {
+    emit(event, { sessionId, ...payload }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to update table")
+        return
+      }
+      toast.success(successMessage)
+      setTargetTableId("")
+      onChanged()
+    })
+  }
+
+  const targetTable = freeTables.find((other) => other._id === targetTableId)
+
+  return (
+    <div className="space-y-3 rounded-md border p-3">
+      <div className="flex items-center justify-between">
+        <span className="font-medium">Table {table.number}</span>
+        <Badge variant="outline" className="capitalize">
+          {table.status}
+        </Badge>
+      </div>
+      {isCombined && primaryTable && (
+        <p className="text-sm text-muted-foreground">
+          Combined with table{" "}
+          {tables
+            .filter((other) => other._id === primaryTable._id || other.combinedWith === primaryTable._id)
+            .filter((other) => other._id !== table._id)
+            .map((other) => other.number)
+            .join(", ")}
+          {primaryTable.combinedCapacity ? ` · seats ${primaryTable.combinedCapacity}` : ""}
+        </p>
+      )}
+      <div className="flex flex-wrap items-center gap-2">
+        <Select value={targetTableId} onValueChange={setTargetTableId}>
+          <SelectTrigger className="w-[150px]">
+            <SelectValue placeholder={freeTables.length ? "Other table" : "No table free"} />
+          </SelectTrigger>
+          <SelectContent>
+            {freeTables.map((other) => (
+              <SelectItem key={other._id} value={other._id}>
+                Table {other.number} ({other.capacity})
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {table.status === "occupied" && !isCombined && (
+          <Button
+            size="sm"
+            disabled={!targetTable}
+            onClick={() =>
+              runAction(
+                "tables:transfer",
+                { fromTableId: table._id, toTableId: targetTableId },
+                `Party moved to table ${targetTable.number}`
+              )
+            }
+          >
+            <ArrowRightLeft className="mr-1 h-4 w-4" />
+            Move party
+          </Button>
+        )}
+        {!table.combinedWith && (
+          <Button
+            size="sm"
+            variant="outline"
+            disabled={!targetTable}
+            onClick={() =>
+              runAction(
+                "tables:combine",
+                { tableIds: [table._id, targetTableId], primaryTableId: table._id },
+                `Table ${targetTable.number} combined with table ${table.number}`
+              )
+            }
+          >
+            <Combine className="mr-1 h-4 w-4" />
+            Combine
+          </Button>
+        )}
+        {isCombined && (
+          <Button
+            size="sm"
+            variant="outline"
+            onClick={() =>
+              runAction(
+                "tables:split",
+                { tableId: table._id, tableIds: table.combinedWith ? [table._id] : undefined },
+                `Table ${table.number} split`
+              )
+            }
+          >
+            <Split className="mr-1 h-4 w-4" />
+            {table.combinedWith ? "Split off" : "Split all"}
+          </Button>
+        )}
+      </div>
+    </div>
+  )
+}
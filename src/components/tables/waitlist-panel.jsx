@@ -0,0 +1,234 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+import { Bell, Clock, UserPlus, Users } from "lucide-react"
+import { useSocket } from "@/lib/hooks/useSocket"
+import { useAuthStore } from "@/lib/store/auth"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card"
+import { EmptyState } from "@/components/ui/empty-state"
+import { Input } from "@/components/ui/input"
+import { Label } from "@/components/ui/label"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+
+const EMPTY_FORM = { customerName: "", customerPhone: "", partySize: "2" }
+
+// Waiting times change with every table turn; refresh them while the list is open
+const REFRESH_INTERVAL = 60000
+
+const TABLE_EVENTS = ["tables:statusUpdated", "tables:reserved", "waitlist:updated"]
+
+/**
+ * Walk-in waitlist for the host stand: add parties with a quoted wait,
+ * notify them and seat them at a free table.
+ */
+export function WaitlistPanel({ restaurantId, branchId }) {
+  const { isConnected, emit, on, off } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+  const [entries, setEntries] = useState([])
+  const [availableTables, setAvailableTables] = useState([])
+  const [averageTurnTime, setAverageTurnTime] = useState(null)
+  const [notificationsEnabled, setNotificationsEnabled] = useState(false)
+  const [form, setForm] = useState(EMPTY_FORM)
+  const [quote, setQuote] = useState(null)
+  const [seatingTables, setSeatingTables] = useState({})
+
+  const loadWaitlist = useCallback(() => {
+    if (!isConnected || !branchId) return
+    emit("waitlist:list", { sessionId, restaurantId, branchId }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to load waitlist")
+        return
+      }
+      setEntries(response.data.entries)
+      setAvailableTables(response.data.availableTables)
+      setAverageTurnTime(response.data.averageTurnTime)
+      setNotificationsEnabled(response.data.notificationsEnabled)
+    })
+  }, [isConnected, emit, sessionId, restaurantId, branchId])
+
+  useEffect(() => {
+    loadWaitlist()
+    const timer = setInterval(loadWaitlist, REFRESH_INTERVAL)
+    return () => clearInterval(timer)
+  }, [loadWaitlist])
+
+  useEffect(() => {
+    if (!isConnected) return
+    const handleChange = (doc) => {
+      if (doc.branchId === branchId) loadWaitlist()
+    }
+    TABLE_EVENTS.forEach((event) => on(event, handleChange))
+    return () => TABLE_EVENTS.forEach((event) => off(event, handleChange))
+  }, [isConnected, on, off, branchId, loadWaitlist])
+
+  // Quote the guest before they are added
+  useEffect(() => {
+    const partySize = Number(form.partySize)
+    if (!isConnected || !branchId || !partySize) return
+    emit("waitlist:quote", { sessionId, restaurantId, branchId, partySize }, (response) => {
+      setQuote(response?.success ? response.data.quotedWait : null)
+    })
+  }, [isConnected, emit, sessionId, restaurantId, branchId, form.partySize, entries])
+
+  const updateField = (field) => (event) => setForm((current) => ({ ...current, [field]: event.target.value }))
+
+  const handleAdd = (event) => {
+    event.preventDefault()
+    emit(
+      "waitlist:add",
+      { sessionId, restaurantId, branchId, ...form, partySize: Number(form.partySize) },
+      (response) => {
+        if (!response?.success) {
+          toast.error(response?.errors?.join(", ") || response?.message || "Failed to add party")
+          return
+        }
+        toast.success(`${response.data.customerName} added, quoted ${response.data.quotedWait} min`)
+        setForm(EMPTY_FORM)
+        loadWaitlist()
+      }
+    )
+  }
+
+  const runAction = (event, payload, successMessage) => {
+    emit(event, { sessionId, ...payload }, (response) => {
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to update waitlist")
+        return
+      }
+      toast.success(successMessage)
+      loadWaitlist()
+    })
+  }
+
+  const seatParty = (entry) => {
+    const tableId = seatingTables[entry._id]
+    if (!tableId) {
+      toast.error("Pick a table first")
+      return
+    }
+    runAction(
+      "tables:updateStatus",
+      { tableId, status: "occupied", waitlistEntryId: entry._id },
+      `${entry.customerName} seated`
+    )
+  }
+
+  return (
+    <div className="grid gap-4 lg:grid-cols-[320px_1fr]">
+      <Card>
+        <CardHeader className="p-4 pb-2">
+          <CardTitle className="text-base">Add walk-in</CardTitle>
+        </CardHeader>
+        <CardContent className="p-4 pt-0">
+          <form onSubmit={handleAdd} className="space-y-3">
+            <div className="space-y-1">
+              <Label htmlFor="waitlist-name">Name</Label>
+              <Input id="waitlist-name" value={form.customerName} onChange={updateField("customerName")} required />
+            </div>
+            <div className="grid grid-cols-2 gap-2">
+              <div className="space-y-1">
+                <Label htmlFor="waitlist-party">Party size</Label>
+                <Input
+                  id="waitlist-party"
+                  type="number"
+                  min={1}
+                  value={form.partySize}
+                  onChange={updateField("partySize")}
+                  required
+                />
+              </div>
+              <div className="space-y-1">
+                <Label htmlFor="waitlist-phone">Phone</Label>
+                <Input id="waitlist-phone" type="tel" value={form.customerPhone} onChange={updateField("customerPhone")} />
+              </div>
+            </div>
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-muted-foreground">Quoted wait</span>
+              <span className="font-semibold">{quote === null ? "No table fits" : `${quote} min`}</span>
+            </div>
+            <Button type="submit" className="w-full" disabled={quote === null}>
+              <UserPlus className="mr-2 h-4 w-4" />
+              Add to waitlist
+            </Button>
+            {averageTurnTime !== null && (
+              <p className="text-xs text-muted-foreground">Tables are turning every {averageTurnTime} min on average</p>
+            )}
+          </form>
+        </CardContent>
+      </Card>
+
+      {entries.length === 0 ? (
+        <EmptyState icon={Users} title="Nobody is waiting" description="Walk-ins added to the waitlist appear here." />
+      ) : (
+        <div className="space-y-2">
+          {entries.map((entry, index) => {
+            const fittingTables = availableTables.filter((table) => table.capacity >= entry.partySize)
+            return (
+              <Card key={entry._id}>
+                <CardContent className="flex flex-wrap items-center justify-between gap-4 p-4">
+                  <div className="flex items-center gap-4">
+                    <span className="w-6 text-lg font-bold text-muted-foreground">{index + 1}</span>
+                    <div>
+                      <div className="flex items-center gap-2 font-medium">
+                        {entry.customerName} · {entry.partySize} guests
+                        {entry.status === "notified" && <Badge variant="secondary">Notified</Badge>}
+                      </div>
+                      <div className="flex items-center gap-1 text-sm text-muted-foreground">
+                        <Clock className="h-3 w-3" />
+                        Waited {entry.waited} of {entry.quotedWait} min
+                        {entry.remainingWait !== null ? ` · about ${entry.remainingWait} min to go` : ""}
+                        {entry.customerPhone ? ` · ${entry.customerPhone}` : ""}
+                      </div>
+                    </div>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <Select
+                      value={seatingTables[entry._id] || ""}
+                      onValueChange={(tableId) => setSeatingTables((current) => ({ ...current, [entry._id]: tableId }))}
+                    >
+                      <SelectTrigger className="w-[130px]">
+                        <SelectValue placeholder={fittingTables.length ? "Table" : "No table free"} />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {fittingTables.map((table) => (
+                          <SelectItem key={table._id} value={table._id}>
+                            Table {table.number} ({table.capacity})
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Button size="sm" onClick={() => seatParty(entry)}>
+                      Seat
+                    </Button>
+                    {notificationsEnabled && entry.status === "waiting" && (
+                      <Button
+                        size="sm"
+                        variant="outline"
+                        onClick={() => runAction("waitlist:notify", { entryId: entry._id }, `${entry.customerName} notified`)}
+                      >
+                        <Bell className="mr-1 h-4 w-4" />
+                        Notify
+                      </Button>
+                    )}
+                    <Button
+                      size="sm"
+                      variant="ghost"
+                      onClick={() =>
+                        runAction("waitlist:remove", { entryId: entry._id, reason: "left" }, `${entry.customerName} removed`)
+                      }
+                    >
+                      Remove
+                    </Button>
+                  </div>
+                </CardContent>
+              </Card>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,37 @@
+"use client"
+
+import { useEffect, useRef } from "react"
+
+/**
+ * Hook to drive a screen from a bump bar or keyboard
+ * @param {Object} keys - Key names per action, e.g. { bump: ["0", "Enter"], select: ["1", "2"] }
+ * @param {Object} handlers - Handler per action; select receives the position of the key
+ * @param {boolean} enabled - Whether keys are handled (default: true)
+ */
+export function useBumpBar(keys, handlers, enabled = true) {
+  // Keep the latest handlers without re-binding the listener on every render
+  const handlersRef = useRef(handlers)
+  handlersRef.current = handlers
+
+  useEffect(() => {
+    if (!enabled || !keys) return
+
+    const handleKeyDown = (event) => {
+      // Leave typing in form fields alone
+      const tag = event.target?.tagName
+      if (event.ctrlKey || event.altKey || event.metaKey || ["INPUT", "TEXTAREA", "SELECT"].includes(tag)) {
+        return
+      }
+
+      const action = Object.keys(keys).find((name) => keys[name]?.includes(event.key))
+      const handler = action && handlersRef.current[action]
+      if (!handler) return
+
+      event.preventDefault()
+      handler(action === "select" ? keys.select.indexOf(event.key) : undefined)
+    }
+
+    window.addEventListener("keydown", handleKeyDown)
+    return () => window.removeEventListener("keydown", handleKeyDown)
+  }, [keys, enabled])
+}
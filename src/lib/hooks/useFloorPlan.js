@@ -0,0 +1,98 @@
+"use client"
+
+import { useCallback, useEffect, useState } from "react"
+import { toast } from "sonner"
+import { useSocket } from "@/lib/hooks/useSocket"
+import { useAuthStore } from "@/lib/store/auth"
+
+/**
+ * Hook to load a branch's floor plan and keep it live as tables change
+ * @param {Object} options - { restaurantId, branchId }
+ * @returns {Object} Areas, tables, status colours, display settings and setters for the editor
+ */
+export function useFloorPlan({ restaurantId, branchId }) {
+  const { isConnected, emit, on, off } = useSocket()
+  const sessionId = useAuthStore((state) => state.sessionId)
+
+  const [areas, setAreas] = useState([])
+  const [tables, setTables] = useState([])
+  const [statusColors, setStatusColors] = useState({})
+  const [display, setDisplay] = useState({})
+  const [isLoading, setIsLoading] = useState(true)
+
+  const loadFloorPlan = useCallback(() => {
+    if (!isConnected || !restaurantId || !branchId) return
+    setIsLoading(true)
+    emit("tables:getFloorPlan", { sessionId, restaurantId, branchId }, (response) => {
+      setIsLoading(false)
+      if (!response?.success) {
+        toast.error(response?.message || "Failed to load floor plan")
+        return
+      }
+      setAreas(response.data.areas)
+      setTables(response.data.tables)
+      setStatusColors(response.data.statusColors)
+      setDisplay(response.data.display)
+    })
+  }, [isConnected, emit, sessionId, restaurantId, branchId])
+
+  useEffect(() => {
+    loadFloorPlan()
+  }, [loadFloorPlan])
+
+  // Replace changed tables in place, adding new ones
+  const mergeTables = useCallback((changed) => {
+    setTables((current) => {
+      const byId = new Map(current.map((table) => [table._id, table]))
+      changed.forEach((table) => byId.set(table._id, table))
+      return [...byId.values()].filter((table) => table.isActive !== false)
+    })
+  }, [])
+
+  useEffect(() => {
+    if (!isConnected) return
+    const handleTable = (table) => {
+      if (table.branchId === branchId) mergeTables([table])
+    }
+    const handleFloorPlan = (floorPlan) => {
+      if (floorPlan.branchId !== branchId) return
+      setAreas(floorPlan.areas)
+      mergeTables(floorPlan.tables)
+    }
+
+    on("tables:statusUpdated", handleTable)
+    on("tables:created", handleTable)
+    on("tables:reserved", handleTable)
+    on("tables:floorPlanUpdated", handleFloorPlan)
+    return () => {
+      off("tables:statusUpdated", handleTable)
+      off("tables:created", handleTable)
+      off("tables:reserved", handleTable)
+      off("tables:floorPlanUpdated", handleFloorPlan)
+    }
+  }, [isConnected, on, off, branchId, mergeTables])
+
+  const saveFloorPlan = useCallback(
+    (nextAreas, placements) =>
+      new Promise((resolve) => {
+        emit("tables:saveFloorPlan", { sessionId, restaurantId, branchId, areas: nextAreas, placements }, (response) => {
+          if (response?.success) {
+            setAreas(response.data.areas)
+            mergeTables(response.data.tables)
+          }
+          resolve(response)
+        })
+      }),
+    [emit, sessionId, restaurantId, branchId, mergeTables]
+  )
+
+  return {
+    areas,
+    tables,
+    statusColors,
+    display,
+    isLoading,
+    reload: loadFloorPlan,
+    saveFloorPlan,
+  }
+}